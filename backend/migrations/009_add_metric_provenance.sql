@@ -0,0 +1,9 @@
+-- Migration 009: Add per-metric provenance to extracted_metrics
+-- Records the source page, quoted snippet, character offsets into
+-- documents.content_text and the extraction method for every value
+
+ALTER TABLE extracted_metrics 
+ADD COLUMN IF NOT EXISTS provenance JSONB DEFAULT '{}';
+
+COMMENT ON COLUMN extracted_metrics.provenance IS 'Per-field source: { field: { method, page, snippet, charStart, charEnd } }';
+COMMENT ON COLUMN documents.metadata IS 'Document metadata, including pageOffsets ([{ pageNumber, start, end }] into content_text)';
@@ -0,0 +1,17 @@
+-- Migration 010: Persist the ESOP loan amortization and share release schedule
+-- One row per document: the loan terms and assumptions the schedule was
+-- calculated from, and the resulting per-loan amortization and release by year
+
+CREATE TABLE IF NOT EXISTS esop_share_release (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    loan_terms JSONB NOT NULL DEFAULT '{}',
+    assumptions JSONB NOT NULL DEFAULT '{}',
+    schedule JSONB NOT NULL DEFAULT '{}',
+    calculated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(document_id)
+);
+
+COMMENT ON TABLE esop_share_release IS 'ESOP loan amortization and suspense share release schedule per document';
+COMMENT ON COLUMN esop_share_release.loan_terms IS 'External/internal loan and seller note terms plus allocated and unallocated shares';
+COMMENT ON COLUMN esop_share_release.schedule IS '{ loans: { externalLoan, internalLoan, sellerNote }, release: { method, annualPayment, schedule } }';
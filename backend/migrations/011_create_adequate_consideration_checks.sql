@@ -0,0 +1,17 @@
+-- Migration 011: Persist adequate consideration checklist results
+-- One row per document: the status, explanation and citations for each
+-- checklist item, and the overall summary
+
+CREATE TABLE IF NOT EXISTS adequate_consideration_checks (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    checklist_version TEXT,
+    items JSONB NOT NULL DEFAULT '[]',
+    summary JSONB NOT NULL DEFAULT '{}',
+    evaluated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(document_id)
+);
+
+COMMENT ON TABLE adequate_consideration_checks IS 'Adequate consideration checklist evaluation per document';
+COMMENT ON COLUMN adequate_consideration_checks.items IS '[{ id, title, required, status: pass|fail|unclear, explanation, citations: [{ page, quote }], method, provider }]';
+COMMENT ON COLUMN adequate_consideration_checks.summary IS '{ pass, fail, unclear, total, status }';
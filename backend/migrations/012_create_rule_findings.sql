@@ -0,0 +1,17 @@
+-- Migration 012: Persist financial red-flag rule findings
+-- One row per document: every rule that could be evaluated against the
+-- extracted metrics, whether it triggered, and the values it used
+
+CREATE TABLE IF NOT EXISTS rule_findings (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    rules_version TEXT,
+    industry TEXT,
+    findings JSONB NOT NULL DEFAULT '[]',
+    evaluated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(document_id)
+);
+
+COMMENT ON TABLE rule_findings IS 'Financial red-flag rule evaluation per document';
+COMMENT ON COLUMN rule_findings.rules_version IS 'Rules files and versions evaluated, e.g. financialRules.json@1.0';
+COMMENT ON COLUMN rule_findings.findings IS '[{ ruleId, severity: info|warning|error, message, triggered, values, industry }]';
@@ -0,0 +1,25 @@
+-- Migration 013: Analyst overrides of extracted metrics
+-- Append-only audit trail kept apart from extracted_metrics so re-extraction
+-- never overwrites an analyst's correction. A field's active override is its
+-- latest 'override' row not followed by a 'revert'.
+
+CREATE TABLE IF NOT EXISTS metric_overrides (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    metric_type VARCHAR(100) NOT NULL,
+    field VARCHAR(100) NOT NULL,
+    action VARCHAR(20) NOT NULL DEFAULT 'override' CHECK (action IN ('override', 'revert')),
+    value NUMERIC,
+    machine_value NUMERIC,
+    justification TEXT NOT NULL,
+    overridden_by TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_metric_overrides_document_created
+ON metric_overrides (document_id, created_at);
+
+COMMENT ON TABLE metric_overrides IS 'Analyst overrides and reverts of extracted metric values';
+COMMENT ON COLUMN metric_overrides.value IS 'Override value, normalized like extracted values; NULL for reverts';
+COMMENT ON COLUMN metric_overrides.machine_value IS 'Extracted value at the time of the override or revert';
+COMMENT ON COLUMN metric_overrides.overridden_by IS 'Authenticated user id, or the analyst name given with the request';
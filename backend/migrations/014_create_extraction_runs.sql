@@ -0,0 +1,30 @@
+-- Migration 014: Versioned extraction runs
+-- Every extraction of a document with the models, prompt version and parser
+-- that produced it and all of its metric values. The current run's metrics
+-- are the ones in extracted_metrics; other runs are history or candidates
+-- awaiting review.
+
+CREATE TABLE IF NOT EXISTS extraction_runs (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    source VARCHAR(50) NOT NULL,
+    is_current BOOLEAN NOT NULL DEFAULT FALSE,
+    models JSONB NOT NULL DEFAULT '[]',
+    prompt_version TEXT,
+    parser TEXT,
+    metrics JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    promoted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_runs_document_created
+ON extraction_runs (document_id, created_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_extraction_runs_current
+ON extraction_runs (document_id) WHERE is_current;
+
+COMMENT ON TABLE extraction_runs IS 'Every extraction of a document, one of them current';
+COMMENT ON COLUMN extraction_runs.source IS 'upload | reextraction | autoValidation | aiMetrics';
+COMMENT ON COLUMN extraction_runs.models IS '[{ provider, model, tier, calls }] for the completions the run made';
+COMMENT ON COLUMN extraction_runs.parser IS 'PDF parse method, e.g. reducto or basic-extraction';
+COMMENT ON COLUMN extraction_runs.metrics IS '{ metricType: { data, confidence, provenance } }';
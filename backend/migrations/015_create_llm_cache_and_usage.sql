@@ -0,0 +1,45 @@
+-- Migration 015: Persistent LLM response cache and per-call usage
+-- Completions are cached under a hash of the provider, model, prompt versions
+-- and the whole request, so a repeated request survives restarts and never
+-- collides with another report's. Every LLM call is recorded with its token
+-- counts and estimated cost for the per-document cost report.
+
+CREATE TABLE IF NOT EXISTS llm_cache (
+    cache_key CHAR(64) PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    response TEXT NOT NULL,
+    usage JSONB NOT NULL DEFAULT '{}',
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_hit_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+    job_id UUID,
+    source VARCHAR(50) NOT NULL,
+    operation VARCHAR(20) NOT NULL DEFAULT 'completion',
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    task VARCHAR(50),
+    prompts JSONB NOT NULL DEFAULT '[]',
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost NUMERIC(12, 6),
+    cached BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_document_created
+ON llm_usage (document_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_job
+ON llm_usage (job_id);
+
+COMMENT ON TABLE llm_cache IS 'Content-addressed LLM completions';
+COMMENT ON COLUMN llm_cache.cache_key IS 'SHA-256 of provider, model, prompt versions and request';
+COMMENT ON TABLE llm_usage IS 'Every LLM call with its token counts and estimated cost';
+COMMENT ON COLUMN llm_usage.source IS 'upload | reextraction | autoValidation | aiMetrics | liveMetrics | questions | adequateConsideration';
+COMMENT ON COLUMN llm_usage.cost IS 'Estimated list price in USD; null when the model has no price. Cached calls cost nothing';
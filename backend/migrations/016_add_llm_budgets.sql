@@ -0,0 +1,20 @@
+-- Migration 016: Tenants and LLM budget usage
+-- Documents, jobs and LLM calls record the tenant they belong to so tenant
+-- spend can be summed per budget period, and jobs keep their budget usage
+-- for the job status
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT 'default';
+
+ALTER TABLE processing_jobs
+ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT 'default',
+ADD COLUMN IF NOT EXISTS llm_budget JSONB;
+
+ALTER TABLE llm_usage
+ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_tenant_created
+ON llm_usage (tenant_id, created_at);
+
+COMMENT ON COLUMN documents.tenant_id IS 'Tenant that uploaded the document (X-Tenant-Id)';
+COMMENT ON COLUMN processing_jobs.llm_budget IS 'LLM budget usage: { level, tenantId, degradedCalls, offlineCalls, scopes: { document, job, tenant } }';
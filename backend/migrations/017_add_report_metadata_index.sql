@@ -0,0 +1,9 @@
+-- Migration 017: Report engagement metadata
+-- The appraiser, trustee, plan, standard and premise of value, dates and
+-- purpose of each report are stored in documents.metadata under "report";
+-- the index serves the exact-match filters of the documents list
+
+CREATE INDEX IF NOT EXISTS idx_documents_report_metadata
+ON documents USING GIN ((metadata->'report'));
+
+COMMENT ON COLUMN documents.metadata IS 'Parser details (pageOffsets, parseMethod) and report engagement metadata (report: { appraisalFirm, appraiser, trustee, planName, standardOfValue, premiseOfValue, valuationDate, reportDate, purpose, sources })';
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { runAccuracyHarness, formatReportMarkdown } from './src/services/accuracyHarness.js';
+
+// Usage: npm run accuracy -- [--provider stub|openai|anthropic] [--extractor name] [--verbose]
+const parseArgs = (argv) => {
+  const args = { provider: 'stub', extractors: undefined, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--provider') args.provider = argv[++i];
+    else if (argv[i] === '--extractor') args.extractors = [...(args.extractors || []), argv[++i]];
+    else if (argv[i] === '--verbose') args.verbose = true;
+  }
+  return args;
+};
+
+const runAccuracy = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`🎯 Running extraction accuracy harness with provider "${args.provider}"...`);
+
+  // The extractors log every step; keep the report readable unless asked
+  const report = await runAccuracyHarness({ provider: args.provider, extractors: args.extractors, quiet: !args.verbose });
+
+  const reportDir = path.join(process.cwd(), 'reports');
+  await fs.mkdir(reportDir, { recursive: true });
+
+  const markdown = formatReportMarkdown(report);
+  await fs.writeFile(path.join(reportDir, 'accuracy-report.json'), JSON.stringify(report, null, 2));
+  await fs.writeFile(path.join(reportDir, 'accuracy-report.md'), markdown);
+
+  console.log(markdown);
+  console.log(`📊 Report written to ${path.join(reportDir, 'accuracy-report.json')}`);
+};
+
+runAccuracy().then(() => {
+  process.exit(0);
+}).catch((error) => {
+  console.error('💥 Accuracy harness failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+import fs from 'fs/promises';
+import { runConfidenceCalibration, formatCalibrationMarkdown } from './src/services/accuracyHarness.js';
+import { DEFAULT_CALIBRATION_PATH } from './src/services/confidence.js';
+
+// Usage: npm run calibrate-confidence -- [--provider stub|openai|anthropic] [--verbose]
+const parseArgs = (argv) => {
+  const args = { provider: 'stub', verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--provider') args.provider = argv[++i];
+    else if (argv[i] === '--verbose') args.verbose = true;
+  }
+  return args;
+};
+
+const runCalibration = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`🎯 Calibrating metric confidence on the golden corpus with provider "${args.provider}"...`);
+
+  // The extractors log every step; keep the output readable unless asked
+  const calibration = await runConfidenceCalibration({ provider: args.provider, quiet: !args.verbose });
+
+  await fs.writeFile(DEFAULT_CALIBRATION_PATH, `${JSON.stringify(calibration, null, 2)}\n`);
+
+  console.log(formatCalibrationMarkdown(calibration));
+  console.log(`📊 Calibration written to ${DEFAULT_CALIBRATION_PATH}`);
+};
+
+runCalibration().then(() => {
+  process.exit(0);
+}).catch((error) => {
+  console.error('💥 Confidence calibration failed:', error);
+  process.exit(1);
+});
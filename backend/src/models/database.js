@@ -53,6 +53,12 @@ export const initializeDatabase = async () => {
       )
     `);
 
+    // Per-field source page, snippet, offsets and extraction method
+    await client.query(`
+      ALTER TABLE extracted_metrics 
+      ADD COLUMN IF NOT EXISTS provenance JSONB DEFAULT '{}'
+    `);
+
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding 
       ON document_chunks USING ivfflat (embedding vector_cosine_ops)
@@ -75,6 +81,165 @@ export const initializeDatabase = async () => {
       ON ai_metrics_cache (document_id, created_at)
     `);
 
+    // ESOP loan amortization and share release schedule per document
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS esop_share_release (
+        id SERIAL PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        loan_terms JSONB NOT NULL DEFAULT '{}',
+        assumptions JSONB NOT NULL DEFAULT '{}',
+        schedule JSONB NOT NULL DEFAULT '{}',
+        calculated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(document_id)
+      )
+    `);
+
+    // Adequate consideration checklist results per document
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS adequate_consideration_checks (
+        id SERIAL PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        checklist_version TEXT,
+        items JSONB NOT NULL DEFAULT '[]',
+        summary JSONB NOT NULL DEFAULT '{}',
+        evaluated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(document_id)
+      )
+    `);
+
+    // Financial red-flag rule findings per document
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rule_findings (
+        id SERIAL PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        rules_version TEXT,
+        industry TEXT,
+        findings JSONB NOT NULL DEFAULT '[]',
+        evaluated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(document_id)
+      )
+    `);
+
+    // Analyst overrides of extracted metrics (append-only audit trail)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS metric_overrides (
+        id SERIAL PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        metric_type VARCHAR(100) NOT NULL,
+        field VARCHAR(100) NOT NULL,
+        action VARCHAR(20) NOT NULL DEFAULT 'override' CHECK (action IN ('override', 'revert')),
+        value NUMERIC,
+        machine_value NUMERIC,
+        justification TEXT NOT NULL,
+        overridden_by TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_metric_overrides_document_created
+      ON metric_overrides (document_id, created_at)
+    `);
+
+    // Every extraction of a document; the current run's metrics are in extracted_metrics
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS extraction_runs (
+        id SERIAL PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        source VARCHAR(50) NOT NULL,
+        is_current BOOLEAN NOT NULL DEFAULT FALSE,
+        models JSONB NOT NULL DEFAULT '[]',
+        prompt_version TEXT,
+        parser TEXT,
+        metrics JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        promoted_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_extraction_runs_document_created
+      ON extraction_runs (document_id, created_at)
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_extraction_runs_current
+      ON extraction_runs (document_id) WHERE is_current
+    `);
+
+    // Content-addressed LLM completions, kept across restarts
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS llm_cache (
+        cache_key CHAR(64) PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        response TEXT NOT NULL,
+        usage JSONB NOT NULL DEFAULT '{}',
+        hits INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_hit_at TIMESTAMP
+      )
+    `);
+
+    // Every LLM call with its token counts and estimated cost
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id SERIAL PRIMARY KEY,
+        document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+        job_id UUID,
+        source VARCHAR(50) NOT NULL,
+        operation VARCHAR(20) NOT NULL DEFAULT 'completion',
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        task VARCHAR(50),
+        prompts JSONB NOT NULL DEFAULT '[]',
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        cost NUMERIC(12, 6),
+        cached BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_document_created
+      ON llm_usage (document_id, created_at)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_job
+      ON llm_usage (job_id)
+    `);
+
+    // Tenants, for tenant LLM budgets, and job budget usage
+    await client.query(`
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT 'default'
+    `);
+
+    await client.query(`
+      ALTER TABLE llm_usage
+      ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_tenant_created
+      ON llm_usage (tenant_id, created_at)
+    `);
+
+    // processing_jobs is created by migration 003
+    await client.query(`
+      ALTER TABLE IF EXISTS processing_jobs
+      ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT 'default',
+      ADD COLUMN IF NOT EXISTS llm_budget JSONB
+    `);
+
+    // Report engagement metadata filters of the documents list
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_report_metadata
+      ON documents USING GIN ((metadata->'report'))
+    `);
+
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
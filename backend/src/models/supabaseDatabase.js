@@ -45,11 +45,21 @@ export class SupabaseDatabase {
     return data;
   }
 
-  async getDocuments() {
-    const { data, error } = await this.client
+  // `filters` are report metadata filters, with ILIKE patterns for 'contains'
+  async getDocuments(filters = []) {
+    let query = this.client
       .from('documents')
-      .select('*')
-      .order('upload_date', { ascending: false });
+      .select('*');
+
+    for (const { field, match, value } of filters) {
+      const column = `metadata->report->>${field}`;
+      if (match === 'contains') query = query.ilike(column, value);
+      else if (match === 'equals') query = query.eq(column, value);
+      else if (match === 'from') query = query.gte(column, value);
+      else query = query.lte(column, value);
+    }
+
+    const { data, error } = await query.order('upload_date', { ascending: false });
 
     if (error) throw error;
     return data;
@@ -106,7 +116,7 @@ export class SupabaseDatabase {
   }
 
   // Extracted metrics operations
-  async insertExtractedMetric(documentId, metricType, metricValue, metricData = {}, confidenceScore = 0.0) {
+  async insertExtractedMetric(documentId, metricType, metricValue, metricData = {}, confidenceScore = 0.0, provenance = {}) {
     const { data, error } = await this.client
       .from('extracted_metrics')
       .insert({
@@ -114,7 +124,8 @@ export class SupabaseDatabase {
         metric_type: metricType,
         metric_value: metricValue,
         metric_data: metricData,
-        confidence_score: confidenceScore
+        confidence_score: confidenceScore,
+        provenance
       })
       .select()
       .single();
@@ -162,6 +173,270 @@ export class SupabaseDatabase {
     return data;
   }
 
+  // ESOP share release operations
+  async upsertShareRelease(documentId, { loanTerms, assumptions, schedule }) {
+    const { data, error } = await this.client
+      .from('esop_share_release')
+      .upsert({
+        document_id: documentId,
+        loan_terms: loanTerms,
+        assumptions,
+        schedule,
+        calculated_at: new Date().toISOString()
+      }, {
+        onConflict: 'document_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getShareRelease(documentId) {
+    const { data, error } = await this.client
+      .from('esop_share_release')
+      .select('*')
+      .eq('document_id', documentId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "not found"
+    return data;
+  }
+
+  // Adequate consideration checklist operations
+  async upsertAdequateConsideration(documentId, { checklistVersion, items, summary }) {
+    const { data, error } = await this.client
+      .from('adequate_consideration_checks')
+      .upsert({
+        document_id: documentId,
+        checklist_version: checklistVersion,
+        items,
+        summary,
+        evaluated_at: new Date().toISOString()
+      }, {
+        onConflict: 'document_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getAdequateConsideration(documentId) {
+    const { data, error } = await this.client
+      .from('adequate_consideration_checks')
+      .select('*')
+      .eq('document_id', documentId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "not found"
+    return data;
+  }
+
+  // Financial red-flag rule findings operations
+  async upsertRuleFindings(documentId, { rulesVersion, industry, findings }) {
+    const { data, error } = await this.client
+      .from('rule_findings')
+      .upsert({
+        document_id: documentId,
+        rules_version: rulesVersion,
+        industry,
+        findings,
+        evaluated_at: new Date().toISOString()
+      }, {
+        onConflict: 'document_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getRuleFindings(documentId) {
+    const { data, error } = await this.client
+      .from('rule_findings')
+      .select('*')
+      .eq('document_id', documentId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "not found"
+    return data;
+  }
+
+  // Metric overrides operations (append-only audit trail)
+  async insertMetricOverride(documentId, { metricType, field, action, value, machineValue, justification, overriddenBy }) {
+    const { data, error } = await this.client
+      .from('metric_overrides')
+      .insert({
+        document_id: documentId,
+        metric_type: metricType,
+        field,
+        action,
+        value,
+        machine_value: machineValue,
+        justification,
+        overridden_by: overriddenBy
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getMetricOverrides(documentId) {
+    const { data, error } = await this.client
+      .from('metric_overrides')
+      .select('*')
+      .eq('document_id', documentId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Extraction runs operations
+  async insertExtractionRun(documentId, { source, isCurrent, models, promptVersion, parser, metrics }) {
+    if (isCurrent) {
+      const { error: retireError } = await this.client
+        .from('extraction_runs')
+        .update({ is_current: false })
+        .eq('document_id', documentId)
+        .eq('is_current', true);
+
+      if (retireError) throw retireError;
+    }
+
+    const { data, error } = await this.client
+      .from('extraction_runs')
+      .insert({
+        document_id: documentId,
+        source,
+        is_current: isCurrent,
+        models,
+        prompt_version: promptVersion,
+        parser,
+        metrics,
+        promoted_at: isCurrent ? new Date().toISOString() : null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getExtractionRuns(documentId) {
+    const { data, error } = await this.client
+      .from('extraction_runs')
+      .select('id, document_id, source, is_current, models, prompt_version, parser, created_at, promoted_at')
+      .eq('document_id', documentId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getExtractionRun(documentId, runId) {
+    const { data, error } = await this.client
+      .from('extraction_runs')
+      .select('*')
+      .eq('document_id', documentId)
+      .eq('id', runId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  }
+
+  // LLM response cache operations
+  async getLlmCacheEntry(cacheKey) {
+    const { data, error } = await this.client
+      .from('llm_cache')
+      .select('model, response, usage')
+      .eq('cache_key', cacheKey)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? { model: data.model, text: data.response, usage: data.usage } : null;
+  }
+
+  async insertLlmCacheEntry(cacheKey, { provider, model, text, usage }) {
+    const { error } = await this.client
+      .from('llm_cache')
+      .upsert({
+        cache_key: cacheKey,
+        provider,
+        model,
+        response: text,
+        usage
+      }, {
+        onConflict: 'cache_key',
+        ignoreDuplicates: true
+      });
+
+    if (error) throw error;
+  }
+
+  // LLM usage operations
+  async insertLlmUsage(documentId, calls, { source, jobId = null, tenantId = null }) {
+    if (calls.length === 0) return [];
+
+    const { data, error } = await this.client
+      .from('llm_usage')
+      .insert(calls.map(call => ({
+        document_id: documentId,
+        job_id: jobId,
+        tenant_id: tenantId,
+        source,
+        operation: call.operation || 'completion',
+        provider: call.provider,
+        model: call.model,
+        task: call.task,
+        prompts: call.prompts || [],
+        input_tokens: call.inputTokens || 0,
+        output_tokens: call.outputTokens || 0,
+        cost: call.cost ?? null,
+        cached: Boolean(call.cached)
+      })))
+      .select();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getLlmUsage(documentId) {
+    const { data, error } = await this.client
+      .from('llm_usage')
+      .select('*')
+      .eq('document_id', documentId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Tokens and cost a tenant was charged for since `since`
+  async getTenantLlmSpend(tenantId, since) {
+    const { data, error } = await this.client
+      .from('llm_usage')
+      .select('input_tokens, output_tokens, cost')
+      .eq('tenant_id', tenantId)
+      .eq('cached', false)
+      .gte('created_at', since.toISOString());
+
+    if (error) throw error;
+    return (data || []).reduce((spent, row) => ({
+      tokens: spent.tokens + row.input_tokens + row.output_tokens,
+      cost: spent.cost + (parseFloat(row.cost) || 0)
+    }), { tokens: 0, cost: 0 });
+  }
+
   // Processing jobs operations
   async createProcessingJob(documentId, jobType, status = 'pending') {
     const { data, error } = await this.client
@@ -1,59 +1,855 @@
 import express from 'express';
 import { pool } from '../models/database.js';
-import { answerQuestion } from '../services/openaiService.js';
+import { answerQuestion, createEmbedding } from '../services/openaiService.js';
+import { locateValue, EXTRACTION_METHODS } from '../services/provenance.js';
+import { parseAnswerNumber } from '../services/numberNormalization.js';
+import { extractFinancialTimeSeries, buildTrendSeries } from '../services/timeSeriesExtraction.js';
+import { buildDcfAnalysis } from '../services/dcfAnalysis.js';
+import { buildComparablesAnalysis } from '../services/comparablesExtraction.js';
+import { buildRepurchaseAnalysis, parseProjectionAssumptions } from '../services/repurchaseObligation.js';
+import { buildShareReleaseAnalysis, toShareReleaseRecord, parseShareReleaseRequest, mergeShareReleaseOverrides } from '../services/esopDebt.js';
+import { evaluateChecklist } from '../services/adequateConsideration.js';
+import { loadRules, detectIndustry, evaluateRules } from '../services/ruleEngine.js';
+import { extractComprehensiveMetrics } from '../services/comprehensiveExtraction.js';
+import { confidenceSignals, scoreConfidence, averageConfidence, confidenceLevel } from '../services/confidence.js';
+import { parseOverrideRequest, machineValueOf, toOverrideEntry, getOverrideHistory, activeOverrides, applyOverrides } from '../services/metricOverrides.js';
+import { runMetricsFromRows, toRunSummary, recordExtractionRun, diffRuns } from '../services/extractionRuns.js';
+import { currentLlmCalls } from '../services/llmService.js';
+import { trackLlmUsage, usageFromRow, summarizeLlmUsage } from '../services/llmUsage.js';
+import { jobService } from '../services/jobService.js';
+import { renderPrompt } from '../services/promptRegistry.js';
 
 const router = express.Router();
 
+// Metrics checked by manual and automatic AI validation
+const VALIDATION_METRICS = ['enterpriseValue', 'valueOfEquity', 'valuationPerShare', 'revenue', 'ebitda', 'discountRate'];
+
+// Stored metrics ({ metricType: metric_data }) with the analyst's overrides applied
+const getEffectiveMetrics = async (client, documentId) => {
+  const metricsResult = await client.query(
+    'SELECT metric_type, metric_data FROM extracted_metrics WHERE document_id = $1',
+    [documentId]
+  );
+  return applyOverrides(
+    Object.fromEntries(metricsResult.rows.map(row => [row.metric_type, row.metric_data || {}])),
+    activeOverrides(await getOverrideHistory(client, documentId))
+  );
+};
+
 router.get('/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
     
     const client = await pool.connect();
     try {
-      const metricsResult = await client.query(
-        'SELECT metric_type, metric_data, confidence_score, extracted_at FROM extracted_metrics WHERE document_id = $1',
-        [documentId]
-      );
-      
-      const documentResult = await client.query(
-        'SELECT filename, upload_date FROM documents WHERE id = $1',
-        [documentId]
-      );
-      
+      const metricsResult = await client.query(
+        'SELECT metric_type, metric_data, confidence_score, provenance, extracted_at FROM extracted_metrics WHERE document_id = $1',
+        [documentId]
+      );
+      
+      const documentResult = await client.query(
+        'SELECT filename, upload_date FROM documents WHERE id = $1',
+        [documentId]
+      );
+      
+      if (documentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      const overrides = activeOverrides(await getOverrideHistory(client, documentId));
+      const metrics = {};
+      let valuationDate = null;
+      
+      metricsResult.rows.forEach(row => {
+        metrics[row.metric_type] = {
+          data: row.metric_data,
+          confidence: row.confidence_score,
+          provenance: row.provenance || {},
+          overrides: overrides[row.metric_type] || {},
+          extractedAt: row.extracted_at
+        };
+        
+        // Extract valuation date from metrics if available
+        if (row.metric_type === 'valuationDate' && row.metric_data) {
+          try {
+            // row.metric_data is already an object (PostgreSQL JSONB), no need to parse
+            const dateData = row.metric_data;
+            if (dateData.date) {
+              valuationDate = dateData.date;
+            }
+          } catch (e) {
+            console.log('Failed to extract valuation date:', e.message);
+          }
+        }
+      });
+      
+      // Overrides of sections the extractor never produced
+      for (const [metricType, fields] of Object.entries(overrides)) {
+        if (!metrics[metricType]) {
+          metrics[metricType] = { data: {}, confidence: null, provenance: {}, overrides: fields, extractedAt: null };
+        }
+      }
+      
+      res.json({
+        documentId,
+        filename: documentResult.rows[0].filename,
+        uploadDate: documentResult.rows[0].upload_date,
+        valuationDate: valuationDate, // Add the actual valuation date
+        metrics
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get metrics error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/live/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      // Get document content for real-time analysis
+      const documentResult = await client.query(
+        'SELECT content_text, filename FROM documents WHERE id = $1',
+        [documentId]
+      );
+      
+      if (documentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      const documentText = documentResult.rows[0].content_text;
+      const filename = documentResult.rows[0].filename;
+      
+      // Key metrics questions that mirror dashboard display, from the
+      // liveMetrics.<key> prompts
+      const metricQuestions = [
+        { key: 'companyValue', category: 'companyValuation' },
+        { key: 'perShareValue', category: 'companyValuation' },
+        { key: 'esopPercentage', category: 'capitalStructure' },
+        { key: 'discountRate', category: 'discountRates' },
+        { key: 'revenue', category: 'keyFinancials' },
+        { key: 'ebitda', category: 'keyFinancials' }
+      ];
+      
+      // Get live answers for each metric
+      const liveMetrics = {};
+      const errors = [];
+      
+      for (const metric of metricQuestions) {
+        try {
+          console.log(`🔍 Getting live ${metric.key} for document ${documentId}`);
+          const question = renderPrompt(`liveMetrics.${metric.key}`);
+          const answer = await trackLlmUsage(documentId, 'liveMetrics', () => answerQuestion(question.text, documentText, documentId, { prompts: question.prompts }));
+          
+          // Parse the numeric value from the answer
+          const numericValue = parseNumericAnswer(answer);
+          
+          if (!liveMetrics[metric.category]) {
+            liveMetrics[metric.category] = { data: {} };
+          }
+          
+          liveMetrics[metric.category].data[metric.key] = numericValue;
+          
+          console.log(`✅ ${metric.key}: ${numericValue} (from: "${answer?.substring(0, 100)}...")`);
+          
+        } catch (error) {
+          console.error(`❌ Error getting live ${metric.key}:`, error.message);
+          errors.push({ metric: metric.key, error: error.message });
+        }
+      }
+      
+      res.json({
+        documentId,
+        filename,
+        type: 'live',
+        metrics: liveMetrics,
+        extractedAt: new Date().toISOString(),
+        errors: errors.length > 0 ? errors : undefined
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get live metrics error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to parse numeric answers from AI responses
+const parseNumericAnswer = (answer) => {
+  if (!answer || typeof answer !== 'string') return null;
+  
+  // Clean the answer and extract numbers
+  const cleaned = answer.trim().toLowerCase();
+  
+  console.log(`📝 Parsing answer: "${cleaned}"`);
+  
+  // Handle negative responses
+  if (cleaned.includes('not found') || cleaned.includes('not mentioned') || 
+      cleaned.includes('unclear') || cleaned.includes('not specified') ||
+      cleaned.includes('n/a') || cleaned.includes('unavailable')) {
+    return null;
+  }
+  
+  const value = parseAnswerNumber(cleaned);
+  if (value !== null) {
+    console.log(`🔢 Found: ${value}`);
+    return value;
+  }
+  
+  console.log(`❌ No valid number found in: "${cleaned}"`);
+  return null;
+};
+
+router.get('/summary/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT d.filename, d.upload_date,
+               COUNT(em.id) as metrics_count,
+               ARRAY_AGG(em.metric_type) as metric_types
+        FROM documents d
+        LEFT JOIN extracted_metrics em ON d.id = em.document_id
+        WHERE d.id = $1
+        GROUP BY d.id, d.filename, d.upload_date
+      `, [documentId]);
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      const summary = result.rows[0];
+      
+      res.json({
+        documentId,
+        filename: summary.filename,
+        uploadDate: summary.upload_date,
+        metricsExtracted: summary.metrics_count || 0,
+        availableMetrics: summary.metric_types || []
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get metrics summary error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Historical and projected income statement rows, parsed from the report's
+// financial tables rather than from free-text answers
+router.get('/timeseries/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const documentResult = await client.query(
+        'SELECT content_text, metadata FROM documents WHERE id = $1',
+        [documentId]
+      );
+      
+      if (documentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      const dateResult = await client.query(
+        "SELECT metric_data FROM extracted_metrics WHERE document_id = $1 AND metric_type = 'valuationDate' LIMIT 1",
+        [documentId]
+      );
+      
+      const valuationDate = dateResult.rows[0]?.metric_data?.date || null;
+      const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+      
+      const { content_text: documentText, metadata } = documentResult.rows[0];
+      const rows = extractFinancialTimeSeries(documentText, {
+        pageOffsets: metadata?.pageOffsets,
+        valuationYear: Number.isFinite(valuationYear) ? valuationYear : null
+      });
+      
+      console.log(`📈 Extracted ${rows.length} time-series rows for document ${documentId}`);
+      
+      res.json({
+        documentId,
+        valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+        rows,
+        series: buildTrendSeries(rows)
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get time series error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Discounted cash flow schedule from the report, our independent present
+// value recomputation and its variance against the report's conclusion
+router.get('/dcf/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const documentResult = await client.query(
+        'SELECT content_text, metadata FROM documents WHERE id = $1',
+        [documentId]
+      );
+      
+      if (documentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      const storedMetrics = await getEffectiveMetrics(client, documentId);
+      
+      const valuationDate = storedMetrics.valuationDate?.date || null;
+      const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+      
+      const { content_text: documentText, metadata } = documentResult.rows[0];
+      const analysis = buildDcfAnalysis(documentText, {
+        pageOffsets: metadata?.pageOffsets,
+        valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+        storedMetrics
+      });
+      
+      if (analysis.recomputed.error) {
+        console.log(`⚠️ DCF recomputation unavailable for document ${documentId}: ${analysis.recomputed.error}`);
+      }
+      
+      res.json({
+        documentId,
+        ...analysis
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get DCF analysis error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Guideline public companies and transactions from the market approach
+// tables, with the selected multiples against peer medians and quartiles
+router.get('/comparables/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const documentResult = await client.query(
+        'SELECT content_text, metadata FROM documents WHERE id = $1',
+        [documentId]
+      );
+      
+      if (documentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      // Reducto's visual tables are stored as table chunks
+      const tablesResult = await client.query(
+        "SELECT chunk_text, page_number, metadata FROM document_chunks WHERE document_id = $1 AND metadata->>'elementType' = 'table' ORDER BY chunk_index",
+        [documentId]
+      );
+      const tables = tablesResult.rows.map(row => ({
+        content: row.chunk_text,
+        page: row.page_number || row.metadata?.pageNumber || null,
+        title: row.metadata?.title || ''
+      }));
+      
+      const { valuationMultiples } = await getEffectiveMetrics(client, documentId);
+      
+      const { content_text: documentText, metadata } = documentResult.rows[0];
+      const comparables = buildComparablesAnalysis(documentText, {
+        pageOffsets: metadata?.pageOffsets,
+        tables,
+        storedMetrics: { valuationMultiples }
+      });
+      
+      console.log(`🏢 Extracted ${comparables.peers.length} comparables for document ${documentId}`);
+      
+      res.json({
+        documentId,
+        ...comparables
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get comparables error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ESOP repurchase obligation: study data stated in the report and a projection
+// from the concluded per-share value. Assumptions (years, turnoverRate,
+// retirementRate, shareValueGrowthRate, installmentYears) come from the query.
+router.get('/repurchase/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const documentResult = await client.query(
+        'SELECT content_text, metadata FROM documents WHERE id = $1',
+        [documentId]
+      );
+      
+      if (documentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      const storedMetrics = await getEffectiveMetrics(client, documentId);
+      
+      const valuationDate = storedMetrics.valuationDate?.date || null;
+      const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+      
+      const { content_text: documentText, metadata } = documentResult.rows[0];
+      const analysis = buildRepurchaseAnalysis(documentText, {
+        pageOffsets: metadata?.pageOffsets,
+        valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+        storedMetrics,
+        assumptions: parseProjectionAssumptions(req.query)
+      });
+      
+      if (analysis.projection.error) {
+        console.log(`⚠️ Repurchase projection unavailable for document ${documentId}: ${analysis.projection.error}`);
+      }
+      
+      res.json({
+        documentId,
+        ...analysis
+      });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get repurchase obligation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recalculate and store the ESOP loan amortization and suspense share release
+// for a document. `overrides` (flat esopDebt fields, unallocatedShares,
+// method, startYear) are merged over the ones stored with the last
+// calculation, which win over the extracted loan terms.
+const calculateShareRelease = async (client, documentId, overrides = {}) => {
+  const documentResult = await client.query(
+    'SELECT content_text FROM documents WHERE id = $1',
+    [documentId]
+  );
+  if (documentResult.rows.length === 0) return null;
+  
+  const storedResult = await client.query(
+    'SELECT assumptions FROM esop_share_release WHERE document_id = $1',
+    [documentId]
+  );
+  overrides = mergeShareReleaseOverrides(storedResult.rows[0]?.assumptions?.overrides, overrides);
+  
+  const storedMetrics = await getEffectiveMetrics(client, documentId);
+  
+  const valuationDate = storedMetrics.valuationDate?.date || null;
+  const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+  
+  const record = toShareReleaseRecord(buildShareReleaseAnalysis(documentResult.rows[0].content_text, {
+    valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+    storedMetrics,
+    overrides
+  }));
+  
+  const result = await client.query(
+    `INSERT INTO esop_share_release (document_id, loan_terms, assumptions, schedule, calculated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (document_id) DO UPDATE SET
+     loan_terms = $2, assumptions = $3, schedule = $4, calculated_at = NOW()
+     RETURNING calculated_at`,
+    [documentId, record.loanTerms, record.assumptions, record.schedule]
+  );
+  
+  return { ...record, calculatedAt: result.rows[0].calculated_at };
+};
+
+// Stored ESOP debt terms and share release schedule, calculated on first request
+router.get('/share-release/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const storedResult = await client.query(
+        'SELECT loan_terms, assumptions, schedule, calculated_at FROM esop_share_release WHERE document_id = $1',
+        [documentId]
+      );
+      
+      if (storedResult.rows.length > 0) {
+        const { loan_terms: loanTerms, assumptions, schedule, calculated_at: calculatedAt } = storedResult.rows[0];
+        return res.json({ documentId, loanTerms, assumptions, schedule, calculatedAt });
+      }
+      
+      const shareRelease = await calculateShareRelease(client, documentId);
+      if (!shareRelease) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      res.json({ documentId, ...shareRelease });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get share release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/share-release/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { overrides, error } = parseShareReleaseRequest(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const client = await pool.connect();
+    try {
+      const shareRelease = await calculateShareRelease(client, documentId, overrides);
+      if (!shareRelease) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      console.log(`📅 Recalculated share release for document ${documentId}`);
+      res.json({ documentId, ...shareRelease });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Recalculate share release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Evaluate the adequate consideration checklist against a document's chunks
+// and store the result
+const evaluateAdequateConsideration = async (client, documentId) => {
+  const documentResult = await client.query(
+    'SELECT content_text, metadata FROM documents WHERE id = $1',
+    [documentId]
+  );
+  if (documentResult.rows.length === 0) return null;
+  
+  const retrieve = async (query) => {
+    const embedding = await createEmbedding(query);
+    const result = await client.query(`
+      SELECT chunk_text, COALESCE(page_number, (metadata->>'pageNumber')::int) AS page_number
+      FROM document_chunks
+      WHERE document_id = $2
+      ORDER BY embedding <=> $1::vector
+      LIMIT 4
+    `, [JSON.stringify(embedding), documentId]);
+    return result.rows.map(row => ({ text: row.chunk_text, pageNumber: row.page_number }));
+  };
+  
+  const { content_text: documentText, metadata } = documentResult.rows[0];
+  const checklist = await trackLlmUsage(documentId, 'adequateConsideration', () => evaluateChecklist(documentText, { pageOffsets: metadata?.pageOffsets, retrieve }));
+  
+  const result = await client.query(
+    `INSERT INTO adequate_consideration_checks (document_id, checklist_version, items, summary, evaluated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (document_id) DO UPDATE SET
+     checklist_version = $2, items = $3, summary = $4, evaluated_at = NOW()
+     RETURNING evaluated_at`,
+    [documentId, checklist.checklistVersion, JSON.stringify(checklist.items), checklist.summary]
+  );
+  
+  return { ...checklist, evaluatedAt: result.rows[0].evaluated_at };
+};
+
+// Stored adequate consideration checklist, evaluated on first request
+router.get('/adequate-consideration/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const storedResult = await client.query(
+        'SELECT checklist_version, items, summary, evaluated_at FROM adequate_consideration_checks WHERE document_id = $1',
+        [documentId]
+      );
+      
+      if (storedResult.rows.length > 0) {
+        const { checklist_version: checklistVersion, items, summary, evaluated_at: evaluatedAt } = storedResult.rows[0];
+        return res.json({ documentId, checklistVersion, items, summary, evaluatedAt });
+      }
+      
+      const checklist = await evaluateAdequateConsideration(client, documentId);
+      if (!checklist) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      res.json({ documentId, ...checklist });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get adequate consideration error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/adequate-consideration/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const checklist = await evaluateAdequateConsideration(client, documentId);
+      if (!checklist) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      console.log(`✅ Re-evaluated adequate consideration checklist for document ${documentId}: ${checklist.summary.status}`);
+      res.json({ documentId, ...checklist });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Re-evaluate adequate consideration error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Evaluate the financial red-flag rules over a document's stored metrics and
+// store the findings
+const evaluateRuleFindings = async (client, documentId) => {
+  const documentResult = await client.query(
+    'SELECT content_text FROM documents WHERE id = $1',
+    [documentId]
+  );
+  if (documentResult.rows.length === 0) return null;
+  
+  const storedMetrics = await getEffectiveMetrics(client, documentId);
+  
+  const rules = loadRules();
+  const industry = detectIndustry(documentResult.rows[0].content_text, rules.industries);
+  const findings = evaluateRules(storedMetrics, { rules, industry });
+  
+  const result = await client.query(
+    `INSERT INTO rule_findings (document_id, rules_version, industry, findings, evaluated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (document_id) DO UPDATE SET
+     rules_version = $2, industry = $3, findings = $4, evaluated_at = NOW()
+     RETURNING evaluated_at`,
+    [documentId, rules.version, industry, JSON.stringify(findings)]
+  );
+  
+  return { rulesVersion: rules.version, industry, findings, evaluatedAt: result.rows[0].evaluated_at };
+};
+
+// Stored red-flag rule findings, evaluated on first request
+router.get('/findings/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const storedResult = await client.query(
+        'SELECT rules_version, industry, findings, evaluated_at FROM rule_findings WHERE document_id = $1',
+        [documentId]
+      );
+      
+      if (storedResult.rows.length > 0) {
+        const { rules_version: rulesVersion, industry, findings, evaluated_at: evaluatedAt } = storedResult.rows[0];
+        return res.json({ documentId, rulesVersion, industry, findings, evaluatedAt });
+      }
+      
+      const result = await evaluateRuleFindings(client, documentId);
+      if (!result) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      res.json({ documentId, ...result });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get rule findings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-evaluate after the rules files change
+router.post('/findings/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const result = await evaluateRuleFindings(client, documentId);
+      if (!result) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      
+      console.log(`✅ Re-evaluated financial rules for document ${documentId}: ${result.findings.filter(finding => finding.triggered).length} triggered`);
+      res.json({ documentId, ...result });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Re-evaluate rule findings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Append an override or revert to the audit trail. The machine value is
+// recorded alongside so the trail shows what the analyst replaced.
+const recordOverride = async (req, res, action) => {
+  const { documentId } = req.params;
+  const request = parseOverrideRequest(req.body, action);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  
+  const overriddenBy = req.user?.userId || request.analyst;
+  if (!overriddenBy) {
+    return res.status(400).json({ error: 'The analyst making the change is required' });
+  }
+  
+  const client = await pool.connect();
+  try {
+    const documentResult = await client.query('SELECT id FROM documents WHERE id = $1', [documentId]);
+    if (documentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    if (action === 'revert' && !activeOverrides(await getOverrideHistory(client, documentId))[request.metricType]?.[request.field]) {
+      return res.status(404).json({ error: `No active override for ${request.metricType}.${request.field}` });
+    }
+    
+    const machineResult = await client.query(
+      'SELECT metric_data FROM extracted_metrics WHERE document_id = $1 AND metric_type = $2',
+      [documentId, request.metricType]
+    );
+    const machineValue = machineValueOf(machineResult.rows[0]?.metric_data, request.metricType, request.field);
+    
+    const inserted = await client.query(
+      `INSERT INTO metric_overrides (document_id, metric_type, field, action, value, machine_value, justification, overridden_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, metric_type, field, action, value, machine_value, justification, overridden_by, created_at`,
+      [documentId, request.metricType, request.field, action, request.value, machineValue, request.justification, overriddenBy]
+    );
+    
+    console.log(`✏️ ${overriddenBy} ${action === 'revert' ? 'reverted' : 'overrode'} ${request.metricType}.${request.field} for document ${documentId}`);
+    
+    const history = await getOverrideHistory(client, documentId);
+    res.status(201).json({
+      documentId,
+      entry: toOverrideEntry(inserted.rows[0]),
+      overrides: activeOverrides(history),
+      history
+    });
+    
+  } finally {
+    client.release();
+  }
+};
+
+// Active overrides and the full audit trail
+router.get('/overrides/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const history = await getOverrideHistory(client, documentId);
+      res.json({ documentId, overrides: activeOverrides(history), history });
+      
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get metric overrides error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Override a metric value: { metricType, field, value, justification, analyst }
+router.post('/overrides/:documentId', async (req, res) => {
+  try {
+    await recordOverride(req, res, 'override');
+  } catch (error) {
+    console.error('Override metric error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore the machine value: { metricType, field, justification, analyst }
+router.post('/overrides/:documentId/revert', async (req, res) => {
+  try {
+    await recordOverride(req, res, 'revert');
+  } catch (error) {
+    console.error('Revert metric override error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// LLM tokens and estimated cost spent on a document, per model and per source
+router.get('/costs/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const client = await pool.connect();
+    try {
+      const documentResult = await client.query('SELECT id FROM documents WHERE id = $1', [documentId]);
       if (documentResult.rows.length === 0) {
         return res.status(404).json({ error: 'Document not found' });
       }
       
-      const metrics = {};
-      let valuationDate = null;
-      
-      metricsResult.rows.forEach(row => {
-        metrics[row.metric_type] = {
-          data: row.metric_data,
-          confidence: row.confidence_score,
-          extractedAt: row.extracted_at
-        };
-        
-        // Extract valuation date from metrics if available
-        if (row.metric_type === 'valuationDate' && row.metric_data) {
-          try {
-            // row.metric_data is already an object (PostgreSQL JSONB), no need to parse
-            const dateData = row.metric_data;
-            if (dateData.date) {
-              valuationDate = dateData.date;
-            }
-          } catch (e) {
-            console.log('Failed to extract valuation date:', e.message);
-          }
-        }
-      });
-      
+      const result = await client.query(
+        'SELECT * FROM llm_usage WHERE document_id = $1 ORDER BY created_at, id',
+        [documentId]
+      );
+      const calls = result.rows.map(usageFromRow);
       res.json({
         documentId,
-        filename: documentResult.rows[0].filename,
-        uploadDate: documentResult.rows[0].upload_date,
-        valuationDate: valuationDate, // Add the actual valuation date
-        metrics
+        ...summarizeLlmUsage(calls),
+        firstCallAt: calls[0]?.createdAt ?? null,
+        lastCallAt: calls[calls.length - 1]?.createdAt ?? null
       });
       
     } finally {
@@ -61,209 +857,219 @@ router.get('/:documentId', async (req, res) => {
     }
     
   } catch (error) {
-    console.error('Get metrics error:', error);
+    console.error('Get LLM costs error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get('/live/:documentId', async (req, res) => {
+const RUN_SUMMARY_COLUMNS = 'id, document_id, source, is_current, models, prompt_version, parser, created_at, promoted_at';
+
+// A run with its metrics for diffing. 'current' is the live extracted_metrics,
+// which also covers documents processed before runs were recorded.
+const loadRunForDiff = async (client, documentId, runId) => {
+  if (runId === 'current') {
+    const currentRun = await client.query(
+      `SELECT ${RUN_SUMMARY_COLUMNS} FROM extraction_runs WHERE document_id = $1 AND is_current`,
+      [documentId]
+    );
+    const metricsResult = await client.query(
+      'SELECT metric_type, metric_data, confidence_score, provenance FROM extracted_metrics WHERE document_id = $1',
+      [documentId]
+    );
+    const summary = currentRun.rows[0]
+      ? toRunSummary(currentRun.rows[0])
+      : { id: null, documentId, source: null, isCurrent: true, models: [], promptVersion: null, parser: null, createdAt: null, promotedAt: null };
+    return { ...summary, metrics: runMetricsFromRows(metricsResult.rows) };
+  }
+  
+  const result = await client.query(
+    `SELECT ${RUN_SUMMARY_COLUMNS}, metrics FROM extraction_runs WHERE document_id = $1 AND id = $2`,
+    [documentId, runId]
+  );
+  if (result.rows.length === 0) return null;
+  return { ...toRunSummary(result.rows[0]), metrics: result.rows[0].metrics };
+};
+
+const isRunId = (value) => /^\d+$/.test(String(value));
+
+// Every extraction run for a document, newest first
+router.get('/runs/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
     
     const client = await pool.connect();
     try {
-      // Get document content for real-time analysis
-      const documentResult = await client.query(
-        'SELECT content_text, filename FROM documents WHERE id = $1',
+      const result = await client.query(
+        `SELECT ${RUN_SUMMARY_COLUMNS} FROM extraction_runs WHERE document_id = $1 ORDER BY created_at DESC, id DESC`,
         [documentId]
       );
+      res.json({ documentId, runs: result.rows.map(toRunSummary) });
       
-      if (documentResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Document not found' });
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    console.error('Get extraction runs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Field-by-field diff of two runs: ?base=<runId|current>&compare=<runId|current>.
+// Defaults compare the newest candidate run against the current metrics.
+router.get('/runs/:documentId/diff', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    let { base = 'current', compare } = req.query;
+    
+    for (const runId of [base, compare]) {
+      if (runId !== undefined && runId !== 'current' && !isRunId(runId)) {
+        return res.status(400).json({ error: `Invalid run id: ${runId}` });
       }
-      
-      const documentText = documentResult.rows[0].content_text;
-      const filename = documentResult.rows[0].filename;
-      
-      // Define key metrics questions that mirror dashboard display
-      const metricQuestions = [
-        {
-          key: 'companyValue',
-          question: 'What is the total company valuation or enterprise value mentioned in this document? Please provide the answer in the format "X million" or "X billion" or the exact dollar amount like "$X,XXX,XXX".',
-          category: 'companyValuation'
-        },
-        {
-          key: 'perShareValue', 
-          question: 'What is the fair market value per share or price per share mentioned in this document? Please provide the answer as a dollar amount like "$XX.XX".',
-          category: 'companyValuation'
-        },
-        {
-          key: 'esopPercentage',
-          question: 'What percentage of the company is owned by the ESOP or employees? Please provide the answer as "X%" or "X percent".',
-          category: 'capitalStructure'
-        },
-        {
-          key: 'discountRate',
-          question: 'What is the discount rate or WACC (weighted average cost of capital) mentioned in this document? Please provide the answer as "X%" or "X percent".',
-          category: 'discountRates'
-        },
-        {
-          key: 'revenue',
-          question: 'What is the annual revenue of the company mentioned in this document? Please provide the answer in the format "X million" or "X billion" or the exact dollar amount.',
-          category: 'keyFinancials'
-        },
-        {
-          key: 'ebitda',
-          question: 'What is the EBITDA (earnings before interest, taxes, depreciation, and amortization) mentioned in this document? Please provide the answer in the format "X million" or "X billion" or the exact dollar amount.',
-          category: 'keyFinancials'
+    }
+    
+    const client = await pool.connect();
+    try {
+      if (compare === undefined) {
+        const latestCandidate = await client.query(
+          'SELECT id FROM extraction_runs WHERE document_id = $1 AND NOT is_current ORDER BY created_at DESC, id DESC LIMIT 1',
+          [documentId]
+        );
+        if (latestCandidate.rows.length === 0) {
+          return res.status(404).json({ error: 'No candidate run to compare' });
         }
-      ];
-      
-      // Get live answers for each metric
-      const liveMetrics = {};
-      const errors = [];
+        compare = String(latestCandidate.rows[0].id);
+      }
       
-      for (const metric of metricQuestions) {
-        try {
-          console.log(`🔍 Getting live ${metric.key} for document ${documentId}`);
-          const answer = await answerQuestion(metric.question, documentText);
-          
-          // Parse the numeric value from the answer
-          const numericValue = parseNumericAnswer(answer);
-          
-          if (!liveMetrics[metric.category]) {
-            liveMetrics[metric.category] = { data: {} };
-          }
-          
-          liveMetrics[metric.category].data[metric.key] = numericValue;
-          
-          console.log(`✅ ${metric.key}: ${numericValue} (from: "${answer?.substring(0, 100)}...")`);
-          
-        } catch (error) {
-          console.error(`❌ Error getting live ${metric.key}:`, error.message);
-          errors.push({ metric: metric.key, error: error.message });
-        }
+      const baseRun = await loadRunForDiff(client, documentId, base);
+      const compareRun = await loadRunForDiff(client, documentId, compare);
+      if (!baseRun || !compareRun) {
+        return res.status(404).json({ error: 'Extraction run not found' });
       }
       
-      res.json({
-        documentId,
-        filename,
-        type: 'live',
-        metrics: liveMetrics,
-        extractedAt: new Date().toISOString(),
-        errors: errors.length > 0 ? errors : undefined
-      });
+      res.json({ documentId, ...diffRuns(baseRun, compareRun) });
       
     } finally {
       client.release();
     }
     
   } catch (error) {
-    console.error('Get live metrics error:', error);
+    console.error('Diff extraction runs error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper function to parse numeric answers from AI responses
-const parseNumericAnswer = (answer) => {
-  if (!answer || typeof answer !== 'string') return null;
-  
-  // Clean the answer and extract numbers
-  const cleaned = answer.trim().toLowerCase();
-  
-  console.log(`📝 Parsing answer: "${cleaned}"`);
-  
-  // Handle negative responses
-  if (cleaned.includes('not found') || cleaned.includes('not mentioned') || 
-      cleaned.includes('unclear') || cleaned.includes('not specified') ||
-      cleaned.includes('n/a') || cleaned.includes('unavailable')) {
-    return null;
-  }
-  
-  // Extract numeric patterns in order of specificity (most specific first)
-  const patterns = [
-    // Currency with billion (e.g., "$1.5 billion", "$1.5B")
-    { regex: /\$\s*([\d,]+(?:\.\d+)?)\s*billion/gi, multiplier: 1000000000 },
-    { regex: /\$\s*([\d,]+(?:\.\d+)?)\s*b\b/gi, multiplier: 1000000000 },
-    
-    // Currency with million (e.g., "$5.2 million", "$5.2M")  
-    { regex: /\$\s*([\d,]+(?:\.\d+)?)\s*million/gi, multiplier: 1000000 },
-    { regex: /\$\s*([\d,]+(?:\.\d+)?)\s*m\b/gi, multiplier: 1000000 },
-    
-    // Numbers with billion (e.g., "1.5 billion")
-    { regex: /([\d,]+(?:\.\d+)?)\s*billion/gi, multiplier: 1000000000 },
-    { regex: /([\d,]+(?:\.\d+)?)\s*b\b/gi, multiplier: 1000000000 },
+// One run with all of its metric values
+router.get('/runs/:documentId/:runId', async (req, res) => {
+  try {
+    const { documentId, runId } = req.params;
+    if (!isRunId(runId)) {
+      return res.status(400).json({ error: `Invalid run id: ${runId}` });
+    }
     
-    // Numbers with million (e.g., "5.2 million")
-    { regex: /([\d,]+(?:\.\d+)?)\s*million/gi, multiplier: 1000000 },
-    { regex: /([\d,]+(?:\.\d+)?)\s*m\b/gi, multiplier: 1000000 },
+    const client = await pool.connect();
+    try {
+      const run = await loadRunForDiff(client, documentId, runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Extraction run not found' });
+      }
+      
+      res.json(run);
+      
+    } finally {
+      client.release();
+    }
     
-    // Percentages (e.g., "15%", "15 percent")
-    { regex: /([\d,]+(?:\.\d+)?)(?:%|\s*percent)/gi, multiplier: 1 },
+  } catch (error) {
+    console.error('Get extraction run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-extract a document as a candidate run; poll /api/pdf/job/:jobId for progress
+router.post('/runs/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
     
-    // Currency without units but with large amounts (e.g., "$50,000,000")
-    { regex: /\$\s*([\d,]+(?:\.\d+)?)/g, multiplier: 1 },
+    const jobId = await jobService.createReextractionJob(documentId);
+    if (!jobId) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
     
-    // Plain large numbers (e.g., "50000000", "50,000,000") - only if > 1000
-    { regex: /\b([\d,]{4,}(?:\.\d+)?)\b/g, multiplier: 1 },
+    res.status(202).json({
+      message: 'Re-extraction started; the result is stored as a candidate run',
+      jobId,
+      status: 'processing'
+    });
     
-    // Any remaining numbers
-    { regex: /\b([\d,]+(?:\.\d+)?)\b/g, multiplier: 1 }
-  ];
-  
-  for (const pattern of patterns) {
-    const matches = [...cleaned.matchAll(pattern.regex)];
-    if (matches.length > 0) {
-      let value = parseFloat(matches[0][1].replace(/,/g, ''));
-      
-      if (!isNaN(value)) {
-        const finalValue = value * pattern.multiplier;
-        console.log(`🔢 Found: "${matches[0][0]}" -> ${value} * ${pattern.multiplier} = ${finalValue}`);
-        return finalValue;
-      }
-    }
+  } catch (error) {
+    console.error('Re-extraction error:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  console.log(`❌ No valid number found in: "${cleaned}"`);
-  return null;
-};
+});
 
-router.get('/summary/:documentId', async (req, res) => {
+// Make a run current: its metrics replace extracted_metrics, and the share
+// release schedule and red-flag findings are recalculated from them
+router.post('/runs/:documentId/:runId/promote', async (req, res) => {
   try {
-    const { documentId } = req.params;
+    const { documentId, runId } = req.params;
+    if (!isRunId(runId)) {
+      return res.status(400).json({ error: `Invalid run id: ${runId}` });
+    }
     
     const client = await pool.connect();
     try {
-      const result = await client.query(`
-        SELECT d.filename, d.upload_date,
-               COUNT(em.id) as metrics_count,
-               ARRAY_AGG(em.metric_type) as metric_types
-        FROM documents d
-        LEFT JOIN extracted_metrics em ON d.id = em.document_id
-        WHERE d.id = $1
-        GROUP BY d.id, d.filename, d.upload_date
-      `, [documentId]);
+      const runResult = await client.query(
+        'SELECT metrics FROM extraction_runs WHERE document_id = $1 AND id = $2',
+        [documentId, runId]
+      );
+      if (runResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Extraction run not found' });
+      }
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Document not found' });
+      await client.query('BEGIN');
+      try {
+        await client.query('DELETE FROM extracted_metrics WHERE document_id = $1', [documentId]);
+        for (const [metricType, metric] of Object.entries(runResult.rows[0].metrics)) {
+          await client.query(
+            'INSERT INTO extracted_metrics (document_id, metric_type, metric_data, confidence_score, provenance) VALUES ($1, $2, $3, $4, $5)',
+            [documentId, metricType, metric.data, metric.confidence ?? 0, metric.provenance || {}]
+          );
+        }
+        await client.query(
+          'UPDATE extraction_runs SET is_current = FALSE WHERE document_id = $1 AND is_current',
+          [documentId]
+        );
+        await client.query(
+          'UPDATE extraction_runs SET is_current = TRUE, promoted_at = NOW() WHERE id = $1',
+          [runId]
+        );
+        await client.query('COMMIT');
+      } catch (promoteError) {
+        await client.query('ROLLBACK');
+        throw promoteError;
       }
       
-      const summary = result.rows[0];
+      try {
+        await calculateShareRelease(client, documentId);
+        await evaluateRuleFindings(client, documentId);
+      } catch (recalculateError) {
+        console.warn('Recalculation after promoting extraction run failed:', recalculateError.message);
+      }
       
-      res.json({
-        documentId,
-        filename: summary.filename,
-        uploadDate: summary.upload_date,
-        metricsExtracted: summary.metrics_count || 0,
-        availableMetrics: summary.metric_types || []
-      });
+      console.log(`✅ Promoted extraction run ${runId} for document ${documentId}`);
+      const promoted = await client.query(
+        `SELECT ${RUN_SUMMARY_COLUMNS} FROM extraction_runs WHERE id = $1`,
+        [runId]
+      );
+      res.json(toRunSummary(promoted.rows[0]));
       
     } finally {
       client.release();
     }
     
   } catch (error) {
-    console.error('Get metrics summary error:', error);
+    console.error('Promote extraction run error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -291,76 +1097,45 @@ router.post('/validate/:documentId', async (req, res) => {
       
       const documentText = documentResult.rows[0].content_text;
       
-      // Create validation questions for each metric
+      // Create validation questions for each metric from the metricValidation.<key> prompts
       const validationResults = {};
       
-      const validationQueries = [
-        {
-          key: 'enterpriseValue',
-          question: `What is the total enterprise value or company valuation mentioned in this document? Please provide the exact number with units (millions/billions).`,
-          currentValue: metrics.enterpriseValue
-        },
-        {
-          key: 'valueOfEquity',
-          question: `What is the total value of equity mentioned in this document? Please provide the exact number with units.`,
-          currentValue: metrics.valueOfEquity
-        },
-        {
-          key: 'valuationPerShare',
-          question: `What is the fair market value per share or price per share mentioned in this document? Please provide the exact number.`,
-          currentValue: metrics.valuationPerShare
-        },
-        {
-          key: 'revenue',
-          question: `What is the company's annual revenue mentioned in this document? Please provide the exact number with units.`,
-          currentValue: metrics.revenue
-        },
-        {
-          key: 'ebitda',
-          question: `What is the company's EBITDA mentioned in this document? Please provide the exact number with units.`,
-          currentValue: metrics.ebitda
-        },
-        {
-          key: 'discountRate',
-          question: `What is the discount rate or weighted average cost of capital (WACC) mentioned in this document? Please provide the exact percentage.`,
-          currentValue: metrics.discountRate
-        }
-      ];
+      const validationQueries = VALIDATION_METRICS.map(key => ({
+        key,
+        question: renderPrompt(`metricValidation.${key}`),
+        currentValue: metrics[key]
+      }));
       
       // Process each validation query
-      for (const query of validationQueries) {
-        if (query.currentValue !== null && query.currentValue !== undefined) {
-          try {
-            console.log(`🔍 Validating ${query.key}: ${query.currentValue}`);
-            
-            const validationPrompt = `${query.question}
-            
-Current extracted value: ${query.currentValue}
-
-Please respond in this exact format:
-EXTRACTED_VALUE: [the exact value you find in the document, or "NOT_FOUND" if not mentioned]
-CONFIDENCE: [High/Medium/Low]
-MATCHES_CURRENT: [Yes/No]
-EXPLANATION: [brief explanation of what you found and why it matches or doesn't match]`;
-
-            const aiResponse = await answerQuestion(validationPrompt, documentText);
-            
-            validationResults[query.key] = {
-              currentValue: query.currentValue,
-              aiValidation: aiResponse,
-              query: query.question
-            };
-            
-          } catch (error) {
-            console.error(`Error validating ${query.key}:`, error);
-            validationResults[query.key] = {
-              currentValue: query.currentValue,
-              error: 'Validation failed',
-              query: query.question
-            };
+      await trackLlmUsage(documentId, 'validation', async () => {
+        for (const query of validationQueries) {
+          if (query.currentValue !== null && query.currentValue !== undefined) {
+            try {
+              console.log(`🔍 Validating ${query.key}: ${query.currentValue}`);
+              
+                const validationPrompt = renderPrompt('metricValidation.check', {
+                question: query.question,
+                currentValue: query.currentValue
+              });
+              const aiResponse = await answerQuestion(validationPrompt.text, documentText, null, { prompts: validationPrompt.prompts });
+              
+              validationResults[query.key] = {
+                currentValue: query.currentValue,
+                aiValidation: aiResponse,
+                query: query.question.text
+              };
+              
+            } catch (error) {
+              console.error(`Error validating ${query.key}:`, error);
+              validationResults[query.key] = {
+                currentValue: query.currentValue,
+                error: 'Validation failed',
+                query: query.question.text
+              };
+            }
           }
         }
-      }
+      });
       
       res.json({
         documentId,
@@ -386,7 +1161,7 @@ router.get('/ai/:documentId', async (req, res) => {
     try {
       // Get document content and metadata
       const documentResult = await client.query(
-        'SELECT content_text, filename, upload_date FROM documents WHERE id = $1',
+        'SELECT content_text, filename, upload_date, metadata FROM documents WHERE id = $1',
         [documentId]
       );
       
@@ -416,7 +1191,9 @@ router.get('/ai/:documentId', async (req, res) => {
         console.log('🤖 Extracting metrics with multiple focused queries...');
         
         aiMetrics = {
-          confidence: 'Medium',
+          confidence: null,
+          confidenceLevel: null,
+          confidenceScores: {},
           notes: 'Extracted using focused AI queries'
         };
 
@@ -456,11 +1233,11 @@ router.get('/ai/:documentId', async (req, res) => {
             if (relevantSections.length > 0) {
               console.log(`📍 Found ${relevantSections.length} relevant sections for ${metricName}`);
               const sectionsText = relevantSections.join('\n\n---SECTION---\n\n').substring(0, 8000);
-              const sectionQuestion = `${question}\n\nFocus on these relevant sections from the document:\n${sectionsText}`;
-              response = await answerQuestion(sectionQuestion, ''); // Empty context since we provided sections
+              const sectionQuestion = renderPrompt('aiMetrics.sections', { question, sections: sectionsText });
+              response = await answerQuestion(sectionQuestion.text, '', null, { prompts: sectionQuestion.prompts }); // Empty context since we provided sections
             } else {
               console.log(`📄 Using full document for ${metricName}`);
-              response = await answerQuestion(question, document.content_text);
+              response = await answerQuestion(question.text, document.content_text, null, { prompts: question.prompts });
             }
             
             console.log(`📊 ${metricName} AI response:`, response.substring(0, 200));
@@ -468,55 +1245,10 @@ router.get('/ai/:documentId', async (req, res) => {
             // Extract numbers from response with comprehensive parsing
             console.log(`🔍 Full AI response for ${metricName}: "${response}"`);
             
-            // Look for various number formats in valuation documents
-            const patterns = [
-              // Specific valuation formats
-              /\$\s*([\d,]+(?:\.\d+)?)\s*(?:million|m)\b/gi,
-              /\$\s*([\d,]+(?:\.\d+)?)\s*(?:billion|b)\b/gi,
-              /([\d,]+(?:\.\d+)?)\s*(?:million|m)\s*(?:dollars?)?/gi,
-              /([\d,]+(?:\.\d+)?)\s*(?:billion|b)\s*(?:dollars?)?/gi,
-              // Currency with large numbers
-              /\$\s*([\d,]+(?:\.\d+)?)\b/g,
-              // Percentages 
-              /([\d,]+(?:\.\d+)?)%/g,
-              /([\d,]+(?:\.\d+)?)\s*percent/gi,
-              // Any large number (could be unformatted)
-              /\b([\d,]{4,}(?:\.\d+)?)\b/g
-            ];
-            
-            let bestMatch = null;
-            let bestValue = null;
-            
-            for (const pattern of patterns) {
-              const matches = [...response.matchAll(pattern)];
-              for (const match of matches) {
-                let value = parseFloat(match[1].replace(/,/g, ''));
-                const fullMatch = match[0].toLowerCase();
-                
-                // Apply multipliers
-                if (fullMatch.includes('million') || fullMatch.endsWith(' m') || fullMatch.includes(' m ')) {
-                  value *= 1000000;
-                } else if (fullMatch.includes('billion') || fullMatch.endsWith(' b') || fullMatch.includes(' b ')) {
-                  value *= 1000000000;
-                }
-                
-                if (!isNaN(value) && value > 0) {
-                  // Prefer matches with explicit units or currency symbols
-                  const hasUnits = fullMatch.includes('million') || fullMatch.includes('billion') || fullMatch.includes('$');
-                  const priority = hasUnits ? 2 : 1;
-                  
-                  if (!bestMatch || priority > (bestMatch.priority || 0)) {
-                    bestMatch = { value, text: match[0], priority };
-                    bestValue = value;
-                  }
-                  
-                  console.log(`🔢 Found number: ${value} from "${match[0]}" (priority: ${priority})`);
-                }
-              }
-            }
+            const bestValue = parseAnswerNumber(response);
             
-            if (bestValue !== null) {
-              console.log(`✅ ${metricName}: ${bestValue} (from "${bestMatch.text}")`);
+            if (bestValue !== null && bestValue > 0) {
+              console.log(`✅ ${metricName}: ${bestValue}`);
               return bestValue;
             }
             
@@ -536,56 +1268,45 @@ router.get('/ai/:documentId', async (req, res) => {
           }
         };
 
-        // Extract each metric individually with more detailed questions
-        const queries = [
-          {
-            key: 'enterpriseValue',
-            question: 'Looking at this ESOP valuation document, what is the final concluded enterprise value, total company value, or business enterprise value? Look in executive summary, valuation conclusion, or final results sections. Respond with just the dollar amount number.'
-          },
-          {
-            key: 'valueOfEquity',
-            question: 'What is the concluded equity value, total equity value, or fair market value of equity mentioned in this ESOP valuation document? Look for final valuation conclusions. Respond with just the dollar amount number.'
-          },
-          {
-            key: 'valuationPerShare',
-            question: 'What is the fair market value per share, price per share, or per-share value concluded in this ESOP valuation? Look in the valuation conclusion or summary. Respond with just the dollar amount per share.'
-          },
-          {
-            key: 'revenue',
-            question: 'What is the company\'s most recent annual revenue, total revenue, or sales mentioned in this document? Look in financial statements or company overview sections. Respond with just the dollar amount number.'
-          },
-          {
-            key: 'ebitda',
-            question: 'What is the company\'s EBITDA, earnings before interest taxes depreciation and amortization, mentioned in this document? Look in financial analysis sections. Respond with just the dollar amount number.'
-          },
-          {
-            key: 'discountRate',
-            question: 'What discount rate, required rate of return, or weighted average cost of capital (WACC) was used in this valuation? Look in valuation methodology or assumptions sections. Respond with just the percentage number.'
-          }
-        ];
+        // Extract each metric individually with the aiMetrics.<key> prompts
+        const queries = ['enterpriseValue', 'valueOfEquity', 'valuationPerShare', 'revenue', 'ebitda', 'discountRate']
+          .map(key => ({ key, question: renderPrompt(`aiMetrics.${key}`) }));
 
         // Extract metrics in parallel to speed up processing
-        const metricPromises = queries.map(async (query) => {
+        const llmCalls = [];
+        const results = await trackLlmUsage(documentId, 'aiMetrics', () => Promise.all(queries.map(async (query) => {
           const value = await extractMetric(query.key, query.question);
           return { key: query.key, value };
-        });
-
-        const results = await Promise.all(metricPromises);
+        })), llmCalls);
         
         // Build metrics object
         results.forEach(({ key, value }) => {
           aiMetrics[key] = value;
         });
 
-        // Set confidence based on how many metrics we found
+        // Calibrated confidence per metric: agreement with the regex patterns
+        // and whether the value can be found in the document
+        const regexMetrics = extractComprehensiveMetrics(document.content_text);
+        const regexValues = {
+          enterpriseValue: regexMetrics.enterpriseValue?.currentValue,
+          valueOfEquity: regexMetrics.valueOfEquity?.currentValue,
+          valuationPerShare: regexMetrics.valuationPerShare?.currentValue,
+          revenue: regexMetrics.keyFinancials?.revenue,
+          ebitda: regexMetrics.keyFinancials?.ebitda,
+          discountRate: regexMetrics.discountRates?.discountRate ?? regexMetrics.keyFinancials?.weightedAverageCostOfCapital
+        };
+        results.forEach(({ key, value }) => {
+          if (value === null) return;
+          const { score, level } = scoreConfidence(confidenceSignals(value, {
+            extracted: { regex: regexValues[key], extractSingleMetric: value },
+            hasSource: locateValue(document.content_text, value) !== null
+          }));
+          aiMetrics.confidenceScores[key] = { score, level };
+        });
+        aiMetrics.confidence = averageConfidence(Object.values(aiMetrics.confidenceScores));
+        aiMetrics.confidenceLevel = confidenceLevel(aiMetrics.confidence);
+        
         const foundMetrics = results.filter(r => r.value !== null).length;
-        if (foundMetrics >= 4) {
-          aiMetrics.confidence = 'High';
-        } else if (foundMetrics >= 2) {
-          aiMetrics.confidence = 'Medium';
-        } else {
-          aiMetrics.confidence = 'Low';
-        }
         
         aiMetrics.notes = `Successfully extracted ${foundMetrics} out of ${queries.length} metrics using focused AI queries.`;
           
@@ -599,6 +1320,33 @@ router.get('/ai/:documentId', async (req, res) => {
         );
         
         console.log('✅ AI metrics generated and cached:', aiMetrics);
+        
+        // Keep this refresh as a run, in the standard sections so it can be
+        // diffed against the pipeline's runs; the cache never becomes current
+        const sections = {
+          enterpriseValue: { currentValue: 'enterpriseValue' },
+          valueOfEquity: { currentValue: 'valueOfEquity' },
+          valuationPerShare: { currentValue: 'valuationPerShare' },
+          keyFinancials: { revenue: 'revenue', ebitda: 'ebitda' },
+          discountRates: { discountRate: 'discountRate' }
+        };
+        const runMetrics = Object.fromEntries(Object.entries(sections).map(([metricType, fields]) => [metricType, {
+          data: Object.fromEntries(Object.entries(fields).map(([field, key]) => [field, aiMetrics[key] ?? null])),
+          confidence: averageConfidence(Object.values(fields).map(key => aiMetrics.confidenceScores[key])),
+          provenance: Object.fromEntries(Object.entries(fields)
+            .filter(([, key]) => aiMetrics.confidenceScores[key])
+            .map(([field, key]) => [field, { method: EXTRACTION_METHODS.EXTRACT_SINGLE_METRIC, confidence: aiMetrics.confidenceScores[key] }]))
+        }]));
+        try {
+          await recordExtractionRun(client, documentId, {
+            source: 'aiMetrics',
+            metrics: runMetrics,
+            llmCalls,
+            parser: document.metadata?.parseMethod ?? null
+          });
+        } catch (runError) {
+          console.warn('Recording AI metrics run failed:', runError.message);
+        }
       }
       
       res.json({
@@ -622,7 +1370,9 @@ router.get('/ai/:documentId', async (req, res) => {
 });
 
 // Function to automatically run AI validation and update metrics if better values are found
-export const runAutoAIValidationAndUpdate = async (documentId) => {
+export const runAutoAIValidationAndUpdate = (documentId) => trackLlmUsage(documentId, 'autoValidation', () => autoAIValidationAndUpdate(documentId));
+
+const autoAIValidationAndUpdate = async (documentId) => {
   try {
     const client = await pool.connect();
     try {
@@ -634,7 +1384,7 @@ export const runAutoAIValidationAndUpdate = async (documentId) => {
       
       // Get document content for AI validation
       const documentResult = await client.query(
-        'SELECT content_text FROM documents WHERE id = $1',
+        'SELECT content_text, metadata FROM documents WHERE id = $1',
         [documentId]
       );
       
@@ -644,6 +1394,7 @@ export const runAutoAIValidationAndUpdate = async (documentId) => {
       }
       
       const documentText = documentResult.rows[0].content_text;
+      const pageOffsets = documentResult.rows[0].metadata?.pageOffsets;
       const currentMetrics = {};
       
       // Build current metrics object based on actual database structure
@@ -674,39 +1425,12 @@ export const runAutoAIValidationAndUpdate = async (documentId) => {
       console.log('🤖 Running automatic AI validation for document:', documentId);
       console.log('Current metrics:', currentMetrics);
       
-      // Define validation queries - using same format as manual validation for consistency
-      const validationQueries = [
-        {
-          key: 'enterpriseValue',
-          question: `What is the total enterprise value or company valuation mentioned in this document? Please provide the exact number with units (millions/billions).`,
-          currentValue: currentMetrics.enterpriseValue
-        },
-        {
-          key: 'valueOfEquity',
-          question: `What is the total value of equity mentioned in this document? Please provide the exact number with units.`,
-          currentValue: currentMetrics.valueOfEquity
-        },
-        {
-          key: 'valuationPerShare',
-          question: `What is the fair market value per share or price per share mentioned in this document? Please provide the exact number.`,
-          currentValue: currentMetrics.valuationPerShare
-        },
-        {
-          key: 'revenue',
-          question: `What is the company's annual revenue mentioned in this document? Please provide the exact number with units.`,
-          currentValue: currentMetrics.revenue
-        },
-        {
-          key: 'ebitda',
-          question: `What is the company's EBITDA mentioned in this document? Please provide the exact number with units.`,
-          currentValue: currentMetrics.ebitda
-        },
-        {
-          key: 'discountRate',
-          question: `What is the discount rate or weighted average cost of capital (WACC) mentioned in this document? Please provide the exact percentage.`,
-          currentValue: currentMetrics.discountRate
-        }
-      ];
+      // Define validation queries - using the same questions as manual validation for consistency
+      const validationQueries = VALIDATION_METRICS.map(key => ({
+        key,
+        question: renderPrompt(`metricValidation.${key}`),
+        currentValue: currentMetrics[key]
+      }));
       
       const updates = [];
       
@@ -716,17 +1440,11 @@ export const runAutoAIValidationAndUpdate = async (documentId) => {
         try {
           console.log(`🔍 Auto-validating ${query.key}: ${query.currentValue || 'NULL/MISSING'}`);
             
-            const validationPrompt = `${query.question}
-            
-Current extracted value: ${query.currentValue || 'None found'}
-
-Please respond in this exact format:
-EXTRACTED_VALUE: [the exact value you find in the document, or "NOT_FOUND" if not mentioned]
-CONFIDENCE: [High/Medium/Low]
-MATCHES_CURRENT: [Yes/No/N/A if no current value]
-EXPLANATION: [brief explanation of what you found and why it matches or doesn't match]`;
-
-            const aiResponse = await answerQuestion(validationPrompt, documentText);
+            const validationPrompt = renderPrompt('metricValidation.autoCheck', {
+              question: query.question,
+              currentValue: query.currentValue || 'None found'
+            });
+            const aiResponse = await answerQuestion(validationPrompt.text, documentText, null, { prompts: validationPrompt.prompts });
             
             // Parse AI response to check if we found a conflicting value
             const lines = aiResponse.split('\n');
@@ -740,36 +1458,9 @@ EXPLANATION: [brief explanation of what you found and why it matches or doesn't
                 if (!rawValue.toLowerCase().includes('not_found') && 
                     !rawValue.toLowerCase().includes('not found') &&
                     !rawValue.toLowerCase().includes('unknown')) {
-                  // Try to parse the extracted value
-                  const patterns = [
-                    /\$\s*([\d,]+(?:\.\d+)?)\s*(?:million|m)\b/gi,
-                    /\$\s*([\d,]+(?:\.\d+)?)\s*(?:billion|b)\b/gi,
-                    /([\d,]+(?:\.\d+)?)\s*(?:million|m)\s*(?:dollars?)?/gi,
-                    /([\d,]+(?:\.\d+)?)\s*(?:billion|b)\s*(?:dollars?)?/gi,
-                    /\$\s*([\d,]+(?:\.\d+)?)\b/g,
-                    /([\d,]+(?:\.\d+)?)%/g,
-                    /([\d,]+(?:\.\d+)?)\s*percent/gi,
-                    /\b([\d,]{4,}(?:\.\d+)?)\b/g
-                  ];
-                  
-                  for (const pattern of patterns) {
-                    const matches = [...rawValue.matchAll(pattern)];
-                    for (const match of matches) {
-                      let value = parseFloat(match[1].replace(/,/g, ''));
-                      const fullMatch = match[0].toLowerCase();
-                      
-                      if (fullMatch.includes('million') || fullMatch.endsWith(' m') || fullMatch.includes(' m ')) {
-                        value *= 1000000;
-                      } else if (fullMatch.includes('billion') || fullMatch.endsWith(' b') || fullMatch.includes(' b ')) {
-                        value *= 1000000000;
-                      }
-                      
-                      if (!isNaN(value) && value > 0) {
-                        extractedValue = value;
-                        break;
-                      }
-                    }
-                    if (extractedValue !== null) break;
+                  const value = parseAnswerNumber(rawValue);
+                  if (value !== null && value > 0) {
+                    extractedValue = value;
                   }
                 }
               } else if (line.startsWith('MATCHES_CURRENT:')) {
@@ -807,8 +1498,7 @@ EXPLANATION: [brief explanation of what you found and why it matches or doesn't
                   updates.push({
                     metricType,
                     key: query.key,
-                    value: extractedValue,
-                    confidence: confidence.toLowerCase() === 'high' ? 0.9 : 0.7
+                    value: extractedValue
                   });
                 });
               }
@@ -880,17 +1570,37 @@ EXPLANATION: [brief explanation of what you found and why it matches or doesn't
                 updatedData.discountRate = update.value;
               }
               
+              // Record where the new value was found
+              const field = update.metricType === 'companyValuation'
+                ? (update.key === 'enterpriseValue' ? 'totalValue' : 'perShareValue')
+                : ({ keyFinancials: update.key, discountRates: 'discountRate' }[update.metricType] || 'currentValue');
+              const location = locateValue(documentText, update.value, { field: `${update.metricType}.${field}`, pageOffsets });
+              const fieldProvenance = {
+                method: EXTRACTION_METHODS.AUTO_VALIDATION,
+                page: location?.page ?? null,
+                snippet: location?.snippet ?? null,
+                charStart: location?.charStart ?? null,
+                charEnd: location?.charEnd ?? null,
+                confidence: scoreConfidence(confidenceSignals(update.value, {
+                  extracted: { extractSingleMetric: update.value },
+                  hasSource: location !== null
+                }))
+              };
+              
               // Update or insert the record
               if (isNewRecord) {
                 await client.query(
-                  'INSERT INTO extracted_metrics (document_id, metric_type, metric_data, confidence_score, extracted_at) VALUES ($1, $2, $3, $4, NOW())',
-                  [documentId, update.metricType, JSON.stringify(updatedData), update.confidence]
+                  'INSERT INTO extracted_metrics (document_id, metric_type, metric_data, confidence_score, provenance, extracted_at) VALUES ($1, $2, $3, $4, $5, NOW())',
+                  [documentId, update.metricType, JSON.stringify(updatedData), fieldProvenance.confidence.score, { [field]: fieldProvenance }]
                 );
                 console.log(`✅ Created ${update.metricType}.${update.key} with value ${update.value}`);
               } else {
                 await client.query(
-                  'UPDATE extracted_metrics SET metric_data = $1, confidence_score = $2, extracted_at = NOW() WHERE document_id = $3 AND metric_type = $4',
-                  [JSON.stringify(updatedData), update.confidence, documentId, update.metricType]
+                  `UPDATE extracted_metrics 
+                   SET metric_data = $1, confidence_score = $2, extracted_at = NOW(),
+                       provenance = jsonb_set(COALESCE(provenance, '{}'), $5, $6)
+                   WHERE document_id = $3 AND metric_type = $4`,
+                  [JSON.stringify(updatedData), fieldProvenance.confidence.score, documentId, update.metricType, [field], fieldProvenance]
                 );
                 console.log(`✅ Updated ${update.metricType}.${update.key} to ${update.value}`);
               }
@@ -901,6 +1611,18 @@ EXPLANATION: [brief explanation of what you found and why it matches or doesn't
         }
         
         console.log(`🎉 Successfully auto-updated ${updates.length} metrics with AI-improved values`);
+        
+        // The updated metrics become the document's current run
+        const updatedResult = await client.query(
+          'SELECT metric_type, metric_data, confidence_score, provenance FROM extracted_metrics WHERE document_id = $1',
+          [documentId]
+        );
+        await recordExtractionRun(client, documentId, {
+          source: 'autoValidation',
+          metrics: runMetricsFromRows(updatedResult.rows),
+          llmCalls: currentLlmCalls(),
+          parser: documentResult.rows[0].metadata?.parseMethod ?? null
+        }, { makeCurrent: true });
       } else {
         console.log('✅ No better AI values found, keeping current metrics');
       }
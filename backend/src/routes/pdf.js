@@ -3,6 +3,8 @@ import { processPDF, getDocuments, getDocumentById } from '../services/pdfServic
 import { extractMetrics } from '../services/openaiService.js';
 import { pool } from '../models/database.js';
 import { jobService } from '../services/jobService.js';
+import { resolveTenantId } from '../services/llmBudget.js';
+import { parseDocumentFilters } from '../services/reportMetadata.js';
 import { FileValidator } from '../middleware/fileValidation.js';
 
 const extractFallbackMetrics = (documentText) => {
@@ -92,8 +94,15 @@ router.post('/upload', async (req, res) => {
       return res.status(400).json({ error: 'No PDF file uploaded' });
     }
 
+    // The document and its LLM spend belong to this tenant (advisory while
+    // it comes from the X-Tenant-Id header; see resolveTenantId)
+    const { tenantId, error: tenantError } = resolveTenantId({ user: req.user, header: req.get('X-Tenant-Id') });
+    if (tenantError) {
+      return res.status(400).json({ error: tenantError });
+    }
+
     // Create a background processing job
-    const jobId = await jobService.createJob(req.file.originalname, req.file.path);
+    const jobId = await jobService.createJob(req.file.originalname, req.file.path, { tenantId });
     
     // Clean up old PDFs after successful upload (async, don't wait)
     FileValidator.cleanupOldPdfs('uploads/', 10).catch(err => {
@@ -128,9 +137,15 @@ router.get('/job/:jobId', async (req, res) => {
   }
 });
 
+// Optional report metadata filters, e.g. ?trustee=argent&valuationDateFrom=2023-01-01
 router.get('/documents', async (req, res) => {
+  const { filters, error } = parseDocumentFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   try {
-    const documents = await getDocuments();
+    const documents = await getDocuments(filters);
     res.json({ documents });
   } catch (error) {
     console.error('Get documents error:', error);
@@ -1,9 +1,15 @@
 import express from 'express';
 import { createEmbedding, answerQuestion } from '../services/openaiService.js';
 import { pool } from '../models/database.js';
+import { trackLlmUsage } from '../services/llmUsage.js';
+import { renderPrompt } from '../services/promptRegistry.js';
 
 const router = express.Router();
 
+// Record the LLM calls a handler makes against the document it is about
+const withLlmUsage = (handler) => (req, res) =>
+  trackLlmUsage(req.params.documentId || req.body?.documentId || null, 'questions', () => handler(req, res));
+
 // Add the missing cosine similarity function
 const calculateCosineSimilarity = (vecA, vecB) => {
   if (!Array.isArray(vecA) || !Array.isArray(vecB) || vecA.length !== vecB.length) {
@@ -27,7 +33,37 @@ const calculateCosineSimilarity = (vecA, vecB) => {
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 };
 
-router.post('/ask', async (req, res) => {
+// Find the chunks of a document closest to the question using pgvector
+const getSimilarChunks = async (question, documentId, limit = 10) => {
+  const questionEmbedding = await createEmbedding(question);
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT id, document_id, chunk_text, chunk_index, metadata,
+             COALESCE(page_number, (metadata->>'pageNumber')::int) AS page_number,
+             1 - (embedding <=> $1::vector) AS similarity
+      FROM document_chunks
+      WHERE document_id = $2
+      ORDER BY embedding <=> $1::vector
+      LIMIT $3
+    `, [JSON.stringify(questionEmbedding), documentId, limit]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      document_id: row.document_id,
+      text: row.chunk_text,
+      chunk_index: row.chunk_index,
+      pageNumber: row.page_number,
+      similarity: parseFloat(row.similarity),
+      metadata: row.metadata
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+router.post('/ask', withLlmUsage(async (req, res) => {
   try {
     const { question, documentId } = req.body;
     
@@ -205,10 +241,10 @@ ${fallbackChunk.text.substring(0, 8000)}
     console.error('Question answering error:', error);
     res.status(500).json({ error: 'Failed to answer question' });
   }
-});
+}));
 
 // Add validation endpoint to check data alignment
-router.get('/validate/:documentId', async (req, res) => {
+router.get('/validate/:documentId', withLlmUsage(async (req, res) => {
   try {
     const { documentId } = req.params;
     
@@ -231,17 +267,13 @@ router.get('/validate/:documentId', async (req, res) => {
         extractedMetrics[row.metric_type] = row.metric_data;
       });
       
-      // Sample questions to test alignment
-      const testQuestions = [
-        "What is the company valuation?",
-        "What is the per share value?",
-        "What is the discount rate?",
-        "How many shares are outstanding?"
-      ];
+      // Sample questions to test alignment, from the questionAlignment.<key> prompts
+      const testQuestions = ['companyValue', 'perShareValue', 'discountRate', 'sharesOutstanding']
+        .map(key => renderPrompt(`questionAlignment.${key}`));
       
       const validationResults = [];
       
-      for (const question of testQuestions) {
+      for (const { text: question, prompts } of testQuestions) {
         try {
           // Get Q&A response
           const questionEmbedding = await createEmbedding(question);
@@ -258,7 +290,7 @@ router.get('/validate/:documentId', async (req, res) => {
           if (similarChunks.length > 0) {
             similarChunks.sort((a, b) => b.similarity - a.similarity);
             const context = similarChunks.slice(0, 3).map(chunk => chunk.chunk_text).join('\n\n');
-            const answer = await answerQuestion(question, context, documentId);
+            const answer = await answerQuestion(question, context, documentId, { prompts });
             
             validationResults.push({
               question,
@@ -295,7 +327,7 @@ router.get('/validate/:documentId', async (req, res) => {
     console.error('Validation error:', error);
     res.status(500).json({ error: 'Failed to validate alignment' });
   }
-});
+}));
 
 router.get('/history/:documentId', async (req, res) => {
   try {
@@ -1,9 +1,30 @@
 import express from 'express';
 import { supabaseDb } from '../models/supabaseDatabase.js';
-import { answerQuestion } from '../services/openaiService.js';
+import { answerQuestion, createEmbedding } from '../services/openaiService.js';
+import { extractFinancialTimeSeries, buildTrendSeries } from '../services/timeSeriesExtraction.js';
+import { buildDcfAnalysis } from '../services/dcfAnalysis.js';
+import { buildComparablesAnalysis } from '../services/comparablesExtraction.js';
+import { buildRepurchaseAnalysis, parseProjectionAssumptions } from '../services/repurchaseObligation.js';
+import { buildShareReleaseAnalysis, toShareReleaseRecord, parseShareReleaseRequest, mergeShareReleaseOverrides } from '../services/esopDebt.js';
+import { evaluateChecklist } from '../services/adequateConsideration.js';
+import { loadRules, detectIndustry, evaluateRules } from '../services/ruleEngine.js';
+import { parseOverrideRequest, machineValueOf, toOverrideEntry, activeOverrides, applyOverrides } from '../services/metricOverrides.js';
+import { toRunSummary, diffRuns } from '../services/extractionRuns.js';
+import { usageFromRow, summarizeLlmUsage } from '../services/llmUsage.js';
+import { trackSupabaseLlmUsage } from '../services/supabaseLlmUsage.js';
 
 const router = express.Router();
 
+// Stored metrics ({ metricType: metric_data }, newest row first) with the
+// analyst's overrides applied
+const getEffectiveMetrics = async (documentId) => {
+  const extractedMetrics = await supabaseDb.getExtractedMetrics(documentId);
+  return applyOverrides(
+    Object.fromEntries([...extractedMetrics].reverse().map(row => [row.metric_type, row.metric_data || {}])),
+    activeOverrides((await supabaseDb.getMetricOverrides(documentId)).map(toOverrideEntry))
+  );
+};
+
 router.get('/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
@@ -18,6 +39,7 @@ router.get('/:documentId', async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
     
+    const overrides = activeOverrides((await supabaseDb.getMetricOverrides(documentId)).map(toOverrideEntry));
     const metrics = {};
     let valuationDate = null;
     
@@ -25,6 +47,8 @@ router.get('/:documentId', async (req, res) => {
       metrics[row.metric_type] = {
         data: row.metric_data,
         confidence: row.confidence_score,
+        provenance: row.provenance || {},
+        overrides: overrides[row.metric_type] || {},
         extractedAt: row.extracted_at
       };
       
@@ -41,6 +65,12 @@ router.get('/:documentId', async (req, res) => {
       }
     });
     
+    for (const [metricType, fields] of Object.entries(overrides)) {
+      if (!metrics[metricType]) {
+        metrics[metricType] = { data: {}, confidence: null, provenance: {}, overrides: fields, extractedAt: null };
+      }
+    }
+    
     res.json({
       documentId,
       filename: document.filename,
@@ -264,6 +294,493 @@ router.get('/enhanced/:documentId', async (req, res) => {
   }
 });
 
+router.get('/timeseries/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const extractedMetrics = await supabaseDb.getExtractedMetrics(documentId);
+    const valuationDate = extractedMetrics.find(row => row.metric_type === 'valuationDate')?.metric_data?.date || null;
+    const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+    
+    const rows = extractFinancialTimeSeries(document.content_text, {
+      pageOffsets: document.metadata?.pageOffsets,
+      valuationYear: Number.isFinite(valuationYear) ? valuationYear : null
+    });
+    
+    res.json({
+      documentId,
+      valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+      rows,
+      series: buildTrendSeries(rows)
+    });
+    
+  } catch (error) {
+    console.error('Get time series error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/dcf/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const storedMetrics = await getEffectiveMetrics(documentId);
+    const valuationDate = storedMetrics.valuationDate?.date || null;
+    const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+    
+    res.json({
+      documentId,
+      ...buildDcfAnalysis(document.content_text, {
+        pageOffsets: document.metadata?.pageOffsets,
+        valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+        storedMetrics
+      })
+    });
+    
+  } catch (error) {
+    console.error('Get DCF analysis error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/comparables/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const chunks = await supabaseDb.getDocumentChunks(documentId);
+    const tables = chunks
+      .filter(chunk => chunk.metadata?.elementType === 'table')
+      .map(chunk => ({
+        content: chunk.chunk_text,
+        page: chunk.page_number || chunk.metadata?.pageNumber || null,
+        title: chunk.metadata?.title || ''
+      }));
+    
+    const { valuationMultiples } = await getEffectiveMetrics(documentId);
+    
+    res.json({
+      documentId,
+      ...buildComparablesAnalysis(document.content_text, {
+        pageOffsets: document.metadata?.pageOffsets,
+        tables,
+        storedMetrics: { valuationMultiples }
+      })
+    });
+    
+  } catch (error) {
+    console.error('Get comparables error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/repurchase/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const storedMetrics = await getEffectiveMetrics(documentId);
+    const valuationDate = storedMetrics.valuationDate?.date || null;
+    const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+    
+    res.json({
+      documentId,
+      ...buildRepurchaseAnalysis(document.content_text, {
+        pageOffsets: document.metadata?.pageOffsets,
+        valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+        storedMetrics,
+        assumptions: parseProjectionAssumptions(req.query)
+      })
+    });
+    
+  } catch (error) {
+    console.error('Get repurchase obligation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// `overrides` are merged over the ones stored with the last calculation
+const calculateShareRelease = async (document, overrides = {}) => {
+  const storedRelease = await supabaseDb.getShareRelease(document.id);
+  overrides = mergeShareReleaseOverrides(storedRelease?.assumptions?.overrides, overrides);
+  
+  const storedMetrics = await getEffectiveMetrics(document.id);
+  const valuationDate = storedMetrics.valuationDate?.date || null;
+  const valuationYear = valuationDate ? new Date(valuationDate).getUTCFullYear() : null;
+  
+  const record = toShareReleaseRecord(buildShareReleaseAnalysis(document.content_text, {
+    valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+    storedMetrics,
+    overrides
+  }));
+  const stored = await supabaseDb.upsertShareRelease(document.id, record);
+  
+  return { ...record, calculatedAt: stored.calculated_at };
+};
+
+router.get('/share-release/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const stored = await supabaseDb.getShareRelease(documentId);
+    if (stored) {
+      return res.json({
+        documentId,
+        loanTerms: stored.loan_terms,
+        assumptions: stored.assumptions,
+        schedule: stored.schedule,
+        calculatedAt: stored.calculated_at
+      });
+    }
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ documentId, ...(await calculateShareRelease(document)) });
+    
+  } catch (error) {
+    console.error('Get share release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/share-release/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { overrides, error } = parseShareReleaseRequest(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ documentId, ...(await calculateShareRelease(document, overrides)) });
+    
+  } catch (error) {
+    console.error('Recalculate share release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Without the match_document_chunks function the checklist falls back to
+// keyword passages from the document text
+const evaluateAdequateConsideration = async (document) => {
+  const retrieve = async (query) => {
+    const { data, error } = await supabaseDb.client.rpc('match_document_chunks', {
+      query_embedding: await createEmbedding(query),
+      match_document_id: document.id,
+      match_count: 4,
+      similarity_threshold: 0.1
+    });
+    if (error) throw error;
+    return (data || []).map(chunk => ({ text: chunk.chunk_text, pageNumber: chunk.page_number ?? chunk.metadata?.pageNumber ?? null }));
+  };
+  
+  const checklist = await trackSupabaseLlmUsage(document.id, 'adequateConsideration', () => evaluateChecklist(document.content_text, {
+    pageOffsets: document.metadata?.pageOffsets,
+    retrieve
+  }));
+  const stored = await supabaseDb.upsertAdequateConsideration(document.id, checklist);
+  
+  return { ...checklist, evaluatedAt: stored.evaluated_at };
+};
+
+router.get('/adequate-consideration/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const stored = await supabaseDb.getAdequateConsideration(documentId);
+    if (stored) {
+      return res.json({
+        documentId,
+        checklistVersion: stored.checklist_version,
+        items: stored.items,
+        summary: stored.summary,
+        evaluatedAt: stored.evaluated_at
+      });
+    }
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ documentId, ...(await evaluateAdequateConsideration(document)) });
+    
+  } catch (error) {
+    console.error('Get adequate consideration error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/adequate-consideration/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ documentId, ...(await evaluateAdequateConsideration(document)) });
+    
+  } catch (error) {
+    console.error('Re-evaluate adequate consideration error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const evaluateRuleFindings = async (document) => {
+  const storedMetrics = await getEffectiveMetrics(document.id);
+  
+  const rules = loadRules();
+  const industry = detectIndustry(document.content_text, rules.industries);
+  const findings = evaluateRules(storedMetrics, { rules, industry });
+  const stored = await supabaseDb.upsertRuleFindings(document.id, { rulesVersion: rules.version, industry, findings });
+  
+  return { rulesVersion: rules.version, industry, findings, evaluatedAt: stored.evaluated_at };
+};
+
+router.get('/findings/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const stored = await supabaseDb.getRuleFindings(documentId);
+    if (stored) {
+      return res.json({
+        documentId,
+        rulesVersion: stored.rules_version,
+        industry: stored.industry,
+        findings: stored.findings,
+        evaluatedAt: stored.evaluated_at
+      });
+    }
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ documentId, ...(await evaluateRuleFindings(document)) });
+    
+  } catch (error) {
+    console.error('Get rule findings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/findings/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const document = await supabaseDb.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ documentId, ...(await evaluateRuleFindings(document)) });
+    
+  } catch (error) {
+    console.error('Re-evaluate rule findings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const recordOverride = async (req, res, action) => {
+  const { documentId } = req.params;
+  const request = parseOverrideRequest(req.body, action);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  
+  const overriddenBy = req.user?.userId || request.analyst;
+  if (!overriddenBy) {
+    return res.status(400).json({ error: 'The analyst making the change is required' });
+  }
+  
+  const document = await supabaseDb.getDocument(documentId);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  
+  const existing = (await supabaseDb.getMetricOverrides(documentId)).map(toOverrideEntry);
+  if (action === 'revert' && !activeOverrides(existing)[request.metricType]?.[request.field]) {
+    return res.status(404).json({ error: `No active override for ${request.metricType}.${request.field}` });
+  }
+  
+  const extractedMetrics = await supabaseDb.getExtractedMetrics(documentId);
+  const machineRow = extractedMetrics.find(row => row.metric_type === request.metricType);
+  
+  const inserted = await supabaseDb.insertMetricOverride(documentId, {
+    metricType: request.metricType,
+    field: request.field,
+    action,
+    value: request.value,
+    machineValue: machineValueOf(machineRow?.metric_data, request.metricType, request.field),
+    justification: request.justification,
+    overriddenBy
+  });
+  
+  const history = [...existing, toOverrideEntry(inserted)];
+  res.status(201).json({
+    documentId,
+    entry: toOverrideEntry(inserted),
+    overrides: activeOverrides(history),
+    history
+  });
+};
+
+router.get('/overrides/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const history = (await supabaseDb.getMetricOverrides(documentId)).map(toOverrideEntry);
+    res.json({ documentId, overrides: activeOverrides(history), history });
+    
+  } catch (error) {
+    console.error('Get metric overrides error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/overrides/:documentId', async (req, res) => {
+  try {
+    await recordOverride(req, res, 'override');
+  } catch (error) {
+    console.error('Override metric error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/overrides/:documentId/revert', async (req, res) => {
+  try {
+    await recordOverride(req, res, 'revert');
+  } catch (error) {
+    console.error('Revert metric override error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/costs/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const calls = (await supabaseDb.getLlmUsage(documentId)).map(usageFromRow);
+    res.json({
+      documentId,
+      ...summarizeLlmUsage(calls),
+      firstCallAt: calls[0]?.createdAt ?? null,
+      lastCallAt: calls[calls.length - 1]?.createdAt ?? null
+    });
+    
+  } catch (error) {
+    console.error('Get LLM costs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const isRunId = (value) => /^\d+$/.test(String(value));
+
+const loadRun = async (documentId, runId) => {
+  if (runId === 'current') {
+    const current = (await supabaseDb.getExtractionRuns(documentId)).find(run => run.is_current);
+    if (!current) return null;
+    runId = current.id;
+  }
+  const run = await supabaseDb.getExtractionRun(documentId, runId);
+  return run ? { ...toRunSummary(run), metrics: run.metrics } : null;
+};
+
+router.get('/runs/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    
+    const runs = await supabaseDb.getExtractionRuns(documentId);
+    res.json({ documentId, runs: runs.map(toRunSummary) });
+    
+  } catch (error) {
+    console.error('Get extraction runs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/runs/:documentId/diff', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    let { base = 'current', compare } = req.query;
+    
+    for (const runId of [base, compare]) {
+      if (runId !== undefined && runId !== 'current' && !isRunId(runId)) {
+        return res.status(400).json({ error: `Invalid run id: ${runId}` });
+      }
+    }
+    
+    if (compare === undefined) {
+      const latestCandidate = (await supabaseDb.getExtractionRuns(documentId)).find(run => !run.is_current);
+      if (!latestCandidate) {
+        return res.status(404).json({ error: 'No candidate run to compare' });
+      }
+      compare = String(latestCandidate.id);
+    }
+    
+    const baseRun = await loadRun(documentId, base);
+    const compareRun = await loadRun(documentId, compare);
+    if (!baseRun || !compareRun) {
+      return res.status(404).json({ error: 'Extraction run not found' });
+    }
+    
+    res.json({ documentId, ...diffRuns(baseRun, compareRun) });
+    
+  } catch (error) {
+    console.error('Diff extraction runs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/runs/:documentId/:runId', async (req, res) => {
+  try {
+    const { documentId, runId } = req.params;
+    if (!isRunId(runId)) {
+      return res.status(400).json({ error: `Invalid run id: ${runId}` });
+    }
+    
+    const run = await loadRun(documentId, runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Extraction run not found' });
+    }
+    
+    res.json(run);
+    
+  } catch (error) {
+    console.error('Get extraction run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Real-time metrics updates (Server-Sent Events)
 router.get('/stream/:documentId', async (req, res) => {
   try {
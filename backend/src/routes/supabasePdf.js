@@ -2,6 +2,8 @@ import express from 'express';
 import { processPDF, getDocuments, getDocumentById } from '../services/supabasePdfService.js';
 import { extractMetrics } from '../services/openaiService.js';
 import { supabaseJobService } from '../services/supabaseJobService.js';
+import { resolveTenantId } from '../services/llmBudget.js';
+import { parseDocumentFilters } from '../services/reportMetadata.js';
 import { FileValidator } from '../middleware/fileValidation.js';
 
 const extractFallbackMetrics = (documentText) => {
@@ -91,8 +93,15 @@ router.post('/upload', async (req, res) => {
       return res.status(400).json({ error: 'No PDF file uploaded' });
     }
 
+    // The document and its LLM spend belong to this tenant (advisory while
+    // it comes from the X-Tenant-Id header; see resolveTenantId)
+    const { tenantId, error: tenantError } = resolveTenantId({ user: req.user, header: req.get('X-Tenant-Id') });
+    if (tenantError) {
+      return res.status(400).json({ error: tenantError });
+    }
+
     // Create a background processing job using Supabase
-    const jobId = await supabaseJobService.createJob(req.file.originalname, req.file.path);
+    const jobId = await supabaseJobService.createJob(req.file.originalname, req.file.path, { tenantId });
     
     // Clean up old PDFs after successful upload (async, don't wait)
     FileValidator.cleanupOldPdfs('uploads/', 10).catch(err => {
@@ -178,9 +187,15 @@ router.get('/job/:jobId/stream', async (req, res) => {
   }
 });
 
+// Optional report metadata filters, e.g. ?trustee=argent&valuationDateFrom=2023-01-01
 router.get('/documents', async (req, res) => {
+  const { filters, error } = parseDocumentFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   try {
-    const documents = await getDocuments();
+    const documents = await getDocuments(filters);
     res.json({ documents });
   } catch (error) {
     console.error('Get documents error:', error);
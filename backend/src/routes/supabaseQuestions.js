@@ -1,9 +1,14 @@
 import express from 'express';
 import { createEmbedding, answerQuestion } from '../services/openaiService.js';
 import { supabase } from '../config/supabase.js';
+import { trackSupabaseLlmUsage } from '../services/supabaseLlmUsage.js';
 
 const router = express.Router();
 
+// Record the LLM calls a handler makes against the document it is about
+const withLlmUsage = (handler) => (req, res) =>
+  trackSupabaseLlmUsage(req.params.documentId || req.body?.documentId || null, 'questions', () => handler(req, res));
+
 // Function to get similar chunks using vector similarity search in Supabase
 const getSimilarChunks = async (question, documentId, limit = 10) => {
   try {
@@ -172,7 +177,7 @@ const calculateCosineSimilarity = (vecA, vecB) => {
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 };
 
-router.post('/ask', async (req, res) => {
+router.post('/ask', withLlmUsage(async (req, res) => {
   try {
     const { question, documentId } = req.body;
     
@@ -359,7 +364,7 @@ ${fallbackChunk.text.substring(0, 8000)}
     console.error('Supabase Question answering error:', error);
     res.status(500).json({ error: 'Failed to answer question' });
   }
-});
+}));
 
 // Ensure AI answer contains page references that match citations
 const ensurePageReferences = (answer, availablePages) => {
@@ -29,6 +29,9 @@ import {
   logSecurityEvent
 } from './middleware/logging.js';
 import { FileValidator, secureFileFilter, secureStorage } from './middleware/fileValidation.js';
+import { setResponseCache } from './services/llmService.js';
+import { postgresResponseCache } from './services/llmCache.js';
+import { supabaseDb } from './models/supabaseDatabase.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,6 +41,13 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Persistent LLM response cache, in the database the routes use (LLM_CACHE=false turns it off)
+if (process.env.LLM_CACHE !== 'false') {
+  setResponseCache(process.env.USE_SUPABASE === 'true'
+    ? { get: key => supabaseDb.getLlmCacheEntry(key), set: (key, entry) => supabaseDb.insertLlmCacheEntry(key, entry) }
+    : postgresResponseCache);
+}
+
 // Trust proxy for accurate IP addresses
 app.set('trust proxy', 1);
 
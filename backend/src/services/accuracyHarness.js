@@ -0,0 +1,307 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractComprehensiveMetrics } from './comprehensiveExtraction.js';
+import { extractMetrics } from './openaiService.js';
+import { EnhancedAIValidation } from './enhancedAIValidation.js';
+import { locateValue } from './provenance.js';
+import { confidenceSignals, fitCalibration } from './confidence.js';
+import { withLlmCallLog } from './llmService.js';
+import { summarizePromptUsage } from './promptRegistry.js';
+
+// Golden-corpus accuracy harness. Every extractor is run over the fixture
+// reports, its output is mapped onto a common set of metrics and compared to
+// the expected values, giving per-metric precision and recall for both exact
+// and tolerance-based matching. The same corpus calibrates the confidence
+// model: every value the pipeline would store becomes a sample of its
+// confidence signals and whether it was correct.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CORPUS_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'golden');
+
+export const HARNESS_METRICS = [
+  'enterpriseValue',
+  'valueOfEquity',
+  'valuationPerShare',
+  'ebitda',
+  'wacc',
+  'esopPercentage'
+];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+// Map the standard extraction schema (extractMetrics / extractComprehensiveMetrics)
+// onto the harness metrics
+const fromStandardSchema = (metrics) => ({
+  enterpriseValue: toNumber(metrics?.enterpriseValue?.currentValue ?? metrics?.companyValuation?.totalValue),
+  valueOfEquity: toNumber(metrics?.valueOfEquity?.currentValue),
+  valuationPerShare: toNumber(metrics?.valuationPerShare?.currentValue ?? metrics?.companyValuation?.perShareValue),
+  ebitda: toNumber(metrics?.keyFinancials?.ebitda),
+  wacc: toNumber(metrics?.keyFinancials?.weightedAverageCostOfCapital ?? metrics?.discountRates?.discountRate),
+  esopPercentage: toNumber(metrics?.capitalStructure?.esopPercentage)
+});
+
+// EnhancedAIValidation returns { metrics: { name: value } }
+const fromEnhancedValidation = (result) => {
+  const metrics = result?.metrics || {};
+  return {
+    enterpriseValue: toNumber(metrics.enterpriseValue),
+    valueOfEquity: toNumber(metrics.valueOfEquity),
+    valuationPerShare: toNumber(metrics.valuationPerShare),
+    ebitda: toNumber(metrics.ebitda),
+    wacc: toNumber(metrics.discountRate),
+    esopPercentage: toNumber(metrics.esopPercentage)
+  };
+};
+
+// Each extractor takes the document text and { provider, quiet }, where
+// `quiet` drops the extractor's progress log
+export const EXTRACTORS = {
+  extractComprehensiveMetrics: async (text, { quiet }) => fromStandardSchema(extractComprehensiveMetrics(text, { quiet })),
+
+  extractMetrics: async (text, { provider, quiet }) => fromStandardSchema(await extractMetrics(text, { provider, quiet })),
+
+  EnhancedAIValidation: async (text, { provider, quiet }) => {
+    const validator = new EnhancedAIValidation({ provider, quiet });
+    return fromEnhancedValidation(await validator.runEnhancedValidation(text));
+  }
+};
+
+export const loadGoldenCorpus = async (corpusDir = DEFAULT_CORPUS_DIR) => {
+  const manifest = JSON.parse(await fs.readFile(path.join(corpusDir, 'expected.json'), 'utf8'));
+
+  const documents = [];
+  for (const [id, expected] of Object.entries(manifest.documents)) {
+    const text = await fs.readFile(path.join(corpusDir, `${id}.txt`), 'utf8');
+    documents.push({ id, text, expected });
+  }
+
+  return { documents, tolerances: manifest.tolerances || {} };
+};
+
+// Compare one extracted value to the expected one. `exact` allows only
+// floating-point noise; `withinTolerance` uses the metric's relative or
+// absolute tolerance from the corpus manifest.
+export const matchValue = (actual, expected, tolerance = {}) => {
+  if (actual === null || expected === null) {
+    return { exact: false, withinTolerance: false };
+  }
+
+  const difference = Math.abs(actual - expected);
+  const exact = difference < 1e-9 * Math.max(1, Math.abs(expected));
+
+  let allowed = 0;
+  if (tolerance.relative !== undefined) allowed = Math.max(allowed, Math.abs(expected) * tolerance.relative);
+  if (tolerance.absolute !== undefined) allowed = Math.max(allowed, tolerance.absolute);
+
+  return { exact, withinTolerance: exact || difference <= allowed };
+};
+
+const ratio = (numerator, denominator) => denominator === 0 ? null : numerator / denominator;
+
+// A value that matches is a true positive. A value that is wrong, or present
+// when nothing was expected, is a false positive; an expected value that is
+// wrong or missing is also a false negative.
+const summarizeCounts = (counts) => ({
+  ...counts,
+  precision: ratio(counts.truePositives, counts.truePositives + counts.falsePositives),
+  recall: ratio(counts.truePositives, counts.truePositives + counts.falseNegatives)
+});
+
+export const scoreExtractor = (documentResults, tolerances = {}) => {
+  const tally = {};
+  for (const metric of HARNESS_METRICS) {
+    tally[metric] = {
+      exact: { truePositives: 0, falsePositives: 0, falseNegatives: 0 },
+      tolerance: { truePositives: 0, falsePositives: 0, falseNegatives: 0 }
+    };
+  }
+
+  for (const { expected, actual } of documentResults) {
+    for (const metric of HARNESS_METRICS) {
+      const expectedValue = toNumber(expected[metric]);
+      const actualValue = toNumber(actual?.[metric]);
+      const match = matchValue(actualValue, expectedValue, tolerances[metric]);
+
+      for (const mode of ['exact', 'tolerance']) {
+        const matched = mode === 'exact' ? match.exact : match.withinTolerance;
+        const counts = tally[metric][mode];
+
+        if (matched) {
+          counts.truePositives++;
+          continue;
+        }
+        if (actualValue !== null) counts.falsePositives++;
+        if (expectedValue !== null) counts.falseNegatives++;
+      }
+    }
+  }
+
+  const metrics = {};
+  for (const metric of HARNESS_METRICS) {
+    metrics[metric] = {
+      exact: summarizeCounts(tally[metric].exact),
+      tolerance: summarizeCounts(tally[metric].tolerance)
+    };
+  }
+  return metrics;
+};
+
+export const runAccuracyHarness = async ({
+  provider = 'stub',
+  extractors = Object.keys(EXTRACTORS),
+  corpusDir = DEFAULT_CORPUS_DIR,
+  quiet = false
+} = {}) => {
+  const { documents, tolerances } = await loadGoldenCorpus(corpusDir);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    provider,
+    documentCount: documents.length,
+    extractors: {}
+  };
+
+  for (const name of extractors) {
+    const extractor = EXTRACTORS[name];
+    if (!extractor) {
+      throw new Error(`Unknown extractor: ${name}`);
+    }
+
+    const documentResults = [];
+    const llmCalls = [];
+    for (const document of documents) {
+      let actual = null;
+      let error = null;
+      try {
+        actual = await withLlmCallLog(() => extractor(document.text, { provider, quiet }), llmCalls);
+      } catch (extractionError) {
+        error = extractionError.message;
+      }
+      documentResults.push({ id: document.id, expected: document.expected, actual, error });
+    }
+
+    report.extractors[name] = {
+      metrics: scoreExtractor(documentResults, tolerances),
+      prompts: summarizePromptUsage(llmCalls),
+      documents: documentResults
+    };
+  }
+
+  return report;
+};
+
+const formatRatio = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+export const formatReportMarkdown = (report) => {
+  const lines = [
+    '# Extraction Accuracy Report',
+    '',
+    `Generated ${report.generatedAt} with provider \`${report.provider}\` over ${report.documentCount} documents.`,
+    ''
+  ];
+
+  for (const [name, { metrics, prompts = [] }] of Object.entries(report.extractors)) {
+    lines.push(`## ${name}`, '');
+    if (prompts.length > 0) {
+      lines.push(`Prompts: ${prompts.map(({ id, version }) => `\`${id}@${version}\``).join(', ')}`, '');
+    }
+    lines.push('| Metric | Exact precision | Exact recall | Tolerance precision | Tolerance recall |');
+    lines.push('| --- | --- | --- | --- | --- |');
+    for (const [metric, scores] of Object.entries(metrics)) {
+      lines.push(`| ${metric} | ${formatRatio(scores.exact.precision)} | ${formatRatio(scores.exact.recall)} | ${formatRatio(scores.tolerance.precision)} | ${formatRatio(scores.tolerance.recall)} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+// Stored field and enhanced validation metric behind each harness metric
+const HARNESS_FIELDS = {
+  enterpriseValue: { field: 'enterpriseValue.currentValue', enhanced: 'enterpriseValue' },
+  valueOfEquity: { field: 'valueOfEquity.currentValue', enhanced: 'valueOfEquity' },
+  valuationPerShare: { field: 'valuationPerShare.currentValue', enhanced: 'valuationPerShare' },
+  ebitda: { field: 'keyFinancials.ebitda', enhanced: 'ebitda' },
+  wacc: { field: 'discountRates.discountRate', enhanced: 'discountRate' },
+  esopPercentage: { field: 'capitalStructure.esopPercentage', enhanced: 'esopPercentage' }
+};
+
+// Run every extractor over one document and pair the value the job pipeline
+// would keep (enhanced validation first, then extractMetrics, then the regex
+// patterns when extractMetrics found nothing) with its confidence signals
+export const collectCalibrationSamples = async (document, { provider, tolerances = {}, quiet = false }) => {
+  const regex = fromStandardSchema(extractComprehensiveMetrics(document.text, { quiet }));
+  const ai = fromStandardSchema(await extractMetrics(document.text, { provider, quiet }));
+  const validator = new EnhancedAIValidation({ provider, quiet });
+  const enhancedResult = await validator.runEnhancedValidation(document.text);
+  const enhanced = fromEnhancedValidation(enhancedResult);
+
+  const base = HARNESS_METRICS.some(metric => ai[metric] !== null) ? ai : regex;
+  const samples = [];
+
+  for (const metric of HARNESS_METRICS) {
+    const value = enhanced[metric] ?? base[metric];
+    if (value === null) continue;
+
+    const { field, enhanced: enhancedMetric } = HARNESS_FIELDS[metric];
+    const signals = confidenceSignals(value, {
+      extracted: { regex: regex[metric], extractMetrics: ai[metric], extractSingleMetric: enhanced[metric] },
+      candidates: (enhancedResult.validation?.candidates?.[enhancedMetric] || []).map(candidate => candidate.value),
+      hasSource: locateValue(document.text, value, { field }) !== null,
+      crossValidation: validator.crossValidationStatus(enhancedMetric, enhancedResult.validation?.crossValidation)
+    });
+    const expected = toNumber(document.expected[metric]);
+
+    samples.push({
+      documentId: document.id,
+      metric,
+      value,
+      expected,
+      correct: matchValue(value, expected, tolerances[metric]).withinTolerance,
+      signals
+    });
+  }
+
+  return samples;
+};
+
+export const runConfidenceCalibration = async ({ provider = 'stub', corpusDir = DEFAULT_CORPUS_DIR, quiet = false } = {}) => {
+  const { documents, tolerances } = await loadGoldenCorpus(corpusDir);
+
+  const samples = [];
+  for (const document of documents) {
+    samples.push(...await collectCalibrationSamples(document, { provider, tolerances, quiet }));
+  }
+
+  return {
+    version: '1.0',
+    generatedAt: new Date().toISOString(),
+    provider,
+    documentCount: documents.length,
+    ...fitCalibration(samples)
+  };
+};
+
+export const formatCalibrationMarkdown = (calibration) => {
+  const lines = [
+    '# Confidence Calibration',
+    '',
+    `Fitted ${calibration.generatedAt} with provider \`${calibration.provider}\` on ${calibration.sampleCount} values from ${calibration.documentCount} documents (${formatRatio(calibration.observedAccuracy)} correct, Brier score ${calibration.brierScore}).`,
+    '',
+    '| Score band | Values | Mean score | Observed accuracy |',
+    '| --- | --- | --- | --- |'
+  ];
+
+  for (const row of calibration.reliability) {
+    const band = `${row.range[0].toFixed(1)}-${row.range[1].toFixed(1)}`;
+    lines.push(`| ${band} | ${row.count} | ${row.meanScore === null ? 'n/a' : row.meanScore.toFixed(2)} | ${formatRatio(row.observedAccuracy)} |`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+};
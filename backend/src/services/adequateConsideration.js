@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { completeStructured, getSchema } from './structuredOutput.js';
+import { pageForOffset } from './provenance.js';
+import { renderPrompt } from './promptRegistry.js';
+
+// Adequate consideration checklist.
+//
+// An ESOP trustee may only pay adequate consideration for employer stock, and
+// has to show that the appraisal it relied on supports the price. This module
+// evaluates a valuation report against a configurable list of items the
+// report must address (standard of value, valuation date, and so on). For
+// each item the most relevant passages are retrieved and the LLM judges
+// whether they satisfy it, quoting its evidence; quotes that do not appear
+// in the passages are dropped. When no model answer can be used, the item's
+// keyword and pass patterns decide instead.
+//
+// Checklist items come from config/adequateConsiderationChecklist.json, or
+// the file named by ADEQUATE_CONSIDERATION_CHECKLIST:
+//   { id, title, question, required, keywords: [regex], passPatterns: [regex] }
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CHECKLIST_PATH = path.join(__dirname, '..', 'config', 'adequateConsiderationChecklist.json');
+
+export const CHECKLIST_STATUSES = ['pass', 'fail', 'unclear'];
+
+const MAX_PASSAGES = 6;
+const PASSAGE_RADIUS = 300;
+const MIN_QUOTE_LENGTH = 12;
+
+export const loadChecklist = (checklistPath = process.env.ADEQUATE_CONSIDERATION_CHECKLIST || DEFAULT_CHECKLIST_PATH) => {
+  const checklist = JSON.parse(fs.readFileSync(checklistPath, 'utf8'));
+
+  if (!Array.isArray(checklist.items) || checklist.items.length === 0) {
+    throw new Error(`Checklist ${checklistPath} has no items`);
+  }
+  for (const item of checklist.items) {
+    if (!item.id || !item.title || !item.question) {
+      throw new Error(`Checklist item ${item.id || '(no id)'} needs an id, title and question`);
+    }
+  }
+
+  return {
+    version: checklist.version || null,
+    items: checklist.items.map(item => ({
+      required: true,
+      keywords: [],
+      passPatterns: [],
+      ...item
+    }))
+  };
+};
+
+const compile = (patterns) => patterns.map(pattern => new RegExp(pattern, 'i'));
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+const sentenceAround = (documentText, index) => {
+  const before = documentText.substring(0, index);
+  const start = Math.max(before.lastIndexOf('. ') + 1, before.lastIndexOf('\n') + 1, 0);
+  const endMatch = documentText.substring(index).search(/\.(?:\s|$)|\n/);
+  const end = endMatch === -1 ? documentText.length : index + endMatch + 1;
+  return documentText.substring(start, end).trim();
+};
+
+// Passages around keyword matches, for when vector retrieval is unavailable
+// or misses the section that addresses the item
+export const keywordPassages = (documentText, item, { pageOffsets = null, limit = MAX_PASSAGES } = {}) => {
+  if (!documentText) return [];
+
+  const passages = [];
+  for (const pattern of compile(item.keywords || [])) {
+    const global = new RegExp(pattern.source, 'gi');
+    for (const match of documentText.matchAll(global)) {
+      if (passages.some(passage => match.index >= passage.start && match.index < passage.end)) continue;
+
+      const start = Math.max(0, match.index - PASSAGE_RADIUS);
+      const end = Math.min(documentText.length, match.index + PASSAGE_RADIUS);
+      passages.push({
+        text: documentText.substring(start, end).trim(),
+        page: pageForOffset(match.index, { pageOffsets, documentText }),
+        index: match.index,
+        start,
+        end
+      });
+      if (passages.length >= limit) return passages;
+    }
+  }
+  return passages;
+};
+
+const gatherPassages = async (item, { documentText, pageOffsets, retrieve }) => {
+  let retrieved = [];
+  if (retrieve) {
+    try {
+      retrieved = (await retrieve(item.question)) || [];
+    } catch (error) {
+      console.warn(`Checklist retrieval failed for ${item.id}:`, error.message);
+    }
+  }
+
+  const passages = retrieved
+    .filter(chunk => chunk.text)
+    .map(chunk => ({ text: chunk.text, page: chunk.pageNumber ?? null }));
+
+  // Keyword passages fill the remaining slots with text retrieval did not return
+  for (const passage of keywordPassages(documentText, item, { pageOffsets })) {
+    if (passages.length >= MAX_PASSAGES) break;
+    const normalized = normalizeText(passage.text);
+    if (!passages.some(existing => normalizeText(existing.text).includes(normalized.substring(0, 80)))) {
+      passages.push({ text: passage.text, page: passage.page });
+    }
+  }
+
+  return passages.slice(0, MAX_PASSAGES);
+};
+
+// Keep only citations whose quote appears in the excerpt it names
+const verifyCitations = (citations, passages) => (Array.isArray(citations) ? citations : [])
+  .map(citation => {
+    const passage = passages[(parseInt(citation?.excerpt, 10) || 0) - 1];
+    const quote = typeof citation?.quote === 'string' ? citation.quote.trim() : '';
+    if (!passage || quote.length < MIN_QUOTE_LENGTH) return null;
+    if (!normalizeText(passage.text).includes(normalizeText(quote))) return null;
+    return { page: passage.page, quote };
+  })
+  .filter(Boolean);
+
+const evaluateWithLLM = async (item, passages, options) => {
+  const context = passages
+    .map((passage, index) => `[${index + 1}]${passage.page ? ` (page ${passage.page})` : ''} ${passage.text}`)
+    .join('\n\n');
+
+  const system = renderPrompt('checklist.system');
+  const question = renderPrompt('checklist.item', { title: item.title, question: item.question });
+  const { data: answer, response } = await completeStructured({
+    system: system.text,
+    prompt: question.text,
+    context,
+    contextLabel: 'Report Excerpts',
+    task: 'checklist-json',
+    temperature: 0,
+    maxTokens: 600,
+    prompts: [...system.prompts, ...question.prompts]
+  }, getSchema('checklistJudgement'), options);
+
+  const citations = verifyCitations(answer.citations, passages);
+  // A pass the model cannot back with a quote is not documented support
+  const status = answer.status === 'pass' && citations.length === 0 ? 'unclear' : answer.status;
+
+  return {
+    status,
+    explanation: answer.explanation,
+    citations,
+    method: 'llm',
+    provider: response.provider
+  };
+};
+
+// Pass when a pass pattern matches, unclear when only the topic is mentioned,
+// fail when the report never mentions it
+const evaluateWithPatterns = (item, { documentText, pageOffsets }) => {
+  for (const pattern of compile(item.passPatterns || [])) {
+    const match = (documentText || '').match(pattern);
+    if (match) {
+      return {
+        status: 'pass',
+        explanation: 'The report contains language that addresses this item.',
+        citations: [{ page: pageForOffset(match.index, { pageOffsets, documentText }), quote: sentenceAround(documentText, match.index) }],
+        method: 'keyword',
+        provider: null
+      };
+    }
+  }
+
+  const mentions = keywordPassages(documentText, item, { pageOffsets, limit: 2 });
+  if (mentions.length > 0) {
+    return {
+      status: 'unclear',
+      explanation: 'The report mentions this topic but the statements found do not clearly satisfy the item.',
+      citations: mentions.map(passage => ({
+        page: passage.page,
+        quote: sentenceAround(documentText, passage.index)
+      })),
+      method: 'keyword',
+      provider: null
+    };
+  }
+
+  return {
+    status: 'fail',
+    explanation: 'The report does not appear to address this item.',
+    citations: [],
+    method: 'keyword',
+    provider: null
+  };
+};
+
+export const summarizeChecklist = (items) => {
+  const counts = Object.fromEntries(CHECKLIST_STATUSES.map(status => [status, items.filter(item => item.status === status).length]));
+  const required = items.filter(item => item.required);
+
+  let status = 'pass';
+  if (required.some(item => item.status === 'fail')) status = 'fail';
+  else if (required.some(item => item.status !== 'pass')) status = 'unclear';
+
+  return { ...counts, total: items.length, status };
+};
+
+// Evaluate every checklist item against one document. `retrieve(query)`
+// returns the document's chunks most similar to the query as
+// { text, pageNumber }; `options` are passed through to the LLM layer.
+export const evaluateChecklist = async (documentText, { pageOffsets = null, retrieve = null, checklist = loadChecklist(), options = {} } = {}) => {
+  const items = [];
+
+  for (const item of checklist.items) {
+    const passages = await gatherPassages(item, { documentText, pageOffsets, retrieve });
+
+    let result = null;
+    if (passages.length > 0) {
+      try {
+        result = await evaluateWithLLM(item, passages, options);
+      } catch (error) {
+        console.warn(`Checklist LLM evaluation failed for ${item.id}:`, error.message);
+      }
+    }
+
+    items.push({
+      id: item.id,
+      title: item.title,
+      required: item.required,
+      ...(result || evaluateWithPatterns(item, { documentText, pageOffsets }))
+    });
+  }
+
+  return {
+    checklistVersion: checklist.version,
+    items,
+    summary: summarizeChecklist(items)
+  };
+};
@@ -0,0 +1,272 @@
+import { pageForOffset } from './provenance.js';
+import { findNumbers, detectScale } from './numberNormalization.js';
+import { splitCells } from './timeSeriesExtraction.js';
+
+// Guideline public company and guideline transaction extraction.
+//
+// The market approach section lists the peers behind the selected multiples
+// in a table: one row per company or transaction with its financials and
+// multiples, followed by median/mean rows. This extractor reads those tables
+// from the report text and from Reducto's visual tables and returns one row
+// per peer:
+//   { kind, name, ticker, acquirer, revenue, ebitda, evToEbitda, evToRevenue, sourcePage }
+// `kind` is 'guidelineCompany' or 'guidelineTransaction'; transactions are
+// named by their target.
+
+// Header cells, first matching column wins
+const COLUMNS = [
+  { column: 'evToEbitda', pattern: /(?:t?ev|enterprise\s+value|mvic)\s*\/\s*(?:ltm\s+|ttm\s+)?ebitda|ebitda\s+multiple/i },
+  { column: 'evToRevenue', pattern: /(?:t?ev|enterprise\s+value|mvic)\s*\/\s*(?:ltm\s+|ttm\s+)?(?:revenue|sales)|(?:revenue|sales)\s+multiple/i },
+  { column: 'ticker', pattern: /^(?:ticker|symbol)$/i },
+  { column: 'ebitda', pattern: /ebitda/i },
+  { column: 'revenue', pattern: /revenue|sales/i },
+  { column: 'acquirer', pattern: /acquir(?:er|ed\s+by)|buyer/i },
+  { column: 'name', pattern: /company|guideline|transaction|target|name|peer/i }
+];
+
+const MULTIPLE_COLUMNS = ['evToEbitda', 'evToRevenue'];
+const AMOUNT_COLUMNS = ['revenue', 'ebitda'];
+
+const TRANSACTION_HINT = /transaction|acquisition|merger|m&a|\btarget\b|acquir|\bdeals?\b/i;
+
+// Summary rows under the peers: statistics and the selected multiple
+const SUMMARY_ROW = /^(?:median|mean|average|high|low|max(?:imum)?|min(?:imum)?|(?:25th|75th|50th)\s+percentile|(?:first|third|upper|lower)\s+quartile|selected|subject|concluded)/i;
+const SELECTED_ROW = /^(?:selected|concluded|applied)/i;
+
+const TICKER_PATTERN = /^(?:(?:NYSE|NASDAQ|AMEX|TSX|OTC)\s*:\s*)?([A-Z]{1,5}(?:\.[A-Z])?)$/;
+
+const splitRow = (line) => {
+  if (!line.includes('|')) return splitCells(line);
+  // Keep empty markdown cells so values stay under their headers
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+};
+
+const parseHeader = (cells) => {
+  const columns = cells.map(cell => COLUMNS.find(({ pattern }) => pattern.test(cell))?.column || null);
+  const hasMultiple = columns.some(column => MULTIPLE_COLUMNS.includes(column));
+  const known = columns.filter(Boolean).length;
+  if (!hasMultiple || known < 2) return null;
+
+  // The first column holds the peer name even when its header is blank
+  if (!columns.includes('name')) columns[0] = columns[0] || 'name';
+  return columns;
+};
+
+const parseMultiple = (cell) => {
+  if (!cell || /^(?:n\/?m|n\/?a|[-–—]+)$/i.test(cell.trim())) return null;
+  const number = findNumbers(cell)[0];
+  return number && number.value > 0 ? number.value : null;
+};
+
+const parseAmountCell = (cell, scale) => {
+  if (!cell || /^(?:n\/?m|n\/?a|[-–—]+)$/i.test(cell.trim())) return null;
+  const number = findNumbers(cell).find(({ kind }) => kind === 'amount');
+  if (!number) return null;
+  return number.hasUnit ? number.value : number.value * scale;
+};
+
+// Values line up with the header when the row has the same cell count;
+// otherwise the numeric columns are right-aligned, as in the time series
+const alignRow = (columns, cells) => {
+  if (cells.length === columns.length) return columns.map((column, index) => [column, cells[index]]);
+
+  const aligned = [['name', cells[0]]];
+  const offset = cells.length - columns.length;
+  columns.forEach((column, index) => {
+    if (index === 0 || column === 'name') return;
+    const cell = cells[index + offset];
+    if (cell !== undefined && index + offset > 0) aligned.push([column, cell]);
+  });
+  return aligned;
+};
+
+// Parse every comparables table in a block of text. `pageFor(offset)` gives
+// the page of a character offset within `text`.
+const parseTables = (text, { pageFor, contextHint = '' } = {}) => {
+  const lines = text.split('\n');
+  const lineStarts = [];
+  let position = 0;
+  for (const line of lines) {
+    lineStarts.push(position);
+    position += line.length + 1;
+  }
+
+  const peers = [];
+  const selected = [];
+
+  for (let headerIndex = 0; headerIndex < lines.length; headerIndex++) {
+    const columns = parseHeader(splitRow(lines[headerIndex]));
+    if (!columns) continue;
+
+    const context = `${contextHint} ${lines.slice(Math.max(0, headerIndex - 3), headerIndex + 1).join(' ')}`;
+    const kind = TRANSACTION_HINT.test(context) ? 'guidelineTransaction' : 'guidelineCompany';
+    const scale = detectScale(context);
+
+    for (let rowIndex = headerIndex + 1; rowIndex < lines.length; rowIndex++) {
+      const line = lines[rowIndex];
+      if (!line.trim()) break;
+
+      const cells = splitRow(line);
+      if (parseHeader(cells)) break;
+      if (cells.length < 2 || /^[-:\s|]*$/.test(line)) continue;
+
+      const row = { kind, name: null, ticker: null, acquirer: null, revenue: null, ebitda: null, evToEbitda: null, evToRevenue: null };
+      for (const [column, cell] of alignRow(columns, cells)) {
+        if (!column || cell === undefined) continue;
+        if (column === 'name') {
+          row.name = cell.replace(/^[-•*\s]+/, '').trim() || null;
+        } else if (column === 'acquirer') {
+          row.acquirer = cell || null;
+        } else if (column === 'ticker') {
+          row.ticker = cell.match(TICKER_PATTERN)?.[1] || null;
+        } else if (MULTIPLE_COLUMNS.includes(column)) {
+          row[column] = parseMultiple(cell);
+        } else if (AMOUNT_COLUMNS.includes(column)) {
+          row[column] = parseAmountCell(cell, scale);
+        }
+      }
+
+      if (!row.name || (row.evToEbitda === null && row.evToRevenue === null)) continue;
+
+      if (SUMMARY_ROW.test(row.name)) {
+        if (SELECTED_ROW.test(row.name)) {
+          selected.push({ kind, evToEbitda: row.evToEbitda, evToRevenue: row.evToRevenue });
+        }
+        continue;
+      }
+
+      // A trailing "(ABC)" in the name is the ticker
+      const tickerInName = row.name.match(/\s*\((?:(?:NYSE|NASDAQ|AMEX|TSX|OTC)\s*:\s*)?([A-Z]{1,5}(?:\.[A-Z])?)\)$/);
+      if (tickerInName && !row.ticker) {
+        row.ticker = tickerInName[1];
+        row.name = row.name.substring(0, tickerInName.index).trim();
+      }
+
+      peers.push({ ...row, sourcePage: pageFor(lineStarts[rowIndex]) });
+    }
+  }
+
+  return { peers, selected };
+};
+
+const SELECTED_MULTIPLE_PATTERNS = {
+  evToEbitda: /selected\s+(?:(?:t?ev|mvic)\s*\/\s*)?(?:ltm\s+)?ebitda\s+multiple[^\n\d]{0,40}(\d+(?:\.\d+)?)\s*x?/i,
+  evToRevenue: /selected\s+(?:(?:t?ev|mvic)\s*\/\s*)?(?:ltm\s+)?(?:revenue|sales)\s+multiple[^\n\d]{0,40}(\d+(?:\.\d+)?)\s*x?/i
+};
+
+// `tables` are Reducto visual tables: { content, page, title }
+export const extractComparables = (documentText, { pageOffsets = null, tables = [] } = {}) => {
+  const fromText = parseTables(documentText || '', {
+    pageFor: (offset) => pageForOffset(offset, { pageOffsets, documentText })
+  });
+
+  const peers = [...fromText.peers];
+  const selected = [...fromText.selected];
+  const seen = new Set(peers.map(peer => `${peer.kind}|${peer.name.toLowerCase()}`));
+
+  for (const table of tables) {
+    const parsed = parseTables(table.content || '', { pageFor: () => table.page || null, contextHint: table.title || '' });
+    selected.push(...parsed.selected);
+    for (const peer of parsed.peers) {
+      const key = `${peer.kind}|${peer.name.toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      peers.push(peer);
+    }
+  }
+
+  // Selected multiples stated in the text outrank a "Selected" table row
+  const selectedMultiples = { guidelineCompany: {}, guidelineTransaction: {} };
+  for (const { kind, ...multiples } of selected) {
+    for (const multiple of MULTIPLE_COLUMNS) {
+      if (multiples[multiple] !== null && selectedMultiples[kind][multiple] === undefined) {
+        selectedMultiples[kind][multiple] = multiples[multiple];
+      }
+    }
+  }
+  for (const [multiple, pattern] of Object.entries(SELECTED_MULTIPLE_PATTERNS)) {
+    const match = (documentText || '').match(pattern);
+    if (match) selectedMultiples.guidelineCompany[multiple] = parseFloat(match[1]);
+  }
+
+  return { peers, selectedMultiples };
+};
+
+// Inclusive quartile with linear interpolation, as spreadsheets compute it
+const quantile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const describePosition = (value, stats) => {
+  if (value < stats.min) return 'below the peer range';
+  if (value > stats.max) return 'above the peer range';
+  if (value < stats.firstQuartile) return 'bottom quartile';
+  if (value <= stats.median) return 'second quartile';
+  if (value <= stats.thirdQuartile) return 'third quartile';
+  return 'top quartile';
+};
+
+// Peer statistics for each multiple, and where the selected multiple sits
+export const analyzeComparables = (peers, selectedMultiples = {}) => {
+  const analysis = [];
+
+  for (const kind of ['guidelineCompany', 'guidelineTransaction']) {
+    for (const multiple of MULTIPLE_COLUMNS) {
+      const values = peers
+        .filter(peer => peer.kind === kind && typeof peer[multiple] === 'number')
+        .map(peer => peer[multiple])
+        .sort((a, b) => a - b);
+      if (values.length === 0) continue;
+
+      const stats = {
+        count: values.length,
+        min: values[0],
+        firstQuartile: round(quantile(values, 0.25)),
+        median: round(quantile(values, 0.5)),
+        thirdQuartile: round(quantile(values, 0.75)),
+        max: values[values.length - 1],
+        mean: round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      };
+
+      const selected = selectedMultiples[kind]?.[multiple];
+      const entry = { kind, multiple, ...stats, selected: typeof selected === 'number' ? selected : null };
+
+      if (entry.selected !== null) {
+        entry.percentileRank = round((values.filter(value => value <= entry.selected).length / values.length) * 100);
+        entry.differenceFromMedian = round(entry.selected - stats.median);
+        entry.position = describePosition(entry.selected, stats);
+      }
+
+      analysis.push(entry);
+    }
+  }
+
+  return analysis;
+};
+
+// Comparables and the selected-multiple analysis for one document. The
+// stored valuation multiples stand in for a selected multiple the market
+// approach section does not state.
+export const buildComparablesAnalysis = (documentText, { pageOffsets = null, tables = [], storedMetrics = {} } = {}) => {
+  const { peers, selectedMultiples } = extractComparables(documentText, { pageOffsets, tables });
+
+  const applied = storedMetrics.valuationMultiples || {};
+  const fallbacks = { evToEbitda: applied.ebitdaMultiple, evToRevenue: applied.revenueMultiple };
+  for (const [multiple, value] of Object.entries(fallbacks)) {
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    if (selectedMultiples.guidelineCompany[multiple] === undefined && Number.isFinite(parsed)) {
+      selectedMultiples.guidelineCompany[multiple] = parsed;
+    }
+  }
+
+  return {
+    peers,
+    selectedMultiples,
+    analysis: analyzeComparables(peers, selectedMultiples)
+  };
+};
@@ -1,5 +1,13 @@
-// Comprehensive fallback extraction for when AI fails
-export const extractComprehensiveMetrics = (documentText) => {
+import { parseAmount, parseNumber as normalizeNumber, parsePercent, scaleAt, roundPerShare } from './numberNormalization.js';
+import { extractValuationApproaches } from './valuationApproaches.js';
+import { extractWaccBuildUp } from './waccBuildUp.js';
+import { extractEsopDebt, extractShareAllocation } from './esopDebt.js';
+import { detectTaxAffecting } from './taxAffecting.js';
+
+// Comprehensive fallback extraction for when AI fails. `quiet` drops the
+// step-by-step pattern log, e.g. for batch runs over many documents.
+export const extractComprehensiveMetrics = (documentText, { quiet = false } = {}) => {
+  const log = quiet ? () => {} : console.log;
   const text = documentText.toLowerCase();
   const originalText = documentText;
   
@@ -9,61 +17,31 @@ export const extractComprehensiveMetrics = (documentText) => {
     valuationPerShare: { currency: "USD" },
     keyFinancials: {},
     companyValuation: { currency: "USD" },
-    discountRates: {},
-    capitalStructure: {},
-    valuationMultiples: {}
+    discountRates: extractWaccBuildUp(originalText),
+    capitalStructure: extractShareAllocation(originalText),
+    esopDebt: extractEsopDebt(originalText),
+    valuationMultiples: {},
+    discountsAndPremiums: {},
+    valuationApproaches: extractValuationApproaches(originalText),
+    taxAffecting: detectTaxAffecting(originalText)
   };
 
-  // Helper function to clean and parse numbers
-  const parseNumber = (str) => {
-    if (!str) return null;
-    const cleaned = str.replace(/[\$,\s%]/g, '');
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? null : num;
-  };
+  // Plain numbers (shares, percentages, multiples) through the shared normalizer
+  const parseNumber = (str) => normalizeNumber(str);
 
-  // Helper function to find numbers in millions/billions
+  // Dollar amounts: explicit units ("$45.0 million", "$3.1 MM") win, otherwise
+  // the "($ in thousands)"-style header of the surrounding table applies
   const parseValueWithUnits = (str) => {
     if (!str) return null;
-    console.log(`parseValueWithUnits input: "${str}"`);
-    
-    // First extract just the numeric part with commas
-    const numberMatch = str.match(/\$?([\d,]+(?:\.\d+)?)/);
-    if (!numberMatch) {
-      console.log('No number found in string');
-      return null;
-    }
-    
-    const numberStr = numberMatch[1].replace(/,/g, ''); // Remove commas
-    const baseNum = parseFloat(numberStr);
-    
-    if (isNaN(baseNum)) {
-      console.log(`Failed to parse number: ${numberStr}`);
-      return null;
-    }
-    
-    console.log(`Base number: ${baseNum}`);
-    
-    // Check for unit multipliers
-    const lowerStr = str.toLowerCase();
-    let multiplier = 1;
-    
-    if (lowerStr.includes('million') || lowerStr.includes(' m ') || lowerStr.endsWith(' m')) {
-      multiplier = 1000000;
-    } else if (lowerStr.includes('billion') || lowerStr.includes(' b ') || lowerStr.endsWith(' b')) {
-      multiplier = 1000000000;
-    } else if (lowerStr.includes('thousand') || lowerStr.includes(' k ') || lowerStr.endsWith(' k')) {
-      multiplier = 1000;
-    }
-    
-    const result = baseNum * multiplier;
-    console.log(`Final result: ${result} (base: ${baseNum}, multiplier: ${multiplier})`);
-    return result;
+    const offset = originalText.indexOf(str);
+    const value = parseAmount(str, { scale: offset === -1 ? 1 : scaleAt(originalText, offset) });
+    log(`parseValueWithUnits: "${str}" -> ${value}`);
+    return value;
   };
 
   // NEW: Enhanced table parsing function
   const parseTableData = (text) => {
-    console.log('🔍 Parsing table data...');
+    log('🔍 Parsing table data...');
     
     // Look for financial metrics table patterns
     const financialTablePatterns = [
@@ -81,7 +59,7 @@ export const extractComprehensiveMetrics = (documentText) => {
       const matches = [...originalText.matchAll(pattern)];
       for (const match of matches) {
         const tableContent = match[1];
-        console.log(`📊 Found table content: ${tableContent.substring(0, 200)}...`);
+        log(`📊 Found table content: ${tableContent.substring(0, 200)}...`);
         
         // Parse revenue from table
         const revenueMatch = tableContent.match(/revenue\s+\$?([\d,]+(?:\.\d+)?)/i);
@@ -89,7 +67,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const revenue = parseValueWithUnits(revenueMatch[0]);
           if (revenue) {
             metrics.keyFinancials.revenue = revenue;
-            console.log(`✅ Extracted revenue from table: ${revenue}`);
+            log(`✅ Extracted revenue from table: ${revenue}`);
           }
         }
         
@@ -99,7 +77,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const ebitda = parseValueWithUnits(ebitdaMatch[0]);
           if (ebitda) {
             metrics.keyFinancials.ebitda = ebitda;
-            console.log(`✅ Extracted EBITDA from table: ${ebitda}`);
+            log(`✅ Extracted EBITDA from table: ${ebitda}`);
           }
         }
         
@@ -109,7 +87,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const shares = parseNumber(sharesMatch[1]);
           if (shares && shares > 1000) { // Likely shares if > 1000
             metrics.capitalStructure.totalShares = shares;
-            console.log(`✅ Extracted total shares from table: ${shares}`);
+            log(`✅ Extracted total shares from table: ${shares}`);
           }
         }
         
@@ -119,7 +97,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const esopPercent = parseNumber(esopPercentMatch[1]);
           if (esopPercent && esopPercent > 0 && esopPercent <= 100) {
             metrics.capitalStructure.esopPercentage = esopPercent;
-            console.log(`✅ Extracted ESOP percentage from table: ${esopPercent}%`);
+            log(`✅ Extracted ESOP percentage from table: ${esopPercent}%`);
           }
         }
       }
@@ -128,7 +106,7 @@ export const extractComprehensiveMetrics = (documentText) => {
 
   // NEW: Enhanced row-based table parsing
   const parseTableRows = (text) => {
-    console.log('🔍 Parsing table rows...');
+    log('🔍 Parsing table rows...');
     
     // Split text into lines and look for table-like patterns
     const lines = text.split('\n');
@@ -143,7 +121,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const revenue = parseValueWithUnits(line);
           if (revenue) {
             metrics.keyFinancials.revenue = revenue;
-            console.log(`✅ Extracted revenue from line: ${revenue}`);
+            log(`✅ Extracted revenue from line: ${revenue}`);
           }
         }
       }
@@ -155,7 +133,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const ebitda = parseValueWithUnits(line);
           if (ebitda) {
             metrics.keyFinancials.ebitda = ebitda;
-            console.log(`✅ Extracted EBITDA from line: ${ebitda}`);
+            log(`✅ Extracted EBITDA from line: ${ebitda}`);
           }
         }
       }
@@ -167,7 +145,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const shares = parseNumber(sharesMatch[1]);
           if (shares && shares > 1000) {
             metrics.capitalStructure.totalShares = shares;
-            console.log(`✅ Extracted total shares from line: ${shares}`);
+            log(`✅ Extracted total shares from line: ${shares}`);
           }
         }
       }
@@ -179,7 +157,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const percent = parseNumber(percentMatch[1]);
           if (percent && percent > 0 && percent <= 100) {
             metrics.capitalStructure.esopPercentage = percent;
-            console.log(`✅ Extracted ESOP percentage from line: ${percent}%`);
+            log(`✅ Extracted ESOP percentage from line: ${percent}%`);
           }
         }
       }
@@ -188,7 +166,7 @@ export const extractComprehensiveMetrics = (documentText) => {
 
   // NEW: Enhanced multi-column table parsing
   const parseMultiColumnTable = (text) => {
-    console.log('🔍 Parsing multi-column table data...');
+    log('🔍 Parsing multi-column table data...');
     
     // Look for patterns like "2023        2022        2021" followed by data
     const yearHeaderPattern = /\d{4}\s+\d{4}\s+\d{4}/;
@@ -199,7 +177,7 @@ export const extractComprehensiveMetrics = (documentText) => {
       
       // Check if this line has year headers
       if (yearHeaderPattern.test(line)) {
-        console.log(`📊 Found year header line: ${line}`);
+        log(`📊 Found year header line: ${line}`);
         
         // Look at next few lines for data
         for (let j = i + 1; j < Math.min(i + 10, lines.length); j++) {
@@ -212,7 +190,7 @@ export const extractComprehensiveMetrics = (documentText) => {
               const revenue = parseValueWithUnits(values[0]); // Use first (most recent) value
               if (revenue) {
                 metrics.keyFinancials.revenue = revenue;
-                console.log(`✅ Extracted revenue from multi-column table: ${revenue}`);
+                log(`✅ Extracted revenue from multi-column table: ${revenue}`);
               }
             }
           }
@@ -224,7 +202,7 @@ export const extractComprehensiveMetrics = (documentText) => {
               const ebitda = parseValueWithUnits(values[0]); // Use first (most recent) value
               if (ebitda) {
                 metrics.keyFinancials.ebitda = ebitda;
-                console.log(`✅ Extracted EBITDA from multi-column table: ${ebitda}`);
+                log(`✅ Extracted EBITDA from multi-column table: ${ebitda}`);
               }
             }
           }
@@ -248,26 +226,26 @@ export const extractComprehensiveMetrics = (documentText) => {
     /fair\s+market\s+value:?\s*\$?([\d,]+(?:\.\d+)?)(?:\s*(?:million|billion|m|b))?/gi
   ];
 
-  console.log('Testing total valuation patterns...');
+  log('Testing total valuation patterns...');
   for (let i = 0; i < totalValuationPatterns.length; i++) {
     const pattern = totalValuationPatterns[i];
     const match = originalText.match(pattern);
-    console.log(`Pattern ${i+1}: ${pattern} - Match: ${match ? match[0] : 'NO MATCH'}`);
+    log(`Pattern ${i+1}: ${pattern} - Match: ${match ? match[0] : 'NO MATCH'}`);
     if (match) {
       // Extract just the number part
       const numberMatch = match[0].match(/\$?([\d,]+(?:\.\d+)?)/); 
-      console.log(`Number match: ${numberMatch ? numberMatch[1] : 'NO NUMBER'}`);
+      log(`Number match: ${numberMatch ? numberMatch[1] : 'NO NUMBER'}`);
       if (numberMatch) {
         const value = parseValueWithUnits(match[0]);
-        console.log(`Parsed value: ${value}`);
+        log(`Parsed value: ${value}`);
         if (value) {
           metrics.companyValuation.totalValue = value;
           metrics.enterpriseValue.currentValue = value;
           metrics.valueOfEquity.currentValue = value; // Assume same unless debt found
-          console.log(`Found total company valuation: ${value}`);
+          log(`Found total company valuation: ${value}`);
           break;
         } else {
-          console.log('parseValueWithUnits returned null/falsy value');
+          log('parseValueWithUnits returned null/falsy value');
         }
       }
     }
@@ -275,7 +253,7 @@ export const extractComprehensiveMetrics = (documentText) => {
 
   // NEW: Additional company valuation extraction from bullet points
   if (!metrics.companyValuation.totalValue) {
-    console.log('Trying bullet point patterns for company valuation...');
+    log('Trying bullet point patterns for company valuation...');
     const bulletPatterns = [
       /•\s*total\s+company\s+value:?\s*\$?([\d,]+(?:\.\d+)?)/gi,
       /•\s*company\s+valuation:?\s*\$?([\d,]+(?:\.\d+)?)/gi,
@@ -292,7 +270,7 @@ export const extractComprehensiveMetrics = (documentText) => {
             metrics.companyValuation.totalValue = value;
             metrics.enterpriseValue.currentValue = value;
             metrics.valueOfEquity.currentValue = value;
-            console.log(`Found company valuation from bullet point: ${value}`);
+            log(`Found company valuation from bullet point: ${value}`);
             break;
           }
         }
@@ -313,11 +291,11 @@ export const extractComprehensiveMetrics = (documentText) => {
     if (match) {
       const numberMatch = match[0].match(/\$?([\d,]+(?:\.\d+)?)/); 
       if (numberMatch) {
-        const value = parseNumber(numberMatch[1]);
+        const value = roundPerShare(parseNumber(numberMatch[1]));
         if (value) {
           metrics.companyValuation.perShareValue = value;
           metrics.valuationPerShare.currentValue = value;
-          console.log(`Found per share value: ${value}`);
+          log(`Found per share value: ${value}`);
           break;
         }
       }
@@ -341,7 +319,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const value = parseValueWithUnits(match[0]);
           if (value) {
             metrics.keyFinancials.revenue = value;
-            console.log(`Found revenue: ${value}`);
+            log(`Found revenue: ${value}`);
             break;
           }
         }
@@ -365,7 +343,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const value = parseValueWithUnits(match[0]);
           if (value) {
             metrics.keyFinancials.ebitda = value;
-            console.log(`Found EBITDA: ${value}`);
+            log(`Found EBITDA: ${value}`);
             break;
           }
         }
@@ -375,11 +353,11 @@ export const extractComprehensiveMetrics = (documentText) => {
 
   // Discount Rate / WACC Patterns - more specific
   const discountRatePatterns = [
-    /discount\s+rate\s+applied:?\s*([\d.]+)%?/gi,
-    /discount\s+rate:?\s*([\d.]+)%?/gi,
-    /wacc:?\s*([\d.]+)%?/gi,
-    /weighted\s+average\s+cost:?\s*([\d.]+)%?/gi,
-    /cost\s+of\s+capital:?\s*([\d.]+)%?/gi
+    /discount\s+rate\s+applied:?\s*([\d.,]+)\s*(?:%|bps|basis\s+points)?/gi,
+    /discount\s+rate:?\s*([\d.,]+)\s*(?:%|bps|basis\s+points)?/gi,
+    /wacc:?\s*([\d.,]+)\s*(?:%|bps|basis\s+points)?/gi,
+    /weighted\s+average\s+cost:?\s*([\d.,]+)\s*(?:%|bps|basis\s+points)?/gi,
+    /cost\s+of\s+capital:?\s*([\d.,]+)\s*(?:%|bps|basis\s+points)?/gi
   ];
 
   for (const pattern of discountRatePatterns) {
@@ -387,11 +365,11 @@ export const extractComprehensiveMetrics = (documentText) => {
     if (match) {
       const numberMatch = match[0].match(/([\d.]+)/); 
       if (numberMatch) {
-        const value = parseNumber(numberMatch[1]);
+        const value = parsePercent(match[0]);
         if (value) {
           metrics.discountRates.discountRate = value;
           metrics.keyFinancials.weightedAverageCostOfCapital = value;
-          console.log(`Found discount rate: ${value}%`);
+          log(`Found discount rate: ${value}%`);
           break;
         }
       }
@@ -415,7 +393,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const value = parseNumber(numberMatch[1]);
           if (value) {
             metrics.capitalStructure.totalShares = value;
-            console.log(`Found total shares: ${value}`);
+            log(`Found total shares: ${value}`);
             break;
           }
         }
@@ -440,7 +418,7 @@ export const extractComprehensiveMetrics = (documentText) => {
           const value = parseNumber(numberMatch[1]);
           if (value) {
             metrics.capitalStructure.esopPercentage = value;
-            console.log(`Found ESOP percentage: ${value}%`);
+            log(`Found ESOP percentage: ${value}%`);
             break;
           }
         }
@@ -482,6 +460,56 @@ export const extractComprehensiveMetrics = (documentText) => {
     }
   }
 
+  // Discount and premium patterns - reports show discounts as "10%" or "(10.0%)"
+  const discountPremiumPatterns = {
+    discountForLackOfMarketability: [
+      /discount\s+for\s+lack\s+of\s+marketability(?:\s*\(dlom\))?[^%\n]{0,60}?\(?\s*([\d.]+)\s*%/gi,
+      /marketability\s+discount[^%\n]{0,60}?\(?\s*([\d.]+)\s*%/gi,
+      /\bdlom\b[^%\n]{0,60}?\(?\s*([\d.]+)\s*%/gi
+    ],
+    controlPremium: [
+      /control\s+premium[^%\n]{0,60}?\(?\s*([\d.]+)\s*%/gi
+    ],
+    minorityDiscount: [
+      /minority\s+(?:interest\s+)?discount[^%\n]{0,60}?\(?\s*([\d.]+)\s*%/gi,
+      /discount\s+for\s+lack\s+of\s+control(?:\s*\(dloc\))?[^%\n]{0,60}?\(?\s*([\d.]+)\s*%/gi
+    ]
+  };
+
+  for (const [field, patterns] of Object.entries(discountPremiumPatterns)) {
+    for (const pattern of patterns) {
+      const match = pattern.exec(originalText);
+      pattern.lastIndex = 0;
+      if (match) {
+        const value = parsePercent(`${match[1]}%`);
+        if (value !== null && value < 100) {
+          metrics.discountsAndPremiums[field] = Math.abs(value);
+          log(`Found ${field}: ${value}%`);
+          break;
+        }
+      }
+    }
+  }
+
+  // Per-share value before the marketability discount
+  const marketablePerSharePatterns = [
+    /marketable[,\s]+(?:minority\s+)?(?:interest\s+)?(?:basis\s+)?(?:value\s+)?per\s+share:?[^$\d\n]{0,20}\$\s?([\d,]+(?:\.\d+)?)/gi,
+    /per\s+share\s+value\s+on\s+a\s+marketable[^$\n]{0,60}\$\s?([\d,]+(?:\.\d+)?)/gi
+  ];
+
+  for (const pattern of marketablePerSharePatterns) {
+    const match = pattern.exec(originalText);
+    pattern.lastIndex = 0;
+    if (match) {
+      const value = roundPerShare(parseNumber(match[1]));
+      if (value) {
+        metrics.discountsAndPremiums.marketableValuePerShare = value;
+        log(`Found marketable value per share: ${value}`);
+        break;
+      }
+    }
+  }
+
   // Calculate ESOP shares if we have total shares and percentage
   if (metrics.capitalStructure.totalShares && metrics.capitalStructure.esopPercentage) {
     metrics.capitalStructure.esopShares = Math.round(
@@ -489,6 +517,6 @@ export const extractComprehensiveMetrics = (documentText) => {
     );
   }
 
-  console.log('🔍 Comprehensive extraction results:', JSON.stringify(metrics, null, 2));
+  log('🔍 Comprehensive extraction results:', JSON.stringify(metrics, null, 2));
   return metrics;
 };
\ No newline at end of file
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Calibrated per-metric confidence.
+//
+// Every extracted value gets one numeric confidence in [0, 1], the estimated
+// probability that it is correct. It is a logistic model over signals the
+// pipeline already produces:
+//   - agreement: how many of the independent extractors (regex patterns,
+//     extractMetrics, targeted single-metric prompts) returned the same value
+//   - candidate voting: the share of enhanced validation's candidates that
+//     agree with the value
+//   - whether the value was located in the document with a source snippet
+//   - whether cross-validation (enterprise value less equity value) passed
+//     or had to correct the value
+// The weights are fitted against the golden corpus by
+// `npm run calibrate-confidence` and stored in
+// config/confidenceCalibration.json, together with a reliability table that
+// shows how often values in each score band were actually correct.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CALIBRATION_PATH = path.join(__dirname, '..', 'config', 'confidenceCalibration.json');
+
+export const EXTRACTOR_SIGNALS = ['regex', 'extractMetrics', 'extractSingleMetric'];
+
+export const CONFIDENCE_FEATURES = [
+  'agreement',
+  'corroborated',
+  'candidateShare',
+  'hasSource',
+  'crossValidationPassed',
+  'crossValidationFailed'
+];
+
+// Used until a calibration file has been generated
+const DEFAULT_CALIBRATION = {
+  version: null,
+  intercept: -1,
+  weights: {
+    agreement: 1.5,
+    corroborated: 1,
+    candidateShare: 0.5,
+    hasSource: 1.5,
+    crossValidationPassed: 1,
+    crossValidationFailed: -1
+  },
+  levels: { high: 0.8, medium: 0.5 }
+};
+
+const MATCH_TOLERANCE = 0.01;
+
+const calibrations = new Map();
+
+export const loadCalibration = (calibrationPath = process.env.CONFIDENCE_CALIBRATION_PATH || DEFAULT_CALIBRATION_PATH) => {
+  if (!calibrations.has(calibrationPath)) {
+    let calibration = DEFAULT_CALIBRATION;
+    if (fs.existsSync(calibrationPath)) {
+      calibration = { ...DEFAULT_CALIBRATION, ...JSON.parse(fs.readFileSync(calibrationPath, 'utf8')) };
+    }
+    calibrations.set(calibrationPath, calibration);
+  }
+  return calibrations.get(calibrationPath);
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+export const valuesAgree = (a, b) => {
+  const first = toNumber(a);
+  const second = toNumber(b);
+  if (first === null || second === null) return false;
+  return Math.abs(first - second) <= Math.max(Math.abs(second) * MATCH_TOLERANCE, 1e-6);
+};
+
+// Signals for one value. `extracted` holds what each extractor returned
+// ({ regex, extractMetrics, extractSingleMetric }), `candidates` the values
+// enhanced validation collected, and `crossValidation` is 'passed', 'failed'
+// or null when the metric was not cross-validated.
+export const confidenceSignals = (value, { extracted = {}, candidates = [], hasSource = false, crossValidation = null } = {}) => {
+  const produced = EXTRACTOR_SIGNALS.filter(method => toNumber(extracted[method]) !== null);
+  const agreeing = produced.filter(method => valuesAgree(extracted[method], value));
+  const candidateValues = candidates.map(toNumber).filter(candidate => candidate !== null);
+
+  return {
+    extractors: produced.length,
+    agreeingExtractors: agreeing,
+    agreement: agreeing.length / EXTRACTOR_SIGNALS.length,
+    corroborated: agreeing.length >= 2,
+    candidates: candidateValues.length,
+    candidateShare: candidateValues.length > 0
+      ? candidateValues.filter(candidate => valuesAgree(candidate, value)).length / candidateValues.length
+      : null,
+    hasSource: Boolean(hasSource),
+    crossValidation
+  };
+};
+
+export const confidenceFeatures = (signals) => ({
+  agreement: signals.agreement,
+  corroborated: signals.corroborated ? 1 : 0,
+  // Without candidates the vote says nothing either way
+  candidateShare: signals.candidateShare ?? 0.5,
+  hasSource: signals.hasSource ? 1 : 0,
+  crossValidationPassed: signals.crossValidation === 'passed' ? 1 : 0,
+  crossValidationFailed: signals.crossValidation === 'failed' ? 1 : 0
+});
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+const linear = (features, { intercept, weights }) => CONFIDENCE_FEATURES.reduce(
+  (sum, feature) => sum + (weights[feature] || 0) * features[feature],
+  intercept
+);
+
+export const confidenceLevel = (score, calibration = loadCalibration()) => {
+  if (score === null || score === undefined) return null;
+  if (score >= calibration.levels.high) return 'high';
+  if (score >= calibration.levels.medium) return 'medium';
+  return 'low';
+};
+
+// { score, level, signals } for one value
+export const scoreConfidence = (signals, calibration = loadCalibration()) => {
+  const score = Math.round(sigmoid(linear(confidenceFeatures(signals), calibration)) * 1000) / 1000;
+  return { score, level: confidenceLevel(score, calibration), signals };
+};
+
+// Average score of a set of { score } results, or null when there are none
+export const averageConfidence = (results) => {
+  const scores = results.map(result => result?.score).filter(score => typeof score === 'number');
+  if (scores.length === 0) return null;
+  return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000;
+};
+
+// How often values in each score band were correct
+export const reliabilityTable = (samples, predict, bands = 5) => {
+  const rows = [];
+  for (let band = 0; band < bands; band++) {
+    const low = band / bands;
+    const high = (band + 1) / bands;
+    const inBand = samples.filter(sample => {
+      const score = predict(sample);
+      return score >= low && (band === bands - 1 ? score <= high : score < high);
+    });
+    rows.push({
+      range: [low, high],
+      count: inBand.length,
+      meanScore: inBand.length > 0 ? inBand.reduce((sum, sample) => sum + predict(sample), 0) / inBand.length : null,
+      observedAccuracy: inBand.length > 0 ? inBand.filter(sample => sample.correct).length / inBand.length : null
+    });
+  }
+  return rows;
+};
+
+// Fit the model to samples of { signals, correct } with logistic regression,
+// regularized towards the prior weights. The corpus is small and some signals
+// never vary in it (with the stub provider every extractor agrees), so those
+// keep their prior weight instead of collapsing into the intercept.
+export const fitCalibration = (samples, { iterations = 5000, learningRate = 0.5, regularization = 0.05, prior = DEFAULT_CALIBRATION, levels = DEFAULT_CALIBRATION.levels } = {}) => {
+  if (samples.length === 0) {
+    throw new Error('No calibration samples');
+  }
+
+  const rows = samples.map(sample => ({ features: confidenceFeatures(sample.signals), correct: sample.correct ? 1 : 0 }));
+  let intercept = prior.intercept;
+  const weights = { ...prior.weights };
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let interceptGradient = 0;
+    const gradients = Object.fromEntries(CONFIDENCE_FEATURES.map(feature => [feature, 0]));
+
+    for (const { features, correct } of rows) {
+      const error = sigmoid(linear(features, { intercept, weights })) - correct;
+      interceptGradient += error;
+      for (const feature of CONFIDENCE_FEATURES) {
+        gradients[feature] += error * features[feature];
+      }
+    }
+
+    intercept -= learningRate * (interceptGradient / rows.length + regularization * (intercept - prior.intercept));
+    for (const feature of CONFIDENCE_FEATURES) {
+      weights[feature] -= learningRate * (gradients[feature] / rows.length + regularization * (weights[feature] - prior.weights[feature]));
+    }
+  }
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const calibration = {
+    intercept: round(intercept),
+    weights: Object.fromEntries(Object.entries(weights).map(([feature, weight]) => [feature, round(weight)])),
+    levels
+  };
+
+  const predict = (sample) => sigmoid(linear(confidenceFeatures(sample.signals), calibration));
+  const brierScore = samples.reduce((sum, sample) => sum + (predict(sample) - (sample.correct ? 1 : 0)) ** 2, 0) / samples.length;
+
+  return {
+    ...calibration,
+    sampleCount: samples.length,
+    observedAccuracy: round(samples.filter(sample => sample.correct).length / samples.length),
+    brierScore: round(brierScore),
+    reliability: reliabilityTable(samples, predict).map(row => ({
+      ...row,
+      meanScore: row.meanScore === null ? null : round(row.meanScore),
+      observedAccuracy: row.observedAccuracy === null ? null : round(row.observedAccuracy)
+    }))
+  };
+};
@@ -0,0 +1,211 @@
+import { pageForOffset } from './provenance.js';
+import { findNumbers, parsePercent } from './numberNormalization.js';
+import { extractFinancialTimeSeries } from './timeSeriesExtraction.js';
+import { extractValuationApproaches } from './valuationApproaches.js';
+
+// Discounted cash flow reconstruction.
+//
+// Pulls the DCF inputs out of the report (projected free cash flows by year,
+// discount rate, terminal growth rate or exit multiple, mid-year convention),
+// recomputes enterprise value independently and compares it with the value
+// the report concluded. Trustees ask for this check on every report.
+
+const DISCOUNT_RATE_PATTERNS = [
+  /discount\s+rate[^%\n]{0,60}?(\d[\d,]*(?:\.\d+)?\s*(?:%|percent|basis\s+points|bps))/i,
+  /(?:weighted\s+average\s+cost\s+of\s+capital|wacc)[^%\n]{0,60}?(\d[\d,]*(?:\.\d+)?\s*(?:%|percent|basis\s+points|bps))/i
+];
+
+const TERMINAL_GROWTH_PATTERNS = [
+  /(?:terminal|long[-\s]term|perpetual|perpetuity|sustainable)\s+growth\s+rate[^%\n]{0,40}?(-?\d+(?:\.\d+)?\s*%)/i,
+  /growth\s+rate\s+(?:into|in)\s+perpetuity[^%\n]{0,40}?(-?\d+(?:\.\d+)?\s*%)/i
+];
+
+const EXIT_MULTIPLE_PATTERN = /(?:exit|terminal)\s+(?:year\s+)?(?:ebitda\s+)?multiple[^\n]{0,40}?(\d+(?:\.\d+)?)\s*x/i;
+
+const MID_YEAR_PATTERN = /mid[-\s]?(?:year|period)\s+(?:discounting\s+)?convention/i;
+const END_YEAR_PATTERN = /(?:end[-\s]of[-\s](?:year|period)|year[-\s]end)\s+(?:discounting\s+)?convention/i;
+
+// The recomputed value agrees with the report within this share of the
+// stated value (reports round, and may use a stub first period)
+const VARIANCE_TOLERANCE = 0.02;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const findFirst = (documentText, patterns, parse, pageOptions) => {
+  for (const pattern of patterns) {
+    const match = pattern.exec(documentText);
+    if (!match) continue;
+
+    const value = parse(match[1]);
+    if (value !== null) {
+      return { value, sourcePage: pageForOffset(match.index, pageOptions) };
+    }
+  }
+  return { value: null, sourcePage: null };
+};
+
+// Projected cash flows: the projected free cash flow rows of the report's
+// tables, or the years after the valuation date when no table is marked
+const projectedRows = (rows, lineItem, valuationYear) => {
+  const candidates = rows.filter(row => row.lineItem === lineItem && row.fiscalYear !== null);
+  const projected = candidates.filter(row => row.periodType === 'projected');
+  const selected = projected.length > 0
+    ? projected
+    : candidates.filter(row => valuationYear !== null && row.fiscalYear > valuationYear);
+
+  return selected.sort((a, b) => a.fiscalYear - b.fiscalYear);
+};
+
+export const extractDcfInputs = (documentText, { pageOffsets = null, valuationYear = null } = {}) => {
+  const pageOptions = { pageOffsets, documentText };
+  const rows = extractFinancialTimeSeries(documentText || '', { pageOffsets, valuationYear });
+
+  const cashFlows = projectedRows(rows, 'freeCashFlow', valuationYear).map(row => ({
+    fiscalPeriod: row.fiscalPeriod,
+    fiscalYear: row.fiscalYear,
+    cashFlow: row.value,
+    sourcePage: row.sourcePage
+  }));
+  const terminalEbitda = projectedRows(rows, 'ebitda', valuationYear).pop() || null;
+
+  if (!documentText) {
+    return { cashFlows, discountRate: null, terminalGrowthRate: null, exitMultiple: null, terminalEbitda: null, midYearConvention: null, sourcePages: {} };
+  }
+
+  const discountRate = findFirst(documentText, DISCOUNT_RATE_PATTERNS, parsePercent, pageOptions);
+  const terminalGrowthRate = findFirst(documentText, TERMINAL_GROWTH_PATTERNS, parsePercent, pageOptions);
+  const exitMultiple = findFirst(documentText, [EXIT_MULTIPLE_PATTERN], (text) => findNumbers(text)[0]?.value ?? null, pageOptions);
+
+  let midYearConvention = null;
+  if (MID_YEAR_PATTERN.test(documentText)) {
+    midYearConvention = true;
+  } else if (END_YEAR_PATTERN.test(documentText)) {
+    midYearConvention = false;
+  }
+
+  return {
+    cashFlows,
+    discountRate: discountRate.value,
+    terminalGrowthRate: terminalGrowthRate.value,
+    exitMultiple: exitMultiple.value,
+    terminalEbitda: terminalEbitda ? terminalEbitda.value : null,
+    midYearConvention,
+    sourcePages: {
+      discountRate: discountRate.sourcePage,
+      terminalGrowthRate: terminalGrowthRate.sourcePage,
+      exitMultiple: exitMultiple.sourcePage,
+      terminalEbitda: terminalEbitda ? terminalEbitda.sourcePage : null
+    }
+  };
+};
+
+// Present value of the projected cash flows plus the terminal value. Rates
+// are in percentage points. Returns { error } when the inputs cannot support
+// a valuation. With the mid-year convention each year's cash flow is
+// discounted half a period earlier; a Gordon growth terminal value follows
+// the final year's timing, while an exit multiple is a price at year end.
+export const recomputeDcf = ({
+  cashFlows = [],
+  discountRate,
+  terminalGrowthRate = null,
+  exitMultiple = null,
+  terminalEbitda = null,
+  midYearConvention = false
+}) => {
+  if (cashFlows.length === 0) return { error: 'No projected free cash flows were found' };
+  if (discountRate === null || discountRate === undefined) return { error: 'No discount rate was found' };
+
+  const rate = discountRate / 100;
+  const offset = midYearConvention ? 0.5 : 0;
+
+  const schedule = cashFlows.map((flow, index) => {
+    const period = index + 1 - offset;
+    const discountFactor = 1 / (1 + rate) ** period;
+    return {
+      ...flow,
+      period,
+      discountFactor: round(discountFactor, 6),
+      presentValue: round(flow.cashFlow * discountFactor)
+    };
+  });
+
+  const finalYear = cashFlows.length;
+  const finalCashFlow = cashFlows[finalYear - 1].cashFlow;
+  let terminalValue = null;
+  let terminalValueMethod = null;
+  let terminalPeriod = finalYear;
+
+  if (terminalGrowthRate !== null && terminalGrowthRate !== undefined) {
+    const growth = terminalGrowthRate / 100;
+    if (growth >= rate) {
+      return { error: `Terminal growth rate (${terminalGrowthRate}%) must be below the discount rate (${discountRate}%)` };
+    }
+    terminalValue = finalCashFlow * (1 + growth) / (rate - growth);
+    terminalValueMethod = 'gordonGrowth';
+    terminalPeriod = finalYear - offset;
+  } else if (exitMultiple !== null && exitMultiple !== undefined && terminalEbitda !== null && terminalEbitda !== undefined) {
+    terminalValue = exitMultiple * terminalEbitda;
+    terminalValueMethod = 'exitMultiple';
+  } else {
+    return { error: 'No terminal growth rate or exit multiple was found' };
+  }
+
+  const sumOfPresentValues = schedule.reduce((sum, row) => sum + row.cashFlow / (1 + rate) ** row.period, 0);
+  const presentValueOfTerminalValue = terminalValue / (1 + rate) ** terminalPeriod;
+  const enterpriseValue = sumOfPresentValues + presentValueOfTerminalValue;
+
+  return {
+    schedule,
+    sumOfPresentValues: round(sumOfPresentValues),
+    terminalValueMethod,
+    terminalValue: round(terminalValue),
+    terminalPeriod,
+    presentValueOfTerminalValue: round(presentValueOfTerminalValue),
+    enterpriseValue: round(enterpriseValue)
+  };
+};
+
+// Recomputed value against the report: the income approach indication when
+// the report states one, otherwise the concluded enterprise value
+export const compareToStated = (recomputedValue, { incomeApproachValue = null, enterpriseValue = null } = {}) => {
+  const statedValue = incomeApproachValue ?? enterpriseValue;
+  if (recomputedValue === null || recomputedValue === undefined || !statedValue) return null;
+
+  const difference = recomputedValue - statedValue;
+  const percentDifference = (difference / statedValue) * 100;
+
+  return {
+    statedValue,
+    statedBasis: incomeApproachValue !== null && incomeApproachValue !== undefined ? 'incomeApproach' : 'enterpriseValue',
+    recomputedValue,
+    difference: round(difference),
+    percentDifference: round(percentDifference),
+    withinTolerance: Math.abs(percentDifference) <= VARIANCE_TOLERANCE * 100
+  };
+};
+
+// Full DCF check for one document. `storedMetrics` maps metric_type to the
+// stored metric_data and fills inputs the report text does not state plainly.
+export const buildDcfAnalysis = (documentText, { pageOffsets = null, valuationYear = null, storedMetrics = {} } = {}) => {
+  const inputs = extractDcfInputs(documentText, { pageOffsets, valuationYear });
+
+  if (inputs.discountRate === null) {
+    inputs.discountRate = storedMetrics.discountRates?.discountRate ??
+      storedMetrics.keyFinancials?.weightedAverageCostOfCapital ?? null;
+  }
+
+  const recomputed = recomputeDcf({ ...inputs, midYearConvention: inputs.midYearConvention === true });
+  const approaches = storedMetrics.valuationApproaches || extractValuationApproaches(documentText || '');
+  const variance = recomputed.error
+    ? null
+    : compareToStated(recomputed.enterpriseValue, {
+      incomeApproachValue: approaches.incomeApproachValue ?? null,
+      enterpriseValue: storedMetrics.enterpriseValue?.currentValue ?? null
+    });
+
+  return {
+    inputs,
+    recomputed,
+    variance
+  };
+};
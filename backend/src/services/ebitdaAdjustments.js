@@ -0,0 +1,171 @@
+import { pageForOffset } from './provenance.js';
+import { splitCells, parsePeriodHeader, parseCell, tableScale } from './timeSeriesExtraction.js';
+
+// EBITDA normalization bridge.
+//
+// Appraisers rarely capitalize the EBITDA on the company's books: they add
+// back excess owner compensation, non-recurring items and the ESOP
+// contribution expense, and deduct items such as below-market related party
+// rent. This module reads the reported-to-adjusted bridge table and returns,
+// per fiscal period, the reported EBITDA, each adjustment as a line item and
+// the adjusted EBITDA the report concludes to.
+
+const REPORTED_PATTERN = /^(?:reported|unadjusted|historical|book|as[-\s]reported)\s+ebitda\b(?!\s+margin)|^ebitda(?:\s*\(?as\s+reported\)?|,\s*as\s+reported)?$/i;
+const ADJUSTED_PATTERN = /^(?:total\s+)?(?:adjusted|normalized|pro\s+forma)\s+ebitda\b(?!\s+margin)/i;
+const TOTAL_ADJUSTMENTS_PATTERN = /^(?:total|net)\s+(?:normalization\s+|normalizing\s+|ebitda\s+)?(?:adjustments|add[-\s]?backs)/i;
+
+const ADD_PREFIX = /^(?:(?:add(?:[-\s]?backs?)?|plus)\b|\(\+\)|\+)\s*:?\s*/i;
+const LESS_PREFIX = /^(?:(?:less|deduct|minus)\b|\(-\))\s*:?\s*/i;
+
+// First matching category wins; ESOP items come first since ESOP
+// contribution expense is also a compensation expense
+const CATEGORIES = [
+  { category: 'esopContribution', pattern: /\besop\b|employee\s+stock\s+ownership|contribution\s+expense|repurchase\s+(?:obligation|expense)/i },
+  { category: 'ownerCompensation', pattern: /owner|officer|shareholder|executive|excess\s+(?:compensation|salar)|(?:compensation|salary)\s+(?:normaliz|adjust)/i },
+  { category: 'relatedParty', pattern: /related[-\s]party|\brent\b|lease/i },
+  { category: 'discontinuedOperations', pattern: /discontinued|divest/i },
+  { category: 'nonRecurring', pattern: /non[-\s]?recurring|one[-\s]time|unusual|extraordinary|litigation|settlement|legal|transaction\s+(?:costs?|expenses?|fees)|severance|restructuring|insurance\s+(?:proceeds|recover)|(?:gain|loss)\s+on\s+(?:the\s+)?(?:sale|disposal)|\bppp\b|covid/i }
+];
+
+// Adjustments that sum to within this share of the stated adjusted EBITDA reconcile
+const RECONCILIATION_TOLERANCE = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const cleanLabel = (label) => label.replace(/^[-•*\s]+(?=\S)/, '').trim();
+
+const categorize = (label) => CATEGORIES.find(({ pattern }) => pattern.test(label))?.category || 'other';
+
+// Values in a row, right-aligned to `columns` period columns
+const rowValues = (cells, columns) => {
+  const valueCells = cells.slice(1);
+  const offset = valueCells.length - columns;
+  return Array.from({ length: columns }, (_, index) => {
+    const cell = valueCells[index + offset];
+    return cell === undefined ? null : parseCell(cell);
+  });
+};
+
+// The period header for a bridge starting at `startIndex`: the nearest
+// header line above it, or a single unlabelled column
+const findPeriods = (lines, startIndex) => {
+  for (let index = startIndex - 1; index >= Math.max(0, startIndex - 4); index--) {
+    const periods = parsePeriodHeader(splitCells(lines[index]));
+    if (periods) return { periods, headerIndex: index };
+  }
+  return { periods: [{ fiscalPeriod: null, fiscalYear: null, projected: false }], headerIndex: startIndex };
+};
+
+export const extractEbitdaAdjustments = (documentText, { pageOffsets = null, valuationYear = null } = {}) => {
+  const result = { bridges: [] };
+  if (!documentText) return result;
+
+  const lines = documentText.split('\n');
+  const lineStarts = [];
+  let position = 0;
+  for (const line of lines) {
+    lineStarts.push(position);
+    position += line.length + 1;
+  }
+
+  const seen = new Set();
+
+  for (let startIndex = 0; startIndex < lines.length; startIndex++) {
+    const startCells = splitCells(lines[startIndex]);
+    if (startCells.length < 2 || !REPORTED_PATTERN.test(cleanLabel(startCells[0]))) continue;
+
+    const { periods, headerIndex } = findPeriods(lines, startIndex);
+    const multiplier = tableScale(lines, headerIndex);
+    const scale = (parsed) => (parsed && !parsed.isPercent && !parsed.isMultiple
+      ? (parsed.hasUnit ? parsed.value : parsed.value * multiplier)
+      : null);
+
+    const reported = rowValues(startCells, periods.length).map(scale);
+    const adjustments = [];
+    let adjusted = null;
+    let statedTotal = null;
+    let sign = 1;
+    let endIndex = startIndex;
+
+    // Read adjustment rows until the adjusted EBITDA row or the table ends
+    for (let rowIndex = startIndex + 1; rowIndex < lines.length; rowIndex++) {
+      const line = lines[rowIndex];
+      if (!line.trim()) break;
+
+      const cells = splitCells(line);
+      if (parsePeriodHeader(cells)) break;
+      const label = cleanLabel(cells[0]);
+
+      // "Add-backs:" / "Less:" headings set the sign of the rows below them
+      if (cells.length < 2) {
+        if (LESS_PREFIX.test(label)) sign = -1;
+        else if (ADD_PREFIX.test(label)) sign = 1;
+        continue;
+      }
+
+      const parsed = rowValues(cells, periods.length);
+      if (parsed.some(cell => cell?.isPercent || cell?.isMultiple)) continue;
+      const values = parsed.map(scale);
+      endIndex = rowIndex;
+
+      if (ADJUSTED_PATTERN.test(label)) {
+        adjusted = values;
+        break;
+      }
+      if (TOTAL_ADJUSTMENTS_PATTERN.test(label)) {
+        statedTotal = values;
+        continue;
+      }
+
+      const rowSign = LESS_PREFIX.test(label) ? -1 : ADD_PREFIX.test(label) ? 1 : sign;
+      const name = label.replace(ADD_PREFIX, '').replace(LESS_PREFIX, '').trim();
+      adjustments.push({
+        label: name,
+        category: categorize(name),
+        // A deduction shown as a positive amount under "Less:" still reduces EBITDA
+        values: values.map(value => (value === null ? null : (rowSign < 0 && value > 0 ? -value : value))),
+        sourcePage: pageForOffset(lineStarts[rowIndex], { pageOffsets, documentText })
+      });
+    }
+
+    if (adjustments.length === 0) continue;
+
+    periods.forEach((period, periodIndex) => {
+      const reportedEbitda = reported[periodIndex];
+      const key = period.fiscalPeriod ?? `line-${startIndex}`;
+      if (reportedEbitda === null || seen.has(key)) return;
+      seen.add(key);
+
+      const periodAdjustments = adjustments
+        .filter(adjustment => adjustment.values[periodIndex] !== null && adjustment.values[periodIndex] !== 0)
+        .map(({ label, category, values, sourcePage }) => ({ label, category, amount: values[periodIndex], sourcePage }));
+      const totalAdjustments = periodAdjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+      const computed = reportedEbitda + totalAdjustments;
+      const stated = adjusted?.[periodIndex] ?? null;
+
+      result.bridges.push({
+        fiscalPeriod: period.fiscalPeriod,
+        fiscalYear: period.fiscalYear,
+        periodType: period.projected || (valuationYear !== null && period.fiscalYear > valuationYear) ? 'projected' : 'historical',
+        reportedEbitda,
+        adjustments: periodAdjustments,
+        totalAdjustments: round(totalAdjustments),
+        statedTotalAdjustments: statedTotal?.[periodIndex] ?? null,
+        adjustedEbitda: stated ?? round(computed),
+        reconciles: stated === null ? null : Math.abs(computed - stated) <= Math.abs(stated) * RECONCILIATION_TOLERANCE,
+        sourcePage: pageForOffset(lineStarts[startIndex], { pageOffsets, documentText })
+      });
+    });
+
+    startIndex = endIndex;
+  }
+
+  result.bridges.sort((a, b) => (a.fiscalYear ?? 0) - (b.fiscalYear ?? 0));
+  return result;
+};
+
+// Bridges whose adjustments do not add up to the stated adjusted EBITDA
+export const ebitdaBridgeIssues = ({ bridges = [] }) => bridges
+  .filter(bridge => bridge.reconciles === false)
+  .map(bridge => `EBITDA adjustments${bridge.fiscalPeriod ? ` for ${bridge.fiscalPeriod}` : ''} total ${round(bridge.totalAdjustments).toLocaleString()} ` +
+    `but reported ${bridge.reportedEbitda.toLocaleString()} and adjusted ${bridge.adjustedEbitda.toLocaleString()} EBITDA differ by ${round(bridge.adjustedEbitda - bridge.reportedEbitda).toLocaleString()}`);
@@ -1,176 +1,82 @@
-import { answerQuestion } from './openaiService.js';
+import { answerStructured } from './openaiService.js';
+import { EXTRACTION_METHODS, locateValue } from './provenance.js';
+import { parseAnswerNumber } from './numberNormalization.js';
+import { checkPerShareBridge, checkApproachReconciliation, checkWaccBuildUp } from './valuationChecks.js';
+import { extractValuationApproaches } from './valuationApproaches.js';
+import { extractWaccBuildUp } from './waccBuildUp.js';
+import { detectTaxAffecting, taxAffectingWhatIf, taxAffectingIssue } from './taxAffecting.js';
+import { loadRules, detectIndustry, buildRuleFacts, evaluateRules, triggeredMessages } from './ruleEngine.js';
+import { confidenceSignals, scoreConfidence, averageConfidence } from './confidence.js';
+import { hasPrompt, renderPrompt } from './promptRegistry.js';
+import { getSchema } from './structuredOutput.js';
+
+// Metrics with single-metric prompts (validation.<metric>.primary, and
+// optionally .secondary, in src/prompts), in the order they are extracted
+const VALIDATED_METRICS = [
+  'enterpriseValue', 'valueOfEquity', 'debtValue', 'revenue', 'ebitda', 'discountRate', 'totalShares',
+  'esopPercentage', 'valuationPerShare', 'discountForLackOfMarketability', 'controlPremium',
+  'minorityDiscount', 'marketableValuePerShare'
+];
+
+// Answer schemas (src/schemas) for the questions asked here, with the LLM
+// task each is sent as
+const ANSWER_TASKS = {
+  metricValue: 'metric-value-json',
+  conflictResolution: 'conflict-json',
+  conflictPairResolution: 'conflict-pair-json',
+  dateContext: 'date-context-json',
+  valuationDate: 'valuation-date-json'
+};
 
 // Enhanced AI validation service with improved accuracy and cross-validation
 export class EnhancedAIValidation {
   
-  constructor() {
-    this.validationPrompts = {
-      enterpriseValue: {
-        primary: `Extract the total company or business value from this ESOP valuation document. This could be labeled as:
-
-- "Enterprise Value"
-- "Total Business Value" 
-- "Company Valuation"
-- "Fair Market Value" (of the business)
-- "Business Enterprise Value"
-- "Total Company Value"
-- "Valuation Conclusion"
-
-Look especially in:
-- Executive Summary
-- Valuation Summary/Conclusion
-- Final valuation amounts
-- Tables showing total values
-
-Search for dollar amounts that represent the TOTAL value of the entire business. Often appears as the largest valuation figure in the document.
-
-Respond with ONLY the numeric value (no $ signs, commas, or text). Examples: 50000000 or 12500000. If multiple values found, use the one labeled as "final" or "concluded" value. If not found, respond with "NOT_FOUND".`,
-
-        secondary: `Look for the concluded business valuation or enterprise value. Check these sections:
-
-1. Executive Summary (usually has the final valuation)
-2. Valuation Conclusion section
-3. Summary tables or charts
-4. Any section titled "Fair Market Value" or "Business Value"
-
-This is typically the largest dollar figure in the document representing the total worth of the business.
-
-Ignore per-share values - look for TOTAL business value only.
-
-Respond with ONLY the number. If not found, respond with "NOT_FOUND".`
-      },
-
-      valueOfEquity: {
-        primary: `Extract the equity value or shareholder value from this ESOP valuation document. This could be labeled as:
-
-- "Equity Value"
-- "Fair Market Value of Equity"
-- "Shareholder Value"
-- "Value of Equity"
-- "Total Equity Value"
-- "Fair Market Value of Common Stock" (total, not per share)
-- "Value Available to Shareholders"
-
-Look especially in:
-- Executive Summary
-- Equity valuation sections
-- Final conclusions about shareholder value
-- Tables showing equity amounts
-
-This represents the value belonging to shareholders after deducting debt. May be the same as enterprise value if there's no debt.
-
-Search for dollar amounts specifically labeled as equity or shareholder value. Do NOT use per-share values.
-
-Respond with ONLY the numeric value (no $ signs, commas, or text). Examples: 45000000 or 8750000. If not found, respond with "NOT_FOUND".`,
-
-        secondary: `Look for the concluded equity or shareholder value. Check these sections:
-
-1. Executive Summary (equity value conclusion)
-2. Fair Market Value of Equity sections
-3. Shareholder value analysis
-4. Equity valuation summary
-
-This is the value that belongs to the shareholders/owners after accounting for debt.
-
-Look for TOTAL equity value, not per-share amounts.
-
-Respond with ONLY the number. If not found, respond with "NOT_FOUND".`
-      },
-
-      debtValue: {
-        primary: `Extract the DEBT VALUE from this ESOP valuation document.
-        
-Look for terms like:
-- "Total Debt"
-- "Outstanding Debt"
-- "Interest-Bearing Debt"
-- "Long-term Debt"
-- "Short-term Debt"
-
-Respond with ONLY the numeric value (no $ signs, commas, or text). If not found, respond with "NOT_FOUND".`
-      },
-
-      revenue: {
-        primary: `Extract the ANNUAL REVENUE from this ESOP valuation document.
-        
-Look for terms like:
-- "Annual Revenue"
-- "Total Revenue"
-- "Sales"
-- "Gross Revenue"
-
-Use the most recent year's data if multiple years are shown.
-
-Respond with ONLY the numeric value (no $ signs, commas, or text). If not found, respond with "NOT_FOUND".`
-      },
-
-      ebitda: {
-        primary: `Extract the EBITDA (Earnings Before Interest, Taxes, Depreciation, and Amortization) from this ESOP valuation document.
-        
-Look for terms like:
-- "EBITDA"
-- "Earnings Before Interest, Taxes, Depreciation, and Amortization"
-- "Adjusted EBITDA"
-- "Normalized EBITDA"
-
-Use the most recent year's data if multiple years are shown.
-
-Respond with ONLY the numeric value (no $ signs, commas, or text). If not found, respond with "NOT_FOUND".`
-      },
-
-      discountRate: {
-        primary: `Extract the DISCOUNT RATE or WACC (Weighted Average Cost of Capital) from this ESOP valuation document.
-        
-Look for terms like:
-- "Discount Rate"
-- "WACC"
-- "Weighted Average Cost of Capital"
-- "Required Rate of Return"
-- "Cost of Capital"
-
-Respond with ONLY the percentage number (no % symbol). If not found, respond with "NOT_FOUND".`
-      },
-
-      totalShares: {
-        primary: `Extract the TOTAL SHARES OUTSTANDING from this ESOP valuation document.
-        
-Look for terms like:
-- "Total Shares Outstanding"
-- "Shares Outstanding"
-- "Common Shares Outstanding"
-- "Total Outstanding Shares"
+  // `options.provider` pins every LLM call to a single provider (e.g. 'stub');
+  // by default the configured provider chain is used. `options.quiet` drops
+  // the step-by-step progress log.
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.quiet = Boolean(options.quiet);
+    this.validationPrompts = Object.fromEntries(VALIDATED_METRICS.map(metric => [metric, Object.fromEntries(
+      ['primary', 'secondary']
+        .filter(kind => hasPrompt(`validation.${metric}.${kind}`))
+        .map(kind => [kind, renderPrompt(`validation.${metric}.${kind}`)])
+    )]));
+  }
 
-Respond with ONLY the numeric value (no commas or text). If not found, respond with "NOT_FOUND".`
-      },
+  log(...args) {
+    if (!this.quiet) console.log(...args);
+  }
 
-      esopPercentage: {
-        primary: `Extract the ESOP OWNERSHIP PERCENTAGE from this ESOP valuation document.
-        
-Look for terms like:
-- "ESOP Ownership Percentage"
-- "Employee Ownership Percentage"
-- "ESOP Percentage"
-- "Employee Stock Ownership Percentage"
+  // Route a rendered registry prompt ({ text, prompts }) through the LLM layer
+  // with this instance's provider setting and resolve to the answer,
+  // validated against the `schemaId` schema.
+  async ask({ text, prompts }, context, schemaId) {
+    return answerStructured(text, context, getSchema(schemaId), { provider: this.provider, prompts, task: ANSWER_TASKS[schemaId] });
+  }
 
-Respond with ONLY the percentage number (no % symbol). If not found, respond with "NOT_FOUND".`
-      }
-    };
+  // Ask for one metric. Resolves to the parsed value and the answer text
+  // (value and quote) that date relevance is judged from.
+  async askMetricValue(prompt, context, metricName) {
+    const answer = await this.ask(prompt, context, 'metricValue');
+    const text = [answer.value, answer.quote].filter(part => part !== null && part !== undefined).join(' ');
+    return { value: this.parseMetricResponse(text, metricName), text };
   }
 
   // Enhanced extraction with candidate collection and conflict resolution
   async extractMetricsWithValidation(documentText) {
-    console.log('🤖 Starting enhanced AI validation with conflict resolution...');
+    this.log('🤖 Starting enhanced AI validation with conflict resolution...');
     
     const candidates = {};
     const resolvedResults = {};
 
     // Step 1: Extract all metrics with multiple attempts to collect candidates
-    console.log('📊 Step 1: Collecting candidate values for each metric...');
+    this.log('📊 Step 1: Collecting candidate values for each metric...');
     for (const [metric, prompt] of Object.entries(this.validationPrompts)) {
       try {
         const candidateValues = await this.extractMetricCandidates(documentText, prompt, metric);
         candidates[metric] = candidateValues;
-        console.log(`🎯 ${metric}: Found ${candidateValues.length} candidates`);
+        this.log(`🎯 ${metric}: Found ${candidateValues.length} candidates`);
       } catch (error) {
         console.error(`❌ Error extracting candidates for ${metric}:`, error.message);
         candidates[metric] = [];
@@ -178,32 +84,88 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
     }
 
     // Step 2: Resolve conflicts between candidates
-    console.log('🔍 Step 2: Resolving conflicts between candidate values...');
+    this.log('🔍 Step 2: Resolving conflicts between candidate values...');
     const conflictResolution = await this.resolveValueConflicts(documentText, candidates);
     
     // Step 3: Cross-validate enterprise value and equity value
-    console.log('🔄 Step 3: Cross-validating enterprise value and equity value...');
+    this.log('🔄 Step 3: Cross-validating enterprise value and equity value...');
     const crossValidation = await this.crossValidateEnterpriseAndEquity(documentText, conflictResolution.resolvedResults);
     
     // Step 4: Validate financial relationships
-    console.log('🧮 Step 4: Validating financial relationships...');
+    this.log('🧮 Step 4: Validating financial relationships...');
     const relationshipValidation = await this.validateFinancialRelationships(documentText, conflictResolution.resolvedResults);
 
     // Step 5: Apply final corrections based on validation
-    console.log('✅ Step 5: Applying final corrections...');
+    this.log('✅ Step 5: Applying final corrections...');
     const finalResults = await this.applyCorrections(conflictResolution.resolvedResults, crossValidation, relationshipValidation);
+    const metricConfidence = this.scoreMetricConfidence(documentText, finalResults, candidates, crossValidation);
 
     return {
       metrics: finalResults,
+      sources: this.describeSources(finalResults, conflictResolution.resolutionDetails, crossValidation),
       validation: {
+        candidates,
         conflictResolution,
         crossValidation,
         relationshipValidation
       },
-      confidence: this.calculateConfidence(finalResults, crossValidation, relationshipValidation)
+      metricConfidence,
+      confidence: this.calculateConfidence(metricConfidence)
     };
   }
 
+  // 'passed' when enterprise value less equity value leaves a plausible debt
+  // figure, 'failed' when it does not or the values had to be corrected
+  crossValidationStatus(metric, crossValidation) {
+    if (!['enterpriseValue', 'valueOfEquity'].includes(metric) || !crossValidation?.[metric]) return null;
+
+    const { enterpriseValue, valueOfEquity, debtValue } = crossValidation;
+    if (enterpriseValue.corrected !== null || valueOfEquity.corrected !== null) return 'failed';
+    if (enterpriseValue.original === null || enterpriseValue.original === undefined ||
+        valueOfEquity.original === null || valueOfEquity.original === undefined) return null;
+    return debtValue.corrected !== null ? 'passed' : 'failed';
+  }
+
+  // Calibrated confidence for each value from the evidence enhanced
+  // validation has on its own: the targeted prompt, the candidate vote,
+  // a source location and cross-validation
+  scoreMetricConfidence(documentText, finalResults, candidates, crossValidation) {
+    const metricConfidence = {};
+    for (const [metric, value] of Object.entries(finalResults)) {
+      if (value === null || value === undefined) continue;
+      metricConfidence[metric] = scoreConfidence(confidenceSignals(value, {
+        extracted: { extractSingleMetric: value },
+        candidates: (candidates[metric] || []).map(candidate => candidate.value),
+        hasSource: locateValue(documentText, value) !== null,
+        crossValidation: this.crossValidationStatus(metric, crossValidation)
+      }));
+    }
+    return metricConfidence;
+  }
+
+  // Record which step produced each final value, for per-metric provenance.
+  // Values from a single candidate came straight from a single-metric prompt.
+  describeSources(finalResults, resolutionDetails, crossValidation) {
+    const sources = {};
+
+    for (const [metric, value] of Object.entries(finalResults)) {
+      if (value === null || value === undefined) continue;
+
+      if (crossValidation[metric]?.corrected !== null && crossValidation[metric]?.corrected !== undefined) {
+        sources[metric] = { method: EXTRACTION_METHODS.CROSS_VALIDATION, reason: crossValidation[metric].reason };
+      } else if (resolutionDetails[metric]?.status === 'conflict_resolved') {
+        sources[metric] = { method: EXTRACTION_METHODS.RESOLVE_CONFLICT, reason: resolutionDetails[metric].reason };
+      } else {
+        sources[metric] = {
+          method: EXTRACTION_METHODS.EXTRACT_SINGLE_METRIC,
+          reason: resolutionDetails[metric]?.chosen?.source || null
+        };
+      }
+    }
+
+    return sources;
+  }
+
   // Extract a single metric with error handling and parsing
   async extractSingleMetric(documentText, prompt, metricName) {
     try {
@@ -211,12 +173,9 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
       const optimizedContext = this.getOptimizedContext(documentText, metricName);
       const finalContext = optimizedContext || documentText;
       
-      const response = await answerQuestion(prompt, finalContext);
-      console.log(`📝 Raw response for ${metricName}: "${response}"`);
-      
-      // Parse the response
-      const parsedValue = this.parseMetricResponse(response, metricName);
-      console.log(`🔢 Parsed ${metricName}: ${parsedValue}`);
+      const { value: parsedValue, text } = await this.askMetricValue(prompt, finalContext, metricName);
+      this.log(`📝 Answer for ${metricName}: "${text}"`);
+      this.log(`🔢 Parsed ${metricName}: ${parsedValue}`);
       
       return parsedValue;
     } catch (error) {
@@ -234,7 +193,7 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
       return documentText; // Use full document if it fits
     }
 
-    console.log(`🎯 Creating optimized context for ${metricName} (${estimatedTokens} → ~${maxContextTokens} tokens)`);
+    this.log(`🎯 Creating optimized context for ${metricName} (${estimatedTokens} → ~${maxContextTokens} tokens)`);
     
     // Define key sections for different metrics
     const keywordSets = {
@@ -262,6 +221,25 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
         'discount rate', 'wacc', 'weighted average cost', 'required rate',
         'cost of capital', 'valuation methodology', 'assumptions',
         'discount factor', 'hurdle rate'
+      ],
+      valuationPerShare: [
+        'per share', 'fair market value', 'valuation conclusion',
+        'executive summary', 'marketability'
+      ],
+      discountForLackOfMarketability: [
+        'lack of marketability', 'dlom', 'marketability discount',
+        'marketable', 'valuation conclusion'
+      ],
+      controlPremium: [
+        'control premium', 'premium for control', 'level of value',
+        'controlling interest'
+      ],
+      minorityDiscount: [
+        'minority discount', 'lack of control', 'dloc',
+        'minority interest', 'level of value'
+      ],
+      marketableValuePerShare: [
+        'marketable', 'per share', 'lack of marketability', 'valuation conclusion'
       ]
     };
 
@@ -317,7 +295,7 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
       }
     }
 
-    console.log(`✂️ Optimized context: ${Math.ceil(optimizedContext.length / 4)} tokens (${sections.length} relevant sections)`);
+    this.log(`✂️ Optimized context: ${Math.ceil(optimizedContext.length / 4)} tokens (${sections.length} relevant sections)`);
     return optimizedContext || documentText.substring(0, maxContextTokens * 4);
   }
 
@@ -329,7 +307,7 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
     try {
       // First, extract the valuation date for filtering
       const valuationDate = await this.extractValuationDate(documentText);
-      console.log(`📅 Using valuation date for filtering: ${valuationDate || 'Not found'}`);
+      this.log(`📅 Using valuation date for filtering: ${valuationDate || 'Not found'}`);
       
       // Primary extraction attempt with date awareness
       const primaryCandidate = await this.extractMetricWithDateContext(documentText, prompt.primary, metricName, valuationDate);
@@ -371,37 +349,30 @@ Respond with ONLY the percentage number (no % symbol). If not found, respond wit
     }
 
     const validCandidates = filteredCandidates || candidates;
-    console.log(`🔍 ${metricName} candidates: ${validCandidates.map(c => `${c.value} (${c.method}, date: ${c.dateRelevance || 'unknown'})`).join(', ')}`);
+    this.log(`🔍 ${metricName} candidates: ${validCandidates.map(c => `${c.value} (${c.method}, date: ${c.dateRelevance || 'unknown'})`).join(', ')}`);
     return validCandidates;
   }
 
   // Extract a metric with explicit date context checking
   async extractMetricWithDateContext(documentText, prompt, metricName, valuationDate) {
     try {
-      const dateAwarePrompt = `${prompt}
-
-${valuationDate ? `CRITICAL: The valuation date is ${valuationDate}. ONLY extract values that are specifically for this date or "as of" this date. IGNORE:
-- Historical values from previous years
-- Projected/forecasted values for future years  
-- Values clearly marked as "prior year" or "projected"
-
-If you find a value, also mention what date context you found with it.` : ''}
-
-Respond with ONLY the number if found, or "NOT_FOUND" if no value exists for the valuation date.`;
+      const dateAwarePrompt = renderPrompt('validation.dateAware', {
+        prompt,
+        dateRestriction: valuationDate ? renderPrompt('validation.dateRestriction', { valuationDate }) : ''
+      });
 
       const optimizedContext = this.getOptimizedContext(documentText, metricName);
-      const response = await answerQuestion(dateAwarePrompt, optimizedContext);
+      const { value: parsedValue, text: response } = await this.askMetricValue(dateAwarePrompt, optimizedContext, metricName);
       
-      console.log(`📝 Date-aware response for ${metricName}: "${response}"`);
+      this.log(`📝 Date-aware response for ${metricName}: "${response}"`);
       
-      const parsedValue = this.parseMetricResponse(response, metricName);
       if (parsedValue === null) {
         return null;
       }
 
       // Filter out obvious per-share values for equity metrics
       if ((metricName === 'valueOfEquity' || metricName === 'enterpriseValue') && parsedValue < 1000) {
-        console.log(`⚠️ Filtered out likely per-share value for ${metricName}: ${parsedValue}`);
+        this.log(`⚠️ Filtered out likely per-share value for ${metricName}: ${parsedValue}`);
         return null;
       }
 
@@ -423,86 +394,22 @@ Respond with ONLY the number if found, or "NOT_FOUND" if no value exists for the
 
   // Targeted search with date awareness
   async extractTargetedWithDateContext(documentText, metricName, valuationDate) {
-    const targetPrompts = {
-      enterpriseValue: `Find the FINAL, CONCLUDED total business value ${valuationDate ? `as of ${valuationDate}` : 'for the valuation date'}. Look for:
-      
-1. Executive Summary - final valuation conclusion ${valuationDate ? `as of ${valuationDate}` : ''}
-2. Valuation Summary/Conclusion section  
-3. The definitive "Fair Market Value" ${valuationDate ? `as of ${valuationDate}` : ''}
-4. Final concluded business value (not historical or projected)
-
-${valuationDate ? `IMPORTANT: ONLY use values specifically labeled as "as of ${valuationDate}" or for the valuation date. Ignore historical data or projections.` : ''}
-
-Respond with ONLY the number, no explanation.`,
-      
-      valueOfEquity: `Find the FINAL, CONCLUDED TOTAL equity value ${valuationDate ? `as of ${valuationDate}` : 'for the valuation date'}. Look for:
-      
-1. Executive Summary - total equity value conclusion ${valuationDate ? `as of ${valuationDate}` : ''}
-2. "Fair Market Value of Equity" - TOTAL value ${valuationDate ? `as of ${valuationDate}` : ''}
-3. Final concluded total equity value (not historical or projected)
-4. Total value available to shareholders on the valuation date
-
-${valuationDate ? `IMPORTANT: ONLY use values specifically for ${valuationDate}. Ignore values from prior years or projections.` : ''}
-
-CRITICAL: Look for TOTAL equity value (typically millions of dollars, like 25000000). 
-DO NOT use per-share values (typically small numbers like 3.04 or 125.50).
-If you see a per-share value, look for the total equity value instead.
-
-Respond with ONLY the total number (like 25000000), no explanation.`,
-      
-      revenue: `Find the company's annual revenue ${valuationDate ? `for the year closest to ${valuationDate}` : 'for the most recent complete year before valuation'}. Look in:
-      
-1. Financial statements
-2. Income statement data for the relevant year
-3. Revenue figures used in the valuation analysis
-
-${valuationDate ? `Use revenue from the year that ends closest to ${valuationDate}. Do not use projected revenue.` : ''}
-
-Respond with ONLY the number, no explanation.`,
-      
-      ebitda: `Find the company's BASE YEAR or HISTORICAL EBITDA ${valuationDate ? `for the most recent complete year before ${valuationDate}` : 'for the most recent complete year'}. Look for:
-      
-1. Historical financial statements (NOT projections)
-2. Base year EBITDA used as starting point for valuation
-3. Most recent actual/historical EBITDA (not forecasted)
-4. Last twelve months (LTM) EBITDA if available
-
-${valuationDate ? `CRITICAL: Use actual historical EBITDA from the most recent complete year BEFORE ${valuationDate}. 
-IGNORE projected, forecasted, or estimated EBITDA for future periods.
-Look for terms like "base year", "historical", "actual", "LTM" (Last Twelve Months).` : ''}
-
-DO NOT use projected or forecasted EBITDA values.
-
-Respond with ONLY the historical number, no explanation.`,
-      
-      discountRate: `Find the discount rate used in this specific valuation ${valuationDate ? `as of ${valuationDate}` : ''}. Look in:
-      
-1. Valuation methodology section
-2. Current assumptions ${valuationDate ? `as of ${valuationDate}` : ''}
-3. Cost of capital analysis for this valuation
-
-This should be the rate used for THIS valuation, not historical rates.
-
-Respond with ONLY the percentage number, no explanation.`
-    };
-
-    const prompt = targetPrompts[metricName];
-    if (!prompt) {
+    const id = `validation.${metricName}.${valuationDate ? 'targetedAsOfDate' : 'targeted'}`;
+    if (!hasPrompt(id)) {
       return null;
     }
+    const prompt = renderPrompt(id, { valuationDate });
 
     try {
       const optimizedContext = this.getOptimizedContext(documentText, metricName);
-      const response = await answerQuestion(prompt, optimizedContext);
-      
-      const parsedValue = this.parseMetricResponse(response, metricName);
+      const { value: parsedValue, text: response } = await this.askMetricValue(prompt, optimizedContext, metricName);
       if (parsedValue === null) {
         return null;
       }
 
       // Filter out obvious per-share values for equity metrics
       if ((metricName === 'valueOfEquity' || metricName === 'enterpriseValue') && parsedValue < 1000) {
-        console.log(`⚠️ Filtered out likely per-share value for ${metricName}: ${parsedValue}`);
+        this.log(`⚠️ Filtered out likely per-share value for ${metricName}: ${parsedValue}`);
         return null;
       }
 
@@ -516,88 +423,22 @@ Respond with ONLY the percentage number, no explanation.`
       };
       
     } catch (error) {
-      console.log(`Targeted search with date context failed for ${metricName}: ${error.message}`);
+      this.log(`Targeted search with date context failed for ${metricName}: ${error.message}`);
       return null;
     }
   }
 
   // Targeted search for specific metrics in common document sections
   async extractWithTargetedSearch(documentText, metricName) {
-    const targetPrompts = {
-      enterpriseValue: `Find the FINAL, CONCLUDED total business value in this document. Look for:
-      
-1. Executive Summary - final valuation conclusion
-2. Valuation Summary/Conclusion section  
-3. The largest dollar figure representing total company worth
-4. Sections titled "Fair Market Value" or "Business Valuation"
-5. Summary tables with total values
-
-This should be the definitive answer to "What is this company worth in total?"
-
-Respond with ONLY the number (like 50000000), no explanation.`,
-      
-      valueOfEquity: `Find the FINAL, CONCLUDED TOTAL equity or shareholder value in this document. Look for:
-      
-1. Executive Summary - TOTAL equity value conclusion
-2. "Fair Market Value of Equity" sections - TOTAL value
-3. Total shareholder value (NOT per-share)
-4. Total value available to owners/shareholders
-5. Equity valuation summary - TOTAL amount
-
-This should be the definitive answer to "What is the equity worth in TOTAL?"
-
-CRITICAL: Look for TOTAL equity value (millions of dollars, like 22000000 or 45000000). 
-IGNORE per-share values (small numbers like 3.04, 125.50, etc).
-If you only see per-share values, respond with "NOT_FOUND".
-
-Respond with ONLY the total number (like 22000000), no explanation.`,
-      
-      revenue: `Find the company's most recent annual revenue/sales figure. Look in:
-      
-1. Financial statements or summaries
-2. Income statement data
-3. "Revenue" or "Sales" line items
-4. Financial highlights section
-
-Use the most recent full year's data.
-
-Respond with ONLY the number, no explanation.`,
-      
-      ebitda: `Find the company's BASE YEAR/HISTORICAL EBITDA (Earnings Before Interest, Taxes, Depreciation, Amortization). Look for:
-      
-1. Historical financial statements (NOT projections)
-2. "Base year EBITDA" or "Historical EBITDA"
-3. "Actual EBITDA" (not projected)
-4. Most recent completed year EBITDA
-5. LTM (Last Twelve Months) EBITDA
-
-CRITICAL: Find the HISTORICAL/ACTUAL EBITDA used as the base for valuation.
-DO NOT use projected, forecasted, or estimated future EBITDA.
-Look for the starting point EBITDA that valuations are built from.
-
-Respond with ONLY the historical number, no explanation.`,
-      
-      discountRate: `Find the discount rate used in the valuation. Look in:
-      
-1. Valuation methodology section
-2. Assumptions
-3. "Discount Rate", "WACC", or "Required Rate of Return"
-4. Cost of capital discussion
-
-This is usually expressed as a percentage.
-
-Respond with ONLY the percentage number (like 12.5), no explanation.`
-    };
-
-    if (!targetPrompts[metricName]) {
+    if (!hasPrompt(`validation.${metricName}.search`)) {
       return null;
     }
 
     try {
-      const response = await answerQuestion(targetPrompts[metricName], documentText);
-      return this.parseMetricResponse(response, metricName);
+      const { value } = await this.askMetricValue(renderPrompt(`validation.${metricName}.search`), documentText, metricName);
+      return value;
     } catch (error) {
-      console.log(`Targeted search failed for ${metricName}: ${error.message}`);
+      this.log(`Targeted search failed for ${metricName}: ${error.message}`);
       return null;
     }
   }
@@ -660,7 +501,7 @@ Respond with ONLY the percentage number (like 12.5), no explanation.`
       return candidates;
     }
 
-    console.log(`🗓️ Filtering ${candidates.length} candidates by date relevance to ${valuationDate}`);
+    this.log(`🗓️ Filtering ${candidates.length} candidates by date relevance to ${valuationDate}`);
     
     // First, try to keep only current and likely_current candidates
     const relevantCandidates = candidates.filter(candidate => 
@@ -668,12 +509,12 @@ Respond with ONLY the percentage number (like 12.5), no explanation.`
     );
     
     if (relevantCandidates.length > 0) {
-      console.log(`✅ Kept ${relevantCandidates.length} date-relevant candidates, filtered out ${candidates.length - relevantCandidates.length}`);
+      this.log(`✅ Kept ${relevantCandidates.length} date-relevant candidates, filtered out ${candidates.length - relevantCandidates.length}`);
       return relevantCandidates;
     }
     
     // If no clearly relevant candidates, keep all but mark the issue
-    console.log(`⚠️ No clearly date-relevant candidates found, keeping all with reduced confidence`);
+    this.log(`⚠️ No clearly date-relevant candidates found, keeping all with reduced confidence`);
     return candidates.map(candidate => ({
       ...candidate,
       confidence: candidate.confidence * 0.5, // Reduce confidence for date uncertainty
@@ -699,7 +540,7 @@ Respond with ONLY the percentage number (like 12.5), no explanation.`
         };
       } else {
         // Multiple candidates - need AI to choose
-        console.log(`🤔 Resolving conflict for ${metric}: ${candidateList.length} candidates`);
+        this.log(`🤔 Resolving conflict for ${metric}: ${candidateList.length} candidates`);
         const resolution = await this.resolveConflictWithAI(documentText, metric, candidateList);
         resolvedResults[metric] = resolution.chosenValue;
         resolutionDetails[metric] = {
@@ -720,34 +561,16 @@ Respond with ONLY the percentage number (like 12.5), no explanation.`
 
   // Use AI to choose between conflicting candidate values
   async resolveConflictWithAI(documentText, metricName, candidates) {
-    const conflictPrompt = `I found multiple potential values for ${metricName} in this ESOP valuation document:
-
-${candidates.map((candidate, index) => 
-  `Option ${index + 1}: ${candidate.value} (found via ${candidate.method}, confidence: ${candidate.confidence}, date relevance: ${candidate.dateRelevance || 'unknown'})`
-).join('\n')}
-
-Please analyze the document context and choose the MOST RELIABLE value. Consider:
-1. Date relevance: Strongly prefer values that are specifically for the valuation date (avoid historical or projected values)
-2. Authoritative sections: Executive summary, valuation conclusion sections are most reliable
-3. Context and supporting information around the value
-4. Consistency with the document's overall valuation narrative
-5. Values marked as "final", "concluded", or "as of [valuation date]"
-
-CRITICAL: If any candidate has dateRelevance of "historical_or_projected", only choose it if no other options exist.
-
-Respond in this exact format:
-CHOSEN_VALUE: [the number you selected]
-OPTION_NUMBER: [1, 2, 3, etc.]
-CONFIDENCE: [High/Medium/Low]
-REASON: [brief explanation focusing on date relevance and reliability]
-
-If none of the values seem reliable for the valuation date, respond with:
-CHOSEN_VALUE: NONE
-REASON: [explanation]`;
+    const conflictPrompt = renderPrompt('validation.conflict', {
+      metricName,
+      options: candidates.map((candidate, index) =>
+        `Option ${index + 1}: ${candidate.value} (found via ${candidate.method}, confidence: ${candidate.confidence}, date relevance: ${candidate.dateRelevance || 'unknown'})`
+      ).join('\n')
+    });
 
     try {
-      const response = await answerQuestion(conflictPrompt, documentText);
-      console.log(`🎯 Conflict resolution response for ${metricName}: ${response}`);
+      const response = await this.ask(conflictPrompt, documentText, 'conflictResolution');
+      this.log(`🎯 Conflict resolution response for ${metricName}: ${JSON.stringify(response)}`);
       
       const resolution = this.parseConflictResolution(response, candidates);
       return resolution;
@@ -768,48 +591,32 @@ REASON: [explanation]`;
     }
   }
 
-  // Parse AI conflict resolution response
+  // Candidate chosen by a conflictResolution answer; the option number wins
+  // over the value, which is matched to the closest candidate
   parseConflictResolution(response, candidates) {
-    const lines = response.split('\n');
-    let chosenValue = null;
-    let optionNumber = null;
-    let confidence = 'Medium';
-    let reason = 'AI selection';
+    const confidence = response.confidence || 'Medium';
+    const reason = response.reason || 'AI selection';
 
-    for (const line of lines) {
-      if (line.startsWith('CHOSEN_VALUE:')) {
-        const valueStr = line.replace('CHOSEN_VALUE:', '').trim();
-        if (valueStr === 'NONE') {
-          return {
-            chosenValue: null,
-            chosen: null,
-            reason: reason,
-            confidence: 'Low'
-          };
-        }
-        chosenValue = parseFloat(valueStr.replace(/[,$]/g, ''));
-      } else if (line.startsWith('OPTION_NUMBER:')) {
-        optionNumber = parseInt(line.replace('OPTION_NUMBER:', '').trim());
-      } else if (line.startsWith('CONFIDENCE:')) {
-        confidence = line.replace('CONFIDENCE:', '').trim();
-      } else if (line.startsWith('REASON:')) {
-        reason = line.replace('REASON:', '').trim();
-      }
+    if (!response.option && (response.value === null || response.value === undefined)) {
+      return {
+        chosenValue: null,
+        chosen: null,
+        reason,
+        confidence: 'Low'
+      };
     }
 
     // Find the chosen candidate
     let chosenCandidate = null;
-    if (optionNumber && optionNumber >= 1 && optionNumber <= candidates.length) {
-      chosenCandidate = candidates[optionNumber - 1];
-      chosenValue = chosenCandidate.value; // Use the exact value from the candidate
+    if (response.option && response.option <= candidates.length) {
+      chosenCandidate = candidates[response.option - 1];
     } else {
       // Find candidate with closest value
-      chosenCandidate = candidates.find(c => Math.abs(c.value - chosenValue) < 0.01) || candidates[0];
-      chosenValue = chosenCandidate.value;
+      chosenCandidate = candidates.find(c => Math.abs(c.value - response.value) < 0.01) || candidates[0];
     }
 
     return {
-      chosenValue,
+      chosenValue: chosenCandidate.value, // Use the exact value from the candidate
       chosen: chosenCandidate,
       reason,
       confidence
@@ -830,54 +637,10 @@ REASON: [explanation]`;
       return null;
     }
 
-    // Comprehensive number extraction patterns
-    const patterns = [
-      // Currency with units
-      /\$\s*([\d,]+(?:\.\d+)?)\s*(?:million|m)\b/gi,
-      /\$\s*([\d,]+(?:\.\d+)?)\s*(?:billion|b)\b/gi,
-      /([\d,]+(?:\.\d+)?)\s*(?:million|m)\s*(?:dollars?)?/gi,
-      /([\d,]+(?:\.\d+)?)\s*(?:billion|b)\s*(?:dollars?)?/gi,
-      // Currency without units
-      /\$\s*([\d,]+(?:\.\d+)?)\b/g,
-      // Percentages
-      /([\d,]+(?:\.\d+)?)%/g,
-      /([\d,]+(?:\.\d+)?)\s*percent/gi,
-      // Large numbers (could be unformatted)
-      /\b([\d,]{4,}(?:\.\d+)?)\b/g,
-      // Any number (fallback)
-      /\b([\d,]+(?:\.\d+)?)\b/g
-    ];
-
-    let bestMatch = null;
-    let bestValue = null;
-
-    for (const pattern of patterns) {
-      const matches = [...cleanResponse.matchAll(pattern)];
-      for (const match of matches) {
-        let value = parseFloat(match[1].replace(/,/g, ''));
-        const fullMatch = match[0].toLowerCase();
-        
-        // Apply multipliers
-        if (fullMatch.includes('million') || fullMatch.endsWith(' m') || fullMatch.includes(' m ')) {
-          value *= 1000000;
-        } else if (fullMatch.includes('billion') || fullMatch.endsWith(' b') || fullMatch.includes(' b ')) {
-          value *= 1000000000;
-        }
-        
-        if (!isNaN(value) && value >= 0) {
-          // Prefer matches with explicit units or currency symbols
-          const hasUnits = fullMatch.includes('million') || fullMatch.includes('billion') || fullMatch.includes('$');
-          const priority = hasUnits ? 2 : 1;
-          
-          if (!bestMatch || priority > (bestMatch.priority || 0)) {
-            bestMatch = { value, text: match[0], priority };
-            bestValue = value;
-          }
-        }
-      }
-    }
-
-    return bestValue;
+    // Units, "($ in thousands)" scales, bps and accounting negatives are
+    // handled by the shared normalizer
+    const value = parseAnswerNumber(response);
+    return value !== null && value >= 0 ? value : null;
   }
 
   // Cross-validate enterprise value and equity value with date awareness
@@ -891,7 +654,7 @@ REASON: [explanation]`;
 
     // First, extract the valuation date from the document
     const valuationDate = await this.extractValuationDate(documentText);
-    console.log(`📅 Valuation date identified: ${valuationDate || 'Not found'}`);
+    this.log(`📅 Valuation date identified: ${valuationDate || 'Not found'}`);
 
     // Check for temporal conflicts in extracted values
     const temporalValidation = await this.validateTemporalConsistency(documentText, currentResults, valuationDate);
@@ -903,16 +666,16 @@ REASON: [explanation]`;
       
       // If calculated debt is reasonable (positive and not too large)
       if (calculatedDebt > 0 && calculatedDebt < currentResults.enterpriseValue * 0.8) {
-        console.log(`✅ Cross-validation: Enterprise Value (${currentResults.enterpriseValue}) - Equity Value (${currentResults.valueOfEquity}) = Debt (${calculatedDebt})`);
+        this.log(`✅ Cross-validation: Enterprise Value (${currentResults.enterpriseValue}) - Equity Value (${currentResults.valueOfEquity}) = Debt (${calculatedDebt})`);
         validation.debtValue.corrected = calculatedDebt;
         validation.debtValue.reason = 'Calculated from Enterprise Value - Equity Value';
       } else if (calculatedDebt <= 0) {
         // If calculated debt is negative, one of the values is wrong
-        console.log(`⚠️ Cross-validation issue: Negative debt calculated (${calculatedDebt})`);
+        this.log(`⚠️ Cross-validation issue: Negative debt calculated (${calculatedDebt})`);
         
         // Use improved conflict resolution approach instead of re-extraction
         try {
-          console.log('🔍 Cross-validation failed, collecting alternative candidates...');
+          this.log('🔍 Cross-validation failed, collecting alternative candidates...');
           
           // Collect alternative candidates for both enterprise and equity values
           const enterpriseCandidates = await this.extractMetricCandidates(
@@ -947,31 +710,16 @@ REASON: [explanation]`;
           }
           
           // Use AI to resolve the conflict considering the mathematical relationship
-          const conflictPrompt = `I found a mathematical inconsistency in the ESOP valuation values:
-
-Current values create negative debt: Enterprise Value (${currentResults.enterpriseValue}) - Equity Value (${currentResults.valueOfEquity}) = ${calculatedDebt}
-
-I found these alternative candidates:
-
-ENTERPRISE VALUE options:
-${enterpriseCandidates.map((c, i) => `${i + 1}. ${c.value} (from ${c.method}, confidence: ${c.confidence})`).join('\n')}
-
-EQUITY VALUE options:
-${equityCandidates.map((c, i) => `${i + 1}. ${c.value} (from ${c.method}, confidence: ${c.confidence})`).join('\n')}
-
-Please choose the BEST COMBINATION that:
-1. Makes mathematical sense (Enterprise Value ≥ Equity Value)
-2. Has strong document support
-3. Is from authoritative sections
-${valuationDate ? `4. Is closest to the valuation date ${valuationDate}` : ''}
-
-Respond with:
-ENTERPRISE_OPTION: [option number]
-EQUITY_OPTION: [option number]
-CONFIDENCE: [High/Medium/Low]
-REASON: [why this combination is most reliable]`;
+          const conflictPrompt = renderPrompt('validation.conflictPair', {
+            enterpriseValue: currentResults.enterpriseValue,
+            valueOfEquity: currentResults.valueOfEquity,
+            calculatedDebt,
+            enterpriseOptions: enterpriseCandidates.map((c, i) => `${i + 1}. ${c.value} (from ${c.method}, confidence: ${c.confidence})`).join('\n'),
+            equityOptions: equityCandidates.map((c, i) => `${i + 1}. ${c.value} (from ${c.method}, confidence: ${c.confidence})`).join('\n'),
+            dateCriterion: valuationDate ? renderPrompt('validation.conflictPair.dateCriterion', { valuationDate }) : ''
+          });
 
-          const resolutionResponse = await answerQuestion(conflictPrompt, documentText);
+          const resolutionResponse = await this.ask(conflictPrompt, documentText, 'conflictPairResolution');
           const resolution = this.parseConflictResolutionPair(resolutionResponse, enterpriseCandidates, equityCandidates);
           
           if (resolution.enterpriseValue && resolution.equityValue) {
@@ -980,7 +728,7 @@ REASON: [why this combination is most reliable]`;
             validation.debtValue.corrected = resolution.enterpriseValue - resolution.equityValue;
             validation.enterpriseValue.reason = `Cross-validation conflict resolved via AI selection: ${resolution.reason}`;
             validation.valueOfEquity.reason = `Cross-validation conflict resolved via AI selection: ${resolution.reason}`;
-            console.log(`✅ Cross-validation resolved: Enterprise=${resolution.enterpriseValue}, Equity=${resolution.equityValue}`);
+            this.log(`✅ Cross-validation resolved: Enterprise=${resolution.enterpriseValue}, Equity=${resolution.equityValue}`);
           }
           
         } catch (error) {
@@ -995,21 +743,9 @@ REASON: [why this combination is most reliable]`;
   // Extract valuation date from document
   async extractValuationDate(documentText) {
     try {
-      const datePrompt = `Extract the valuation date from this ESOP valuation document.
-
-Look for terms like:
-- "Valuation Date"
-- "As of [date]"
-- "Effective Date"
-- "Report Date"
-- "Date of Valuation"
-
-The valuation date is typically mentioned in the executive summary, title page, or valuation conclusion.
+      const datePrompt = renderPrompt('validation.valuationDate');
 
-Respond with ONLY the date in MM/DD/YYYY format. If multiple dates are found, use the primary valuation date.
-If no clear valuation date is found, respond with "NOT_FOUND".`;
-
-      const response = await answerQuestion(datePrompt, documentText);
+      const response = (await this.ask(datePrompt, documentText, 'valuationDate')).date || '';
       const dateMatch = response.match(/(\d{1,2}\/\d{1,2}\/\d{4})/);
       
       if (dateMatch) {
@@ -1056,26 +792,15 @@ If no clear valuation date is found, respond with "NOT_FOUND".`;
     for (const metric of metricsToCheck) {
       if (currentResults[metric] !== null && currentResults[metric] !== undefined) {
         try {
-          const dateContextPrompt = `In this ESOP valuation document, find the date context for the ${metric} value of ${currentResults[metric]}.
-
-The valuation date is ${valuationDate}. 
-
-Look for:
-- What date is this ${metric} value "as of"?
-- Is this value from the valuation date, a historical period, or projected?
-- Any temporal qualifiers near this value (e.g., "as of", "for the year ended", "projected")
-
-Respond with:
-DATE_CONTEXT: [the specific date or period this value represents]
-TEMPORAL_RELATIONSHIP: [Same period/Historical/Projected relative to valuation date]
-CONFIDENCE: [High/Medium/Low]
-
-If no clear date context is found, respond with "NO_DATE_CONTEXT".`;
+          const dateContextPrompt = renderPrompt('validation.dateContext', {
+            metric,
+            value: currentResults[metric],
+            valuationDate
+          });
 
-          const response = await answerQuestion(dateContextPrompt, documentText);
-          const dateContext = this.parseDateContext(response);
+          const dateContext = await this.ask(dateContextPrompt, documentText, 'dateContext');
           
-          if (dateContext.dateContext && dateContext.dateContext !== 'NO_DATE_CONTEXT') {
+          if (dateContext.dateContext) {
             const proximityScore = this.calculateDateProximity(valuationDate, dateContext.dateContext);
             validation.dateProximityScores[metric] = {
               ...dateContext,
@@ -1096,28 +821,6 @@ If no clear date context is found, respond with "NO_DATE_CONTEXT".`;
     return validation;
   }
 
-  // Parse date context response
-  parseDateContext(response) {
-    const result = {
-      dateContext: null,
-      temporalRelationship: null,
-      confidence: null
-    };
-    
-    const lines = response.split('\n');
-    for (const line of lines) {
-      if (line.startsWith('DATE_CONTEXT:')) {
-        result.dateContext = line.replace('DATE_CONTEXT:', '').trim();
-      } else if (line.startsWith('TEMPORAL_RELATIONSHIP:')) {
-        result.temporalRelationship = line.replace('TEMPORAL_RELATIONSHIP:', '').trim();
-      } else if (line.startsWith('CONFIDENCE:')) {
-        result.confidence = line.replace('CONFIDENCE:', '').trim();
-      }
-    }
-    
-    return result;
-  }
-
   // Calculate date proximity score (1.0 = same date, 0.0 = very different)
   calculateDateProximity(valuationDate, contextDate) {
     try {
@@ -1140,43 +843,27 @@ If no clear date context is found, respond with "NO_DATE_CONTEXT".`;
     }
   }
 
-  // Parse AI conflict resolution for paired values (enterprise + equity)
+  // Values chosen by a conflictPairResolution answer
   parseConflictResolutionPair(response, enterpriseCandidates, equityCandidates) {
-    const lines = response.split('\n');
-    let enterpriseOption = null;
-    let equityOption = null;
-    let confidence = 'Medium';
-    let reason = 'AI pair selection';
-
-    for (const line of lines) {
-      if (line.startsWith('ENTERPRISE_OPTION:')) {
-        enterpriseOption = parseInt(line.replace('ENTERPRISE_OPTION:', '').trim());
-      } else if (line.startsWith('EQUITY_OPTION:')) {
-        equityOption = parseInt(line.replace('EQUITY_OPTION:', '').trim());
-      } else if (line.startsWith('CONFIDENCE:')) {
-        confidence = line.replace('CONFIDENCE:', '').trim();
-      } else if (line.startsWith('REASON:')) {
-        reason = line.replace('REASON:', '').trim();
-      }
-    }
+    const { enterpriseOption, equityOption } = response;
 
     // Validate and get the selected values
     let enterpriseValue = null;
     let equityValue = null;
 
-    if (enterpriseOption && enterpriseOption >= 1 && enterpriseOption <= enterpriseCandidates.length) {
+    if (enterpriseOption && enterpriseOption <= enterpriseCandidates.length) {
       enterpriseValue = enterpriseCandidates[enterpriseOption - 1].value;
     }
 
-    if (equityOption && equityOption >= 1 && equityOption <= equityCandidates.length) {
+    if (equityOption && equityOption <= equityCandidates.length) {
       equityValue = equityCandidates[equityOption - 1].value;
     }
 
     return {
       enterpriseValue,
       equityValue,
-      reason,
-      confidence
+      reason: response.reason || 'AI pair selection',
+      confidence: response.confidence || 'Medium'
     };
   }
 
@@ -1224,35 +911,78 @@ If no clear date context is found, respond with "NO_DATE_CONTEXT".`;
       revenueEbitdaRatio: null,
       ebitdaMargin: null,
       valuationMultiples: null,
+      perShareBridge: null,
+      approachReconciliation: null,
+      waccBuildUp: null,
+      taxAffecting: null,
+      industry: null,
+      ruleFindings: [],
       issues: []
     };
 
-    // Check EBITDA margin
-    if (currentResults.revenue && currentResults.ebitda) {
-      const ebitdaMargin = (currentResults.ebitda / currentResults.revenue) * 100;
-      validation.ebitdaMargin = ebitdaMargin;
-      
-      // Flag unusual margins
-      if (ebitdaMargin > 50) {
-        validation.issues.push('Unusually high EBITDA margin (>50%)');
-      } else if (ebitdaMargin < 5) {
-        validation.issues.push('Unusually low EBITDA margin (<5%)');
+    // Red-flag rules (margins, multiples, discount rates, ...) from the rules
+    // files, with thresholds for the report's industry
+    const rules = loadRules();
+    const industry = detectIndustry(documentText, rules.industries);
+    const facts = buildRuleFacts(currentResults);
+    validation.ebitdaMargin = facts.ebitdaMargin;
+    if (facts.evEbitdaMultiple !== null) {
+      validation.valuationMultiples = { evEbitdaMultiple: facts.evEbitdaMultiple };
+    }
+    validation.industry = industry;
+    validation.ruleFindings = evaluateRules(currentResults, { rules, industry });
+    validation.issues.push(...triggeredMessages(validation.ruleFindings));
+
+    // Check the marketable-to-nonmarketable per-share bridge
+    const perShareBridge = checkPerShareBridge({
+      marketableValuePerShare: currentResults.marketableValuePerShare,
+      nonMarketableValuePerShare: currentResults.valuationPerShare,
+      discountForLackOfMarketability: currentResults.discountForLackOfMarketability
+    });
+    if (perShareBridge) {
+      validation.perShareBridge = perShareBridge;
+      if (!perShareBridge.consistent) {
+        validation.issues.push(perShareBridge.issue);
       }
     }
 
-    // Check valuation multiples
-    if (currentResults.enterpriseValue && currentResults.ebitda) {
-      const evEbitdaMultiple = currentResults.enterpriseValue / currentResults.ebitda;
-      validation.valuationMultiples = { evEbitdaMultiple };
-      
-      // Flag unusual multiples
-      if (evEbitdaMultiple > 20) {
-        validation.issues.push('Unusually high EV/EBITDA multiple (>20x)');
-      } else if (evEbitdaMultiple < 3) {
-        validation.issues.push('Unusually low EV/EBITDA multiple (<3x)');
+    // Check that the weighted approach indications reconcile to enterprise value
+    const approachReconciliation = checkApproachReconciliation(
+      extractValuationApproaches(documentText),
+      currentResults.enterpriseValue
+    );
+    if (approachReconciliation) {
+      validation.approachReconciliation = approachReconciliation;
+      if (!approachReconciliation.consistent) {
+        validation.issues.push(approachReconciliation.issue);
       }
     }
 
+    // Recompute cost of equity and WACC from the report's build-up
+    const buildUp = extractWaccBuildUp(documentText);
+    const waccBuildUp = checkWaccBuildUp(buildUp, currentResults.discountRate);
+    if (waccBuildUp) {
+      validation.waccBuildUp = waccBuildUp;
+      validation.issues.push(...waccBuildUp.issues);
+    }
+
+    // Tax status and tax affecting, with enterprise value on the other basis
+    // at the multiple computed above
+    const taxAffecting = detectTaxAffecting(documentText);
+    if (taxAffecting.taxRate === null) taxAffecting.taxRate = buildUp.taxRate;
+    validation.taxAffecting = {
+      ...taxAffecting,
+      whatIf: taxAffectingWhatIf(taxAffecting, {
+        enterpriseValue: currentResults.enterpriseValue,
+        ebitda: currentResults.ebitda,
+        evEbitdaMultiple: validation.valuationMultiples?.evEbitdaMultiple ?? null
+      })
+    };
+    const taxIssue = taxAffectingIssue(taxAffecting);
+    if (taxIssue) {
+      validation.issues.push(taxIssue);
+    }
+
     return validation;
   }
 
@@ -1264,13 +994,13 @@ If no clear date context is found, respond with "NO_DATE_CONTEXT".`;
     for (const [metric, validation] of Object.entries(crossValidation)) {
       if (validation.corrected !== null) {
         correctedResults[metric] = validation.corrected;
-        console.log(`🔄 Corrected ${metric}: ${validation.original} → ${validation.corrected} (${validation.reason})`);
+        this.log(`🔄 Corrected ${metric}: ${validation.original} → ${validation.corrected} (${validation.reason})`);
       }
     }
 
     // If we have relationship validation issues, try to resolve them
     if (relationshipValidation.issues.length > 0) {
-      console.log(`⚠️ Financial relationship issues detected: ${relationshipValidation.issues.join(', ')}`);
+      this.log(`⚠️ Financial relationship issues detected: ${relationshipValidation.issues.join(', ')}`);
       
       // For now, we'll flag these but not auto-correct
       // In a production system, you might want to add more sophisticated correction logic
@@ -1279,60 +1009,23 @@ If no clear date context is found, respond with "NO_DATE_CONTEXT".`;
     return correctedResults;
   }
 
-  // Calculate confidence score with temporal consistency factors
-  calculateConfidence(results, crossValidation, relationshipValidation) {
-    let confidence = 0;
-    let totalChecks = 0;
-
-    // Check how many metrics we successfully extracted
-    const extractedMetrics = Object.values(results).filter(v => v !== null).length;
-    const totalMetrics = Object.keys(results).length;
-    confidence += (extractedMetrics / totalMetrics) * 0.3; // 30% weight
-    totalChecks++;
-
-    // Check cross-validation success
-    const crossValidationSuccess = Object.values(crossValidation).every(v => 
-      v.corrected === null || (v.corrected !== null && v.reason !== null)
-    );
-    if (crossValidationSuccess) {
-      confidence += 0.25; // 25% weight
-    }
-    totalChecks++;
-
-    // Check relationship validation
-    if (relationshipValidation.issues.length === 0) {
-      confidence += 0.25; // 25% weight
-    }
-    totalChecks++;
-
-    // Check temporal consistency (new factor)
-    if (crossValidation.temporalConsistency) {
-      const temporalIssues = crossValidation.temporalConsistency.issues.length;
-      const dateProximityScores = Object.values(crossValidation.temporalConsistency.dateProximityScores);
-      
-      if (temporalIssues === 0 && dateProximityScores.length > 0) {
-        const avgProximityScore = dateProximityScores.reduce((sum, score) => sum + score.proximityScore, 0) / dateProximityScores.length;
-        confidence += avgProximityScore * 0.2; // 20% weight based on date proximity
-      } else if (temporalIssues === 0) {
-        confidence += 0.15; // 15% weight if no temporal issues but no date context found
-      }
-      // No points added if there are temporal issues
-    }
-    totalChecks++;
-
-    return Math.round((confidence / totalChecks) * 100);
+  // Overall confidence as a percentage: the mean calibrated confidence of
+  // the values that were found
+  calculateConfidence(metricConfidence) {
+    const average = averageConfidence(Object.values(metricConfidence));
+    return average === null ? 0 : Math.round(average * 100);
   }
 
   // Main method to run enhanced validation
   async runEnhancedValidation(documentText) {
-    console.log('🚀 Running enhanced AI validation...');
+    this.log('🚀 Running enhanced AI validation...');
     
     try {
       const result = await this.extractMetricsWithValidation(documentText);
       
-      console.log('✅ Enhanced validation completed');
-      console.log('📊 Final metrics:', result.metrics);
-      console.log('🎯 Confidence:', result.confidence);
+      this.log('✅ Enhanced validation completed');
+      this.log('📊 Final metrics:', result.metrics);
+      this.log('🎯 Confidence:', result.confidence);
       
       return result;
     } catch (error) {
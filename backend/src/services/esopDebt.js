@@ -0,0 +1,311 @@
+import { findNumbers, scaleAt } from './numberNormalization.js';
+
+// ESOP acquisition debt and share release.
+//
+// A leveraged ESOP buys its shares with borrowed money: the company takes an
+// external loan from a bank (and often seller notes), then lends the proceeds
+// to the ESOP trust on an internal loan. The purchased shares sit unallocated
+// in a suspense account and are released to participants as the internal loan
+// is repaid. This module reads the loan terms and the allocated/suspense
+// share counts from the report and projects the release by year.
+//
+// Loan fields are flat in the `esopDebt` section: for each of externalLoan,
+// internalLoan and sellerNote, a Balance (USD), Rate (percentage points) and
+// TermYears.
+
+export const LOANS = ['externalLoan', 'internalLoan', 'sellerNote'];
+
+const LOAN_LABELS = {
+  externalLoan: /(?:external|outside|bank|senior|third[-\s]party)\s+(?:esop\s+)?(?:acquisition\s+)?(?:term\s+)?(?:loan|debt|credit\s+facility)/gi,
+  internalLoan: /(?:internal|inside|mirror|employer)\s+(?:esop\s+)?loan|\besop\s+(?:acquisition\s+)?loan|loan\s+from\s+the\s+company\s+to\s+the\s+(?:esop|trust)/gi,
+  sellerNote: /seller\s+(?:subordinated\s+)?(?:notes?|financing)|notes?\s+(?:payable\s+)?to\s+(?:the\s+)?(?:selling\s+shareholders?|sellers?)/gi
+};
+
+// Terms are read from the rest of the sentence after a loan label
+const TERMS_WINDOW = 200;
+const BALANCE_LOOKBACK = 60;
+
+const TERM_PATTERN = /(\d{1,2})[-\s]year|term\s+of\s+(\d{1,2})\s+years|over\s+(\d{1,2})\s+years|(\d{1,2})\s+years/i;
+
+const SHARE_PATTERNS = {
+  allocatedShares: [
+    /(?<!un)allocated\s+shares[^\d\n]{0,40}(\d[\d,]*)/i,
+    /(\d[\d,]*)\s+(?:shares\s+)?(?:have\s+been\s+|were\s+|are\s+)?allocated\s+to\s+participants/i,
+    /(\d[\d,]*)\s+(?<!un)allocated\s+shares/i
+  ],
+  unallocatedShares: [
+    /(?:unallocated|suspense)\s+(?:account\s+)?shares[^\d\n]{0,40}(\d[\d,]*)/i,
+    /(?:suspense\s+account|unreleased\s+shares)[^\d\n]{0,60}(\d[\d,]*)/i,
+    /(\d[\d,]*)\s+(?:unallocated|unreleased|suspense)\s+shares/i,
+    /(\d[\d,]*)\s+shares\s+(?:held\s+)?in\s+(?:the\s+)?suspense/i
+  ]
+};
+
+export const createEmptyEsopDebt = () => Object.fromEntries(
+  LOANS.flatMap(loan => [[`${loan}Balance`, null], [`${loan}Rate`, null], [`${loan}TermYears`, null]])
+);
+
+const sentenceAfter = (documentText, start) => {
+  const rest = documentText.substring(start, start + TERMS_WINDOW);
+  const end = rest.search(/\.\s|\n\s*\n/);
+  return end === -1 ? rest : rest.substring(0, end);
+};
+
+// "a $5.0 million seller note" states the amount just before the label
+const clauseBefore = (documentText, end) => {
+  const before = documentText.substring(Math.max(0, end - BALANCE_LOOKBACK), end);
+  const boundary = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n'), before.lastIndexOf(';'));
+  return { text: before.substring(boundary + 1), start: end - before.length + boundary + 1 };
+};
+
+const findAmount = (documentText, text, start) => {
+  const amount = findNumbers(text)
+    .find(number => number.kind === 'amount' && (number.hasUnit || number.hasCurrency) && Math.abs(number.value) >= 1000);
+  if (!amount) return null;
+  return amount.hasUnit ? amount.value : amount.value * scaleAt(documentText, start + amount.start);
+};
+
+const readTerms = (documentText, labelStart, labelEnd) => {
+  const window = sentenceAfter(documentText, labelEnd);
+  const rate = findNumbers(window).find(number => number.kind === 'percent');
+  const term = window.match(TERM_PATTERN);
+
+  const before = clauseBefore(documentText, labelStart);
+  return {
+    balance: findAmount(documentText, window, labelEnd) ?? findAmount(documentText, before.text, before.start),
+    rate: rate ? rate.value : null,
+    termYears: term ? parseInt(term.slice(1).find(Boolean), 10) : null
+  };
+};
+
+export const extractEsopDebt = (documentText) => {
+  const debt = createEmptyEsopDebt();
+  if (!documentText) return debt;
+
+  for (const loan of LOANS) {
+    // Each term comes from the first mention of the loan that states it
+    for (const match of documentText.matchAll(LOAN_LABELS[loan])) {
+      const terms = readTerms(documentText, match.index, match.index + match[0].length);
+      if (debt[`${loan}Balance`] === null && terms.balance !== null) debt[`${loan}Balance`] = terms.balance;
+      if (debt[`${loan}Rate`] === null && terms.rate !== null) debt[`${loan}Rate`] = terms.rate;
+      if (debt[`${loan}TermYears`] === null && terms.termYears !== null) debt[`${loan}TermYears`] = terms.termYears;
+    }
+  }
+
+  return debt;
+};
+
+// Allocated and suspense (unallocated) share counts
+export const extractShareAllocation = (documentText) => {
+  const allocation = { allocatedShares: null, unallocatedShares: null };
+  if (!documentText) return allocation;
+
+  for (const [field, patterns] of Object.entries(SHARE_PATTERNS)) {
+    for (const pattern of patterns) {
+      const match = documentText.match(pattern);
+      const value = match ? findNumbers(match[1])[0]?.value : undefined;
+      if (value > 0) {
+        allocation[field] = value;
+        break;
+      }
+    }
+  }
+
+  return allocation;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Level annual payment amortization. Rates are percentage points.
+export const amortizeLoan = ({ balance, rate = 0, termYears, startYear }) => {
+  // Payments are annual, so a term that rounds to no years is no term
+  const years = Math.round(termYears);
+  if (!(balance > 0) || !(years > 0)) return { error: 'A loan balance and term are required' };
+
+  const periodic = (rate || 0) / 100;
+  const payment = periodic === 0 ? balance / years : balance * periodic / (1 - (1 + periodic) ** -years);
+
+  const schedule = [];
+  let remaining = balance;
+  for (let index = 0; index < years; index++) {
+    const interest = remaining * periodic;
+    // The final payment clears any rounding left in the balance
+    const principal = index === years - 1 ? remaining : payment - interest;
+    schedule.push({
+      year: startYear + index,
+      beginningBalance: round(remaining),
+      payment: round(principal + interest),
+      interest: round(interest),
+      principal: round(principal),
+      endingBalance: round(remaining - principal)
+    });
+    remaining -= principal;
+  }
+
+  return { payment: round(payment), schedule };
+};
+
+export const RELEASE_METHODS = ['principalAndInterest', 'principalOnly'];
+
+// Suspense share release driven by the internal loan. Under the principal
+// and interest method each year releases the year's payment over all
+// remaining payments; under the principal-only method (allowed for loans of
+// ten years or less) it releases the year's principal over the balance.
+export const projectShareRelease = ({
+  balance,
+  rate = 0,
+  termYears,
+  unallocatedShares,
+  method = 'principalAndInterest',
+  startYear
+}) => {
+  if (!(unallocatedShares > 0)) return { error: 'No unallocated (suspense) shares were found' };
+  if (!RELEASE_METHODS.includes(method)) return { error: `Unknown release method: ${method}` };
+
+  const loan = amortizeLoan({ balance, rate, termYears, startYear });
+  if (loan.error) return loan;
+
+  const rows = loan.schedule;
+  let suspense = unallocatedShares;
+  let cumulative = 0;
+
+  const schedule = rows.map((row, index) => {
+    const remainingPayments = rows.slice(index).reduce((sum, future) => sum + future.payment, 0);
+    const fraction = method === 'principalOnly'
+      ? row.principal / row.beginningBalance
+      : row.payment / remainingPayments;
+
+    // Release everything left in the final year so rounding cannot strand shares
+    const released = index === rows.length - 1 ? suspense : suspense * fraction;
+    suspense -= released;
+    cumulative += released;
+
+    return {
+      ...row,
+      sharesReleased: round(released),
+      cumulativeReleased: round(cumulative),
+      suspenseShares: round(suspense)
+    };
+  });
+
+  return {
+    method,
+    annualPayment: loan.payment,
+    schedule,
+    notes: method === 'principalOnly' && termYears > 10
+      ? ['The principal-only method is only available for loans of ten years or less']
+      : []
+  };
+};
+
+const OVERRIDE_FIELDS = [...Object.keys(createEmptyEsopDebt()), 'allocatedShares', 'unallocatedShares', 'startYear'];
+
+// The analyst overrides that apply: numeric fields as numbers and a known
+// release method. Kept in the stored assumptions so that a recalculation
+// (after a new extraction run is promoted, say) can reapply them.
+export const shareReleaseOverrides = (overrides = {}) => {
+  const applied = {};
+  for (const field of OVERRIDE_FIELDS) {
+    const value = parseFloat(overrides[field]);
+    if (Number.isFinite(value)) applied[field] = value;
+  }
+  if (RELEASE_METHODS.includes(overrides.method)) applied.method = overrides.method;
+  return applied;
+};
+
+// Validate a share release recalculation body. Every field must be a loan or
+// share field with a numeric value or `method` naming a release method; null
+// clears the stored override for that field. Returns { error } or { overrides }.
+export const parseShareReleaseRequest = (body = {}) => {
+  const overrides = {};
+  for (const [field, value] of Object.entries(body || {})) {
+    if (field !== 'method' && !OVERRIDE_FIELDS.includes(field)) {
+      return { error: `${field} is not a share release assumption` };
+    }
+    if (value === null) {
+      overrides[field] = null;
+    } else if (field === 'method') {
+      if (!RELEASE_METHODS.includes(value)) return { error: `Unknown release method: ${value}` };
+      overrides.method = value;
+    } else {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `${field} must be a number, got ${JSON.stringify(value)}` };
+      }
+      overrides[field] = number;
+    }
+  }
+  return { overrides };
+};
+
+// Requested overrides merged over the stored ones, without the cleared fields
+export const mergeShareReleaseOverrides = (stored = {}, requested = {}) => Object.fromEntries(
+  Object.entries({ ...stored, ...requested }).filter(([, value]) => value !== null && value !== undefined)
+);
+
+// Loan terms and share release for one document. `storedMetrics` maps
+// metric_type to the stored metric_data; the report text fills any term the
+// extraction did not store, and `overrides` (flat esopDebt fields plus
+// unallocatedShares, method and startYear) win over both. Without stated
+// internal loan terms the internal loan is assumed to mirror the external one.
+export const buildShareReleaseAnalysis = (documentText, { valuationYear = null, storedMetrics = {}, overrides = {} } = {}) => {
+  const extracted = { ...extractEsopDebt(documentText), ...extractShareAllocation(documentText) };
+  const stored = { ...storedMetrics.esopDebt, ...storedMetrics.capitalStructure };
+  const applied = shareReleaseOverrides(overrides);
+
+  const pick = (field) => {
+    for (const source of [applied, stored, extracted]) {
+      const value = parseFloat(source[field]);
+      if (Number.isFinite(value)) return value;
+    }
+    return null;
+  };
+
+  const loanTerms = Object.fromEntries(Object.keys(createEmptyEsopDebt()).map(field => [field, pick(field)]));
+  const allocatedShares = pick('allocatedShares');
+  const unallocatedShares = pick('unallocatedShares');
+
+  const releaseLoan = loanTerms.internalLoanBalance !== null ? 'internalLoan' : 'externalLoan';
+  const startYear = pick('startYear') ?? (valuationYear !== null ? valuationYear + 1 : new Date().getUTCFullYear() + 1);
+  const assumptions = {
+    releaseLoan,
+    method: applied.method || 'principalAndInterest',
+    startYear,
+    overrides: applied
+  };
+
+  const loans = {};
+  for (const loan of LOANS) {
+    if (loanTerms[`${loan}Balance`] === null) continue;
+    loans[loan] = amortizeLoan({
+      balance: loanTerms[`${loan}Balance`],
+      rate: loanTerms[`${loan}Rate`],
+      termYears: loanTerms[`${loan}TermYears`],
+      startYear
+    });
+  }
+
+  const release = projectShareRelease({
+    balance: loanTerms[`${releaseLoan}Balance`],
+    rate: loanTerms[`${releaseLoan}Rate`],
+    termYears: loanTerms[`${releaseLoan}TermYears`],
+    unallocatedShares,
+    method: assumptions.method,
+    startYear
+  });
+
+  return {
+    loanTerms,
+    shares: { allocatedShares, unallocatedShares },
+    assumptions,
+    loans,
+    release
+  };
+};
+
+// Shape stored in esop_share_release: { loanTerms, assumptions, schedule }
+export const toShareReleaseRecord = (analysis) => ({
+  loanTerms: { ...analysis.loanTerms, ...analysis.shares },
+  assumptions: analysis.assumptions,
+  schedule: { loans: analysis.loans, release: analysis.release }
+});
@@ -0,0 +1,172 @@
+import { describePromptVersions } from './promptRegistry.js';
+
+// Versioned extraction runs.
+//
+// Every extraction of a document is kept as a run: the models that answered,
+// the prompt templates and their versions, the PDF parser and every metric value with its
+// confidence and provenance. One run per document is current; its metrics are
+// the ones in extracted_metrics. Re-extractions are stored as candidate runs,
+// so they can be diffed against the current run and reviewed for regressions
+// before they are promoted.
+
+export const RUN_SOURCES = ['upload', 'reextraction', 'autoValidation', 'aiMetrics'];
+
+// A drop larger than this in a field's confidence counts as a regression
+const CONFIDENCE_DROP = 0.1;
+
+// Distinct provider/model/tier combinations and how many completions each made
+export const summarizeLlmCalls = (calls) => {
+  const models = new Map();
+  for (const { operation, provider, model, tier } of calls) {
+    if (operation === 'embedding') continue;
+    const key = `${provider}:${model}:${tier}`;
+    const entry = models.get(key) || { provider, model, tier, calls: 0 };
+    entry.calls++;
+    models.set(key, entry);
+  }
+  return [...models.values()];
+};
+
+// { metricType: { data, confidence, provenance } } as stored on a run
+export const toRunMetrics = (metrics, { confidence = {}, provenance = {} } = {}) => Object.fromEntries(
+  Object.entries(metrics || {}).map(([metricType, data]) => [metricType, {
+    data,
+    confidence: confidence[metricType] ?? null,
+    provenance: provenance[metricType] || {}
+  }])
+);
+
+// Run metrics from extracted_metrics rows
+export const runMetricsFromRows = (rows) => Object.fromEntries(rows.map(row => [row.metric_type, {
+  data: row.metric_data,
+  confidence: row.confidence_score === null || row.confidence_score === undefined ? null : parseFloat(row.confidence_score),
+  provenance: row.provenance || {}
+}]));
+
+export const toRunSummary = (row) => ({
+  id: row.id,
+  documentId: row.document_id,
+  source: row.source,
+  isCurrent: row.is_current,
+  models: row.models || [],
+  promptVersion: row.prompt_version,
+  parser: row.parser,
+  createdAt: row.created_at,
+  promotedAt: row.promoted_at
+});
+
+// Store a run; with makeCurrent the document's previous current run is retired
+export const recordExtractionRun = async (client, documentId, { source, metrics, llmCalls = [], parser = null }, { makeCurrent = false } = {}) => {
+  if (makeCurrent) {
+    await client.query(
+      'UPDATE extraction_runs SET is_current = FALSE WHERE document_id = $1 AND is_current',
+      [documentId]
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO extraction_runs (document_id, source, is_current, models, prompt_version, parser, metrics, promoted_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, ${makeCurrent ? 'NOW()' : 'NULL'})
+     RETURNING id, document_id, source, is_current, models, prompt_version, parser, created_at, promoted_at`,
+    [documentId, source, makeCurrent, JSON.stringify(summarizeLlmCalls(llmCalls)), describePromptVersions(llmCalls), parser, JSON.stringify(metrics)]
+  );
+  return toRunSummary(result.rows[0]);
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '' || isNaN(Number(value))) return null;
+  return Number(value);
+};
+
+const sameValue = (a, b) => {
+  const first = toNumber(a);
+  const second = toNumber(b);
+  if (first !== null && second !== null) return Math.abs(first - second) < 1e-9;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const fieldConfidence = (metric, field) => metric?.provenance?.[field]?.confidence?.score ?? null;
+
+// Field-by-field differences between two runs' metrics. Values that
+// disappeared and values whose confidence dropped are flagged as regressions.
+export const diffRunMetrics = (baseMetrics, compareMetrics) => {
+  const changes = [];
+  let unchanged = 0;
+  const metricTypes = [...new Set([...Object.keys(baseMetrics || {}), ...Object.keys(compareMetrics || {})])].sort();
+
+  for (const metricType of metricTypes) {
+    const base = baseMetrics?.[metricType];
+    const compare = compareMetrics?.[metricType];
+    const fields = [...new Set([...Object.keys(base?.data || {}), ...Object.keys(compare?.data || {})])].sort();
+
+    for (const field of fields) {
+      const before = base?.data?.[field] ?? null;
+      const after = compare?.data?.[field] ?? null;
+      const confidenceBefore = fieldConfidence(base, field);
+      const confidenceAfter = fieldConfidence(compare, field);
+
+      let status;
+      if (isEmpty(before) && isEmpty(after)) {
+        unchanged++;
+        continue;
+      } else if (isEmpty(before)) {
+        status = 'added';
+      } else if (isEmpty(after)) {
+        status = 'removed';
+      } else if (!sameValue(before, after)) {
+        status = 'changed';
+      }
+
+      const confidenceDropped = confidenceBefore !== null && confidenceAfter !== null && confidenceBefore - confidenceAfter > CONFIDENCE_DROP;
+      if (!status && !confidenceDropped) {
+        unchanged++;
+        continue;
+      }
+
+      const change = {
+        path: `${metricType}.${field}`,
+        status: status || 'unchanged',
+        before,
+        after,
+        confidenceBefore,
+        confidenceAfter,
+        regression: status === 'removed' || confidenceDropped
+      };
+      const beforeNumber = toNumber(before);
+      const afterNumber = toNumber(after);
+      if (status === 'changed' && beforeNumber !== null && afterNumber !== null) {
+        change.difference = afterNumber - beforeNumber;
+        change.percentDifference = beforeNumber !== 0 ? Math.round((change.difference / Math.abs(beforeNumber)) * 10000) / 100 : null;
+      }
+      changes.push(change);
+    }
+  }
+
+  return {
+    changes,
+    summary: {
+      added: changes.filter(change => change.status === 'added').length,
+      removed: changes.filter(change => change.status === 'removed').length,
+      changed: changes.filter(change => change.status === 'changed').length,
+      unchanged,
+      regressions: changes.filter(change => change.regression).length
+    }
+  };
+};
+
+// Diff of two runs ({ summary fields, metrics }), with what differs in how
+// they were produced
+export const diffRuns = (base, compare) => {
+  const settings = ['promptVersion', 'parser', 'models'].filter(key => JSON.stringify(base[key]) !== JSON.stringify(compare[key]));
+  const { metrics: baseMetrics, ...baseRun } = base;
+  const { metrics: compareMetrics, ...compareRun } = compare;
+  return {
+    base: baseRun,
+    compare: compareRun,
+    settingsChanged: settings,
+    ...diffRunMetrics(baseMetrics, compareMetrics)
+  };
+};
@@ -1,8 +1,22 @@
 import { pool } from '../models/database.js';
 import { processPDF } from './pdfService.js';
-import { extractMetrics } from './openaiService.js';
+import { extractMetrics, extractReportMetadata } from './openaiService.js';
 import { extractComprehensiveMetrics } from './comprehensiveExtraction.js';
 import { enhancedAIValidation } from './enhancedAIValidation.js';
+import { buildMetricsProvenance, EXTRACTION_METHODS } from './provenance.js';
+import { checkPerShareBridge, checkApproachReconciliation, checkWaccBuildUp } from './valuationChecks.js';
+import { createEmptyApproaches } from './valuationApproaches.js';
+import { createEmptyEsopDebt, buildShareReleaseAnalysis, toShareReleaseRecord } from './esopDebt.js';
+import { detectTaxAffecting, taxAffectingWhatIf, taxAffectingIssue } from './taxAffecting.js';
+import { buildDilutionAnalysis } from './syntheticEquity.js';
+import { extractEbitdaAdjustments, ebitdaBridgeIssues } from './ebitdaAdjustments.js';
+import { loadRules, detectIndustry, evaluateRules } from './ruleEngine.js';
+import { getOverrideHistory, activeOverrides, applyOverrides } from './metricOverrides.js';
+import { confidenceSignals, scoreConfidence, averageConfidence } from './confidence.js';
+import { withLlmCallLog, currentLlmCalls, withLlmBudget, currentLlmBudget } from './llmService.js';
+import { recordLlmUsage } from './llmUsage.js';
+import { DEFAULT_TENANT_ID, loadBudget, describeBudget } from './llmBudget.js';
+import { toRunMetrics, recordExtractionRun } from './extractionRuns.js';
 import { v4 as uuidv4 } from 'uuid';
 
 class JobService {
@@ -10,21 +24,23 @@ class JobService {
     this.activeJobs = new Map();
   }
 
-  async createJob(filename, filePath) {
+  async createJob(filename, filePath, { tenantId = DEFAULT_TENANT_ID } = {}) {
     const jobId = uuidv4();
     
     const client = await pool.connect();
     try {
+      const budget = await loadBudget(client, { jobId, tenantId });
       await client.query(
-        'INSERT INTO processing_jobs (id, filename, file_path, status, progress_message) VALUES ($1, $2, $3, $4, $5)',
-        [jobId, filename, filePath, 'pending', 'Job created, starting processing...']
+        'INSERT INTO processing_jobs (id, filename, file_path, status, progress_message, tenant_id) VALUES ($1, $2, $3, $4, $5, $6)',
+        [jobId, filename, filePath, 'pending', 'Job created, starting processing...', tenantId]
       );
       
       // Start processing in background (don't await)
-      this.processJob(jobId).catch(error => {
+      const llmCalls = [];
+      withLlmBudget(budget, () => withLlmCallLog(() => this.processJob(jobId), llmCalls)).catch(error => {
         console.error(`Background job ${jobId} failed:`, error);
         this.updateJobStatus(jobId, 'failed', null, error.message);
-      });
+      }).finally(() => this.recordJobLlmUsage(jobId, 'upload', llmCalls, budget));
       
       return jobId;
     } finally {
@@ -32,7 +48,43 @@ class JobService {
     }
   }
 
-  async processJob(jobId) {
+  // Re-run extraction on a processed document, e.g. after a prompt or model
+  // update. The result is stored as a candidate run and only replaces the
+  // document's metrics once it is promoted. Returns null for unknown documents.
+  async createReextractionJob(documentId) {
+    const jobId = uuidv4();
+    
+    const client = await pool.connect();
+    try {
+      const document = await client.query(
+        'SELECT filename, file_path FROM documents WHERE id = $1',
+        [documentId]
+      );
+      if (document.rows.length === 0) {
+        return null;
+      }
+      
+      const budget = await loadBudget(client, { documentId, jobId });
+      await client.query(
+        'INSERT INTO processing_jobs (id, filename, file_path, status, progress_message, document_id, tenant_id) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+        [jobId, document.rows[0].filename, document.rows[0].file_path, 'pending', 'Re-extraction job created...', documentId, budget.tenantId]
+      );
+      
+      const llmCalls = [];
+      withLlmBudget(budget, () => withLlmCallLog(() => this.processJob(jobId, { documentId }), llmCalls)).catch(error => {
+        console.error(`Background re-extraction job ${jobId} failed:`, error);
+        this.updateJobStatus(jobId, 'failed', null, error.message);
+      }).finally(() => this.recordJobLlmUsage(jobId, 'reextraction', llmCalls, budget));
+      
+      return jobId;
+    } finally {
+      client.release();
+    }
+  }
+
+  // With `documentId` the PDF is not processed again and the extraction is
+  // recorded as a candidate run instead of replacing the current metrics
+  async processJob(jobId, { documentId = null } = {}) {
     if (process.env.NODE_ENV === 'development') {
       console.log(`🚀 Starting background processing for job ${jobId}`);
     }
@@ -47,11 +99,12 @@ class JobService {
         throw new Error('Job not found');
       }
 
-      // Update status to processing
-      await this.updateJobStatus(jobId, 'processing', 'Processing PDF with Reducto AI...');
-
-      // Process the PDF
-      const pdfResult = await processPDF(job.file_path, job.filename);
+      // Process the PDF, unless this re-extracts an existing document
+      let pdfResult = { documentId };
+      if (!documentId) {
+        await this.updateJobStatus(jobId, 'processing', 'Processing PDF with Reducto AI...');
+        pdfResult = await processPDF(job.file_path, job.filename);
+      }
       
       // Update status
       await this.updateJobStatus(jobId, 'processing', 'Extracting financial metrics...', pdfResult.documentId);
@@ -59,13 +112,45 @@ class JobService {
       // Extract metrics
       const client = await pool.connect();
       try {
+        // A new document belongs to the tenant that uploaded it
+        if (!documentId) {
+          await client.query(
+            'UPDATE documents SET tenant_id = $2 WHERE id = $1',
+            [pdfResult.documentId, job.tenant_id]
+          );
+        }
+        
         const document = await client.query(
           'SELECT * FROM documents WHERE id = $1',
           [pdfResult.documentId]
         );
-        
+
+        // Engagement metadata for the documents list. A re-extraction only
+        // fills it in for documents processed before it was extracted.
+        if (document.rows[0]?.content_text && (!documentId || !document.rows[0].metadata?.report)) {
+          await this.updateJobStatus(jobId, 'processing', 'Reading the report engagement details...');
+          try {
+            const report = await extractReportMetadata(document.rows[0].content_text, {
+              pageOffsets: document.rows[0].metadata?.pageOffsets
+            });
+            await client.query(
+              `UPDATE documents SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('report', $2::jsonb)
+               WHERE id = $1`,
+              [pdfResult.documentId, JSON.stringify(report)]
+            );
+          } catch (metadataError) {
+            console.warn('Report metadata extraction failed:', metadataError.message);
+          }
+        }
+
         if (document.rows[0]?.content_text) {
           let finalMetrics = null;
+          let baseMethod = null;
+          let enhancedStandard = null;
+          let enhancedSources = {};
+          let relationshipValidation = null;
+          // What each extractor returned, for confidence scoring
+          const extractorResults = { regex: null, extractMetrics: null, enhanced: null };
           
           try {
             // Step 1: Start with standard AI extraction as the base
@@ -74,6 +159,7 @@ class JobService {
             }
             await this.updateJobStatus(jobId, 'processing', 'Running standard AI extraction...');
             const aiMetrics = await extractMetrics(document.rows[0].content_text);
+            extractorResults.extractMetrics = aiMetrics;
             
             let baseMetrics = null;
             if (aiMetrics && this.hasValidMetrics(aiMetrics)) {
@@ -81,6 +167,7 @@ class JobService {
                 console.log('✅ Standard AI extraction successful');
               }
               baseMetrics = aiMetrics;
+              baseMethod = EXTRACTION_METHODS.EXTRACT_METRICS;
             } else {
               if (process.env.NODE_ENV === 'development') {
                 console.log('⚠️ Standard AI extraction failed, trying comprehensive fallback...');
@@ -89,12 +176,14 @@ class JobService {
               
               // Use comprehensive extraction as fallback
               const comprehensiveMetrics = extractComprehensiveMetrics(document.rows[0].content_text);
+              extractorResults.regex = comprehensiveMetrics;
               
               if (comprehensiveMetrics && this.hasValidMetrics(comprehensiveMetrics)) {
                 if (process.env.NODE_ENV === 'development') {
                   console.log('✅ Comprehensive extraction successful');
                 }
                 baseMetrics = comprehensiveMetrics;
+                baseMethod = EXTRACTION_METHODS.REGEX;
               } else {
                 if (process.env.NODE_ENV === 'development') {
                   console.log('⚠️ Standard and comprehensive extraction failed, creating base structure...');
@@ -119,7 +208,10 @@ class JobService {
                 }
                 
                 // MERGE enhanced metrics with base metrics (enhanced only replaces NULL values)
-                const enhancedStandard = this.convertEnhancedMetricsToStandard(enhancedResult.metrics);
+                enhancedStandard = this.convertEnhancedMetricsToStandard(enhancedResult.metrics);
+                enhancedSources = enhancedResult.sources || {};
+                extractorResults.enhanced = enhancedResult;
+                relationshipValidation = enhancedResult.validation?.relationshipValidation || null;
                 finalMetrics = this.mergeMetricsIntelligently(baseMetrics, enhancedStandard);
                 if (process.env.NODE_ENV === 'development') {
                   console.log('🔄 Merged enhanced validation with base metrics');
@@ -135,22 +227,198 @@ class JobService {
               finalMetrics = baseMetrics;
             }
             
-            // Store the final metrics
+            // Check the marketable-to-nonmarketable per-share bridge against the stated DLOM
+            if (finalMetrics?.discountsAndPremiums) {
+              const perShareBridge = checkPerShareBridge({
+                marketableValuePerShare: finalMetrics.discountsAndPremiums.marketableValuePerShare,
+                nonMarketableValuePerShare: finalMetrics.valuationPerShare?.currentValue,
+                discountForLackOfMarketability: finalMetrics.discountsAndPremiums.discountForLackOfMarketability
+              });
+              finalMetrics.discountsAndPremiums.perShareBridge = perShareBridge;
+              if (perShareBridge && !perShareBridge.consistent) {
+                console.warn(`⚠️ ${perShareBridge.issue}`);
+              }
+            }
+
+            // Check that the weighted approach indications reconcile to the concluded value
+            if (finalMetrics?.valuationApproaches) {
+              const reconciliation = checkApproachReconciliation(
+                finalMetrics.valuationApproaches,
+                finalMetrics.enterpriseValue?.currentValue
+              );
+              finalMetrics.valuationApproaches.reconciliation = reconciliation;
+              if (reconciliation && !reconciliation.consistent) {
+                console.warn(`⚠️ ${reconciliation.issue}`);
+              }
+            }
+
+            // Recompute cost of equity and WACC from the reported build-up
+            if (finalMetrics?.discountRates) {
+              const waccCheck = checkWaccBuildUp(
+                finalMetrics.discountRates,
+                finalMetrics.discountRates.discountRate ?? finalMetrics.keyFinancials?.weightedAverageCostOfCapital
+              );
+              finalMetrics.discountRates.waccCheck = waccCheck;
+              waccCheck?.issues.forEach(issue => console.warn(`⚠️ ${issue}`));
+            }
+
+            // Tax status and tax affecting: the report text fills what extraction
+            // left empty and quotes the sentence behind each conclusion
             if (finalMetrics) {
-              for (const [metricType, metricData] of Object.entries(finalMetrics)) {
-                await client.query(
-                  'INSERT INTO extracted_metrics (document_id, metric_type, metric_data) VALUES ($1, $2, $3)',
-                  [pdfResult.documentId, metricType, metricData]
-                );
+              const detected = detectTaxAffecting(document.rows[0].content_text);
+              const taxAffecting = { ...detected, evidence: {} };
+              for (const [field, value] of Object.entries(finalMetrics.taxAffecting || {})) {
+                if (value !== null && value !== undefined && field !== 'evidence') taxAffecting[field] = value;
               }
-              if (process.env.NODE_ENV === 'development') {
-                console.log(`📊 Stored ${Object.keys(finalMetrics).length} metric types for document ${pdfResult.documentId}`);
+              for (const [field, sentence] of Object.entries(detected.evidence)) {
+                if (taxAffecting[field] === detected[field]) taxAffecting.evidence[field] = sentence;
+              }
+              if (taxAffecting.taxRate === null) {
+                taxAffecting.taxRate = finalMetrics.discountRates?.taxRate ?? null;
+              }
+
+              // Enterprise value on the other basis, at the EV/EBITDA multiple
+              // enhanced validation computed when it ran
+              taxAffecting.whatIf = taxAffectingWhatIf(taxAffecting, {
+                enterpriseValue: finalMetrics.enterpriseValue?.currentValue,
+                ebitda: finalMetrics.keyFinancials?.ebitda,
+                evEbitdaMultiple: relationshipValidation?.valuationMultiples?.evEbitdaMultiple ?? finalMetrics.valuationMultiples?.ebitdaMultiple ?? null
+              });
+              finalMetrics.taxAffecting = taxAffecting;
+
+              const taxIssue = taxAffectingIssue(taxAffecting);
+              if (taxIssue) {
+                console.warn(`⚠️ ${taxIssue}`);
+              }
+            }
+
+            // An analyst's overrides of a re-extracted document still apply to
+            // the calculations below
+            const overrides = activeOverrides(await getOverrideHistory(client, pdfResult.documentId));
+
+            // Warrants, SARs and phantom stock, and the fully-diluted per-share
+            // value next to the reported one
+            if (finalMetrics?.valuationPerShare) {
+              const { instruments, statedFullyDiluted, fullyDilutedShares, ...dilution } = buildDilutionAnalysis(document.rows[0].content_text, {
+                pageOffsets: document.rows[0].metadata?.pageOffsets,
+                storedMetrics: applyOverrides(finalMetrics, overrides)
+              });
+              finalMetrics.syntheticEquity = { instruments, statedFullyDiluted, fullyDilutedShares };
+              finalMetrics.valuationPerShare.fullyDiluted = dilution.diluted ? dilution : null;
+              if (dilution.issue) {
+                console.warn(`⚠️ ${dilution.issue}`);
+              }
+            }
+
+            // The reported-to-adjusted EBITDA bridge, one entry per fiscal period
+            if (finalMetrics) {
+              const valuationYear = finalMetrics.valuationDate?.date ? new Date(finalMetrics.valuationDate.date).getUTCFullYear() : null;
+              finalMetrics.ebitdaAdjustments = extractEbitdaAdjustments(document.rows[0].content_text, {
+                pageOffsets: document.rows[0].metadata?.pageOffsets,
+                valuationYear: Number.isFinite(valuationYear) ? valuationYear : null
+              });
+              ebitdaBridgeIssues(finalMetrics.ebitdaAdjustments).forEach(issue => console.warn(`⚠️ ${issue}`));
+            }
+
+            // Store the final metrics with where each value came from
+            if (finalMetrics) {
+              const provenance = buildMetricsProvenance(finalMetrics, {
+                documentText: document.rows[0].content_text,
+                pageOffsets: document.rows[0].metadata?.pageOffsets,
+                methodFor: (section, field) => {
+                  // Enhanced values win the merge whenever they are present
+                  const enhancedValue = enhancedStandard?.[section]?.[field];
+                  if (enhancedValue !== null && enhancedValue !== undefined) {
+                    const enhancedMetric = this.getEnhancedMetricName(section, field);
+                    return enhancedSources[enhancedMetric]?.method || EXTRACTION_METHODS.EXTRACT_SINGLE_METRIC;
+                  }
+                  return baseMethod;
+                }
+              });
+              
+              // The regex patterns vote on agreement even when extractMetrics succeeded
+              extractorResults.regex = extractorResults.regex || extractComprehensiveMetrics(document.rows[0].content_text);
+              const confidenceScores = this.scoreMetricsConfidence(finalMetrics, provenance, extractorResults);
+              
+              // Keep every extraction as a run. A re-extraction stays a candidate
+              // until it is promoted, so it leaves the current metrics alone.
+              const run = await recordExtractionRun(client, pdfResult.documentId, {
+                source: documentId ? 'reextraction' : 'upload',
+                metrics: toRunMetrics(finalMetrics, { confidence: confidenceScores, provenance }),
+                llmCalls: currentLlmCalls(),
+                parser: document.rows[0].metadata?.parseMethod ?? null
+              }, { makeCurrent: !documentId });
+              
+              if (!run.isCurrent) {
+                if (process.env.NODE_ENV === 'development') {
+                  console.log(`📋 Stored candidate extraction run ${run.id} for document ${pdfResult.documentId}`);
+                }
+              } else {
+                for (const [metricType, metricData] of Object.entries(finalMetrics)) {
+                  await client.query(
+                    'INSERT INTO extracted_metrics (document_id, metric_type, metric_data, confidence_score, provenance) VALUES ($1, $2, $3, $4, $5)',
+                    [pdfResult.documentId, metricType, metricData, confidenceScores[metricType] ?? 0, provenance[metricType] || {}]
+                  );
+                }
+                if (process.env.NODE_ENV === 'development') {
+                  console.log(`📊 Stored ${Object.keys(finalMetrics).length} metric types for document ${pdfResult.documentId}`);
+                }
+
+                // Project the suspense share release from the ESOP loan terms,
+                // keeping any loan terms an analyst entered for the document
+                try {
+                  const valuationYear = finalMetrics.valuationDate?.date ? new Date(finalMetrics.valuationDate.date).getUTCFullYear() : null;
+                  const storedRelease = await client.query(
+                    'SELECT assumptions FROM esop_share_release WHERE document_id = $1',
+                    [pdfResult.documentId]
+                  );
+                  const shareRelease = buildShareReleaseAnalysis(document.rows[0].content_text, {
+                    valuationYear: Number.isFinite(valuationYear) ? valuationYear : null,
+                    storedMetrics: applyOverrides(finalMetrics, overrides),
+                    overrides: storedRelease.rows[0]?.assumptions?.overrides || {}
+                  });
+                  if (!shareRelease.release.error) {
+                    const record = toShareReleaseRecord(shareRelease);
+                    await client.query(
+                      `INSERT INTO esop_share_release (document_id, loan_terms, assumptions, schedule, calculated_at)
+                       VALUES ($1, $2, $3, $4, NOW())
+                       ON CONFLICT (document_id) DO UPDATE SET
+                       loan_terms = $2, assumptions = $3, schedule = $4, calculated_at = NOW()`,
+                      [pdfResult.documentId, record.loanTerms, record.assumptions, record.schedule]
+                    );
+                  }
+                } catch (releaseError) {
+                  console.warn('Share release projection failed:', releaseError.message);
+                }
+
+                // Evaluate the red-flag rules over the final metrics and store the findings
+                try {
+                  const rules = loadRules();
+                  const industry = relationshipValidation?.industry ?? detectIndustry(document.rows[0].content_text, rules.industries);
+                  const findings = evaluateRules(applyOverrides(finalMetrics, overrides), { rules, industry });
+                  findings
+                    .filter(finding => finding.triggered)
+                    .forEach(finding => console.warn(`⚠️ ${finding.message}`));
+                  await client.query(
+                    `INSERT INTO rule_findings (document_id, rules_version, industry, findings, evaluated_at)
+                     VALUES ($1, $2, $3, $4, NOW())
+                     ON CONFLICT (document_id) DO UPDATE SET
+                     rules_version = $2, industry = $3, findings = $4, evaluated_at = NOW()`,
+                    [pdfResult.documentId, rules.version, industry, JSON.stringify(findings)]
+                  );
+                } catch (rulesError) {
+                  console.warn('Financial rule evaluation failed:', rulesError.message);
+                }
               }
             }
             
           } catch (metricsError) {
             console.warn('All metrics extraction methods failed:', metricsError.message);
-            // Continue without metrics but store empty structure for consistency
+            // Continue without metrics but store empty structure for consistency;
+            // a failed re-extraction leaves the current metrics as they are
+            if (documentId) {
+              throw metricsError;
+            }
             const emptyMetrics = this.createEmptyMetricsStructure();
             for (const [metricType, metricData] of Object.entries(emptyMetrics)) {
               await client.query(
@@ -186,6 +454,25 @@ class JobService {
     }
   }
 
+  // Store a job's LLM calls against the document it processed and its final
+  // budget usage; a failed upload has no document and keeps only the job id
+  async recordJobLlmUsage(jobId, source, calls, budget = null) {
+    if (calls.length === 0) return;
+
+    const client = await pool.connect();
+    try {
+      const job = await client.query('SELECT document_id FROM processing_jobs WHERE id = $1', [jobId]);
+      await recordLlmUsage(client, job.rows[0]?.document_id || null, calls, { source, jobId, tenantId: budget?.tenantId ?? null });
+      if (budget) {
+        await client.query('UPDATE processing_jobs SET llm_budget = $2 WHERE id = $1', [jobId, JSON.stringify(describeBudget(budget))]);
+      }
+    } catch (error) {
+      console.warn(`Recording LLM usage for job ${jobId} failed:`, error.message);
+    } finally {
+      client.release();
+    }
+  }
+
   async updateJobStatus(jobId, status, progressMessage = null, documentId = null, errorMessage = null) {
     const client = await pool.connect();
     try {
@@ -211,6 +498,14 @@ class JobService {
         paramIndex++;
       }
 
+      // Budget usage so far, while the job runs
+      const budget = currentLlmBudget();
+      if (budget) {
+        updates.push(`llm_budget = $${paramIndex}`);
+        params.push(JSON.stringify(describeBudget(budget)));
+        paramIndex++;
+      }
+
       if (status === 'completed') {
         updates.push('completed_at = NOW()');
       }
@@ -248,6 +543,7 @@ class JobService {
       progressMessage: job.progress_message,
       documentId: job.document_id,
       errorMessage: job.error_message,
+      llmBudget: job.llm_budget || null,
       createdAt: job.created_at,
       completedAt: job.completed_at
     };
@@ -389,10 +685,69 @@ class JobService {
       valuationMultiples: { 
         revenueMultiple: null, 
         ebitdaMultiple: null 
+      },
+      discountsAndPremiums: {
+        discountForLackOfMarketability: enhancedMetrics.discountForLackOfMarketability,
+        controlPremium: enhancedMetrics.controlPremium,
+        minorityDiscount: enhancedMetrics.minorityDiscount,
+        marketableValuePerShare: enhancedMetrics.marketableValuePerShare
       }
     };
   }
   
+  // Calibrated confidence for every located value, added to its provenance
+  // record. Returns the average per section for extracted_metrics.confidence_score.
+  scoreMetricsConfidence(finalMetrics, provenance, { regex, extractMetrics, enhanced }) {
+    const sectionScores = {};
+    
+    for (const [section, fields] of Object.entries(provenance)) {
+      const results = [];
+      for (const [field, record] of Object.entries(fields)) {
+        const value = finalMetrics[section]?.[field];
+        if (typeof value !== 'number') continue;
+        
+        const enhancedMetric = this.getEnhancedMetricName(section, field);
+        record.confidence = scoreConfidence(confidenceSignals(value, {
+          extracted: {
+            regex: regex?.[section]?.[field],
+            extractMetrics: extractMetrics?.[section]?.[field],
+            extractSingleMetric: enhancedMetric ? enhanced?.metrics?.[enhancedMetric] : null
+          },
+          candidates: enhancedMetric ? (enhanced?.validation?.candidates?.[enhancedMetric] || []).map(candidate => candidate.value) : [],
+          hasSource: Boolean(record.snippet),
+          crossValidation: enhancedMetric ? enhancedAIValidation.crossValidationStatus(enhancedMetric, enhanced?.validation?.crossValidation) : null
+        }));
+        results.push(record.confidence);
+      }
+      sectionScores[section] = averageConfidence(results);
+    }
+    
+    return sectionScores;
+  }
+  
+  // Name of the enhanced validation metric behind a standard-format field
+  // (inverse of convertEnhancedMetricsToStandard)
+  getEnhancedMetricName(section, field) {
+    const fieldMap = {
+      'enterpriseValue.currentValue': 'enterpriseValue',
+      'companyValuation.totalValue': 'enterpriseValue',
+      'valueOfEquity.currentValue': 'valueOfEquity',
+      'valuationPerShare.currentValue': 'valuationPerShare',
+      'companyValuation.perShareValue': 'valuationPerShare',
+      'keyFinancials.revenue': 'revenue',
+      'keyFinancials.ebitda': 'ebitda',
+      'keyFinancials.weightedAverageCostOfCapital': 'discountRate',
+      'discountRates.discountRate': 'discountRate',
+      'capitalStructure.totalShares': 'totalShares',
+      'capitalStructure.esopPercentage': 'esopPercentage',
+      'discountsAndPremiums.discountForLackOfMarketability': 'discountForLackOfMarketability',
+      'discountsAndPremiums.controlPremium': 'controlPremium',
+      'discountsAndPremiums.minorityDiscount': 'minorityDiscount',
+      'discountsAndPremiums.marketableValuePerShare': 'marketableValuePerShare'
+    };
+    return fieldMap[`${section}.${field}`] || null;
+  }
+
   // Helper to safely get nested object values
   getNestedValue(obj, path) {
     return path.split('.').reduce((current, key) => {
@@ -408,9 +763,15 @@ class JobService {
       valuationPerShare: { currentValue: null, previousValue: null, currency: "USD" },
       keyFinancials: { revenue: null, ebitda: null, weightedAverageCostOfCapital: null },
       companyValuation: { totalValue: null, perShareValue: null, currency: "USD" },
-      discountRates: { discountRate: null, riskFreeRate: null, marketRiskPremium: null },
-      capitalStructure: { totalShares: null, esopShares: null, esopPercentage: null },
-      valuationMultiples: { revenueMultiple: null, ebitdaMultiple: null }
+      discountRates: { discountRate: null, riskFreeRate: null, marketRiskPremium: null, beta: null, sizePremium: null, companySpecificRisk: null, costOfEquity: null, costOfDebt: null, taxRate: null, equityWeight: null, debtWeight: null },
+      capitalStructure: { totalShares: null, esopShares: null, esopPercentage: null, allocatedShares: null, unallocatedShares: null },
+      esopDebt: createEmptyEsopDebt(),
+      valuationMultiples: { revenueMultiple: null, ebitdaMultiple: null },
+      discountsAndPremiums: { discountForLackOfMarketability: null, controlPremium: null, minorityDiscount: null, marketableValuePerShare: null },
+      valuationApproaches: createEmptyApproaches(),
+      taxAffecting: { entityType: null, esopOwnershipPercentage: null, taxAffected: null, taxRate: null, method: null },
+      syntheticEquity: { instruments: [], statedFullyDiluted: false, fullyDilutedShares: null },
+      ebitdaAdjustments: { bridges: [] }
     };
   }
 
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Token and cost budgets for LLM calls, per document, per job and per tenant.
+//
+// Limits are in config/llmBudgets.json or the file named by LLM_BUDGETS_PATH:
+// { maxTokens, maxCost } per scope (null for no limit), the period a tenant
+// budget covers (day, week or month) and per-tenant overrides under
+// `tenants`. A budget holds the limits for one piece of work and what has
+// been spent against them. The LLM layer checks its level before every
+// completion (see withLlmBudget in llmService.js):
+//
+//   normal     below `degradeAt` of every limit: requests run as asked
+//   fast       past `degradeAt` of a limit: requests use the cheaper model tier
+//   exhausted  a limit is reached: requests go to the offline stub provider,
+//              which answers with the regex extractors
+//
+// Spend is the tokens and estimated cost of calls a provider answered;
+// answers from the response cache count for neither.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_BUDGETS_PATH = path.join(__dirname, '..', 'config', 'llmBudgets.json');
+
+export const DEFAULT_TENANT_ID = 'default';
+
+export const TENANT_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// The tenant an upload and its LLM spend belong to. An authenticated user's
+// `tenantId` (set by an auth middleware from a verified token) decides it.
+// Until the upload routes require authentication, the X-Tenant-Id header
+// names the tenant instead; any client can send any tenant id, so
+// per-tenant budgets are advisory for such uploads.
+export const resolveTenantId = ({ user = null, header = null } = {}) => {
+  const tenantId = user ? user.tenantId || DEFAULT_TENANT_ID : header || DEFAULT_TENANT_ID;
+  if (!TENANT_ID_PATTERN.test(tenantId)) {
+    return { error: user ? 'Invalid tenant for the authenticated user' : 'Invalid X-Tenant-Id header' };
+  }
+  return { tenantId };
+};
+
+export const BUDGET_SCOPES = ['document', 'job', 'tenant'];
+
+export const BUDGET_LEVELS = {
+  NORMAL: 'normal',
+  FAST: 'fast',
+  EXHAUSTED: 'exhausted'
+};
+
+const TENANT_PERIODS = ['day', 'week', 'month'];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const budgetFiles = new Map();
+
+export const loadBudgets = (budgetsPath = process.env.LLM_BUDGETS_PATH || DEFAULT_BUDGETS_PATH) => {
+  if (!budgetFiles.has(budgetsPath)) {
+    const budgets = { version: null, degradeAt: 0.8, tenantPeriod: 'month', tenants: {}, ...JSON.parse(fs.readFileSync(budgetsPath, 'utf8')) };
+
+    if (!(budgets.degradeAt > 0 && budgets.degradeAt <= 1)) {
+      throw new Error(`LLM budgets in ${budgetsPath}: degradeAt must be above 0 and at most 1`);
+    }
+    if (!TENANT_PERIODS.includes(budgets.tenantPeriod)) {
+      throw new Error(`LLM budgets in ${budgetsPath}: tenantPeriod must be one of ${TENANT_PERIODS.join(', ')}`);
+    }
+    budgetFiles.set(budgetsPath, budgets);
+  }
+  return budgetFiles.get(budgetsPath);
+};
+
+// A tenant's own entry overrides the tenant defaults
+const limitsFor = (budgets, scope, tenantId) => {
+  const limits = { ...budgets[scope], ...(scope === 'tenant' ? budgets.tenants[tenantId] : {}) };
+  return { maxTokens: limits.maxTokens ?? null, maxCost: limits.maxCost ?? null };
+};
+
+// `spent` is { document: { tokens, cost }, tenant: { tokens, cost } } from
+// earlier work. Without a job id the budget has no job scope.
+export const createBudget = ({ documentId = null, jobId = null, tenantId = DEFAULT_TENANT_ID } = {}, spent = {}, budgets = loadBudgets()) => {
+  const scopes = {};
+  for (const scope of BUDGET_SCOPES) {
+    if (scope === 'job' && !jobId) continue;
+    scopes[scope] = {
+      ...limitsFor(budgets, scope, tenantId),
+      tokens: spent[scope]?.tokens || 0,
+      cost: spent[scope]?.cost || 0
+    };
+  }
+
+  return {
+    documentId,
+    jobId,
+    tenantId,
+    tenantPeriod: budgets.tenantPeriod,
+    degradeAt: budgets.degradeAt,
+    scopes,
+    degradedCalls: 0,
+    offlineCalls: 0
+  };
+};
+
+// Share of a limit used; a limit of 0 allows nothing
+const share = (value, limit) => {
+  if (limit === null) return 0;
+  return limit > 0 ? value / limit : Infinity;
+};
+
+const usedShare = (scope) => Math.max(share(scope.tokens, scope.maxTokens), share(scope.cost, scope.maxCost));
+
+export const budgetLevel = (budget) => {
+  if (!budget) return BUDGET_LEVELS.NORMAL;
+
+  const used = Math.max(0, ...Object.values(budget.scopes).map(usedShare));
+  if (used >= 1) return BUDGET_LEVELS.EXHAUSTED;
+  if (used >= budget.degradeAt) return BUDGET_LEVELS.FAST;
+  return BUDGET_LEVELS.NORMAL;
+};
+
+// Count a logged LLM call against every scope of the budget
+export const chargeBudget = (budget, call) => {
+  if (!budget || call.cached) return;
+
+  for (const scope of Object.values(budget.scopes)) {
+    scope.tokens += (call.inputTokens || 0) + (call.outputTokens || 0);
+    scope.cost = round(scope.cost + (call.cost || 0));
+  }
+};
+
+// Budget usage as reported in the job status
+export const describeBudget = (budget) => ({
+  level: budgetLevel(budget),
+  tenantId: budget.tenantId,
+  tenantPeriod: budget.tenantPeriod,
+  degradedCalls: budget.degradedCalls,
+  offlineCalls: budget.offlineCalls,
+  scopes: Object.fromEntries(Object.entries(budget.scopes).map(([name, scope]) => [name, {
+    ...scope,
+    used: usedShare(scope) === Infinity ? 1 : Math.round(usedShare(scope) * 1000) / 1000
+  }]))
+});
+
+// Start of the tenant budget period containing `now`, in UTC (weeks start on Monday)
+export const budgetPeriodStart = (period, now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), period === 'month' ? 1 : now.getUTCDate()));
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// Budget for work on a document, with what the document and its tenant have
+// already spent from llm_usage. The tenant is the document's unless given.
+export const loadBudget = async (client, { documentId = null, jobId = null, tenantId = null } = {}, budgets = loadBudgets()) => {
+  if (!tenantId && documentId) {
+    const document = await client.query('SELECT tenant_id FROM documents WHERE id = $1', [documentId]);
+    tenantId = document.rows[0]?.tenant_id;
+  }
+  tenantId = tenantId || DEFAULT_TENANT_ID;
+
+  const result = await client.query(
+    `SELECT
+       COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE document_id = $1), 0) AS document_tokens,
+       COALESCE(SUM(cost) FILTER (WHERE document_id = $1), 0) AS document_cost,
+       COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE tenant_id = $2 AND created_at >= $3), 0) AS tenant_tokens,
+       COALESCE(SUM(cost) FILTER (WHERE tenant_id = $2 AND created_at >= $3), 0) AS tenant_cost
+     FROM llm_usage
+     WHERE NOT cached AND (document_id = $1 OR tenant_id = $2)`,
+    [documentId, tenantId, budgetPeriodStart(budgets.tenantPeriod)]
+  );
+  const spent = result.rows[0];
+
+  return createBudget({ documentId, jobId, tenantId }, {
+    document: { tokens: parseInt(spent.document_tokens), cost: parseFloat(spent.document_cost) },
+    tenant: { tokens: parseInt(spent.tenant_tokens), cost: parseFloat(spent.tenant_cost) }
+  }, budgets);
+};
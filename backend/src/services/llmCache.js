@@ -0,0 +1,38 @@
+import { pool } from '../models/database.js';
+
+// PostgreSQL store for the LLM layer's response cache (see setResponseCache
+// in llmService.js). Entries are keyed by the content address of the request
+// and never expire: a new model, prompt version or input gives a new key.
+export const postgresResponseCache = {
+  async get(key) {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE llm_cache SET hits = hits + 1, last_hit_at = NOW()
+         WHERE cache_key = $1
+         RETURNING model, response, usage`,
+        [key]
+      );
+      if (result.rows.length === 0) return null;
+
+      const { model, response, usage } = result.rows[0];
+      return { model, text: response, usage };
+    } finally {
+      client.release();
+    }
+  },
+
+  async set(key, { provider, model, text, usage }) {
+    const client = await pool.connect();
+    try {
+      await client.query(
+        `INSERT INTO llm_cache (cache_key, provider, model, response, usage)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (cache_key) DO NOTHING`,
+        [key, provider, model, text, JSON.stringify(usage)]
+      );
+    } finally {
+      client.release();
+    }
+  }
+};
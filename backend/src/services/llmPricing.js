@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Estimated cost of LLM calls from token counts. Prices are per million
+// tokens, per model, in config/llmPricing.json or the file named by
+// LLM_PRICING_PATH. A model without a price has no estimate (null) rather
+// than a cost of zero.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PRICING_PATH = path.join(__dirname, '..', 'config', 'llmPricing.json');
+
+const pricings = new Map();
+
+export const loadPricing = (pricingPath = process.env.LLM_PRICING_PATH || DEFAULT_PRICING_PATH) => {
+  if (!pricings.has(pricingPath)) {
+    const pricing = JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
+    pricings.set(pricingPath, { version: null, currency: 'USD', models: {}, ...pricing });
+  }
+  return pricings.get(pricingPath);
+};
+
+// Cost of { inputTokens, outputTokens } on `model`, rounded to a millionth
+export const estimateCost = (model, usage = {}, pricing = loadPricing()) => {
+  const price = pricing.models[model];
+  if (!price) return null;
+
+  const cost = ((usage.inputTokens || 0) * (price.input || 0) + (usage.outputTokens || 0) * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
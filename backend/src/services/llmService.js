@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { openaiProvider } from './providers/openaiProvider.js';
+import { anthropicProvider } from './providers/anthropicProvider.js';
+import { stubProvider } from './providers/stubProvider.js';
+import { estimateCost } from './llmPricing.js';
+import { BUDGET_LEVELS, budgetLevel, chargeBudget } from './llmBudget.js';
+
+// Single entry point for every chat completion and embedding call. Providers
+// implement `complete(request)` and optionally `embed(text)`; which ones are
+// used, and in what order, is read from the environment:
+//
+//   LLM_PROVIDER=openai|anthropic|stub        primary provider (default openai)
+//   LLM_FALLBACK_PROVIDERS=anthropic,stub     tried in order when the primary fails
+//
+// A request looks like { system, prompt, context, contextLabel, task, tier,
+// temperature, maxTokens, prompts }. `tier: 'fast'` asks for the provider's
+// cheaper model; `prompts` lists the registry templates ({ id, version }) the
+// request was rendered from.
+//
+// Completions and embeddings made inside `withLlmCallLog(fn)` are recorded
+// with the provider and model that answered, the token counts and the
+// estimated cost, however deeply nested the call, so an extraction run can
+// store which models produced it and a document's LLM spend can be reported.
+//
+// With a response cache set (setResponseCache), completions are
+// content-addressed: the key hashes the provider, model, prompt versions and
+// the whole request, and a repeated request is answered from the cache.
+// Providers that cannot name their model before the call (the offline stub)
+// are never cached.
+//
+// Inside `withLlmBudget(budget, fn)` every call is charged to the budget
+// (see llmBudget.js). Once a limit is nearly spent completions are sent to
+// the cheaper tier; once one is spent they are answered by the stub
+// provider's regex extractors. Embeddings are charged but never degraded,
+// since vectors from another model would not match the document's; for the
+// same reason they never fall back to the stub.
+
+const providers = {
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  stub: stubProvider
+};
+
+export const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+export const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+};
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// A provider passed explicitly by the caller is used on its own, so pinned
+// runs (accuracy harness, tests) never silently fall through to another one.
+export const getProviderChain = (preferred = null) => {
+  if (preferred) {
+    return [getProvider(preferred)];
+  }
+
+  const primary = process.env.LLM_PROVIDER || 'openai';
+  const fallbacks = process.env.LLM_FALLBACK_PROVIDERS !== undefined
+    ? parseList(process.env.LLM_FALLBACK_PROVIDERS)
+    : (primary === 'stub' ? [] : ['anthropic', 'stub']);
+
+  return [...new Set([primary, ...fallbacks])].map(getProvider);
+};
+
+let responseCache = null;
+
+// `cache` is { get(key), set(key, entry) }, or null to turn caching off
+export const setResponseCache = (cache) => {
+  responseCache = cache;
+};
+
+export const completionCacheKey = (providerName, model, request) => crypto.createHash('sha256')
+  .update(JSON.stringify({
+    provider: providerName,
+    model,
+    prompts: request.prompts || [],
+    system: request.system || null,
+    prompt: request.prompt || '',
+    context: request.context || '',
+    contextLabel: request.contextLabel || null,
+    task: request.task || null,
+    temperature: request.temperature ?? null,
+    maxTokens: request.maxTokens ?? null
+  }))
+  .digest('hex');
+
+// A broken cache only costs the saving; the provider is asked instead
+const completeWithCache = async (provider, request) => {
+  const model = provider.modelFor ? provider.modelFor(request) : null;
+  const key = responseCache && model ? completionCacheKey(provider.name, model, request) : null;
+
+  if (key) {
+    try {
+      const hit = await responseCache.get(key);
+      if (hit) {
+        return { text: hit.text, model: hit.model, usage: hit.usage || {}, cached: true };
+      }
+    } catch (error) {
+      console.warn('LLM cache lookup failed:', error.message);
+    }
+  }
+
+  const result = await provider.complete(request);
+
+  if (key) {
+    try {
+      await responseCache.set(key, { provider: provider.name, model: result.model || model, text: result.text, usage: result.usage || {} });
+    } catch (error) {
+      console.warn('LLM cache write failed:', error.message);
+    }
+  }
+
+  return { ...result, cached: false };
+};
+
+const runChain = async (chain, operation, call) => {
+  const errors = [];
+
+  for (const provider of chain) {
+    try {
+      const result = await call(provider);
+      return { ...result, provider: provider.name };
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`⚠️ ${provider.name} ${operation} failed: ${error.message}`);
+      }
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${operation}): ${errors.join('; ')}`);
+};
+
+const callLog = new AsyncLocalStorage();
+
+// Run `fn`, appending { operation, provider, model, tier, task, prompts,
+// inputTokens, outputTokens, cost, cached } to `calls` for every completion
+// and embedding it makes. `cost` is the estimated list price, also for
+// cached answers, which cost nothing.
+export const withLlmCallLog = (fn, calls = []) => callLog.run(calls, fn);
+
+// Calls recorded so far by the enclosing withLlmCallLog, or [] outside one
+export const currentLlmCalls = () => callLog.getStore() || [];
+
+const budgetStore = new AsyncLocalStorage();
+
+// Run `fn` with its LLM calls charged to, and limited by, `budget`
+export const withLlmBudget = (budget, fn) => budget ? budgetStore.run(budget, fn) : fn();
+
+// Budget of the enclosing withLlmBudget, or null outside one
+export const currentLlmBudget = () => budgetStore.getStore() || null;
+
+const logCall = (operation, request, result) => {
+  const usage = result.usage || {};
+  const call = {
+    operation,
+    provider: result.provider,
+    model: result.model || null,
+    tier: request.tier || null,
+    task: request.task || null,
+    prompts: request.prompts || [],
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    cost: estimateCost(result.model, usage),
+    cached: Boolean(result.cached)
+  };
+  callLog.getStore()?.push(call);
+  chargeBudget(currentLlmBudget(), call);
+};
+
+// The provider chain and request a completion runs with under the current budget
+const applyBudget = (request, options) => {
+  const budget = currentLlmBudget();
+  const level = budgetLevel(budget);
+
+  if (level === BUDGET_LEVELS.EXHAUSTED) {
+    if (budget.offlineCalls++ === 0) {
+      console.warn(`💸 LLM budget exhausted (tenant ${budget.tenantId}), answering with regex extraction`);
+    }
+    return { chain: [getProvider('stub')], request };
+  }
+
+  if (level === BUDGET_LEVELS.FAST && request.tier !== 'fast') {
+    if (budget.degradedCalls++ === 0 && process.env.NODE_ENV === 'development') {
+      console.log(`💸 LLM budget nearly spent (tenant ${budget.tenantId}), switching to the fast model tier`);
+    }
+    return { chain: getProviderChain(options.provider), request: { ...request, tier: 'fast' } };
+  }
+
+  return { chain: getProviderChain(options.provider), request };
+};
+
+export const complete = async (request, options = {}) => {
+  const budgeted = applyBudget(request, options);
+  const result = await runChain(budgeted.chain, 'completion', provider => completeWithCache(provider, budgeted.request));
+  logCall('completion', budgeted.request, result);
+  return result;
+};
+
+// The stub's hashed vectors only match other stub vectors, so it embeds only
+// as the primary or pinned provider; a failing real embedder is an error
+export const embed = async (text, options = {}) => {
+  const chain = getProviderChain(options.provider)
+    .filter((provider, index) => typeof provider.embed === 'function' && (index === 0 || provider.name !== 'stub'));
+  if (chain.length === 0) {
+    throw new Error('No configured LLM provider supports embeddings');
+  }
+  const result = await runChain(chain, 'embedding', provider => provider.embed(text));
+  logCall('embedding', {}, result);
+  return result;
+};
@@ -0,0 +1,141 @@
+import { pool } from '../models/database.js';
+import { withLlmCallLog, withLlmBudget, currentLlmBudget } from './llmService.js';
+import { loadPricing } from './llmPricing.js';
+import { loadBudget } from './llmBudget.js';
+
+// LLM token and cost accounting.
+//
+// Calls logged by withLlmCallLog are stored in llm_usage against the document
+// (and job) they were made for, with the source that made them. The cost
+// report sums them per model and per source. Costs are estimates from the
+// pricing table; answers served from the response cache cost nothing and are
+// reported as savings instead.
+
+export const USAGE_SOURCES = [
+  'upload', 'reextraction', 'autoValidation', 'aiMetrics', 'liveMetrics', 'validation', 'questions', 'adequateConsideration'
+];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Store logged calls; calls without a document (a failed upload) keep their job id
+export const recordLlmUsage = async (client, documentId, calls, { source, jobId = null, tenantId = null }) => {
+  if (calls.length === 0) return;
+
+  const columns = 13;
+  const values = [];
+  const placeholders = calls.map((call, index) => {
+    values.push(
+      documentId, jobId, tenantId, source, call.operation || 'completion', call.provider, call.model, call.task,
+      JSON.stringify(call.prompts || []), call.inputTokens || 0, call.outputTokens || 0, call.cost ?? null, Boolean(call.cached)
+    );
+    return `(${Array.from({ length: columns }, (_, column) => `$${index * columns + column + 1}`).join(', ')})`;
+  });
+
+  await client.query(
+    `INSERT INTO llm_usage (document_id, job_id, tenant_id, source, operation, provider, model, task, prompts, input_tokens, output_tokens, cost, cached)
+     VALUES ${placeholders.join(', ')}`,
+    values
+  );
+};
+
+// The document's LLM budget; without one (e.g. the database is unreachable)
+// calls run unbudgeted rather than failing
+const openDocumentBudget = async (documentId, source) => {
+  try {
+    const client = await pool.connect();
+    try {
+      return await loadBudget(client, { documentId });
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.warn(`Loading the LLM budget for ${source} failed:`, error.message);
+    return null;
+  }
+};
+
+// withLlmCallLog that also stores the calls against the document, whether
+// or not `fn` succeeds, and holds them to the document's and tenant's
+// budgets (or to the enclosing budget, when nested). A failure to store
+// usage is logged, never thrown.
+export const trackLlmUsage = async (documentId, source, fn, calls = []) => {
+  const budget = currentLlmBudget() || await openDocumentBudget(documentId, source);
+
+  try {
+    return await withLlmBudget(budget, () => withLlmCallLog(fn, calls));
+  } finally {
+    if (calls.length > 0) {
+      try {
+        const client = await pool.connect();
+        try {
+          await recordLlmUsage(client, documentId, calls, { source, tenantId: budget?.tenantId ?? null });
+        } finally {
+          client.release();
+        }
+      } catch (error) {
+        console.warn(`Recording LLM usage for ${source} failed:`, error.message);
+      }
+    }
+  }
+};
+
+// llm_usage row in call-log form
+export const usageFromRow = (row) => ({
+  source: row.source,
+  operation: row.operation,
+  provider: row.provider,
+  model: row.model,
+  inputTokens: row.input_tokens,
+  outputTokens: row.output_tokens,
+  cost: row.cost === null || row.cost === undefined ? null : parseFloat(row.cost),
+  cached: row.cached,
+  createdAt: row.created_at
+});
+
+const emptyTotals = () => ({ calls: 0, cachedCalls: 0, inputTokens: 0, outputTokens: 0, cost: 0, savedByCache: 0, unpricedCalls: 0 });
+
+const addCall = (totals, call) => {
+  totals.calls++;
+  totals.inputTokens += call.inputTokens || 0;
+  totals.outputTokens += call.outputTokens || 0;
+  if (call.cost === null || call.cost === undefined) {
+    totals.unpricedCalls++;
+  } else if (call.cached) {
+    totals.savedByCache = round(totals.savedByCache + call.cost);
+  } else {
+    totals.cost = round(totals.cost + call.cost);
+  }
+  if (call.cached) totals.cachedCalls++;
+  return totals;
+};
+
+// Totals, per model and per source, for calls in call-log form
+export const summarizeLlmUsage = (calls, pricing = loadPricing()) => {
+  const byModel = new Map();
+  const bySource = new Map();
+  const totals = emptyTotals();
+
+  for (const call of calls) {
+    addCall(totals, call);
+
+    const modelKey = `${call.operation}:${call.provider}:${call.model}`;
+    if (!byModel.has(modelKey)) {
+      byModel.set(modelKey, { operation: call.operation, provider: call.provider, model: call.model, ...emptyTotals() });
+    }
+    addCall(byModel.get(modelKey), call);
+
+    const source = call.source || null;
+    if (!bySource.has(source)) {
+      bySource.set(source, { source, ...emptyTotals() });
+    }
+    addCall(bySource.get(source), call);
+  }
+
+  return {
+    currency: pricing.currency,
+    pricingVersion: pricing.version,
+    totals,
+    byModel: [...byModel.values()].sort((a, b) => b.cost - a.cost),
+    bySource: [...bySource.values()].sort((a, b) => b.cost - a.cost)
+  };
+};
@@ -0,0 +1,123 @@
+import { METRIC_KINDS, normalizeValue } from './numberNormalization.js';
+
+// Analyst overrides of extracted metrics.
+//
+// Overrides are stored in their own append-only table (metric_overrides), never
+// in extracted_metrics, so re-extraction, auto-validation and cache refreshes
+// keep writing machine values without losing an analyst's correction. Every
+// override and every revert is a row with a required justification and the
+// analyst who made it; the active override for a field is its latest
+// 'override' row not followed by a 'revert'.
+
+export const OVERRIDE_ACTIONS = ['override', 'revert'];
+
+const MAX_JUSTIFICATION_LENGTH = 2000;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Validate an override or revert request body. Only the numeric fields of the
+// standard metrics schema can be overridden; the value is normalized the same
+// way extracted values are, so "$45.2 million" and 45200000 are equivalent.
+// Returns { error } or { metricType, field, value, justification, analyst }.
+export const parseOverrideRequest = (body = {}, action = 'override') => {
+  const { metricType, field, value, justification, analyst } = body;
+  const kind = METRIC_KINDS[`${metricType}.${field}`];
+
+  if (!kind) {
+    return { error: `${metricType}.${field} is not an overridable metric` };
+  }
+  if (typeof justification !== 'string' || justification.trim() === '') {
+    return { error: 'A justification is required' };
+  }
+  if (justification.length > MAX_JUSTIFICATION_LENGTH) {
+    return { error: `Justification must be at most ${MAX_JUSTIFICATION_LENGTH} characters` };
+  }
+
+  let normalized = null;
+  if (action === 'override') {
+    normalized = normalizeValue(value, kind);
+    if (normalized === null || !Number.isFinite(normalized)) {
+      return { error: `Could not read a ${kind} value from ${JSON.stringify(value)}` };
+    }
+  }
+
+  return {
+    metricType,
+    field,
+    value: normalized,
+    justification: justification.trim(),
+    analyst: typeof analyst === 'string' && analyst.trim() !== '' ? analyst.trim() : null
+  };
+};
+
+// Machine value of a field in the stored metric_data, normalized for comparison
+export const machineValueOf = (metricData, metricType, field) => {
+  const kind = METRIC_KINDS[`${metricType}.${field}`];
+  const value = metricData?.[field];
+  return kind ? normalizeValue(value, kind) : toNumber(value);
+};
+
+// Audit trail entry from a metric_overrides row
+export const toOverrideEntry = (row) => ({
+  id: row.id,
+  metricType: row.metric_type,
+  field: row.field,
+  action: row.action,
+  value: toNumber(row.value),
+  machineValue: toNumber(row.machine_value),
+  justification: row.justification,
+  overriddenBy: row.overridden_by,
+  createdAt: row.created_at
+});
+
+// Audit trail of analyst overrides for a document, oldest first
+export const getOverrideHistory = async (client, documentId) => {
+  const result = await client.query(
+    `SELECT id, metric_type, field, action, value, machine_value, justification, overridden_by, created_at
+     FROM metric_overrides WHERE document_id = $1 ORDER BY created_at, id`,
+    [documentId]
+  );
+  return result.rows.map(toOverrideEntry);
+};
+
+// Fold an audit trail (oldest first) into the overrides in force:
+// { metricType: { field: { value, machineValue, justification, overriddenBy, createdAt } } }
+export const activeOverrides = (history) => {
+  const active = {};
+  for (const entry of history) {
+    if (entry.action === 'revert') {
+      if (active[entry.metricType]) {
+        delete active[entry.metricType][entry.field];
+        if (Object.keys(active[entry.metricType]).length === 0) delete active[entry.metricType];
+      }
+      continue;
+    }
+
+    active[entry.metricType] = active[entry.metricType] || {};
+    active[entry.metricType][entry.field] = {
+      value: entry.value,
+      machineValue: entry.machineValue,
+      justification: entry.justification,
+      overriddenBy: entry.overriddenBy,
+      createdAt: entry.createdAt
+    };
+  }
+  return active;
+};
+
+// Stored metrics ({ metricType: metric_data }) with the active overrides
+// applied, for calculations that should use the analyst's figures
+export const applyOverrides = (storedMetrics, active) => {
+  const effective = { ...storedMetrics };
+  for (const [metricType, fields] of Object.entries(active)) {
+    effective[metricType] = { ...(effective[metricType] || {}) };
+    for (const [field, override] of Object.entries(fields)) {
+      effective[metricType][field] = override.value;
+    }
+  }
+  return effective;
+};
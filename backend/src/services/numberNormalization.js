@@ -0,0 +1,301 @@
+// Scale- and sign-aware number normalization shared by every extractor.
+//
+// Valuation reports rarely state full dollar amounts: tables carry a
+// "($ in thousands)" header, negatives are shown in parentheses, and rates
+// may be quoted in basis points. Everything that turns report text (or an
+// LLM answer about it) into a number goes through here so the regex, JSON
+// and enhanced-validation paths agree on what "52,300" means.
+
+export const UNIT_MULTIPLIERS = {
+  billion: 1000000000,
+  billions: 1000000000,
+  bn: 1000000000,
+  b: 1000000000,
+  million: 1000000,
+  millions: 1000000,
+  mm: 1000000,
+  m: 1000000,
+  thousand: 1000,
+  thousands: 1000,
+  k: 1000
+};
+
+// One number with its optional sign, currency symbol, accounting parentheses
+// and trailing unit. Groups: open, sign, integer, fraction, unit word,
+// percent sign, close. A dash only counts as a sign when it touches the
+// digits or "$" without following a word, or when it opens a line or a
+// parenthesis, so "2021–2023", "2021 - 2023" and "Enterprise Value – $50.0
+// million" are not negatives.
+export const NUMBER_PATTERN = /(\()?\s?((?<![\w.])[-−–](?=\$|\d)|(?<=(?:^|[\n(])[ \t]*)[-−–])?\s?\$?\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s*(billions?|millions?|thousands?|bn|mm|m|k|b|basis\s+points|bps|percent|x)\b|\s*(%))?(\))?/gi;
+
+// Table and section headers that set the unit for the numbers below them
+const SCALE_HEADERS = [
+  { multiplier: 1000000000, pattern: /\bin\s+billions\b|\(\s*\$?\s*(?:in\s+)?(?:billions|bn)\s*\)|\$\s*bn\b/i },
+  { multiplier: 1000000, pattern: /\bin\s+millions\b|\(\s*\$?\s*(?:in\s+)?(?:millions|mm|mil)\s*\)|\$\s*mm\b|\$\s*000,000'?s?/i },
+  { multiplier: 1000, pattern: /\bin\s+thousands\b|\(\s*\$?\s*(?:in\s+)?(?:thousands|000'?s?)\s*\)|\$\s*000'?s?(?![\d,])/i }
+];
+
+// How far above a number to look for its table or section header
+const SCALE_LOOKBACK_LINES = 15;
+
+const PER_SHARE_DECIMALS = 2;
+
+// Parse one NUMBER_PATTERN match. `kind` is 'amount', 'percent' or 'multiple'.
+export const parseNumberMatch = (match) => {
+  const [, open, sign, integer, fraction, unitWord, percentSign, close] = match;
+  // The "000" of a "$000s" scale header is not a value
+  if (/^0{3,}$/.test(integer) && !fraction) return null;
+
+  const base = parseFloat(`${integer.replace(/,/g, '')}${fraction || ''}`);
+  if (isNaN(base)) return null;
+
+  const unit = (unitWord || percentSign || '').toLowerCase().replace(/\s+/g, ' ');
+  const negative = Boolean(sign) || Boolean(open && close);
+
+  let value = base;
+  let kind = 'amount';
+  let multiplier = 1;
+
+  if (unit === '%' || unit === 'percent') {
+    kind = 'percent';
+  } else if (unit === 'bps' || unit === 'basis points') {
+    kind = 'percent';
+    value = base / 100;
+  } else if (unit === 'x') {
+    kind = 'multiple';
+  } else if (UNIT_MULTIPLIERS[unit]) {
+    multiplier = UNIT_MULTIPLIERS[unit];
+    value = base * multiplier;
+  }
+
+  return {
+    value: negative ? -value : value,
+    kind,
+    multiplier,
+    hasUnit: Boolean(unit),
+    hasCurrency: match[0].includes('$'),
+    negative
+  };
+};
+
+// Every number in a piece of text, in order of appearance
+export const findNumbers = (text) => {
+  if (!text) return [];
+
+  const numbers = [];
+  for (const match of String(text).matchAll(NUMBER_PATTERN)) {
+    const parsed = parseNumberMatch(match);
+    if (!parsed) continue;
+
+    const leading = match[0].length - match[0].trimStart().length;
+    numbers.push({
+      ...parsed,
+      text: match[0].trim(),
+      start: match.index + leading,
+      end: match.index + match[0].trimEnd().length
+    });
+  }
+  return numbers;
+};
+
+// Multiplier declared by a header such as "($ in thousands)" or "$000s"
+export const detectScale = (text) => {
+  if (!text) return 1;
+  const header = SCALE_HEADERS.find(({ pattern }) => pattern.test(text));
+  return header ? header.multiplier : 1;
+};
+
+// Multiplier in effect at `offset`: the nearest scale header in the same
+// block of lines (tables end at a blank line or a page marker)
+export const scaleAt = (documentText, offset) => {
+  if (!documentText || offset < 0) return 1;
+
+  const nextBreak = documentText.indexOf('\n', offset);
+  let lineEnd = nextBreak === -1 ? documentText.length : nextBreak;
+
+  for (let lineCount = 0; lineCount <= SCALE_LOOKBACK_LINES && lineEnd >= 0; lineCount++) {
+    const lineStart = documentText.lastIndexOf('\n', lineEnd - 1) + 1;
+    const line = documentText.substring(lineStart, lineEnd);
+    if (lineCount > 0 && (!line.trim() || /^\s*PAGE\s+\d+\s*$/i.test(line))) break;
+
+    const multiplier = detectScale(line);
+    if (multiplier !== 1) return multiplier;
+    if (lineStart === 0) break;
+    lineEnd = lineStart - 1;
+  }
+  return 1;
+};
+
+// Dollar amount from a string: explicit units win, otherwise the table or
+// section scale applies. Percentages and multiples are not amounts.
+export const parseAmount = (input, { scale = 1 } = {}) => {
+  if (typeof input === 'number') return isNaN(input) ? null : input * scale;
+
+  const number = findNumbers(input).find(({ kind }) => kind === 'amount');
+  if (!number) return null;
+  return number.hasUnit ? number.value : number.value * scale;
+};
+
+// Rate in percentage points: "14.5%" and "1,450 bps" are both 14.5
+export const parsePercent = (input) => {
+  if (typeof input === 'number') return isNaN(input) ? null : input;
+
+  const numbers = findNumbers(input);
+  const number = numbers.find(({ kind }) => kind === 'percent') || numbers[0];
+  return number ? number.value : null;
+};
+
+// Plain number (share counts, multiples) with sign handling and no scaling
+export const parseNumber = (input) => {
+  if (typeof input === 'number') return isNaN(input) ? null : input;
+
+  const number = findNumbers(input)[0];
+  return number ? number.value : null;
+};
+
+// Best number in a free-text LLM answer: an amount with units or a currency
+// symbol beats a percentage, which beats a bare figure. A scale stated in the
+// answer itself ("52,300 ($ in thousands)") applies to bare amounts.
+export const parseAnswerNumber = (answer) => {
+  const numbers = findNumbers(answer);
+  if (numbers.length === 0) return null;
+
+  const preferred = numbers.find(number => number.kind === 'amount' && (number.hasUnit || number.hasCurrency)) ||
+    numbers.find(number => number.kind === 'percent') ||
+    numbers.find(number => Math.abs(number.value) >= 1000) ||
+    numbers[0];
+
+  return preferred.kind === 'amount' && !preferred.hasUnit
+    ? preferred.value * detectScale(answer)
+    : preferred.value;
+};
+
+// Per-share values are quoted to the cent; drop floating-point noise from
+// unit conversion without rounding a legitimately precise figure away
+export const roundPerShare = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return null;
+  const factor = 10 ** PER_SHARE_DECIMALS;
+  const rounded = Math.round(value * factor) / factor;
+  return Math.abs(rounded - value) < 1e-6 ? rounded : Math.round(value * 1e4) / 1e4;
+};
+
+// Normalize one value by what it measures:
+//   'currency' | 'perShare' | 'percent' | 'multiple' | 'count'
+export const normalizeValue = (input, kind, { scale = 1 } = {}) => {
+  if (input === null || input === undefined || input === '') return null;
+
+  switch (kind) {
+    case 'currency':
+      return parseAmount(input, { scale });
+    case 'perShare':
+      return roundPerShare(parseAmount(input));
+    case 'percent':
+      return parsePercent(input);
+    case 'multiple':
+    case 'count':
+      return parseNumber(input);
+    default:
+      return parseNumber(input);
+  }
+};
+
+// What each field of the standard metrics schema measures
+export const METRIC_KINDS = {
+  'enterpriseValue.currentValue': 'currency',
+  'enterpriseValue.previousValue': 'currency',
+  'enterpriseValue.changeAmount': 'currency',
+  'enterpriseValue.changePercent': 'percent',
+  'valueOfEquity.currentValue': 'currency',
+  'valueOfEquity.previousValue': 'currency',
+  'valueOfEquity.changeAmount': 'currency',
+  'valueOfEquity.changePercent': 'percent',
+  'valuationPerShare.currentValue': 'perShare',
+  'valuationPerShare.previousValue': 'perShare',
+  'valuationPerShare.changeAmount': 'perShare',
+  'valuationPerShare.changePercent': 'percent',
+  'keyFinancials.revenue': 'currency',
+  'keyFinancials.ebitda': 'currency',
+  'keyFinancials.netIncome': 'currency',
+  'keyFinancials.weightedAverageCostOfCapital': 'percent',
+  'companyValuation.totalValue': 'currency',
+  'companyValuation.perShareValue': 'perShare',
+  'discountRates.discountRate': 'percent',
+  'discountRates.riskFreeRate': 'percent',
+  'discountRates.marketRiskPremium': 'percent',
+  'discountRates.beta': 'multiple',
+  'discountRates.sizePremium': 'percent',
+  'discountRates.companySpecificRisk': 'percent',
+  'discountRates.costOfEquity': 'percent',
+  'discountRates.costOfDebt': 'percent',
+  'discountRates.taxRate': 'percent',
+  'discountRates.equityWeight': 'percent',
+  'discountRates.debtWeight': 'percent',
+  'capitalStructure.totalShares': 'count',
+  'capitalStructure.esopShares': 'count',
+  'capitalStructure.esopPercentage': 'percent',
+  'capitalStructure.allocatedShares': 'count',
+  'capitalStructure.unallocatedShares': 'count',
+  'esopDebt.externalLoanBalance': 'currency',
+  'esopDebt.externalLoanRate': 'percent',
+  'esopDebt.externalLoanTermYears': 'count',
+  'esopDebt.internalLoanBalance': 'currency',
+  'esopDebt.internalLoanRate': 'percent',
+  'esopDebt.internalLoanTermYears': 'count',
+  'esopDebt.sellerNoteBalance': 'currency',
+  'esopDebt.sellerNoteRate': 'percent',
+  'esopDebt.sellerNoteTermYears': 'count',
+  'valuationMultiples.revenueMultiple': 'multiple',
+  'valuationMultiples.ebitdaMultiple': 'multiple',
+  'discountsAndPremiums.discountForLackOfMarketability': 'percent',
+  'discountsAndPremiums.controlPremium': 'percent',
+  'discountsAndPremiums.minorityDiscount': 'percent',
+  'discountsAndPremiums.marketableValuePerShare': 'perShare',
+  'valuationApproaches.incomeApproachValue': 'currency',
+  'valuationApproaches.incomeApproachWeight': 'percent',
+  'valuationApproaches.marketApproachValue': 'currency',
+  'valuationApproaches.marketApproachWeight': 'percent',
+  'valuationApproaches.assetApproachValue': 'currency',
+  'valuationApproaches.assetApproachWeight': 'percent',
+  'taxAffecting.esopOwnershipPercentage': 'percent',
+  'taxAffecting.taxRate': 'percent',
+  'syntheticEquity.fullyDilutedShares': 'count'
+};
+
+// Scale for a value the LLM copied out of a scaled table: if the bare number
+// only appears under a "($ in thousands)"-style header, it was not converted
+const documentScaleFor = (value, documentText) => {
+  if (!documentText || typeof value !== 'number' || !Number.isFinite(value)) return 1;
+
+  const scales = findNumbers(documentText)
+    .filter(number => number.kind === 'amount' && !number.hasUnit && Math.abs(number.value - value) < 1e-9)
+    .map(number => scaleAt(documentText, number.start));
+
+  return scales.length > 0 && scales.every(scale => scale === scales[0]) ? scales[0] : 1;
+};
+
+// Normalize a standard-schema metrics object in place of the raw strings and
+// numbers an extractor produced. `documentText` is the text the extractor saw.
+export const normalizeMetrics = (metrics, { documentText = '' } = {}) => {
+  if (!metrics || typeof metrics !== 'object') return metrics;
+
+  const normalized = {};
+  for (const [section, sectionData] of Object.entries(metrics)) {
+    if (!sectionData || typeof sectionData !== 'object' || Array.isArray(sectionData)) {
+      normalized[section] = sectionData;
+      continue;
+    }
+
+    normalized[section] = {};
+    for (const [field, value] of Object.entries(sectionData)) {
+      const kind = METRIC_KINDS[`${section}.${field}`];
+      if (!kind || value === null || value === undefined) {
+        normalized[section][field] = value;
+        continue;
+      }
+
+      const scale = kind === 'currency' && typeof value === 'number' ? documentScaleFor(value, documentText) : 1;
+      normalized[section][field] = normalizeValue(value, kind, { scale });
+    }
+  }
+  return normalized;
+};
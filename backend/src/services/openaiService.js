@@ -1,186 +1,148 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
-import { pool } from '../models/database.js';
+import { complete, embed } from './llmService.js';
+import { stubProvider } from './providers/stubProvider.js';
+import { normalizeMetrics } from './numberNormalization.js';
+import { renderPrompt } from './promptRegistry.js';
+import { completeStructured, getSchema, StructuredOutputError } from './structuredOutput.js';
+import { detectReportMetadata, mergeReportMetadata } from './reportMetadata.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-export const createEmbedding = async (text) => {
+export const createEmbedding = async (text, options = {}) => {
   try {
-    const embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
-    const response = await openai.embeddings.create({
-      model: embeddingModel,
-      input: text,
-    });
-    
-    return response.data[0].embedding;
+    const { embedding } = await embed(text, options);
+    return embedding;
   } catch (error) {
-    console.error('OpenAI embedding error:', error);
+    console.error('Embedding error:', error);
     throw new Error(`Failed to create embedding: ${error.message}`);
   }
 };
 
-export const answerQuestion = async (question, context, documentId = null) => {
-  try {
-    // Estimate token usage
-    const questionTokens = Math.ceil(question.length / 4);
-    const contextTokens = Math.ceil(context.length / 4);
-    const totalTokens = questionTokens + contextTokens;
-    
+// Context that leaves room for the question in the model's window
+const fitContext = (question, context) => {
+  // Estimate token usage
+  const questionTokens = Math.ceil(question.length / 4);
+  const contextTokens = Math.ceil(context.length / 4);
+  const totalTokens = questionTokens + contextTokens;
+  
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`📊 Token estimation: Question=${questionTokens}, Context=${contextTokens}, Total=${totalTokens}`);
+  }
+  
+  // Truncate context if too large
+  if (totalTokens > 12000) {
     if (process.env.NODE_ENV === 'development') {
-      console.log(`📊 Token estimation: Question=${questionTokens}, Context=${contextTokens}, Total=${totalTokens}`);
+      console.log('⚠️ Context too large, truncating...');
     }
-    
-    // Truncate context if too large
-    let finalContext = context;
-    if (totalTokens > 12000) {
-      if (process.env.NODE_ENV === 'development') {
-        console.log('⚠️ Context too large, truncating...');
-      }
-      finalContext = chunkText(context, 8000); // Leave room for question
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`📊 Truncated context to ${Math.ceil(finalContext.length / 4)} tokens`);
-      }
+    const finalContext = chunkText(context, 8000)[0] || context; // Leave room for question
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📊 Truncated context to ${Math.ceil(finalContext.length / 4)} tokens`);
     }
-    
-    const chatModel = getOptimalModel(finalContext.length);
+    return finalContext;
+  }
+  
+  return context;
+};
+
+// `options.prompts` lists the registry templates the question was rendered
+// from, recorded with the call alongside the answer system prompt
+export const answerQuestion = async (question, context, documentId = null, options = {}) => {
+  try {
+    const finalContext = fitContext(question, context);
     
     try {
-      const response = await openai.chat.completions.create({
-        model: chatModel,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Context:\n${finalContext}\n\nQuestion: ${question}` }
-        ],
+      const system = renderPrompt('answer.system');
+      const response = await complete({
+        system: system.text,
+        prompt: question,
+        context: finalContext,
+        contextLabel: 'Document Content',
+        tier: getModelTier(finalContext),
         temperature: 0.1,
-        max_tokens: 1000,
-      });
-      
-      const answer = response.choices[0].message.content.trim();
-      
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`✅ Used ${chatModel} for question answering`);
-      }
-      
-      return answer;
-      
-    } catch (gptError) {
+        maxTokens: 1500,
+        prompts: [...system.prompts, ...(options.prompts || [])]
+      }, options);
+
       if (process.env.NODE_ENV === 'development') {
-        console.log(`⚠️ ${chatModel} failed, trying GPT-3.5-turbo fallback`);
-      }
-      
-      // Try Claude as fallback before mock answer
-      try {
-        if (process.env.NODE_ENV === 'development') {
-          console.log('🔄 Trying Claude fallback for question answering...');
-        }
-        const { answerQuestionWithClaude } = await import('./anthropicService.js');
-        const claudeAnswer = await answerQuestionWithClaude(question, finalContext);
-        if (process.env.NODE_ENV === 'development') {
-          console.log('✅ Question answered with Claude fallback');
-        }
-        return claudeAnswer;
-      } catch (claudeError) {
-        console.error('Claude fallback also failed:', claudeError);
-        
-        // Final fallback to mock answer
-        return generateMockAnswer(question, finalContext);
+        console.log(`✅ Used ${response.provider}/${response.model} for question answering`);
       }
+
+      return response.text;
+
+    } catch (providerError) {
+      console.error('All providers failed for question answering:', providerError.message);
+
+      // Final fallback to the deterministic local answer
+      const { text } = await stubProvider.complete({ prompt: question, context: finalContext });
+      return text;
     }
-    
+
   } catch (error) {
-    console.error('OpenAI question answering error:', error);
-    return generateMockAnswer(question, context);
+    console.error('Question answering error:', error);
+    const { text } = await stubProvider.complete({ prompt: question, context });
+    return text;
   }
 };
 
-const generateMockAnswer = (question, context) => {
-  // Enhanced keyword-based analysis that handles visual content
-  const lowerQuestion = question.toLowerCase();
-  const lowerContext = context.toLowerCase();
-  
-  // Check for visual content markers
-  const hasTable = context.includes('TABLE');
-  const hasChart = context.includes('CHART');
-  const hasImage = context.includes('IMAGE');
-  
-  // Extract actual values from the document content (including visual elements)
-  const valuationMatch = context.match(/valuation:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
-  const shareMatch = context.match(/per share value:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
-  const discountMatch = context.match(/discount rate:?\s*([\d.]+)%?/i);
-  const ownershipMatch = context.match(/(?:esop )?ownership:?\s*([\d.]+)%?/i);
-  const revenueMatch = context.match(/revenue:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
-  const ebitdaMatch = context.match(/ebitda:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
-  const sharesMatch = context.match(/shares outstanding:?\s*([\d,]+)/i);
-  
-  // Extract table/chart references
-  const tableMatch = context.match(/TABLE (\d+) \(Page (\d+)\)/i);
-  const chartMatch = context.match(/CHART (\d+) \(Page (\d+)\)/i);
-  
-  // Answer based on what the user is asking and what's actually in the document
-  if (lowerQuestion.includes('valuation') || lowerQuestion.includes('value')) {
-    if (valuationMatch) {
-      let source = 'the document';
-      if (tableMatch) source = `Table ${tableMatch[1]} on Page ${tableMatch[2]}`;
-      else if (chartMatch) source = `Chart ${chartMatch[1]} on Page ${chartMatch[2]}`;
-      return `Based on ${source}, the total company valuation is $${valuationMatch[1]}. This represents the enterprise value as determined by the ESOP valuation analysis.`;
-    }
-  }
-  
-  if (lowerQuestion.includes('share') && !lowerQuestion.includes('outstanding')) {
-    if (shareMatch) {
-      let source = 'the valuation report';
-      if (tableMatch) source = `Table ${tableMatch[1]} on Page ${tableMatch[2]}`;
-      else if (chartMatch) source = `Chart ${chartMatch[1]} on Page ${chartMatch[2]}`;
-      return `According to ${source}, the per share value is $${shareMatch[1]}. This price reflects the fair market value per share for ESOP participants.`;
-    }
-  }
-  
-  if (lowerQuestion.includes('discount')) {
-    if (discountMatch) {
-      return `The discount rate used in the valuation is ${discountMatch[1]}%. This rate reflects the company's cost of capital and risk profile.`;
-    }
-  }
-  
-  if (lowerQuestion.includes('ownership') || lowerQuestion.includes('percentage')) {
-    if (ownershipMatch) {
-      return `According to the document, the ESOP ownership percentage is ${ownershipMatch[1]}%.`;
-    }
-  }
-  
-  if (lowerQuestion.includes('revenue')) {
-    if (revenueMatch) {
-      return `The document shows company revenue of $${revenueMatch[1]}.`;
-    }
-  }
-  
-  if (lowerQuestion.includes('ebitda')) {
-    if (ebitdaMatch) {
-      return `The EBITDA shown in the document is $${ebitdaMatch[1]}.`;
-    }
-  }
-  
-  if (lowerQuestion.includes('shares') && lowerQuestion.includes('outstanding')) {
-    if (sharesMatch) {
-      return `The total shares outstanding according to the document is ${sharesMatch[1]}.`;
-    }
-  }
-  
-  // Handle questions specifically about tables or charts
-  if (lowerQuestion.includes('table') && hasTable) {
-    return `The document contains tabular data. ${tableMatch ? `Table ${tableMatch[1]} appears on Page ${tableMatch[2]}` : 'Tables are present in the document'} with financial information. Please refer to the specific table content for detailed values.`;
+// answerQuestion for an answer that must match `schema` (see
+// structuredOutput.js); resolves to the parsed answer. `options.task` names
+// the answer for the providers. Throws StructuredOutputError when the
+// answer cannot be repaired.
+export const answerStructured = async (question, context, schema, options = {}) => {
+  const finalContext = fitContext(question, context);
+  const system = renderPrompt('answer.system');
+  const format = renderPrompt('structured.json', { schema: JSON.stringify(schema) });
+  const request = {
+    system: `${system.text}\n\n${format.text}`,
+    prompt: question,
+    context: finalContext,
+    contextLabel: 'Document Content',
+    task: options.task || null,
+    tier: getModelTier(finalContext),
+    temperature: 0.1,
+    maxTokens: 1500,
+    prompts: [...system.prompts, ...format.prompts, ...(options.prompts || [])]
+  };
+
+  try {
+    const { data } = await completeStructured(request, schema, options);
+    return data;
+  } catch (error) {
+    if (error instanceof StructuredOutputError) throw error;
+    console.error('All providers failed for structured answer:', error.message);
+
+    // Final fallback to the deterministic local answer
+    const { data } = await completeStructured(request, schema, { ...options, provider: 'stub' });
+    return data;
   }
-  
-  if (lowerQuestion.includes('chart') && hasChart) {
-    return `The document contains chart visualizations. ${chartMatch ? `Chart ${chartMatch[1]} appears on Page ${chartMatch[2]}` : 'Charts are present in the document'} showing financial trends and data. Please refer to the specific chart analysis for insights.`;
+};
+
+// Engagement details are stated in the cover letter and introduction or on
+// the signature pages, so the model reads the start and end of a long report
+const REPORT_METADATA_HEAD = 24000;
+const REPORT_METADATA_TAIL = 8000;
+
+// Engagement metadata of the report (see reportMetadata.js). The patterns
+// read the whole text and fill whatever the model does not answer; when the
+// model's answer cannot be had at all the patterns' result is returned.
+export const extractReportMetadata = async (documentText, { pageOffsets = null, ...options } = {}) => {
+  const detected = detectReportMetadata(documentText, { pageOffsets });
+  const context = documentText.length > REPORT_METADATA_HEAD + REPORT_METADATA_TAIL
+    ? `${documentText.substring(0, REPORT_METADATA_HEAD)}\n\n...\n\n${documentText.substring(documentText.length - REPORT_METADATA_TAIL)}`
+    : documentText;
+
+  try {
+    const question = renderPrompt('metadata.report');
+    const answer = await answerStructured(question.text, context, getSchema('reportMetadata'), {
+      ...options,
+      task: 'report-metadata-json',
+      prompts: question.prompts
+    });
+    return mergeReportMetadata(detected, answer, { documentText, pageOffsets });
+  } catch (error) {
+    console.warn('Report metadata extraction is using the pattern results only:', error.message);
+    return detected;
   }
-  
-  // Fallback with actual document content
-  const visualNote = (hasTable || hasChart || hasImage) ? ' This document includes visual elements (tables, charts, or images) that provide additional financial data.' : '';
-  return `Based on the document content, here's what I found: ${context.substring(0, 300)}...${visualNote} Note: This analysis uses limited capabilities due to OpenAI quota limits, but is based on your actual document content.`;
 };
 
 // Helper function to chunk text into smaller pieces
@@ -220,7 +182,11 @@ const mergeMetricsResults = (results) => {
     companyValuation: { currency: "USD" },
     discountRates: {},
     capitalStructure: {},
+    esopDebt: {},
     valuationMultiples: {},
+    discountsAndPremiums: {},
+    valuationApproaches: {},
+    taxAffecting: {},
     valuationDate: { date: null, description: null }
   };
   
@@ -264,163 +230,48 @@ const mergeMetricsResults = (results) => {
   return merged;
 };
 
-// Simple in-memory cache for processed documents
-const processedCache = new Map();
-
-export const extractMetrics = async (documentText) => {
-  // Create a hash of the document content for caching
-  const documentHash = Buffer.from(documentText).toString('base64').substring(0, 50);
-  
-  // Check cache first
-  if (processedCache.has(documentHash)) {
-    console.log('🚀 Using cached metrics result');
-    return processedCache.get(documentHash);
-  }
-
+// Page completions are cached by the LLM layer, keyed by the page content.
+// `options.quiet` drops the progress log.
+export const extractMetrics = async (documentText, options = {}) => {
   try {
-    const systemPrompt = `You are an expert financial analyst. Extract ALL available ESOP valuation metrics from this document section. Be thorough and look for various ways these metrics might be expressed.
-
-    IMPORTANT: Look for these terms and their variations:
-    - Company Value/Valuation: "total value", "enterprise value", "company valuation", "fair market value", "firm value"
-    - Per Share Value: "per share", "share value", "price per share", "fair market value per share"
-    - Revenue: "annual revenue", "total revenue", "sales", "gross revenue"
-    - EBITDA: "earnings before", "operating income", "adjusted EBITDA"
-    - Discount Rate: "discount rate", "required rate", "cost of capital", "WACC", "weighted average"
-    - Shares: "outstanding shares", "total shares", "shares issued", "common shares"
-    - ESOP: "employee stock", "ESOP percentage", "employee ownership"
-    - Valuation Date: "valuation date", "as of", "effective date", "date of valuation"
-
-    CRITICAL: You MUST respond with ONLY valid JSON. No explanations, no text before or after the JSON.
-
-    Return a JSON object with this exact structure:
-    {
-      "enterpriseValue": {
-        "currentValue": numeric_value_or_null,
-        "previousValue": numeric_value_or_null,
-        "currency": "USD"
-      },
-      "valueOfEquity": {
-        "currentValue": numeric_value_or_null,
-        "previousValue": numeric_value_or_null,
-        "currency": "USD"
-      },
-      "valuationPerShare": {
-        "currentValue": numeric_value_or_null,
-        "previousValue": numeric_value_or_null,
-        "currency": "USD"
-      },
-      "keyFinancials": {
-        "revenue": numeric_value_or_null,
-        "ebitda": numeric_value_or_null,
-        "weightedAverageCostOfCapital": numeric_value_or_null
-      },
-      "companyValuation": {
-        "totalValue": numeric_value_or_null,
-        "perShareValue": numeric_value_or_null,
-        "currency": "USD"
-      },
-      "discountRates": {
-        "discountRate": numeric_value_or_null,
-        "riskFreeRate": numeric_value_or_null,
-        "marketRiskPremium": numeric_value_or_null
-      },
-      "capitalStructure": {
-        "totalShares": numeric_value_or_null,
-        "esopShares": numeric_value_or_null,
-        "esopPercentage": numeric_value_or_null
-      },
-      "valuationMultiples": {
-        "revenueMultiple": numeric_value_or_null,
-        "ebitdaMultiple": numeric_value_or_null
-      },
-      "valuationDate": {
-        "date": "YYYY-MM-DD or null",
-        "description": "text description of the valuation date"
-      }
-    }
-
-    CRITICAL RULES:
-    1. Extract EXACT numeric values only (no $ signs, % symbols, or commas)
-    2. If enterprise value not found, use company/total valuation
-    3. If value of equity not found, use company valuation minus debt (or same as company value if no debt mentioned)
-    4. If WACC not found, use discount rate
-    5. Look carefully for ALL financial numbers in this section
-    6. Use null only if truly not available after thorough search
-    7. For valuation date: Look for "Valuation Date:", "as of", "effective date", etc. Convert to YYYY-MM-DD format if possible
-    8. RESPOND WITH ONLY THE JSON OBJECT - NO OTHER TEXT
-    
-    Be aggressive in finding values - look in tables, summaries, conclusions, and anywhere numbers appear.`;
-
     // Split document into pages
     const pages = splitIntoPages(documentText);
-    console.log(`📄 Document split into ${pages.length} pages for processing`);
-    
-    const chatModel = process.env.CHAT_MODEL || 'gpt-4o';
+    if (!options.quiet) {
+      console.log(`📄 Document split into ${pages.length} pages for processing`);
+    }
     
     // Process pages in parallel with concurrency control
     const processPage = async (page, pageIndex) => {
       try {
-        // Try Claude first for better accuracy and speed
-        const { extractMetricsWithClaude } = await import('./anthropicService.js');
-        const pageResult = await extractMetricsWithClaude(page);
+        const system = renderPrompt('metrics.extraction.system');
+        const instruction = renderPrompt('metrics.extraction.page');
+        const { data, response } = await completeStructured({
+          system: system.text,
+          prompt: instruction.text,
+          context: page,
+          contextLabel: `Page ${pageIndex + 1} content`,
+          task: 'metrics-json',
+          temperature: 0.1,
+          maxTokens: 2000,
+          prompts: [...system.prompts, ...instruction.prompts]
+        }, getSchema('metricsExtraction'), options);
+
+        // Values come back as numbers or strings ("$45.0 million", "(1,200)");
+        // normalize them against the page the model read
+        const pageResult = normalizeMetrics(data, { documentText: page });
         if (process.env.NODE_ENV === 'development') {
-          console.log(`✅ Page ${pageIndex + 1} processed with Claude`);
+          console.log(`✅ Page ${pageIndex + 1} processed with ${response.provider}/${response.model}`);
         }
         return { success: true, result: pageResult, pageIndex };
-        
-      } catch (claudeError) {
-        if (process.env.NODE_ENV === 'development') {
-          console.log(`⚠️ Page ${pageIndex + 1} failed with Claude:`, claudeError.message);
-        }
-        
-        // Fallback to OpenAI GPT-4-turbo
-        try {
-          const response = await openai.chat.completions.create({
-            model: chatModel,
-            messages: [
-              { role: 'system', content: systemPrompt },
-              { role: 'user', content: `Page ${pageIndex + 1} content:\n${page}` }
-            ],
-            temperature: 0.1,
-            max_tokens: 1000,
-          });
-          
-          const responseContent = response.choices[0].message.content.trim();
-          const pageResult = parseJSONResponse(responseContent);
-          if (process.env.NODE_ENV === 'development') {
-            console.log(`✅ Page ${pageIndex + 1} processed with ${chatModel} fallback`);
-          }
-          return { success: true, result: pageResult, pageIndex };
-          
-        } catch (gptError) {
-          if (process.env.NODE_ENV === 'development') {
-            console.log(`⚠️ Page ${pageIndex + 1} failed with ${chatModel}:`, gptError.message);
-          }
-          
-          // Final fallback to GPT-3.5-turbo
-          try {
-            const response = await openai.chat.completions.create({
-              model: 'gpt-3.5-turbo',
-              messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: `Page ${pageIndex + 1} content:\n${page}` }
-              ],
-              temperature: 0.1,
-              max_tokens: 1500,
-            });
-            
-            const responseContent = response.choices[0].message.content.trim();
-            const pageResult = parseJSONResponse(responseContent);
-            if (process.env.NODE_ENV === 'development') {
-              console.log(`✅ Page ${pageIndex + 1} processed with GPT-3.5-turbo final fallback`);
-            }
-            return { success: true, result: pageResult, pageIndex };
-            
-          } catch (finalError) {
-            console.error(`❌ Page ${pageIndex + 1} failed completely:`, finalError.message);
-            return { success: false, result: null, pageIndex };
-          }
+
+      } catch (error) {
+        // A page whose answer never matched the schema contributes nothing
+        if (error instanceof StructuredOutputError) {
+          console.warn(`⚠️ Page ${pageIndex + 1} skipped: ${error.message}`);
+        } else {
+          console.error(`❌ Page ${pageIndex + 1} failed completely:`, error.message);
         }
+        return { success: false, result: null, pageIndex };
       }
     };
     
@@ -454,63 +305,14 @@ export const extractMetrics = async (documentText) => {
       console.log(`✅ Metrics extraction completed with parallel processing`);
     }
     
-    // Cache the result
-    processedCache.set(documentHash, mergedResult);
-    
-    // Limit cache size
-    if (processedCache.size > 10) {
-      const firstKey = processedCache.keys().next().value;
-      processedCache.delete(firstKey);
-    }
-    
     return mergedResult;
     
   } catch (error) {
-    console.error('OpenAI metrics extraction error:', error);
+    console.error('Metrics extraction error:', error);
     return null;
   }
 };
 
-// Add cache clearing function
-export const clearMetricsCache = () => {
-  processedCache.clear();
-  console.log('🧹 Metrics cache cleared');
-};
-
-// Helper function to parse JSON responses with better error handling
-const parseJSONResponse = (responseContent) => {
-  try {
-    // First, try direct JSON parsing
-    return JSON.parse(responseContent);
-  } catch (error) {
-    console.log('⚠️ Direct JSON parsing failed, attempting to extract JSON...');
-    
-    // Try to find JSON object in the response
-    const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[0]);
-      } catch (jsonError) {
-        console.log('⚠️ JSON extraction failed:', jsonError.message);
-      }
-    }
-    
-    // If no JSON found, return null result
-    console.log('⚠️ No valid JSON found in response, returning null');
-    return {
-      enterpriseValue: { currentValue: null, previousValue: null, currency: "USD" },
-      valueOfEquity: { currentValue: null, previousValue: null, currency: "USD" },
-      valuationPerShare: { currentValue: null, previousValue: null, currency: "USD" },
-      keyFinancials: { revenue: null, ebitda: null, weightedAverageCostOfCapital: null },
-      companyValuation: { totalValue: null, perShareValue: null, currency: "USD" },
-      discountRates: { discountRate: null, riskFreeRate: null, marketRiskPremium: null },
-      capitalStructure: { totalShares: null, esopShares: null, esopPercentage: null },
-      valuationMultiples: { revenueMultiple: null, ebitdaMultiple: null },
-      valuationDate: { date: null, description: null }
-    };
-  }
-};
-
 // Optimize page size for faster processing
 const splitIntoPages = (documentText) => {
   // Optimize page size for faster processing
@@ -554,15 +356,8 @@ const splitIntoPages = (documentText) => {
   return pages.length > 0 ? pages : [documentText];
 };
 
-const getOptimalModel = (documentSize) => {
-  const estimatedTokens = documentSize.length / 4;
-  
-  // Use faster models for better performance
-  if (estimatedTokens > 8000) {
-    return 'gpt-4o'; // Fastest GPT-4 variant
-  } else if (estimatedTokens > 4000) {
-    return 'gpt-4o'; // GPT-4o is faster
-  } else {
-    return 'gpt-3.5-turbo'; // Fastest overall
-  }
-};
\ No newline at end of file
+// Short contexts go to the provider's faster, cheaper model
+const getModelTier = (context) => {
+  const estimatedTokens = context.length / 4;
+  return estimatedTokens > 4000 ? 'default' : 'fast';
+};
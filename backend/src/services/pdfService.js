@@ -4,10 +4,21 @@ import { pool } from '../models/database.js';
 import { createEmbedding } from './openaiService.js';
 import { v4 as uuidv4 } from 'uuid';
 import Reducto from 'reductoai';
+import { buildPageOffsets } from './provenance.js';
+import { escapeLikePattern } from './reportMetadata.js';
 
-const reducto = new Reducto({
-  apiKey: process.env.REDUCTO_API_KEY,
-});
+let reducto = null;
+
+// The SDK throws at construction time without an API key, so create the client
+// on first use and let a missing key fall through to basic extraction
+const getReducto = () => {
+  if (!reducto) {
+    reducto = new Reducto({
+      apiKey: process.env.REDUCTO_API_KEY,
+    });
+  }
+  return reducto;
+};
 
 export const processPDF = async (filePath, filename) => {
   try {
@@ -24,12 +35,12 @@ export const processPDF = async (filePath, filename) => {
       
       // Step 1: Upload file to Reducto
       const fileStream = fsSync.createReadStream(filePath);
-      const uploadResponse = await reducto.upload({ 
+      const uploadResponse = await getReducto().upload({ 
         file: fileStream
       });
       
       // Step 2: Parse the uploaded file with basic extraction (enhanced params cause API errors)
-      const parseResponse = await reducto.parse.run({
+      const parseResponse = await getReducto().parse.run({
         document_url: uploadResponse.file_id
       });
       
@@ -123,9 +134,13 @@ END OF EXTRACTED TEXT
       // Store the full text (concatenated pages) in documents table
       const fullText = pageData.map(page => page.content).join('\n\n');
       
+      // Page boundaries let extracted values be traced back to their page; the
+      // parse method is recorded with each extraction run
+      const metadata = { pageOffsets: buildPageOffsets(pageData), parseMethod };
+      
       await client.query(
-        'INSERT INTO documents (id, filename, file_path, content_text, processed_at) VALUES ($1, $2, $3, $4, NOW())',
-        [documentId, filename, filePath, fullText]
+        'INSERT INTO documents (id, filename, file_path, content_text, metadata, processed_at) VALUES ($1, $2, $3, $4, $5, NOW())',
+        [documentId, filename, filePath, fullText, metadata]
       );
       
       // Prepare all chunks first (text + visual)
@@ -272,7 +287,8 @@ END OF EXTRACTED TEXT
         filename,
         totalPages: pageData.length,
         textLength: fullText.length,
-        chunksCreated: globalChunkIndex
+        chunksCreated: globalChunkIndex,
+        parseMethod
       };
       
     } catch (error) {
@@ -789,11 +805,32 @@ const splitByLength = (text, targetLength) => {
   return pages;
 };
 
-export const getDocuments = async () => {
+// Report metadata filters (see parseDocumentFilters) as SQL conditions.
+// Dates are stored as YYYY-MM-DD, so they compare correctly as text.
+const reportFilterCondition = ({ field, match }, parameter) => {
+  switch (match) {
+    case 'contains':
+      return `metadata->'report'->>'${field}' ILIKE $${parameter}`;
+    case 'equals':
+      return `metadata->'report' @> jsonb_build_object('${field}', $${parameter}::text)`;
+    case 'from':
+      return `metadata->'report'->>'${field}' >= $${parameter}`;
+    default:
+      return `metadata->'report'->>'${field}' <= $${parameter}`;
+  }
+};
+
+export const getDocuments = async (filters = []) => {
   const client = await pool.connect();
   try {
+    const conditions = filters.map((filter, index) => reportFilterCondition(filter, index + 1));
+    const values = filters.map(({ match, value }) => match === 'contains' ? `%${escapeLikePattern(value)}%` : value);
     const result = await client.query(
-      'SELECT id, filename, upload_date, processed_at FROM documents ORDER BY upload_date DESC'
+      `SELECT id, filename, upload_date, processed_at, metadata->'report' AS report
+       FROM documents
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY upload_date DESC`,
+      values
     );
     return result.rows;
   } finally {
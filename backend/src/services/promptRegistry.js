@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Named, versioned prompt templates.
+//
+// Prompts live in text files rather than string literals so that a prompt
+// edit is a visible, versioned change. src/prompts holds the defaults, one
+// template per file, each starting with a header:
+//
+//   ---
+//   id: validation.enterpriseValue.primary
+//   version: 1.1
+//   description: Primary single-metric prompt for enterpriseValue
+//   ---
+//   Extract the total company or business value ... {{variable}} ...
+//
+// Several files may hold versions of one id; the highest version is used
+// unless PROMPT_VERSIONS pins another (comma-separated id@version).
+// PROMPT_PATHS names more files or directories, loaded after the defaults.
+//
+// renderPrompt fills in {{variables}} and returns { text, prompts }, where
+// prompts lists the id and version of every template that went into the
+// text. Pass `prompts` with the LLM request so each call records them.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+const HEADER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Numeric comparison of dotted versions, so 1.10 is newer than 1.9
+export const compareVersions = (a, b) => {
+  const first = String(a).split('.').map(Number);
+  const second = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(first.length, second.length); i++) {
+    const difference = (first[i] || 0) - (second[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+export const parsePromptFile = (content, file = 'prompt') => {
+  const header = content.match(HEADER_PATTERN);
+  if (!header) {
+    throw new Error(`Prompt file ${file} has no header`);
+  }
+
+  const fields = Object.fromEntries(header[1].split(/\r?\n/)
+    .map(line => line.match(/^(\w+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.trim()]));
+
+  if (!fields.id || !fields.version) {
+    throw new Error(`Prompt file ${file} needs an id and a version`);
+  }
+  if (!/^\d+(\.\d+)*$/.test(fields.version)) {
+    throw new Error(`Prompt ${fields.id} in ${file} has an invalid version: ${fields.version}`);
+  }
+
+  const template = content.slice(header[0].length).replace(/\r?\n$/, '');
+  return {
+    id: fields.id,
+    version: fields.version,
+    description: fields.description || null,
+    template,
+    variables: [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))]
+  };
+};
+
+const promptFilesIn = (entry) => fs.statSync(entry).isDirectory()
+  ? fs.readdirSync(entry).filter(file => file.endsWith('.txt')).sort().map(file => path.join(entry, file))
+  : [entry];
+
+// Every version of every prompt, { id: [prompt, ...] } with the newest first
+export const loadPrompts = (paths = [DEFAULT_PROMPTS_DIR, ...parseList(process.env.PROMPT_PATHS)]) => {
+  const prompts = {};
+
+  for (const file of paths.flatMap(promptFilesIn)) {
+    const prompt = parsePromptFile(fs.readFileSync(file, 'utf8'), file);
+    const versions = (prompts[prompt.id] ||= []).filter(existing => existing.version !== prompt.version);
+    prompts[prompt.id] = [...versions, prompt].sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  return prompts;
+};
+
+// { id: version } from PROMPT_VERSIONS
+export const parsePinnedVersions = (value = process.env.PROMPT_VERSIONS) => Object.fromEntries(
+  parseList(value).map(entry => {
+    const [id, version] = entry.split('@');
+    if (!id || !version) {
+      throw new Error(`Invalid PROMPT_VERSIONS entry: ${entry} (expected id@version)`);
+    }
+    return [id, version];
+  })
+);
+
+let registry = null;
+
+const getRegistry = () => {
+  if (!registry) {
+    registry = { prompts: loadPrompts(), pinned: parsePinnedVersions() };
+  }
+  return registry;
+};
+
+// Forget the loaded templates, e.g. after the prompt files or environment change
+export const reloadPrompts = () => {
+  registry = null;
+};
+
+export const hasPrompt = (id) => Boolean(getRegistry().prompts[id]);
+
+export const getPrompt = (id, version = null) => {
+  const { prompts, pinned } = getRegistry();
+  const versions = prompts[id];
+  if (!versions) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+
+  const wanted = version || pinned[id];
+  if (!wanted) return versions[0];
+
+  const prompt = versions.find(candidate => compareVersions(candidate.version, wanted) === 0);
+  if (!prompt) {
+    throw new Error(`Prompt ${id} has no version ${wanted}`);
+  }
+  return prompt;
+};
+
+// Fill in a template. A variable may be a string or number, or another
+// rendered prompt, whose text is inserted and whose templates are recorded.
+export const renderPrompt = (id, variables = {}, { version = null } = {}) => {
+  const prompt = getPrompt(id, version);
+  const used = [{ id: prompt.id, version: prompt.version }];
+
+  const text = prompt.template.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      throw new Error(`Prompt ${prompt.id}@${prompt.version} is missing variable: ${name}`);
+    }
+    if (typeof value === 'object') {
+      used.push(...(value.prompts || []));
+      return value.text;
+    }
+    return String(value);
+  });
+
+  return { text, prompts: used };
+};
+
+// Distinct prompt versions used by logged LLM calls and how many calls used each
+export const summarizePromptUsage = (calls) => {
+  const usage = new Map();
+  for (const { prompts = [] } of calls) {
+    for (const { id, version } of prompts) {
+      const key = `${id}@${version}`;
+      const entry = usage.get(key) || { id, version, calls: 0 };
+      entry.calls++;
+      usage.set(key, entry);
+    }
+  }
+  return [...usage.values()].sort((a, b) => a.id.localeCompare(b.id) || compareVersions(a.version, b.version));
+};
+
+// The prompt versions behind logged LLM calls as one string
+// ("answer.system@1.0,validation.ebitda.primary@1.2"), or null without any
+export const describePromptVersions = (calls) => summarizePromptUsage(calls)
+  .map(({ id, version }) => `${id}@${version}`)
+  .join(',') || null;
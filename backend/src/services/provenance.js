@@ -0,0 +1,218 @@
+import { findNumbers, scaleAt } from './numberNormalization.js';
+
+// Per-metric provenance: where in content_text an extracted value came from.
+//
+// Extractors only hand back numbers, so provenance is recovered afterwards by
+// scanning the document for every number that parses to the extracted value
+// and picking the occurrence closest to the metric's keywords. Each record is
+//   { method, page, snippet, charStart, charEnd }
+// with offsets into documents.content_text.
+
+export const EXTRACTION_METHODS = {
+  REGEX: 'regex',
+  EXTRACT_METRICS: 'extractMetrics',
+  EXTRACT_SINGLE_METRIC: 'extractSingleMetric',
+  RESOLVE_CONFLICT: 'resolveConflictWithAI',
+  CROSS_VALIDATION: 'crossValidateEnterpriseAndEquity',
+  AUTO_VALIDATION: 'autoValidation',
+  EXTRACT_REPORT_METADATA: 'extractReportMetadata'
+};
+
+// Keywords used to choose between several occurrences of the same number,
+// keyed by "section.field" as stored in extracted_metrics
+const FIELD_KEYWORDS = {
+  'enterpriseValue.currentValue': ['enterprise value', 'business value', 'total value', 'company value', 'firm value'],
+  'enterpriseValue.previousValue': ['enterprise value', 'prior', 'previous'],
+  'valueOfEquity.currentValue': ['equity value', 'value of equity', 'equity'],
+  'valueOfEquity.previousValue': ['equity', 'prior', 'previous'],
+  'valuationPerShare.currentValue': ['per share', 'share value', 'price per share'],
+  'valuationPerShare.previousValue': ['per share', 'prior', 'previous'],
+  'keyFinancials.revenue': ['revenue', 'sales'],
+  'keyFinancials.ebitda': ['ebitda', 'earnings before'],
+  'keyFinancials.weightedAverageCostOfCapital': ['wacc', 'weighted average cost', 'cost of capital', 'discount rate'],
+  'companyValuation.totalValue': ['enterprise value', 'business value', 'total value', 'company value'],
+  'companyValuation.perShareValue': ['per share', 'share value'],
+  'discountRates.discountRate': ['discount rate', 'wacc', 'cost of capital'],
+  'discountRates.riskFreeRate': ['risk-free', 'risk free'],
+  'discountRates.marketRiskPremium': ['risk premium', 'equity premium'],
+  'discountRates.beta': ['beta'],
+  'discountRates.sizePremium': ['size premium', 'small company'],
+  'discountRates.companySpecificRisk': ['company-specific', 'specific risk'],
+  'discountRates.costOfEquity': ['cost of equity'],
+  'discountRates.costOfDebt': ['cost of debt'],
+  'discountRates.taxRate': ['tax rate'],
+  'discountRates.equityWeight': ['equity', 'capital structure', 'weight'],
+  'discountRates.debtWeight': ['debt', 'capital structure', 'weight'],
+  'capitalStructure.totalShares': ['shares outstanding', 'outstanding shares', 'total shares'],
+  'capitalStructure.esopShares': ['esop', 'shares'],
+  'capitalStructure.esopPercentage': ['esop', 'owns', 'ownership'],
+  'capitalStructure.allocatedShares': ['allocated'],
+  'capitalStructure.unallocatedShares': ['unallocated', 'suspense'],
+  'esopDebt.externalLoanBalance': ['external loan', 'bank loan', 'senior'],
+  'esopDebt.externalLoanRate': ['external loan', 'bank loan', 'interest'],
+  'esopDebt.externalLoanTermYears': ['external loan', 'bank loan', 'term'],
+  'esopDebt.internalLoanBalance': ['internal loan', 'esop loan'],
+  'esopDebt.internalLoanRate': ['internal loan', 'esop loan', 'interest'],
+  'esopDebt.internalLoanTermYears': ['internal loan', 'esop loan', 'term'],
+  'esopDebt.sellerNoteBalance': ['seller note', 'selling shareholder'],
+  'esopDebt.sellerNoteRate': ['seller note', 'interest'],
+  'esopDebt.sellerNoteTermYears': ['seller note', 'term'],
+  'valuationMultiples.revenueMultiple': ['revenue multiple', 'ev/revenue', 'sales'],
+  'valuationMultiples.ebitdaMultiple': ['ebitda multiple', 'ev/ebitda'],
+  'discountsAndPremiums.discountForLackOfMarketability': ['lack of marketability', 'marketability discount', 'dlom'],
+  'discountsAndPremiums.controlPremium': ['control premium'],
+  'discountsAndPremiums.minorityDiscount': ['minority discount', 'lack of control', 'dloc'],
+  'discountsAndPremiums.marketableValuePerShare': ['marketable', 'per share'],
+  'valuationApproaches.incomeApproachValue': ['income approach', 'discounted cash flow'],
+  'valuationApproaches.incomeApproachWeight': ['income approach', 'weight'],
+  'valuationApproaches.marketApproachValue': ['market approach', 'guideline'],
+  'valuationApproaches.marketApproachWeight': ['market approach', 'weight'],
+  'valuationApproaches.assetApproachValue': ['asset approach', 'cost approach', 'net asset'],
+  'valuationApproaches.assetApproachWeight': ['asset approach', 'cost approach', 'weight'],
+  'taxAffecting.esopOwnershipPercentage': ['esop', 'owned'],
+  'taxAffecting.taxRate': ['tax-affect', 'tax affect', 'tax rate'],
+  'syntheticEquity.fullyDilutedShares': ['fully diluted', 'fully-diluted']
+};
+
+const KEYWORD_WINDOW = 150;
+const SNIPPET_RADIUS = 80;
+
+// Page boundaries of content_text, which pdfService builds by joining page
+// contents with a blank line
+export const buildPageOffsets = (pageData, separator = '\n\n') => {
+  const offsets = [];
+  let position = 0;
+
+  pageData.forEach((page, index) => {
+    const start = position;
+    const end = start + (page.content || '').length;
+    offsets.push({ pageNumber: page.pageNumber ?? index + 1, start, end });
+    position = end + separator.length;
+  });
+
+  return offsets;
+};
+
+// Resolve the page for a character offset. Documents processed before page
+// offsets were stored fall back to the nearest preceding "PAGE N" marker.
+export const pageForOffset = (offset, { pageOffsets = null, documentText = '' } = {}) => {
+  if (Array.isArray(pageOffsets) && pageOffsets.length > 0) {
+    const page = pageOffsets.find(({ start, end }) => offset >= start && offset <= end);
+    if (page) return page.pageNumber;
+  }
+
+  const markers = [...documentText.substring(0, offset).matchAll(/\bPAGE\s+(\d+)\b/gi)];
+  return markers.length > 0 ? parseInt(markers[markers.length - 1][1]) : null;
+};
+
+const valuesMatch = (candidate, target) => {
+  const allowed = Math.max(Math.abs(target) * 0.005, 0.005);
+  return Math.abs(candidate - target) <= allowed;
+};
+
+// Every occurrence of a number in the text that parses to `value`, taking
+// unit words ("$45.0 million"), table scale headers ("$ in thousands"),
+// basis points and accounting negatives into account
+const findNumberOccurrences = (documentText, value) => (
+  findNumbers(documentText)
+    .filter(number => valuesMatch(number.value, value) || (
+      number.kind === 'amount' && !number.hasUnit && valuesMatch(number.value * scaleAt(documentText, number.start), value)
+    ))
+    .map(({ start, end }) => ({ start, end }))
+);
+
+const keywordScore = (documentText, start, keywords) => {
+  const window = documentText.substring(Math.max(0, start - KEYWORD_WINDOW), start).toLowerCase();
+  let score = 0;
+  keywords.forEach((keyword, index) => {
+    const position = window.lastIndexOf(keyword);
+    if (position !== -1) {
+      // Earlier keywords in the list are more specific; closer ones are more likely the label
+      score = Math.max(score, (keywords.length - index) * 1000 + position);
+    }
+  });
+  return score;
+};
+
+// The text around [start, end), kept to the line it is on
+export const buildSnippet = (documentText, start, end) => {
+  const lineStart = documentText.lastIndexOf('\n', start - 1) + 1;
+  const lineEndIndex = documentText.indexOf('\n', end);
+  const lineEnd = lineEndIndex === -1 ? documentText.length : lineEndIndex;
+
+  const snippetStart = Math.max(lineStart, start - SNIPPET_RADIUS);
+  const snippetEnd = Math.min(lineEnd, end + SNIPPET_RADIUS);
+  return documentText.substring(snippetStart, snippetEnd).trim();
+};
+
+// Locate a single value in the document. Returns null when the value never
+// appears verbatim (e.g. it was derived rather than quoted).
+export const locateValue = (documentText, value, { field = null, pageOffsets = null } = {}) => {
+  if (!documentText || value === null || value === undefined) {
+    return null;
+  }
+
+  let occurrences = [];
+  if (typeof value === 'number') {
+    occurrences = findNumberOccurrences(documentText, value);
+  } else if (typeof value === 'string' && value.trim()) {
+    const start = documentText.indexOf(value.trim());
+    if (start !== -1) occurrences = [{ start, end: start + value.trim().length }];
+  }
+
+  if (occurrences.length === 0) {
+    return null;
+  }
+
+  const keywords = FIELD_KEYWORDS[field] || [];
+  const best = occurrences.reduce((current, occurrence) => (
+    keywordScore(documentText, occurrence.start, keywords) > keywordScore(documentText, current.start, keywords)
+      ? occurrence
+      : current
+  ));
+
+  return {
+    page: pageForOffset(best.start, { pageOffsets, documentText }),
+    snippet: buildSnippet(documentText, best.start, best.end),
+    charStart: best.start,
+    charEnd: best.end
+  };
+};
+
+// Build provenance for every populated field of a standard metrics object.
+// `methodFor(section, field)` names the extractor that produced the value.
+// A section's `evidence` map quotes the sentence behind a non-numeric field.
+export const buildMetricsProvenance = (metrics, { documentText, pageOffsets = null, methodFor }) => {
+  const provenance = {};
+
+  for (const [section, sectionData] of Object.entries(metrics || {})) {
+    if (!sectionData || typeof sectionData !== 'object' || section === 'confidenceScores') continue;
+
+    const sectionProvenance = {};
+    for (const [field, value] of Object.entries(sectionData)) {
+      if (field === 'currency' || value === null || value === undefined || typeof value === 'object') continue;
+
+      let quoted = typeof value === 'number' ? value : sectionData.evidence?.[field] ?? value;
+      if (section === 'valuationDate' && field === 'date') quoted = sectionData.description;
+
+      const location = locateValue(documentText, quoted, {
+        field: `${section}.${field}`,
+        pageOffsets
+      });
+
+      sectionProvenance[field] = {
+        method: methodFor(section, field),
+        page: location?.page ?? null,
+        snippet: location?.snippet ?? null,
+        charStart: location?.charStart ?? null,
+        charEnd: location?.charEnd ?? null
+      };
+    }
+
+    if (Object.keys(sectionProvenance).length > 0) {
+      provenance[section] = sectionProvenance;
+    }
+  }
+
+  return provenance;
+};
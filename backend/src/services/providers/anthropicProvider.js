@@ -0,0 +1,58 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { buildUserContent } from './common.js';
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new Error('ANTHROPIC_API_KEY is not configured');
+    }
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return client;
+};
+
+const getChatModel = (tier) => {
+  const defaultModel = process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022';
+  if (tier === 'fast') {
+    return process.env.CLAUDE_FAST_MODEL || defaultModel;
+  }
+  return defaultModel;
+};
+
+// Anthropic has no embeddings endpoint, so this provider only implements
+// chat completion and is skipped when the layer looks for an embedder.
+export const anthropicProvider = {
+  name: 'anthropic',
+
+  modelFor(request) {
+    return getChatModel(request.tier);
+  },
+
+  async complete(request) {
+    const model = getChatModel(request.tier);
+    const params = {
+      model,
+      max_tokens: request.maxTokens || 1500,
+      temperature: request.temperature ?? 0.1,
+      messages: [
+        { role: 'user', content: buildUserContent(request) }
+      ]
+    };
+    if (request.system) {
+      params.system = request.system;
+    }
+
+    const response = await getClient().messages.create(params);
+
+    return {
+      text: response.content[0].text.trim(),
+      model,
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+};
@@ -0,0 +1,13 @@
+// Helpers shared by the LLM providers
+
+// Rough estimation: 1 token ≈ 4 characters
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+// Build the user message from a provider request. Callers pass the document
+// text as `context` and the instruction as `prompt`.
+export const buildUserContent = ({ prompt, context, contextLabel = 'Context' }) => {
+  if (!context) {
+    return prompt;
+  }
+  return `${contextLabel}:\n${context}\n\nQuestion: ${prompt}`;
+};
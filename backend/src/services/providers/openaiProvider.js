@@ -0,0 +1,73 @@
+import OpenAI from 'openai';
+import { buildUserContent } from './common.js';
+
+let client = null;
+
+// The SDK throws at construction time without an API key, so the client is
+// only created the first time the provider is actually used.
+const getClient = () => {
+  if (!client) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is not configured');
+    }
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+const getChatModel = (tier) => {
+  if (tier === 'fast') {
+    return process.env.OPENAI_FAST_MODEL || 'gpt-3.5-turbo';
+  }
+  return process.env.CHAT_MODEL || 'gpt-4o';
+};
+
+export const openaiProvider = {
+  name: 'openai',
+
+  modelFor(request) {
+    return getChatModel(request.tier);
+  },
+
+  async complete(request) {
+    const model = getChatModel(request.tier);
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: buildUserContent(request) });
+
+    const response = await getClient().chat.completions.create({
+      model,
+      messages,
+      temperature: request.temperature ?? 0.1,
+      max_tokens: request.maxTokens || 1000,
+    });
+
+    return {
+      text: response.choices[0].message.content.trim(),
+      model,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  },
+
+  async embed(text) {
+    const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    const response = await getClient().embeddings.create({
+      model,
+      input: text,
+    });
+
+    return {
+      embedding: response.data[0].embedding,
+      model,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: 0
+      }
+    };
+  }
+};
@@ -0,0 +1,401 @@
+import crypto from 'crypto';
+import { extractComprehensiveMetrics } from '../comprehensiveExtraction.js';
+import { parseAmount, scaleAt } from '../numberNormalization.js';
+import { detectReportMetadata } from '../reportMetadata.js';
+import { estimateTokens } from './common.js';
+
+// Deterministic local provider. It never touches the network: chat answers are
+// derived from the request text with the regex extractors and embeddings are
+// hashed bag-of-words vectors, so the same input always gives the same output.
+// Used for CI, air-gapped analysts and as the last resort in the fallback chain.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Order matters: the first rule matching the instruction line wins, so the
+// more specific metrics are checked before the generic "valuation" one
+const METRIC_RULES = [
+  { metric: 'marketableValuePerShare', pattern: /(?<!non-?)\bmarketable\b.*per[\s-]share|per[\s-]share.*(?<!non-?)\bmarketable\b/ },
+  { metric: 'discountForLackOfMarketability', pattern: /lack of marketability|\bdlom\b|marketability discount/ },
+  { metric: 'minorityDiscount', pattern: /minority (?:interest )?discount|lack of control|\bdloc\b/ },
+  { metric: 'controlPremium', pattern: /control premium|premium for control/ },
+  { metric: 'valuationPerShare', pattern: /per[\s-]share|price per share|share value/ },
+  { metric: 'valueOfEquity', pattern: /equity|shareholder value/ },
+  { metric: 'debtValue', pattern: /\bdebt\b/ },
+  { metric: 'ebitda', pattern: /ebitda|earnings before/ },
+  { metric: 'revenue', pattern: /revenue|sales/ },
+  { metric: 'discountRate', pattern: /discount rate|wacc|cost of capital|required rate/ },
+  { metric: 'totalShares', pattern: /shares outstanding|outstanding shares/ },
+  { metric: 'esopPercentage', pattern: /esop ownership|esop percentage|employee ownership|owned by the esop|ownership percentage/ },
+  { metric: 'valuationDate', pattern: /valuation date/ },
+  { metric: 'enterpriseValue', pattern: /enterprise value|business value|company value|company valuation|total value|valuation/ }
+];
+
+const detectMetric = (prompt) => {
+  const lowerPrompt = prompt.toLowerCase();
+  const instruction = lowerPrompt.split('\n')[0];
+
+  for (const text of [instruction, lowerPrompt]) {
+    const rule = METRIC_RULES.find(({ pattern }) => pattern.test(text));
+    if (rule) return rule.metric;
+  }
+  return null;
+};
+
+// The regex extractor is expensive and noisy, and the validation flow asks
+// about the same document many times in a row, so remember the last result
+let lastExtraction = { text: null, metrics: null };
+
+const extractFromText = (text) => {
+  if (lastExtraction.text !== text) {
+    // The pattern log would repeat for every question about the document
+    lastExtraction = { text, metrics: extractComprehensiveMetrics(text, { quiet: true }) };
+  }
+  return lastExtraction.metrics;
+};
+
+const parseDocumentDate = (text) => {
+  const patterns = [
+    /valuation\s+date:?\s*([A-Za-z]+\s+\d{1,2},\s*\d{4}|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{1,2}-\d{1,2})/i,
+    /as\s+of\s+([A-Za-z]+\s+\d{1,2},\s*\d{4}|\d{1,2}\/\d{1,2}\/\d{4})/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const raw = match[1];
+    let parts = null;
+
+    const named = raw.match(/^([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})$/);
+    const slashed = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+
+    if (named && MONTHS.includes(named[1].toLowerCase())) {
+      parts = { year: named[3], month: MONTHS.indexOf(named[1].toLowerCase()) + 1, day: named[2] };
+    } else if (slashed) {
+      parts = { year: slashed[3], month: slashed[1], day: slashed[2] };
+    } else if (iso) {
+      parts = { year: iso[1], month: iso[2], day: iso[3] };
+    }
+
+    if (parts) {
+      const pad = (value) => String(value).padStart(2, '0');
+      return {
+        raw,
+        iso: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+        us: `${pad(parts.month)}/${pad(parts.day)}/${parts.year}`
+      };
+    }
+  }
+
+  return null;
+};
+
+const findDebtValue = (text) => {
+  const match = text.match(/(?:total|interest[-\s]bearing|outstanding)\s+debt:?\s*\$?([\d,]+(?:\.\d+)?)\s*(million|billion|thousand|mm|bn)?/i);
+  if (!match) return null;
+
+  return parseAmount(match[0], { scale: scaleAt(text, match.index) });
+};
+
+const lookupMetric = (metric, text) => {
+  if (metric === 'debtValue') return findDebtValue(text);
+
+  const metrics = extractFromText(text);
+  const values = {
+    enterpriseValue: metrics.enterpriseValue.currentValue,
+    valueOfEquity: metrics.valueOfEquity.currentValue,
+    valuationPerShare: metrics.valuationPerShare.currentValue,
+    revenue: metrics.keyFinancials.revenue,
+    ebitda: metrics.keyFinancials.ebitda,
+    discountRate: metrics.discountRates.discountRate,
+    totalShares: metrics.capitalStructure.totalShares,
+    esopPercentage: metrics.capitalStructure.esopPercentage,
+    discountForLackOfMarketability: metrics.discountsAndPremiums.discountForLackOfMarketability,
+    controlPremium: metrics.discountsAndPremiums.controlPremium,
+    minorityDiscount: metrics.discountsAndPremiums.minorityDiscount,
+    marketableValuePerShare: metrics.discountsAndPremiums.marketableValuePerShare
+  };
+  return values[metric] ?? null;
+};
+
+const buildMetricsJson = (text) => {
+  const metrics = extractFromText(text);
+  const date = parseDocumentDate(text);
+  const orNull = (value) => value ?? null;
+
+  return {
+    enterpriseValue: { currentValue: orNull(metrics.enterpriseValue.currentValue), previousValue: null, currency: 'USD' },
+    valueOfEquity: { currentValue: orNull(metrics.valueOfEquity.currentValue), previousValue: null, currency: 'USD' },
+    valuationPerShare: { currentValue: orNull(metrics.valuationPerShare.currentValue), previousValue: null, currency: 'USD' },
+    keyFinancials: {
+      revenue: orNull(metrics.keyFinancials.revenue),
+      ebitda: orNull(metrics.keyFinancials.ebitda),
+      weightedAverageCostOfCapital: orNull(metrics.keyFinancials.weightedAverageCostOfCapital)
+    },
+    companyValuation: {
+      totalValue: orNull(metrics.companyValuation.totalValue),
+      perShareValue: orNull(metrics.companyValuation.perShareValue),
+      currency: 'USD'
+    },
+    discountRates: { ...metrics.discountRates, discountRate: orNull(metrics.discountRates.discountRate) },
+    capitalStructure: {
+      totalShares: orNull(metrics.capitalStructure.totalShares),
+      esopShares: orNull(metrics.capitalStructure.esopShares),
+      esopPercentage: orNull(metrics.capitalStructure.esopPercentage),
+      allocatedShares: orNull(metrics.capitalStructure.allocatedShares),
+      unallocatedShares: orNull(metrics.capitalStructure.unallocatedShares)
+    },
+    esopDebt: { ...metrics.esopDebt },
+    valuationMultiples: {
+      revenueMultiple: orNull(metrics.valuationMultiples.revenueMultiple),
+      ebitdaMultiple: orNull(metrics.valuationMultiples.ebitdaMultiple)
+    },
+    discountsAndPremiums: {
+      discountForLackOfMarketability: orNull(metrics.discountsAndPremiums.discountForLackOfMarketability),
+      controlPremium: orNull(metrics.discountsAndPremiums.controlPremium),
+      minorityDiscount: orNull(metrics.discountsAndPremiums.minorityDiscount),
+      marketableValuePerShare: orNull(metrics.discountsAndPremiums.marketableValuePerShare)
+    },
+    valuationApproaches: { ...metrics.valuationApproaches },
+    taxAffecting: {
+      entityType: metrics.taxAffecting.entityType,
+      esopOwnershipPercentage: metrics.taxAffecting.esopOwnershipPercentage,
+      taxAffected: metrics.taxAffecting.taxAffected,
+      taxRate: metrics.taxAffecting.taxRate,
+      method: metrics.taxAffecting.method
+    },
+    valuationDate: { date: date ? date.iso : null, description: date ? date.raw : null }
+  };
+};
+
+// Pick the highest-confidence option from a resolveConflictWithAI prompt
+const answerConflictResolution = (prompt) => {
+  const options = [...prompt.matchAll(/Option (\d+): ([\d.]+) \(.*?confidence: ([\d.]+)/g)]
+    .map(match => ({ option: parseInt(match[1]), value: parseFloat(match[2]), confidence: parseFloat(match[3]) }));
+
+  if (options.length === 0) {
+    return { option: null, value: null, reason: 'No candidate values were listed' };
+  }
+
+  const best = options.reduce((current, option) => option.confidence > current.confidence ? option : current);
+  return {
+    option: best.option,
+    value: best.value,
+    confidence: 'Medium',
+    reason: 'Highest-confidence candidate (offline stub provider)'
+  };
+};
+
+// Pick the first enterprise/equity pair where enterprise value covers equity
+const answerPairResolution = (prompt) => {
+  const listAfter = (heading) => {
+    const section = prompt.split(heading)[1] || '';
+    return [...section.split(/\n\s*\n/)[1]?.matchAll(/^(\d+)\. ([\d.]+)/gm) || []]
+      .map(match => ({ option: parseInt(match[1]), value: parseFloat(match[2]) }));
+  };
+
+  const enterpriseOptions = listAfter('ENTERPRISE VALUE options:');
+  const equityOptions = listAfter('EQUITY VALUE options:');
+
+  for (const enterprise of enterpriseOptions) {
+    const equity = equityOptions.find(candidate => candidate.value <= enterprise.value);
+    if (equity) {
+      return {
+        enterpriseOption: enterprise.option,
+        equityOption: equity.option,
+        confidence: 'Low',
+        reason: 'First combination where enterprise value is at least equity value (offline stub provider)'
+      };
+    }
+  }
+
+  return { enterpriseOption: 1, equityOption: 1, confidence: 'Low', reason: 'No consistent combination found (offline stub provider)' };
+};
+
+// JSON answers for the schema-validated questions of EnhancedAIValidation
+// and the report metadata. Metric values are the free-text answer as
+// written; the date context needs a real model, so it is never given.
+const STRUCTURED_ANSWERS = {
+  'metric-value-json': (prompt, context) => {
+    const answer = answerPrompt(prompt, context);
+    return { value: answer === 'NOT_FOUND' ? null : answer };
+  },
+  'conflict-json': (prompt) => answerConflictResolution(prompt),
+  'conflict-pair-json': (prompt) => answerPairResolution(prompt),
+  'date-context-json': () => ({ dateContext: null, temporalRelationship: null, confidence: null }),
+  'valuation-date-json': (prompt, context) => {
+    const date = parseDocumentDate(context || prompt);
+    return { date: date ? date.us : null };
+  },
+  'report-metadata-json': (prompt, context) => {
+    const { sources, ...metadata } = detectReportMetadata(context || prompt);
+    return metadata;
+  }
+};
+
+const answerValidation = (prompt, value) => {
+  const currentMatch = prompt.match(/Current extracted value:\s*([\d.,]+)/);
+  const currentValue = currentMatch ? parseFloat(currentMatch[1].replace(/,/g, '')) : null;
+
+  let matchesCurrent = 'N/A';
+  if (currentValue !== null && value !== null) {
+    matchesCurrent = Math.abs(currentValue - value) <= Math.abs(value) * 0.005 ? 'Yes' : 'No';
+  }
+
+  return `EXTRACTED_VALUE: ${value !== null ? value : 'NOT_FOUND'}
+CONFIDENCE: ${value !== null ? 'Medium' : 'Low'}
+MATCHES_CURRENT: ${matchesCurrent}
+EXPLANATION: Value located by pattern matching in the offline stub provider`;
+};
+
+// Keyword-based prose answer for free-form questions
+const composeAnswer = (question, context) => {
+  const lowerQuestion = question.toLowerCase();
+
+  // Check for visual content markers
+  const hasTable = context.includes('TABLE');
+  const hasChart = context.includes('CHART');
+  const hasImage = context.includes('IMAGE');
+
+  // Extract actual values from the document content (including visual elements)
+  const valuationMatch = context.match(/valuation:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
+  const shareMatch = context.match(/per share value:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
+  const discountMatch = context.match(/discount rate:?\s*([\d.]+)%?/i);
+  const ownershipMatch = context.match(/(?:esop )?ownership:?\s*([\d.]+)%?/i);
+  const revenueMatch = context.match(/revenue:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
+  const ebitdaMatch = context.match(/ebitda:?\s*\$?([\d,]+(?:\.\d{2})?)/i);
+  const sharesMatch = context.match(/shares outstanding:?\s*([\d,]+)/i);
+
+  // Extract table/chart references
+  const tableMatch = context.match(/TABLE (\d+) \(Page (\d+)\)/i);
+  const chartMatch = context.match(/CHART (\d+) \(Page (\d+)\)/i);
+  const pageMatch = context.match(/PAGE (\d+)/);
+
+  const describeSource = (fallback) => {
+    if (tableMatch) return `Table ${tableMatch[1]} on Page ${tableMatch[2]}`;
+    if (chartMatch) return `Chart ${chartMatch[1]} on Page ${chartMatch[2]}`;
+    if (pageMatch) return `Page ${pageMatch[1]}`;
+    return fallback;
+  };
+
+  if (lowerQuestion.includes('share') && !lowerQuestion.includes('outstanding') && shareMatch) {
+    return `According to ${describeSource('the valuation report')}, the per share value is $${shareMatch[1]}. This price reflects the fair market value per share for ESOP participants.`;
+  }
+
+  if ((lowerQuestion.includes('valuation') || lowerQuestion.includes('value')) && valuationMatch) {
+    return `Based on ${describeSource('the document')}, the total company valuation is $${valuationMatch[1]}. This represents the enterprise value as determined by the ESOP valuation analysis.`;
+  }
+
+  if (lowerQuestion.includes('discount') && discountMatch) {
+    return `The discount rate used in the valuation is ${discountMatch[1]}%. This rate reflects the company's cost of capital and risk profile.`;
+  }
+
+  if ((lowerQuestion.includes('ownership') || lowerQuestion.includes('percentage')) && ownershipMatch) {
+    return `According to the document, the ESOP ownership percentage is ${ownershipMatch[1]}%.`;
+  }
+
+  if (lowerQuestion.includes('revenue') && revenueMatch) {
+    return `The document shows company revenue of $${revenueMatch[1]}.`;
+  }
+
+  if (lowerQuestion.includes('ebitda') && ebitdaMatch) {
+    return `The EBITDA shown in the document is $${ebitdaMatch[1]}.`;
+  }
+
+  if (lowerQuestion.includes('shares') && lowerQuestion.includes('outstanding') && sharesMatch) {
+    return `The total shares outstanding according to the document is ${sharesMatch[1]}.`;
+  }
+
+  // Handle questions specifically about tables or charts
+  if (lowerQuestion.includes('table') && hasTable) {
+    return `The document contains tabular data. ${tableMatch ? `Table ${tableMatch[1]} appears on Page ${tableMatch[2]}` : 'Tables are present in the document'} with financial information. Please refer to the specific table content for detailed values.`;
+  }
+
+  if (lowerQuestion.includes('chart') && hasChart) {
+    return `The document contains chart visualizations. ${chartMatch ? `Chart ${chartMatch[1]} appears on Page ${chartMatch[2]}` : 'Charts are present in the document'} showing financial trends and data. Please refer to the specific chart analysis for insights.`;
+  }
+
+  // Fallback with actual document content
+  const visualNote = (hasTable || hasChart || hasImage) ? ' This document includes visual elements (tables, charts, or images) that provide additional financial data.' : '';
+  return `Based on the document content, here's what I found: ${context.substring(0, 300)}...${visualNote} Note: This answer was produced by the offline stub provider using pattern matching on your document content.`;
+};
+
+const answerPrompt = (prompt, context) => {
+  const text = context || prompt;
+
+  const metric = detectMetric(prompt);
+
+  if (metric === 'valuationDate') {
+    const date = parseDocumentDate(text);
+    return date ? date.us : 'NOT_FOUND';
+  }
+
+  const value = metric ? lookupMetric(metric, text) : null;
+
+  if (prompt.includes('EXTRACTED_VALUE:')) return answerValidation(prompt, value);
+
+  const wantsBareValue = /respond with (?:only|just)|NOT_FOUND|provide the answer|respond with:? ?\[?the number/i.test(prompt);
+  if (wantsBareValue) {
+    return value !== null ? String(value) : 'NOT_FOUND';
+  }
+
+  return composeAnswer(prompt, text);
+};
+
+const embeddingDimensions = () => {
+  const configured = parseInt(process.env.EMBEDDING_DIMENSIONS);
+  if (configured) return configured;
+  return (process.env.EMBEDDING_MODEL || '').includes('large') ? 3072 : 1536;
+};
+
+export const stubProvider = {
+  name: 'stub',
+
+  async complete(request) {
+    const prompt = request.prompt || '';
+    const context = request.context || '';
+
+    // Checklist judgements need a real model; the caller falls back to its
+    // own patterns when the answer is not JSON
+    let text;
+    if (request.task === 'metrics-json') {
+      text = JSON.stringify(buildMetricsJson(context || prompt));
+    } else if (request.task === 'checklist-json') {
+      text = 'NOT_FOUND';
+    } else if (STRUCTURED_ANSWERS[request.task]) {
+      text = JSON.stringify(STRUCTURED_ANSWERS[request.task](prompt, context));
+    } else {
+      text = answerPrompt(prompt, context);
+    }
+
+    return {
+      text,
+      model: 'stub',
+      usage: {
+        inputTokens: estimateTokens(`${request.system || ''}${prompt}${context}`),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  },
+
+  async embed(text) {
+    const dimensions = embeddingDimensions();
+    const vector = new Array(dimensions).fill(0);
+    const tokens = text.toLowerCase().match(/[a-z0-9$%.]+/g) || [];
+
+    for (const token of tokens) {
+      const digest = crypto.createHash('md5').update(token).digest();
+      vector[digest.readUInt32BE(0) % dimensions] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+
+    return {
+      embedding: vector.map(value => value / norm),
+      model: 'stub',
+      usage: { inputTokens: estimateTokens(text), outputTokens: 0 }
+    };
+  }
+};
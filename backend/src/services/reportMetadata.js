@@ -0,0 +1,283 @@
+import { EXTRACTION_METHODS, buildSnippet, pageForOffset } from './provenance.js';
+
+// Report engagement metadata.
+//
+// Who prepared the appraisal, for which plan and trustee, on what standard
+// and premise of value, as of when and why. It is stored on the document's
+// metadata under `report` and the documents list can be filtered by it.
+// Patterns read the whole report first; the model's answer (see
+// extractReportMetadata in openaiService.js) replaces any field it gives, and
+// each field keeps where it was found as { method, page, snippet, charStart,
+// charEnd }, like metric provenance.
+
+export const REPORT_METADATA_FIELDS = [
+  'appraisalFirm', 'appraiser', 'trustee', 'planName', 'standardOfValue',
+  'premiseOfValue', 'valuationDate', 'reportDate', 'purpose'
+];
+
+// First matching standard or premise wins, so the specific ones come first
+export const STANDARDS_OF_VALUE = {
+  fairMarketValue: /fair\s+market\s+value/i,
+  fairValue: /\bfair\s+value\b/i,
+  investmentValue: /\binvestment\s+value\b/i,
+  intrinsicValue: /\bintrinsic\s+value\b/i
+};
+
+export const PREMISES_OF_VALUE = {
+  orderlyLiquidation: /orderly\s+liquidation/i,
+  forcedLiquidation: /forced\s+liquidation/i,
+  goingConcern: /going[-\s]concern/i
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE = String.raw`((?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})`;
+
+// Capitalized words, as in "Smith Valuation Partners, LLC" or "GreatBanc Trust Company"
+const WORD = String.raw`[A-Z][\w&'.-]*`;
+const NAME = String.raw`${WORD}(?:,?[ \t]+(?:&[ \t]+)?${WORD}){0,6}`;
+const PERSON = String.raw`[A-Z][a-z]+(?:[ \t]+[A-Z]\.)?(?:[ \t]+[A-Z][a-z]+)?[ \t]+[A-Z][A-Za-z'-]+`;
+
+const CREDENTIALS = String.raw`(?:ASA|CFA|ABV|CVA|AVA|ABAR|MCBA|CBA|CPA)`;
+const FIRM_SUFFIX = /(?:\bLLC|L\.L\.C\.|\bLLP|\bL\.?P\.|\bInc\.?|\bIncorporated|\bCorp(?:oration)?\.?|\bLtd\.?|\bCompany|\bCo\.|\bAdvisors|\bAdvisers|\bPartners|\bGroup|\bAssociates|\bConsulting|\bValuation|\bTrust|\bBank|\bN\.A\.)$/;
+const TRUSTEE_NAME = /\b(?:Trust|Bank|Fiduciary|Fiduciaries|N\.A\.)\b/;
+
+// Words that open a heading or sentence rather than a plan sponsor's name
+const NOT_SPONSOR = new Set(['The', 'A', 'An', 'This', 'That', 'Its', 'Our', 'Their', 'Held', 'By', 'For', 'Of', 'On', 'To', 'And', 'In', 'Under',
+  'Independent', 'Annual', 'Appraisal', 'Valuation', 'Report', 'Fair', 'Market', 'Value', 'Common', 'Stock', 'Shares']);
+
+const FIELD_RULES = {
+  appraisalFirm: {
+    patterns: [
+      new RegExp(String.raw`(?:[Pp]repared|[Ss]ubmitted|[Ii]ssued|[Pp]erformed|[Cc]onducted)[ \t]+by:?\s+(${NAME})`),
+      new RegExp(String.raw`(${NAME})[ \t]*\((?:the[ \t]+)?["“]?(?:Appraiser|Valuation Firm|Independent Appraiser|Financial Advisor)`),
+      new RegExp(String.raw`(?:Sincerely|Respectfully submitted|Very truly yours),?[ \t]*\n\s*(${NAME})`),
+      new RegExp(String.raw`(?:engaged|retained)[ \t]+(${NAME})[ \t]+(?:\(|to[ \t]|as[ \t])`)
+    ],
+    read: (match) => {
+      const name = cleanName(match[1]);
+      return FIRM_SUFFIX.test(name) && !TRUSTEE_NAME.test(name) ? name : null;
+    }
+  },
+  appraiser: {
+    patterns: [
+      new RegExp(String.raw`(${PERSON}),?[ \t]+${CREDENTIALS}\b`),
+      new RegExp(String.raw`(?:[Ss]igned|[Aa]ppraiser|[Pp]repared[ \t]+by|[Ss]ubmitted[ \t]+by)[ \t]*:?[ \t]*\n?[ \t]*(${PERSON})\b`)
+    ],
+    read: (match) => {
+      const name = cleanName(match[1]);
+      return FIRM_SUFFIX.test(name) ? null : name;
+    }
+  },
+  trustee: {
+    patterns: [
+      new RegExp(String.raw`[Tt]rustee[ \t]*:\s*(${NAME})`),
+      new RegExp(String.raw`(${NAME}),?[ \t]+(?:as|the)[ \t]+(?:(?:independent|discretionary|directed|institutional)[ \t]+)?(?:ESOP[ \t]+|[Pp]lan[ \t]+)?[Tt]rustee\b`),
+      new RegExp(String.raw`(?:[Ii]ndependent|ESOP|[Dd]iscretionary|[Pp]lan)[ \t]+[Tt]rustee,?[ \t]+(${NAME})`)
+    ],
+    read: (match) => {
+      const name = cleanName(match[1]).replace(/^The\s+/, '');
+      return TRUSTEE_NAME.test(name) || FIRM_SUFFIX.test(name) || /^[A-Z][a-z]+(?:\s+[A-Z]\.)?\s+[A-Z][A-Za-z'-]+$/.test(name) ? name : null;
+    }
+  },
+  planName: {
+    patterns: [
+      /((?:[A-Z][a-z][\w&'.-]*[ \t]+){1,6}(Employee[ \t]+Stock[ \t]+Ownership[ \t]+(?:Plan(?:[ \t]+and[ \t]+Trust)?|Trust)))/,
+      /((?:[A-Z][a-z][\w&'.-]*[ \t]+){1,6}(ESOP))\b(?![ \t]+(?:Trustee|Committee|Administrator|Company|Update|Valuation|Appraisal|Report))/
+    ],
+    read: (match) => {
+      // The sponsor's name is the run of words before the plan, back to the first that is not part of it
+      const words = match[1].slice(0, -match[2].length).trim().split(/\s+/);
+      const sponsor = [];
+      for (const word of words.reverse()) {
+        if (NOT_SPONSOR.has(word) || /'s$/.test(word)) break;
+        sponsor.unshift(word);
+      }
+      return sponsor.length > 0 ? `${sponsor.join(' ')} ${match[2].replace(/\s+/g, ' ')}` : null;
+    }
+  },
+  standardOfValue: {
+    patterns: [
+      /standard\s+of\s+value[^.]{0,120}/i,
+      ...Object.values(STANDARDS_OF_VALUE)
+    ],
+    read: (match) => classify(match[0], STANDARDS_OF_VALUE)
+  },
+  premiseOfValue: {
+    patterns: [
+      /premise\s+of\s+value[^.]{0,120}/i,
+      ...Object.values(PREMISES_OF_VALUE)
+    ],
+    read: (match) => classify(match[0], PREMISES_OF_VALUE)
+  },
+  valuationDate: {
+    patterns: [
+      new RegExp(String.raw`valuation\s+date\s*(?:of|:|is|was)?\s*(?:the\s+)?${DATE}`, 'i'),
+      new RegExp(String.raw`\bas\s+of\s+${DATE}`, 'i')
+    ],
+    read: (match) => parseReportDate(match[1])
+  },
+  reportDate: {
+    patterns: [
+      new RegExp(String.raw`(?:report|issuance|issue)\s+date\s*:?\s*${DATE}`, 'i'),
+      new RegExp(String.raw`date\s+of\s+(?:this\s+|the\s+)?(?:report|issuance|opinion|letter)\s*:?\s*${DATE}`, 'i'),
+      new RegExp(String.raw`(?:report|letter|opinion)\s+(?:is\s+)?dated\s+(?:as\s+of\s+)?${DATE}`, 'i')
+    ],
+    read: (match) => parseReportDate(match[1])
+  },
+  purpose: {
+    patterns: [
+      /purpose\s+of\s+(?:this|the|our)\s+(?:valuation|appraisal|report|engagement|analysis|opinion)\s+(?:is|was)\s+(?:to\s+)?([^.]{10,240})/i,
+      /(?:for|solely\s+for)\s+the\s+(?:sole\s+)?purpose\s+of\s+([^.]{10,240})/i,
+      /\b(?:engaged|retained)\b[^.]{0,120}?\bto\s+((?:determine|estimate|provide|render|express)\b[^.]{10,240})/i
+    ],
+    read: (match) => match[1].replace(/\s+/g, ' ').trim()
+  }
+};
+
+// Drop the sentence punctuation a name was captured with, but not the period of "Inc." or "Co."
+const cleanName = (name) => {
+  const trimmed = name.replace(/\s+/g, ' ').trim().replace(/[,;:]+$/, '');
+  return /\b(?:Inc|Co|Ltd|Corp|L\.L\.C|L\.P|N\.A)\.$/.test(trimmed) ? trimmed : trimmed.replace(/\.+$/, '');
+};
+
+const classify = (text, options) => Object.entries(options).find(([, optionPattern]) => optionPattern.test(text))?.[0] ?? null;
+
+// ISO date (YYYY-MM-DD) from "December 31, 2023", "Dec. 31 2023", "12/31/2023"
+// or "2023-12-31"; null for anything else, including impossible dates
+export const parseReportDate = (text) => {
+  if (typeof text !== 'string') return null;
+  const value = text.trim();
+  let parts = null;
+
+  const named = value.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  const slashed = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+
+  if (named && MONTHS.includes(named[1].substring(0, 3).toLowerCase())) {
+    parts = [named[3], MONTHS.indexOf(named[1].substring(0, 3).toLowerCase()) + 1, named[2]];
+  } else if (slashed) {
+    parts = [slashed[3], slashed[1], slashed[2]];
+  } else if (iso) {
+    parts = [iso[1], iso[2], iso[3]];
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().substring(0, 10);
+};
+
+const sourceAt = (method, documentText, start, end, pageOffsets) => ({
+  method,
+  page: pageForOffset(start, { pageOffsets, documentText }),
+  snippet: buildSnippet(documentText, start, end),
+  charStart: start,
+  charEnd: end
+});
+
+const emptyReportMetadata = () => ({
+  ...Object.fromEntries(REPORT_METADATA_FIELDS.map(field => [field, null])),
+  sources: {}
+});
+
+// Every field the patterns find in the report, with the first occurrence of
+// each as its source
+export const detectReportMetadata = (documentText, { pageOffsets = null } = {}) => {
+  const result = emptyReportMetadata();
+  if (!documentText) return result;
+
+  for (const [field, { patterns, read }] of Object.entries(FIELD_RULES)) {
+    search: for (const fieldPattern of patterns) {
+      for (const match of documentText.matchAll(new RegExp(fieldPattern.source, `${fieldPattern.flags}gd`))) {
+        const value = read(match);
+        if (value) {
+          const [start, end] = match.indices[1] || match.indices[0];
+          result[field] = value;
+          result.sources[field] = sourceAt(EXTRACTION_METHODS.REGEX, documentText, start, end, pageOffsets);
+          break search;
+        }
+      }
+    }
+  }
+
+  return result;
+};
+
+// A model answer field in stored form, or null when it is missing or unusable
+const normalizeAnswer = (field, value) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  if (field === 'standardOfValue') return STANDARDS_OF_VALUE[value] ? value : classify(value, STANDARDS_OF_VALUE);
+  if (field === 'premiseOfValue') return PREMISES_OF_VALUE[value] ? value : classify(value, PREMISES_OF_VALUE);
+  if (field === 'valuationDate' || field === 'reportDate') return parseReportDate(value);
+  return value.replace(/\s+/g, ' ').trim();
+};
+
+// The model's answer over the detected fields. A field the model gives keeps
+// the detected location when both agree and is otherwise located by its text.
+export const mergeReportMetadata = (detected, answer, { documentText = '', pageOffsets = null } = {}) => {
+  const result = { ...detected, sources: { ...detected.sources } };
+
+  for (const field of REPORT_METADATA_FIELDS) {
+    const value = normalizeAnswer(field, answer?.[field]);
+    if (value === null) continue;
+
+    const detectedSource = detected[field] === value ? detected.sources[field] : null;
+    const start = detectedSource ? detectedSource.charStart : documentText.toLowerCase().indexOf(value.toLowerCase());
+    result[field] = value;
+    result.sources[field] = detectedSource
+      ? { ...detectedSource, method: EXTRACTION_METHODS.EXTRACT_REPORT_METADATA }
+      : start === -1
+        ? { method: EXTRACTION_METHODS.EXTRACT_REPORT_METADATA, page: null, snippet: null, charStart: null, charEnd: null }
+        : sourceAt(EXTRACTION_METHODS.EXTRACT_REPORT_METADATA, documentText, start, start + value.length, pageOffsets);
+  }
+
+  return result;
+};
+
+// Filters of the documents list
+export const DOCUMENT_TEXT_FILTERS = ['appraisalFirm', 'appraiser', 'trustee', 'planName', 'purpose'];
+export const DOCUMENT_DATE_FILTERS = ['valuationDate', 'reportDate'];
+
+// Validate documents list query parameters. Names, plan and purpose match
+// case-insensitively anywhere in the field; the standard and premise of value
+// match exactly; {field}From and {field}To bound the dates, inclusively.
+// Returns { error } or { filters: [{ field, match, value }] }.
+export const parseDocumentFilters = (query = {}) => {
+  const filters = [];
+
+  for (const field of DOCUMENT_TEXT_FILTERS) {
+    const value = query[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || value.trim() === '' || value.length > 200) {
+      return { error: `${field} must be non-empty text of at most 200 characters` };
+    }
+    filters.push({ field, match: 'contains', value: value.trim() });
+  }
+
+  for (const [field, options] of [['standardOfValue', STANDARDS_OF_VALUE], ['premiseOfValue', PREMISES_OF_VALUE]]) {
+    const value = query[field];
+    if (value === undefined) continue;
+    if (!Object.hasOwn(options, value)) {
+      return { error: `${field} must be one of ${Object.keys(options).join(', ')}` };
+    }
+    filters.push({ field, match: 'equals', value });
+  }
+
+  for (const field of DOCUMENT_DATE_FILTERS) {
+    for (const [suffix, match] of [['From', 'from'], ['To', 'to']]) {
+      const value = query[`${field}${suffix}`];
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || parseReportDate(value) === null) {
+        return { error: `${field}${suffix} must be a date as YYYY-MM-DD` };
+      }
+      filters.push({ field, match, value });
+    }
+  }
+
+  return { filters };
+};
+
+// Escape the LIKE wildcards in text matched with ILIKE
+export const escapeLikePattern = (value) => value.replace(/[\\%_]/g, (character) => `\\${character}`);
@@ -0,0 +1,201 @@
+import { pageForOffset } from './provenance.js';
+import { findNumbers } from './numberNormalization.js';
+import { extractFinancialTimeSeries } from './timeSeriesExtraction.js';
+
+// ESOP repurchase obligation extraction and projection.
+//
+// When participants leave or retire the sponsor must buy back their shares
+// at the appraised value. Reports that include (or summarize) a repurchase
+// obligation study give the projected annual liability, the participant
+// demographics behind it and how the company plans to fund it. The
+// projection model estimates future obligations from the per-share value
+// and ESOP share count under configurable assumptions.
+
+const DEMOGRAPHIC_PATTERNS = {
+  // "412 participants: 356 active ..." labels the breakdown, not the total
+  totalParticipants: [
+    /(?:total|number\s+of)\s+(?:plan\s+|esop\s+)?participants:?\s*(\d[\d,]*)/i,
+    /(\d[\d,]*)\s+(?:plan\s+|esop\s+)?participants/i,
+    /^\s*(?:plan\s+|esop\s+)?participants:?\s*(\d[\d,]*)/im
+  ],
+  activeParticipants: [
+    /active\s+participants:?\s*(\d[\d,]*)/i,
+    /(\d[\d,]*)\s+active\s+(?:participants|employees)/i
+  ],
+  terminatedParticipants: [
+    /(?:terminated|former|inactive)\s+(?:vested\s+)?participants:?\s*(\d[\d,]*)/i,
+    /(\d[\d,]*)\s+(?:terminated|former|inactive)\s+(?:vested\s+)?participants/i
+  ],
+  retirementEligible: [
+    /(?:retirement[-\s]eligible|eligible\s+(?:to|for)\s+retire(?:ment)?)[^\d\n.;,]{0,40}(\d[\d,]*)/i,
+    /(\d[\d,]*)\s+(?:participants\s+)?(?:are\s+)?(?:retirement[-\s]eligible|eligible\s+(?:to|for)\s+retire)/i
+  ],
+  averageAge: [
+    /average\s+(?:participant\s+)?age[^\d\n]{0,20}(\d{2}(?:\.\d+)?)/i
+  ]
+};
+
+const FUNDING_SOURCES = [
+  { source: 'corporateCashFlow', pattern: /(?:corporate|operating)\s+cash\s+flow|cash\s+from\s+operations/i },
+  { source: 'sinkingFund', pattern: /sinking\s+fund|reserve\s+fund|set[-\s]aside/i },
+  { source: 'corporateOwnedLifeInsurance', pattern: /corporate[-\s]owned\s+life\s+insurance|\bcoli\b|key[-\s](?:person|man)\s+(?:life\s+)?insurance/i },
+  { source: 'recycling', pattern: /recycl/i },
+  { source: 'redemption', pattern: /redemption|redeem/i },
+  { source: 'esopContributions', pattern: /(?:employer|company|esop)\s+contributions/i },
+  { source: 'distributions', pattern: /s[-\s]corp(?:oration)?\s+distributions|dividends/i },
+  { source: 'debtFinancing', pattern: /line\s+of\s+credit|credit\s+facility|borrowing/i }
+];
+
+const REPURCHASE_CONTEXT = /repurchase|redemption|put\s+option|emerging\s+liabilit/i;
+
+const firstCount = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const value = findNumbers(match[1])[0]?.value;
+    if (value !== undefined) return { value, index: match.index };
+  }
+  return null;
+};
+
+export const extractRepurchaseObligation = (documentText, { pageOffsets = null, valuationYear = null } = {}) => {
+  const result = {
+    found: false,
+    projectedObligations: [],
+    demographics: {},
+    fundingSources: [],
+    sourcePages: {}
+  };
+  if (!documentText) return result;
+
+  result.projectedObligations = extractFinancialTimeSeries(documentText, { pageOffsets, valuationYear })
+    .filter(row => row.lineItem === 'repurchaseObligation')
+    .sort((a, b) => (a.fiscalYear ?? 0) - (b.fiscalYear ?? 0))
+    .map(({ fiscalPeriod, fiscalYear, value, sourcePage }) => ({ fiscalPeriod, fiscalYear, obligation: value, sourcePage }));
+
+  // Demographics and funding are read from the paragraphs about repurchases
+  const paragraphs = [];
+  let position = 0;
+  for (const paragraph of documentText.split(/\n\s*\n/)) {
+    const start = documentText.indexOf(paragraph, position);
+    position = start + paragraph.length;
+    if (REPURCHASE_CONTEXT.test(paragraph)) paragraphs.push({ text: paragraph, start });
+  }
+
+  for (const [field, patterns] of Object.entries(DEMOGRAPHIC_PATTERNS)) {
+    for (const paragraph of paragraphs) {
+      const match = firstCount(paragraph.text, patterns);
+      if (!match) continue;
+      result.demographics[field] = match.value;
+      result.sourcePages[field] = pageForOffset(paragraph.start + match.index, { pageOffsets, documentText });
+      break;
+    }
+  }
+
+  const repurchaseText = paragraphs.map(paragraph => paragraph.text).join('\n');
+  result.fundingSources = FUNDING_SOURCES
+    .filter(({ pattern }) => pattern.test(repurchaseText))
+    .map(({ source }) => source);
+
+  result.found = result.projectedObligations.length > 0 || Object.keys(result.demographics).length > 0;
+  return result;
+};
+
+export const DEFAULT_PROJECTION_ASSUMPTIONS = {
+  years: 10,
+  turnoverRate: 4, // % of ESOP shares distributed each year to terminated participants
+  retirementRate: 3, // % distributed each year for retirement, death and disability
+  shareValueGrowthRate: 3, // % annual growth in the per-share value
+  installmentYears: 5 // distributions paid in equal annual installments
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Project annual obligations. Rates are percentage points. Repurchased shares
+// are recycled into remaining participants' accounts, so the ESOP share count
+// stays level; each year's distributions are paid over `installmentYears`.
+export const projectRepurchaseObligation = ({ sharePrice, esopShares, startYear, ...overrides }) => {
+  if (!(sharePrice > 0) || !(esopShares > 0)) {
+    return { error: 'A per-share value and an ESOP share count are required' };
+  }
+
+  const assumptions = { ...DEFAULT_PROJECTION_ASSUMPTIONS, ...overrides };
+  const years = Math.max(1, Math.min(50, Math.round(assumptions.years)));
+  const installmentYears = Math.max(1, Math.round(assumptions.installmentYears));
+  const distributionRate = (assumptions.turnoverRate + assumptions.retirementRate) / 100;
+  const growth = assumptions.shareValueGrowthRate / 100;
+  const firstYear = Number.isFinite(startYear) ? startYear : new Date().getUTCFullYear() + 1;
+
+  const payments = new Array(years).fill(0);
+  const schedule = [];
+
+  for (let index = 0; index < years; index++) {
+    const price = sharePrice * (1 + growth) ** (index + 1);
+    const sharesDistributed = esopShares * distributionRate;
+    const obligationTriggered = sharesDistributed * price;
+
+    for (let installment = 0; installment < installmentYears && index + installment < years; installment++) {
+      payments[index + installment] += obligationTriggered / installmentYears;
+    }
+
+    schedule.push({
+      year: firstYear + index,
+      sharePrice: round(price),
+      sharesDistributed: round(sharesDistributed),
+      obligationTriggered: round(obligationTriggered)
+    });
+  }
+
+  let cumulative = 0;
+  schedule.forEach((row, index) => {
+    cumulative += payments[index];
+    row.cashPayments = round(payments[index]);
+    row.cumulativePayments = round(cumulative);
+  });
+
+  return {
+    assumptions: { ...assumptions, years, installmentYears, sharePrice, esopShares, startYear: firstYear },
+    schedule,
+    totalTriggered: round(schedule.reduce((sum, row) => sum + row.obligationTriggered, 0)),
+    totalPayments: round(cumulative)
+  };
+};
+
+// ESOP share count from the stored capital structure: the stated count, or
+// total shares times the ESOP ownership percentage
+const esopSharesFrom = (capitalStructure = {}) => {
+  const esopShares = parseFloat(capitalStructure.esopShares);
+  if (Number.isFinite(esopShares) && esopShares > 0) return esopShares;
+
+  const totalShares = parseFloat(capitalStructure.totalShares);
+  const esopPercentage = parseFloat(capitalStructure.esopPercentage);
+  return Number.isFinite(totalShares) && Number.isFinite(esopPercentage) ? totalShares * esopPercentage / 100 : null;
+};
+
+// Projection assumptions from query-string values; anything missing or
+// non-numeric keeps its default
+export const parseProjectionAssumptions = (query = {}) => {
+  const assumptions = {};
+  for (const key of Object.keys(DEFAULT_PROJECTION_ASSUMPTIONS)) {
+    const value = parseFloat(query[key]);
+    if (Number.isFinite(value) && value >= 0) assumptions[key] = value;
+  }
+  return assumptions;
+};
+
+// Repurchase study data and the projection for one document. `storedMetrics`
+// maps metric_type to the stored metric_data and supplies the per-share value
+// and share counts the projection starts from.
+export const buildRepurchaseAnalysis = (documentText, { pageOffsets = null, valuationYear = null, storedMetrics = {}, assumptions = {} } = {}) => {
+  const extracted = extractRepurchaseObligation(documentText, { pageOffsets, valuationYear });
+
+  const sharePrice = parseFloat(storedMetrics.valuationPerShare?.currentValue);
+  const projection = projectRepurchaseObligation({
+    sharePrice,
+    esopShares: esopSharesFrom(storedMetrics.capitalStructure),
+    startYear: valuationYear !== null ? valuationYear + 1 : undefined,
+    ...assumptions
+  });
+
+  return { extracted, projection };
+};
@@ -0,0 +1,345 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Declarative red-flag rules over extracted metrics.
+//
+// Rules live in JSON files rather than code so analysts can tune thresholds
+// and teams can add checks of their own. config/financialRules.json holds the
+// defaults; FINANCIAL_RULES_PATHS names more files or directories
+// (comma-separated), loaded in order, where a rule with an existing id
+// replaces it and `"enabled": false` switches it off. A rule looks like
+//
+//   {
+//     "id": "ebitdaMarginHigh",
+//     "expression": "ebitdaMargin > maxMargin",
+//     "params": { "maxMargin": 50 },
+//     "severity": "warning",
+//     "message": "Unusually high EBITDA margin (>{maxMargin}%)",
+//     "overrides": { "software": { "params": { "maxMargin": 60 } } }
+//   }
+//
+// The expression flags the metrics when it is true. It may use numbers,
+// metric names (dotted paths such as discountRates.beta reach any stored
+// section), params, + - * /, comparisons, and/or/not and abs/min/max. A rule
+// whose metrics are missing is skipped rather than flagged. `overrides` are
+// keyed by the industries the rules file defines, detected from the report.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'financialRules.json');
+
+export const SEVERITIES = ['info', 'warning', 'error'];
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|(<=|>=|==|!=|&&|\|\||[-+*/<>!(),]))/y;
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.substring(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at ${start} in "${source}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) {
+      const word = match[2].toLowerCase();
+      if (word === 'and') tokens.push({ type: 'operator', value: '&&' });
+      else if (word === 'or') tokens.push({ type: 'operator', value: '||' });
+      else if (word === 'not') tokens.push({ type: 'operator', value: '!' });
+      else if (word === 'true' || word === 'false') tokens.push({ type: 'boolean', value: word === 'true' });
+      else tokens.push({ type: 'identifier', value: match[2] });
+    } else tokens.push({ type: 'operator', value: match[3] });
+  }
+  return tokens;
+};
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6
+};
+
+// Precedence-climbing parser to a small AST
+export const parseExpression = (source) => {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (value) => {
+    const token = tokens[position++];
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" in "${source}"`);
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error(`Unexpected end of "${source}"`);
+
+    if (token.type === 'number' || token.type === 'boolean') return { type: 'literal', value: token.value };
+    if (token.value === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+    if (token.value === '-' || token.value === '!') {
+      return { type: 'unary', operator: token.value, operand: parsePrimary() };
+    }
+    if (token.type === 'identifier') {
+      if (peek()?.value === '(') {
+        if (!FUNCTIONS[token.value]) throw new Error(`Unknown function ${token.value} in "${source}"`);
+        position++;
+        const args = [];
+        if (peek()?.value !== ')') {
+          args.push(parseBinary(0));
+          while (peek()?.value === ',') {
+            position++;
+            args.push(parseBinary(0));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'identifier', name: token.value };
+    }
+    throw new Error(`Unexpected "${token.value}" in "${source}"`);
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parsePrimary();
+    for (;;) {
+      const token = peek();
+      const precedence = token?.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) break;
+      position++;
+      left = { type: 'binary', operator: token.value, left, right: parseBinary(precedence + 1) };
+    }
+    return left;
+  };
+
+  const ast = parseBinary(0);
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in "${source}"`);
+  }
+  return ast;
+};
+
+const identifiersIn = (node, names = new Set()) => {
+  if (node.type === 'identifier') names.add(node.name);
+  if (node.type === 'unary') identifiersIn(node.operand, names);
+  if (node.type === 'binary') {
+    identifiersIn(node.left, names);
+    identifiersIn(node.right, names);
+  }
+  if (node.type === 'call') node.args.forEach(arg => identifiersIn(arg, names));
+  return names;
+};
+
+const evaluateNode = (node, lookup) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return lookup(node.name);
+    case 'unary': {
+      const operand = evaluateNode(node.operand, lookup);
+      return node.operator === '-' ? -operand : !operand;
+    }
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, lookup)));
+    default: {
+      if (node.operator === '&&') return evaluateNode(node.left, lookup) && evaluateNode(node.right, lookup);
+      if (node.operator === '||') return evaluateNode(node.left, lookup) || evaluateNode(node.right, lookup);
+
+      const left = evaluateNode(node.left, lookup);
+      const right = evaluateNode(node.right, lookup);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? NaN : left / right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        default: return left !== right;
+      }
+    }
+  }
+};
+
+// Booleans pass through for rules over flags such as taxAffecting.taxAffected
+const toValue = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const ratio = (numerator, denominator) => (
+  numerator !== null && denominator ? numerator / denominator : null
+);
+
+// Named metrics the rules can use, from either the stored sections
+// (enterpriseValue.currentValue, keyFinancials.ebitda, ...) or the flat
+// results enhanced validation works with. Percentages are in points.
+// Dotted names in expressions read the stored sections directly.
+export const buildRuleFacts = (metrics = {}) => {
+  const sectioned = typeof metrics.enterpriseValue === 'object' && metrics.enterpriseValue !== null ||
+    typeof metrics.keyFinancials === 'object' && metrics.keyFinancials !== null;
+
+  const pick = (sectionPath, flatName) => {
+    if (!sectioned) return toValue(metrics[flatName]);
+    const [section, field] = sectionPath.split('.');
+    return toValue(metrics[section]?.[field]);
+  };
+
+  const facts = {
+    enterpriseValue: pick('enterpriseValue.currentValue', 'enterpriseValue') ?? pick('companyValuation.totalValue', 'totalValue'),
+    equityValue: pick('valueOfEquity.currentValue', 'valueOfEquity'),
+    valuationPerShare: pick('valuationPerShare.currentValue', 'valuationPerShare'),
+    revenue: pick('keyFinancials.revenue', 'revenue'),
+    ebitda: pick('keyFinancials.ebitda', 'ebitda'),
+    discountRate: pick('discountRates.discountRate', 'discountRate') ?? pick('keyFinancials.weightedAverageCostOfCapital', 'weightedAverageCostOfCapital'),
+    totalShares: pick('capitalStructure.totalShares', 'totalShares'),
+    esopPercentage: pick('capitalStructure.esopPercentage', 'esopPercentage'),
+    discountForLackOfMarketability: pick('discountsAndPremiums.discountForLackOfMarketability', 'discountForLackOfMarketability'),
+    controlPremium: pick('discountsAndPremiums.controlPremium', 'controlPremium'),
+    marketableValuePerShare: pick('discountsAndPremiums.marketableValuePerShare', 'marketableValuePerShare')
+  };
+
+  const margin = ratio(facts.ebitda, facts.revenue);
+  facts.ebitdaMargin = margin === null ? null : margin * 100;
+  facts.evEbitdaMultiple = ratio(facts.enterpriseValue, facts.ebitda);
+  facts.evRevenueMultiple = ratio(facts.enterpriseValue, facts.revenue);
+
+  return facts;
+};
+
+const rulesFilesIn = (entry) => {
+  const stats = fs.statSync(entry);
+  if (!stats.isDirectory()) return [entry];
+  return fs.readdirSync(entry)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(entry, name));
+};
+
+const validateRule = (rule, source) => {
+  if (!rule.id || !rule.expression || !rule.message) {
+    throw new Error(`Rule ${rule.id || '(no id)'} in ${source} needs an id, expression and message`);
+  }
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.id} in ${source} has unknown severity "${rule.severity}"`);
+  }
+  // Fail at load time rather than on the first document
+  parseExpression(rule.expression);
+};
+
+// Merge the default rules file with FINANCIAL_RULES_PATHS
+export const loadRules = (paths = [DEFAULT_RULES_PATH, ...(process.env.FINANCIAL_RULES_PATHS || '').split(',').map(entry => entry.trim()).filter(Boolean)]) => {
+  const rules = new Map();
+  const industries = {};
+  const versions = [];
+
+  for (const file of paths.flatMap(rulesFilesIn)) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (content.version) versions.push(`${path.basename(file)}@${content.version}`);
+    Object.assign(industries, content.industries || {});
+
+    for (const rule of content.rules || []) {
+      if (rule.enabled === false) {
+        rules.delete(rule.id);
+        continue;
+      }
+      validateRule(rule, file);
+      rules.set(rule.id, { severity: 'warning', params: {}, overrides: {}, ...rule });
+    }
+  }
+
+  return { version: versions.join(','), industries, rules: [...rules.values()] };
+};
+
+// The industry whose patterns match the report most often
+export const detectIndustry = (documentText, industries = {}) => {
+  if (!documentText) return null;
+
+  let best = null;
+  let bestCount = 0;
+  for (const [industry, { patterns = [] }] of Object.entries(industries)) {
+    const count = patterns.reduce((sum, pattern) => sum + (documentText.match(new RegExp(pattern, 'gi')) || []).length, 0);
+    if (count > bestCount) {
+      best = industry;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+const formatValue = (value, decimals) => {
+  if (typeof value !== 'number') return String(value);
+  if (decimals !== undefined) return value.toFixed(decimals);
+  return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+};
+
+// "{name}" or "{name:1}" (fixed decimals) from the facts and params
+const renderMessage = (template, lookup) => template.replace(/\{([\w.]+)(?::(\d))?\}/g, (placeholder, name, decimals) => {
+  const value = lookup(name);
+  return value === null || value === undefined ? placeholder : formatValue(value, decimals === undefined ? undefined : parseInt(decimals, 10));
+});
+
+const pathValue = (object, name) => name.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+
+// Evaluate every rule against the facts. Returns one entry per rule that
+// could run: { ruleId, severity, message, triggered, values, industry }
+// where `values` holds the metrics and params the expression used.
+export const evaluateRules = (metrics, { rules = loadRules(), industry = null } = {}) => {
+  const facts = buildRuleFacts(metrics);
+  const findings = [];
+  const read = (name) => toValue(name.includes('.') ? pathValue(metrics, name) : facts[name]);
+
+  for (const rule of rules.rules) {
+    const override = (industry && rule.overrides?.[industry]) || null;
+    if (override?.enabled === false) continue;
+
+    const params = { ...rule.params, ...override?.params };
+    const lookup = (name) => (Object.prototype.hasOwnProperty.call(params, name) ? params[name] : read(name));
+
+    const ast = parseExpression(rule.expression);
+    const names = [...identifiersIn(ast)];
+    const values = Object.fromEntries(names.map(name => [name, lookup(name)]));
+    if (Object.values(values).some(value => value === null || value === undefined)) continue;
+
+    const result = evaluateNode(ast, lookup);
+    const triggered = result === true;
+
+    findings.push({
+      ruleId: rule.id,
+      severity: override?.severity || rule.severity,
+      message: renderMessage(override?.message || rule.message, lookup),
+      triggered,
+      values,
+      industry: override ? industry : null
+    });
+  }
+
+  return findings;
+};
+
+// Rule messages for the validation issue lists
+export const triggeredMessages = (findings) => findings
+  .filter(finding => finding.triggered)
+  .map(finding => finding.message);
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { complete } from './llmService.js';
+import { renderPrompt } from './promptRegistry.js';
+
+// Schema-validated structured LLM answers.
+//
+// Every structured response has a JSON Schema in src/schemas. An answer is
+// parsed as JSON and validated; when it fails, the model is asked again with
+// its answer and the validation errors (the structured.repair prompt), up to
+// LLM_SCHEMA_REPAIRS times (default 2). When the repairs run out a
+// StructuredOutputError is thrown, so a malformed answer is never used.
+//
+// The validator covers the part of JSON Schema the answer schemas use: type
+// (including arrays of types), enum, properties, required,
+// additionalProperties, items, minimum, maximum, minLength and maxLength.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+export class StructuredOutputError extends Error {
+  constructor(schemaId, errors, { attempts, response, provider }) {
+    super(`${provider || 'LLM'} answer does not match the ${schemaId} schema after ${attempts} attempt(s): ${errors.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.schemaId = schemaId;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.response = response;
+    this.provider = provider || null;
+  }
+}
+
+const schemas = new Map();
+
+export const getSchema = (id) => {
+  if (!schemas.has(id)) {
+    const file = path.join(SCHEMAS_DIR, `${id}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Unknown response schema: ${id}`);
+    }
+    schemas.set(id, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return schemas.get(id);
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Validation errors for `value`, as "<path>: <problem>" strings; [] when valid
+export const validateSchema = (schema, value, at = '$') => {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    return [`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must have at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${at}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${at}: missing required property "${name}"`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], propertyValue, `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${name}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${at}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+};
+
+// The JSON in a model answer, allowing for code fences or text around it
+export const parseJsonResponse = (text) => {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const match = trimmed.match(/[{[][\s\S]*[}\]]/);
+    if (!match) {
+      throw new Error('no JSON found in the answer');
+    }
+    return JSON.parse(match[0]);
+  }
+};
+
+const checkAnswer = (schema, text) => {
+  try {
+    const data = parseJsonResponse(text);
+    return { data, errors: validateSchema(schema, data) };
+  } catch (error) {
+    return { data: null, errors: [`$: not valid JSON (${error.message})`] };
+  }
+};
+
+const maxRepairs = () => {
+  const configured = parseInt(process.env.LLM_SCHEMA_REPAIRS);
+  return Number.isNaN(configured) ? 2 : Math.max(0, configured);
+};
+
+// complete() for an answer that must match `schema`. Resolves to
+// { data, response, attempts }. The offline stub answers the same way every
+// time, so its answers are never sent for repair.
+export const completeStructured = async (request, schema, options = {}) => {
+  const repairs = options.maxRepairs ?? maxRepairs();
+  let attemptRequest = request;
+
+  for (let attempts = 1; ; attempts++) {
+    const response = await complete(attemptRequest, options);
+    const { data, errors } = checkAnswer(schema, response.text);
+    if (errors.length === 0) {
+      return { data, response, attempts };
+    }
+
+    if (attempts > repairs || response.provider === 'stub') {
+      throw new StructuredOutputError(schema.$id, errors, { attempts, response: response.text, provider: response.provider });
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`🔧 ${schema.$id} answer failed validation (${errors.length} errors), asking for a repair`);
+    }
+    const repair = renderPrompt('structured.repair', {
+      response: response.text,
+      errors: errors.map(error => `- ${error}`).join('\n')
+    });
+    attemptRequest = {
+      ...request,
+      prompt: `${request.prompt}\n\n${repair.text}`,
+      prompts: [...(request.prompts || []), ...repair.prompts]
+    };
+  }
+};
@@ -1,8 +1,14 @@
 import { supabaseDb } from '../models/supabaseDatabase.js';
 import { processPDF } from './supabasePdfService.js';
-import { extractMetrics } from './openaiService.js';
+import { extractMetrics, extractReportMetadata } from './openaiService.js';
 import { extractComprehensiveMetrics } from './comprehensiveExtraction.js';
 import { enhancedAIValidation } from './enhancedAIValidation.js';
+import { buildMetricsProvenance, EXTRACTION_METHODS } from './provenance.js';
+import { confidenceSignals, scoreConfidence, averageConfidence } from './confidence.js';
+import { withLlmCallLog, currentLlmCalls, withLlmBudget, currentLlmBudget } from './llmService.js';
+import { DEFAULT_TENANT_ID, loadBudgets, createBudget, describeBudget, budgetPeriodStart } from './llmBudget.js';
+import { summarizeLlmCalls, toRunMetrics } from './extractionRuns.js';
+import { describePromptVersions } from './promptRegistry.js';
 import { v4 as uuidv4 } from 'uuid';
 
 class SupabaseJobService {
@@ -10,15 +16,20 @@ class SupabaseJobService {
     this.activeJobs = new Map();
   }
 
-  async createJob(filename, filePath) {
+  async createJob(filename, filePath, { tenantId = DEFAULT_TENANT_ID } = {}) {
     const jobId = uuidv4();
     
     try {
       // Create processing job record
       await supabaseDb.createProcessingJob(jobId, filename, 'pdf_processing', 'pending');
       
+      // The new document starts with nothing spent; the tenant has its period's spend
+      const budgets = loadBudgets();
+      const tenantSpend = await supabaseDb.getTenantLlmSpend(tenantId, budgetPeriodStart(budgets.tenantPeriod));
+      const budget = createBudget({ jobId, tenantId }, { tenant: tenantSpend }, budgets);
+      
       // Start processing in background (don't await)
-      this.processJob(jobId, filename, filePath).catch(error => {
+      withLlmBudget(budget, () => withLlmCallLog(() => this.processJob(jobId, filename, filePath, { tenantId }))).catch(error => {
         console.error(`Background job ${jobId} failed:`, error);
         this.updateJobStatus(jobId, 'failed', null, error.message);
       });
@@ -30,7 +41,7 @@ class SupabaseJobService {
     }
   }
 
-  async processJob(jobId, filename, filePath) {
+  async processJob(jobId, filename, filePath, { tenantId = DEFAULT_TENANT_ID } = {}) {
     if (process.env.NODE_ENV === 'development') {
       console.log(`🚀 Starting background processing for job ${jobId}`);
     }
@@ -44,19 +55,46 @@ class SupabaseJobService {
       
       // Process PDF
       const pdfResult = await processPDF(filePath, filename);
+      const document = await supabaseDb.updateDocument(pdfResult.documentId, { tenant_id: tenantId });
+
+      // Engagement metadata for the documents list
+      try {
+        const report = await extractReportMetadata(pdfResult.contentText, {
+          pageOffsets: document.metadata?.pageOffsets
+        });
+        await supabaseDb.updateDocument(pdfResult.documentId, { metadata: { ...document.metadata, report } });
+      } catch (metadataError) {
+        console.warn('Report metadata extraction failed:', metadataError.message);
+      }
       await this.updateJobStatus(jobId, 'processing', 'PDF processing complete, extracting metrics...', null, 40);
       
       // Extract comprehensive metrics
       const comprehensiveMetrics = await extractComprehensiveMetrics(pdfResult.contentText);
       await this.updateJobStatus(jobId, 'processing', 'Comprehensive metrics extracted, performing AI validation...', null, 70);
       
-      // Store comprehensive metrics
+      // Store comprehensive metrics with where each value came from and the
+      // calibrated confidence of the regex values, which have only their
+      // source location to support them
+      const provenance = buildMetricsProvenance(comprehensiveMetrics, {
+        documentText: pdfResult.contentText,
+        pageOffsets: document.metadata?.pageOffsets,
+        methodFor: () => EXTRACTION_METHODS.REGEX
+      });
+      const regexConfidence = Object.entries(comprehensiveMetrics || {}).flatMap(([section, fields]) => (
+        Object.entries(fields && typeof fields === 'object' ? fields : {})
+          .filter(([, value]) => typeof value === 'number')
+          .map(([field, value]) => scoreConfidence(confidenceSignals(value, {
+            extracted: { regex: value },
+            hasSource: Boolean(provenance[section]?.[field]?.snippet)
+          })))
+      ));
       await supabaseDb.insertExtractedMetric(
         pdfResult.documentId,
         'comprehensive_metrics',
         JSON.stringify(comprehensiveMetrics),
         { extractionMethod: 'comprehensive', version: '1.0' },
-        0.95
+        averageConfidence(regexConfidence) ?? 0,
+        provenance
       );
       
       // Enhanced AI validation
@@ -75,6 +113,27 @@ class SupabaseJobService {
         timestamp: new Date().toISOString()
       });
       
+      // Keep the extraction as the document's current run
+      try {
+        await supabaseDb.insertExtractionRun(pdfResult.documentId, {
+          source: 'upload',
+          isCurrent: true,
+          models: summarizeLlmCalls(currentLlmCalls()),
+          promptVersion: describePromptVersions(currentLlmCalls()),
+          parser: pdfResult.parseMethod ?? null,
+          metrics: toRunMetrics(comprehensiveMetrics, { provenance })
+        });
+      } catch (runError) {
+        console.warn('Recording extraction run failed:', runError.message);
+      }
+      
+      // Keep the job's LLM calls for the document's cost report
+      try {
+        await supabaseDb.insertLlmUsage(pdfResult.documentId, currentLlmCalls(), { source: 'upload', jobId, tenantId });
+      } catch (usageError) {
+        console.warn('Recording LLM usage failed:', usageError.message);
+      }
+      
       // Complete job
       await this.updateJobStatus(
         jobId, 
@@ -126,6 +185,12 @@ class SupabaseJobService {
       if (progress !== null) {
         updates.progress = progress;
       }
+
+      // Budget usage so far, while the job runs
+      const budget = currentLlmBudget();
+      if (budget) {
+        updates.llm_budget = describeBudget(budget);
+      }
       
       if (status === 'completed') {
         updates.completed_at = new Date().toISOString();
@@ -157,6 +222,7 @@ class SupabaseJobService {
         progressMessage: job.result?.progressMessage || null,
         errorMessage: job.error_message,
         result: job.result,
+        llmBudget: job.llm_budget || null,
         createdAt: job.created_at,
         updatedAt: job.updated_at,
         completedAt: job.completed_at
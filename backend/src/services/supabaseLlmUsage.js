@@ -0,0 +1,43 @@
+import { supabaseDb } from '../models/supabaseDatabase.js';
+import { withLlmCallLog, withLlmBudget, currentLlmBudget } from './llmService.js';
+import { loadBudgets, createBudget, budgetPeriodStart, DEFAULT_TENANT_ID } from './llmBudget.js';
+
+// trackLlmUsage for the Supabase routes: the document's calls are held to
+// its and its tenant's budgets and stored in llm_usage through supabaseDb
+
+// The document's LLM budget; without one calls run unbudgeted rather than failing
+const openDocumentBudget = async (documentId, source) => {
+  try {
+    const budgets = loadBudgets();
+    const document = documentId ? await supabaseDb.getDocument(documentId) : null;
+    const tenantId = document?.tenant_id || DEFAULT_TENANT_ID;
+    const documentSpend = (documentId ? await supabaseDb.getLlmUsage(documentId) : [])
+      .filter(row => !row.cached)
+      .reduce((spent, row) => ({
+        tokens: spent.tokens + row.input_tokens + row.output_tokens,
+        cost: spent.cost + (parseFloat(row.cost) || 0)
+      }), { tokens: 0, cost: 0 });
+    const tenantSpend = await supabaseDb.getTenantLlmSpend(tenantId, budgetPeriodStart(budgets.tenantPeriod));
+
+    return createBudget({ documentId, tenantId }, { document: documentSpend, tenant: tenantSpend }, budgets);
+  } catch (error) {
+    console.warn(`Loading the LLM budget for ${source} failed:`, error.message);
+    return null;
+  }
+};
+
+export const trackSupabaseLlmUsage = async (documentId, source, fn, calls = []) => {
+  const budget = currentLlmBudget() || await openDocumentBudget(documentId, source);
+
+  try {
+    return await withLlmBudget(budget, () => withLlmCallLog(fn, calls));
+  } finally {
+    if (calls.length > 0) {
+      try {
+        await supabaseDb.insertLlmUsage(documentId, calls, { source, tenantId: budget?.tenantId ?? null });
+      } catch (error) {
+        console.warn(`Recording LLM usage for ${source} failed:`, error.message);
+      }
+    }
+  }
+};
@@ -4,6 +4,7 @@ import { supabaseDb } from '../models/supabaseDatabase.js';
 import { createEmbedding } from './openaiService.js';
 import { v4 as uuidv4 } from 'uuid';
 import Reducto from 'reductoai';
+import { escapeLikePattern } from './reportMetadata.js';
 
 const reducto = new Reducto({
   apiKey: process.env.REDUCTO_API_KEY,
@@ -315,9 +316,12 @@ END OF EXTRACTED TEXT
   }
 };
 
-export const getDocuments = async () => {
+// `filters` are report metadata filters from parseDocumentFilters
+export const getDocuments = async (filters = []) => {
   try {
-    const documents = await supabaseDb.getDocuments();
+    const documents = await supabaseDb.getDocuments(filters.map(filter => (
+      filter.match === 'contains' ? { ...filter, value: `%${escapeLikePattern(filter.value)}%` } : filter
+    )));
     return documents;
   } catch (error) {
     console.error('Error fetching documents:', error);
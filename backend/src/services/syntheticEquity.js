@@ -0,0 +1,208 @@
+import { pageForOffset } from './provenance.js';
+import { findNumbers } from './numberNormalization.js';
+
+// Synthetic equity and fully-diluted per-share value.
+//
+// Leveraged ESOP transactions often compensate the seller or management with
+// warrants, stock appreciation rights or phantom stock. These claims on
+// equity value dilute the ESOP's per-share value, and reports do not always
+// make clear whether the concluded per-share value reflects them. This module
+// reads the instruments from the report, computes the fully-diluted
+// per-share value and flags a reported value that looks undiluted.
+
+const INSTRUMENT_TYPES = [
+  { type: 'sar', pattern: /stock\s+appreciation\s+rights?|\bSARs?\b/ },
+  { type: 'phantomStock', pattern: /phantom\s+(?:stock|shares|units?|equity)/i },
+  { type: 'restrictedStock', pattern: /restricted\s+stock(?:\s+units?)?|\bRSUs?\b/ },
+  { type: 'warrant', pattern: /\bwarrants?\b/i },
+  { type: 'option', pattern: /(?:stock|share)\s+options?\b|\boptions?\s+to\s+(?:purchase|acquire)/i }
+];
+
+const HOLDER_CLASSES = [
+  { holderClass: 'seller', pattern: /sellers?\b|selling\s+shareholders?|former\s+(?:owners?|shareholders?)/i },
+  { holderClass: 'lender', pattern: /lenders?\b|mezzanine|subordinated\s+(?:debt|note)\s*holders?/i },
+  { holderClass: 'management', pattern: /management|executives?|officers?|key\s+employees|\bceo\b|\bcfo\b/i }
+];
+
+const COUNT_PATTERNS = [
+  /(\d[\d,]*)\s+(?:(?:common|phantom|restricted|stock|appreciation|seller|management)\s+){0,2}(?:shares|units|rights|warrants|sars|options)\b/i,
+  /(?:purchase|acquire|covering|over|for)\s+(?:up\s+to\s+)?(\d[\d,]*)(?!\s*%|[\d,.])/i
+];
+const PERCENT_PATTERN = /(\d{1,2}(?:\.\d+)?)\s*%\s+of\s+(?:the\s+)?(?:company'?s?\s+)?(?:outstanding\s+|fully[-\s]diluted\s+)?(?:equity|shares|stock|common\s+stock|ownership|capital)/i;
+const STRIKE_PATTERN = /(?:exercise|strike|base|grant)\s+price\s+(?:of\s+)?\$\s*(\d[\d,]*(?:\.\d+)?)|at\s+\$\s*(\d[\d,]*(?:\.\d+)?)\s+per\s+share/i;
+
+const FULLY_DILUTED_PATTERN = /fully[-\s]diluted\s+(?:basis|shares|share\s+count|shares\s+outstanding)|on\s+a\s+fully[-\s]diluted/i;
+const FULLY_DILUTED_COUNT_PATTERN = /fully[-\s]diluted\s+(?:shares|share\s+count)(?:\s+outstanding)?[^\d\n]{0,30}(\d[\d,]*)/i;
+
+// Per-share values within this share of each other are the same value
+const PER_SHARE_TOLERANCE = 0.01;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const sentenceSpans = (documentText) => {
+  const spans = [];
+  // A period inside a number ("$10.00") does not end the sentence
+  const pattern = /(?:[^.\n]|\.(?=\d))+(?:\.|\n|$)/g;
+  for (const match of documentText.matchAll(pattern)) {
+    if (match[0].trim()) spans.push({ text: match[0], start: match.index });
+  }
+  return spans;
+};
+
+const FULL_VALUE_TYPES = ['phantomStock', 'restrictedStock'];
+
+// Mentions of one grant: the same type and count, and the same holder where both name one
+const sameInstrument = (a, b) => a.type === b.type &&
+  (a.holderClass === null || b.holderClass === null || a.holderClass === b.holderClass) &&
+  ((a.shares !== null && a.shares === b.shares) || (a.shares === null && b.shares === null && a.percentage === b.percentage));
+
+const readCount = (sentence) => {
+  for (const pattern of COUNT_PATTERNS) {
+    const match = sentence.match(pattern);
+    const value = match ? findNumbers(match[1])[0]?.value : undefined;
+    // Years are not share counts
+    if (value > 0 && !(value >= 1900 && value <= 2100 && !match[1].includes(','))) return value;
+  }
+  return null;
+};
+
+export const extractSyntheticEquity = (documentText, { pageOffsets = null } = {}) => {
+  const result = { instruments: [], statedFullyDiluted: false, fullyDilutedShares: null };
+  if (!documentText) return result;
+
+  for (const { text, start } of sentenceSpans(documentText)) {
+    const instrument = INSTRUMENT_TYPES.find(({ pattern }) => pattern.test(text));
+    if (!instrument) continue;
+
+    const shares = readCount(text);
+    const percentMatch = text.match(PERCENT_PATTERN);
+    const percentage = percentMatch ? parseFloat(percentMatch[1]) : null;
+    if (shares === null && percentage === null) continue;
+
+    const strikeMatch = text.match(STRIKE_PATTERN);
+    const strikePrice = strikeMatch ? findNumbers(strikeMatch[1] || strikeMatch[2])[0]?.value ?? null : null;
+    const holderClass = HOLDER_CLASSES.find(({ pattern }) => pattern.test(text))?.holderClass || null;
+
+    // A later sentence about the same grant ("The 200,000 warrants expire in
+    // 2029.") fills in what the first mention left out instead of adding another
+    const existing = result.instruments.find(candidate => sameInstrument(candidate, { type: instrument.type, holderClass, shares, percentage }));
+    if (existing) {
+      existing.holderClass ??= holderClass;
+      existing.shares ??= shares;
+      existing.percentage ??= percentage;
+      if (strikePrice !== null && !existing.strikeStated) {
+        existing.strikePrice = strikePrice;
+        existing.strikeStated = true;
+      }
+      continue;
+    }
+
+    result.instruments.push({
+      type: instrument.type,
+      holderClass,
+      shares,
+      percentage,
+      // Phantom and restricted stock are full-value awards
+      strikePrice: strikePrice ?? (FULL_VALUE_TYPES.includes(instrument.type) ? 0 : null),
+      strikeStated: strikePrice !== null,
+      sourcePage: pageForOffset(start, { pageOffsets, documentText })
+    });
+  }
+  result.instruments.forEach(instrument => delete instrument.strikeStated);
+
+  result.statedFullyDiluted = FULLY_DILUTED_PATTERN.test(documentText);
+  const countMatch = documentText.match(FULLY_DILUTED_COUNT_PATTERN);
+  if (countMatch) result.fullyDilutedShares = findNumbers(countMatch[1])[0]?.value ?? null;
+
+  return result;
+};
+
+// Fully-diluted per-share value by the treasury stock method: in-the-money
+// instruments add their shares and their exercise proceeds (cash-settled SARs
+// reduce equity by the same spread, which gives the same value). Instruments
+// whose strike is at or above the diluted value are left out, repeating
+// until the set is stable. A percentage is of the fully-diluted shares.
+// Warrants, options and SARs without a stated strike cannot be valued and are
+// left out too, counted in `unpricedCount`.
+export const computeFullyDilutedValue = ({ equityValue, sharesOutstanding, instruments = [] }) => {
+  if (!(equityValue > 0) || !(sharesOutstanding > 0)) return null;
+
+  const dilutive = instruments
+    .map(instrument => ({
+      ...instrument,
+      dilutiveShares: instrument.shares ??
+        (instrument.percentage > 0 && instrument.percentage < 100
+          ? sharesOutstanding * instrument.percentage / (100 - instrument.percentage)
+          : null),
+      strike: instrument.strikePrice ?? (FULL_VALUE_TYPES.includes(instrument.type) ? 0 : null)
+    }))
+    .filter(claim => claim.dilutiveShares > 0);
+  const claims = dilutive.filter(claim => claim.strike !== null);
+
+  const undilutedPerShare = equityValue / sharesOutstanding;
+  let inTheMoney = claims;
+  let perShare = undilutedPerShare;
+
+  for (let iteration = 0; iteration <= claims.length; iteration++) {
+    const shares = sharesOutstanding + inTheMoney.reduce((sum, claim) => sum + claim.dilutiveShares, 0);
+    const proceeds = inTheMoney.reduce((sum, claim) => sum + claim.dilutiveShares * claim.strike, 0);
+    perShare = (equityValue + proceeds) / shares;
+
+    const next = claims.filter(claim => claim.strike < perShare);
+    if (next.length === inTheMoney.length) break;
+    inTheMoney = next;
+  }
+
+  const fullyDilutedShares = sharesOutstanding + inTheMoney.reduce((sum, claim) => sum + claim.dilutiveShares, 0);
+  return {
+    undilutedPerShare: round(undilutedPerShare),
+    fullyDilutedShares: round(fullyDilutedShares, 0),
+    dilutedPerShare: round(perShare),
+    dilutionPercent: round((1 - perShare / undilutedPerShare) * 100),
+    inTheMoneyCount: inTheMoney.length,
+    unpricedCount: dilutive.length - claims.length
+  };
+};
+
+const sameValue = (a, b) => Math.abs(a - b) <= Math.abs(b) * PER_SHARE_TOLERANCE;
+
+// Synthetic equity and the fully-diluted value next to the reported per-share
+// value. `storedMetrics` maps metric_type to metric_data. The reported value
+// counts as undiluted when it equals equity value over outstanding shares
+// while in-the-money instruments would lower it.
+export const buildDilutionAnalysis = (documentText, { pageOffsets = null, storedMetrics = {} } = {}) => {
+  const extracted = extractSyntheticEquity(documentText, { pageOffsets });
+
+  const toNumber = (value) => {
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const equityValue = toNumber(storedMetrics.valueOfEquity?.currentValue);
+  const sharesOutstanding = toNumber(storedMetrics.capitalStructure?.totalShares);
+  const reportedPerShare = toNumber(storedMetrics.valuationPerShare?.currentValue);
+
+  const analysis = {
+    ...extracted,
+    equityValue,
+    sharesOutstanding,
+    reportedPerShare,
+    diluted: extracted.instruments.length > 0
+      ? computeFullyDilutedValue({ equityValue, sharesOutstanding, instruments: extracted.instruments })
+      : null,
+    dilutionIncluded: null,
+    issue: null
+  };
+
+  const { diluted } = analysis;
+  if (!diluted || diluted.inTheMoneyCount === 0 || reportedPerShare === null) return analysis;
+
+  if (extracted.statedFullyDiluted || sameValue(reportedPerShare, diluted.dilutedPerShare)) {
+    analysis.dilutionIncluded = true;
+  } else if (sameValue(reportedPerShare, diluted.undilutedPerShare)) {
+    analysis.dilutionIncluded = false;
+    analysis.issue = `Reported per-share value of $${reportedPerShare.toFixed(2)} divides equity value by undiluted shares; ` +
+      `${diluted.inTheMoneyCount} synthetic equity instrument(s) would reduce it to $${diluted.dilutedPerShare.toFixed(2)} fully diluted`;
+  }
+
+  return analysis;
+};
@@ -0,0 +1,197 @@
+import { findNumbers } from './numberNormalization.js';
+
+// S corporation tax-affecting detection.
+//
+// A 100% ESOP-owned S corporation pays no entity-level income tax, so whether
+// the appraiser deducted hypothetical corporate taxes from its earnings (and
+// at what rate, by which method) moves the value materially. This module
+// reads the entity's tax status and the tax-affecting treatment from the
+// report, keeping the sentence each conclusion came from as evidence, and
+// shows enterprise value with and without tax affecting.
+
+const STATUS_PATTERN = /(?:is|was|has\s+been|operates\s+as|taxed\s+as|elected\s+(?:to\s+be\s+taxed\s+as\s+)?)\s+an?\s+(s|c)[-\s]?corp(?:oration)?\b/i;
+const S_CORPORATION_PATTERN = /\bs[-\s]?corp(?:oration)?\b|\bsubchapter\s+s\b|\bs\s+election\b/i;
+const C_CORPORATION_PATTERN = /\bc[-\s]?corp(?:oration)?\b|\bsubchapter\s+c\b/i;
+
+const ESOP_OWNERSHIP_PATTERNS = [
+  { pattern: /wholly[-\s]owned\s+by\s+(?:the\s+|an\s+|its\s+)?esop|esop\s+owns\s+all\b/i, value: () => 100 },
+  { pattern: /(\d{1,3}(?:\.\d+)?)\s*%\s*(?:esop[-\s]owned|owned\s+by\s+(?:the\s+|an\s+|its\s+)?esop)/i, value: (match) => parseFloat(match[1]) },
+  { pattern: /esop\s+(?:owns|holds)\s+(\d{1,3}(?:\.\d+)?)\s*%/i, value: (match) => parseFloat(match[1]) }
+];
+
+// Statements that earnings were NOT tax-affected are checked first in each
+// clause, since they mention tax affecting too
+const NOT_TAX_AFFECTED_PATTERN = /(?:did|does|do|has|have|was|were)\s+not\s+(?:been\s+)?tax[-\s]affect|\bnot\s+tax[-\s]affected|without\s+tax[-\s]affecting|no\s+(?:provision\s+for\s+)?(?:entity[-\s]level\s+|corporate\s+)?income\s+taxes?\s+(?:were|was|has\s+been|have\s+been)\s+(?:deducted|applied|reflected)|pre[-\s]tax\s+(?:cash\s+flows?|earnings)\s+(?:were|are)\s+(?:used|capitalized|discounted)/i;
+const TAX_AFFECTED_PATTERN = /tax[-\s]affect(?:ed|ing)?\b|hypothetical\s+(?:corporate\s+)?(?:income\s+)?tax|c[-\s]corporation\s+equivalent|as\s+if\s+(?:it\s+were\s+)?a\s+c[-\s]corporation|applied\s+(?:an?\s+)?(?:effective\s+|blended\s+|combined\s+)?(?:(?:federal\s+and\s+state|state\s+and\s+federal)\s+(?:corporate\s+)?(?:income\s+)?(?:tax\s+)?|(?:corporate\s+)?(?:income\s+)?tax\s+)rate/i;
+
+// Reports often treat the approaches differently ("the guideline company
+// multiples were not tax-affected, while the income approach cash flows
+// were"), so each clause is read on its own and scoped to the approach it
+// names ("earnings multiples" belong to the market approach). Tax affecting
+// is an income approach question first: an income approach statement decides
+// it, then an unscoped one, then a market one.
+const CLAUSE_SEPARATOR = /;\s*|,?\s+(?:while|whereas|but|however)\s+/i;
+const APPROACH_PATTERNS = [
+  { approach: 'market', pattern: /market\s+approach|guideline\s+(?:public\s+)?compan|guideline\s+transaction|transaction\s+method|multiples?\b/i },
+  { approach: 'income', pattern: /income\s+approach|discounted\s+cash\s+flow|\bdcf\b|capitaliz(?:ed|ation\s+of)\s+(?:cash\s+flows?|earnings)|cash\s+flows?|earnings/i }
+];
+const APPROACH_PRIORITY = ['income', null, 'market'];
+
+const TAX_RATE_PATTERN = /(?:(?:federal\s+and\s+state|state\s+and\s+federal|federal|corporate)\s+(?:income\s+)?(?:tax\s+)?|tax\s+)rate[^%\n]{0,40}?(\d{1,2}(?:\.\d+)?\s*%)|(\d{1,2}(?:\.\d+)?\s*%)\s+(?:effective\s+|blended\s+|combined\s+)?(?:(?:federal\s+and\s+state|state\s+and\s+federal)\s+)?(?:corporate\s+)?(?:income\s+)?tax/i;
+
+// First matching method wins
+const METHODS = [
+  { method: 'delawareChancery', pattern: /delaware\s+(?:chancery|court|mri)|\bkessler\b/i },
+  { method: 'seam', pattern: /\bseam\b|s\s+corporation\s+economic\s+adjustment\s+multiple|\bmercer\b/i },
+  { method: 'vanVleet', pattern: /van\s+vleet|s\s+corporation\s+valuation\s+model/i },
+  { method: 'treharne', pattern: /\btreharne\b/i },
+  { method: 'grabowski', pattern: /\bgrabowski\b/i },
+  { method: 'fannon', pattern: /\bfannon\b/i },
+  { method: 'cCorporationEquivalent', pattern: /c[-\s]corporation\s+(?:equivalent|tax\s+rates?|basis)|as\s+if\s+(?:it\s+were\s+)?a\s+c[-\s]corporation|full\s+(?:corporate|c[-\s]corporation)\s+(?:income\s+)?tax/i }
+];
+
+// The sentence around a match, quoted exactly as it appears in the text
+const sentenceAt = (documentText, index) => {
+  const before = documentText.substring(0, index);
+  const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n')) + 1;
+  const after = documentText.substring(index);
+  const endMatch = after.search(/\.(?:\s|$)|\n/);
+  const end = endMatch === -1 ? documentText.length : index + endMatch + 1;
+  return documentText.substring(start, end).trim();
+};
+
+const sentences = (documentText) => documentText
+  .split(/(?<=\.)\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Tax-affecting statements in a sentence, one per clause that makes one
+const treatmentStatements = (sentence) => sentence
+  .split(CLAUSE_SEPARATOR)
+  .map((clause) => {
+    const taxAffected = NOT_TAX_AFFECTED_PATTERN.test(clause) ? false : TAX_AFFECTED_PATTERN.test(clause) ? true : null;
+    if (taxAffected === null) return null;
+    const scope = APPROACH_PATTERNS.find(({ pattern }) => pattern.test(clause));
+    return { taxAffected, approach: scope ? scope.approach : null, sentence };
+  })
+  .filter(Boolean);
+
+const detectEntityType = (documentText) => {
+  const status = documentText.match(STATUS_PATTERN);
+  if (status) {
+    return { entityType: status[1].toLowerCase() === 's' ? 'sCorporation' : 'cCorporation', evidence: sentenceAt(documentText, status.index) };
+  }
+
+  // S corporation reports mention C corporations when tax-affecting, not the
+  // reverse, so any S corporation reference decides it
+  for (const [entityType, pattern] of [['sCorporation', S_CORPORATION_PATTERN], ['cCorporation', C_CORPORATION_PATTERN]]) {
+    const match = documentText.match(pattern);
+    if (match) return { entityType, evidence: sentenceAt(documentText, match.index) };
+  }
+  return { entityType: null, evidence: null };
+};
+
+export const detectTaxAffecting = (documentText) => {
+  const result = {
+    entityType: null,
+    esopOwnershipPercentage: null,
+    taxAffected: null,
+    taxRate: null,
+    method: null,
+    evidence: {}
+  };
+  if (!documentText) return result;
+
+  const entity = detectEntityType(documentText);
+  result.entityType = entity.entityType;
+  if (entity.evidence) result.evidence.entityType = entity.evidence;
+
+  for (const { pattern, value } of ESOP_OWNERSHIP_PATTERNS) {
+    const match = documentText.match(pattern);
+    if (match) {
+      result.esopOwnershipPercentage = value(match);
+      break;
+    }
+  }
+
+  const all = sentences(documentText);
+  const statements = all.flatMap(treatmentStatements);
+  const affected = [...new Set(statements.filter(({ taxAffected }) => taxAffected).map(({ sentence }) => sentence))];
+
+  // Within an approach an affirmative statement wins: a report that says how
+  // it tax-affected earnings has done so, whatever else it did not adjust
+  for (const approach of APPROACH_PRIORITY) {
+    const scoped = statements.filter(statement => statement.approach === approach);
+    const decided = scoped.find(({ taxAffected }) => taxAffected) || scoped[0];
+    if (decided) {
+      result.taxAffected = decided.taxAffected;
+      result.evidence.taxAffected = decided.sentence;
+      break;
+    }
+  }
+
+  // The rate comes from a tax-affecting sentence, or any stated income tax rate
+  for (const sentence of [...affected, ...all]) {
+    const match = sentence.match(TAX_RATE_PATTERN);
+    const rate = match ? findNumbers(match[1] || match[2])[0]?.value : undefined;
+    if (rate > 0) {
+      result.taxRate = rate;
+      break;
+    }
+  }
+
+  // Reports that decline to tax-affect usually name the method they weighed
+  // (a SEAM premium, the Delaware Chancery approach), so it is read either way
+  for (const { method, pattern } of METHODS) {
+    const sentence = all.find(candidate => pattern.test(candidate));
+    if (sentence) {
+      result.method = method;
+      result.evidence.method = sentence;
+      break;
+    }
+  }
+
+  return result;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Enterprise value and EV/EBITDA multiple with and without tax affecting.
+// Value is taken as proportional to after-tax earnings, so removing taxes at
+// rate t scales the tax-affected value by 1 / (1 - t); entity-level premiums
+// such as SEAM are not modelled. `taxRate` is in percentage points. C
+// corporations pay entity-level tax, so there is nothing to compare.
+export const taxAffectingWhatIf = ({ entityType, taxAffected, taxRate }, { enterpriseValue, ebitda = null, evEbitdaMultiple = null }) => {
+  if (entityType === 'cCorporation' || taxAffected === null || taxAffected === undefined) return null;
+  if (!(taxRate > 0 && taxRate < 100) || !(enterpriseValue > 0)) return null;
+
+  const multiple = evEbitdaMultiple ?? (ebitda > 0 ? enterpriseValue / ebitda : null);
+  const factor = 1 - taxRate / 100;
+
+  const scenario = (scale) => ({
+    enterpriseValue: round(enterpriseValue * scale),
+    evEbitdaMultiple: multiple !== null ? round(multiple * scale) : null
+  });
+
+  const withTaxAffecting = taxAffected ? scenario(1) : scenario(factor);
+  const withoutTaxAffecting = taxAffected ? scenario(1 / factor) : scenario(1);
+  const difference = withoutTaxAffecting.enterpriseValue - withTaxAffecting.enterpriseValue;
+
+  return {
+    reportedBasis: taxAffected ? 'taxAffected' : 'notTaxAffected',
+    taxRate,
+    withTaxAffecting,
+    withoutTaxAffecting,
+    difference: round(difference),
+    percentDifference: round((difference / withTaxAffecting.enterpriseValue) * 100)
+  };
+};
+
+// Reviewers ask about tax affecting on every ESOP-owned S corporation; flag
+// a report that does not say how earnings were treated
+export const taxAffectingIssue = ({ entityType, esopOwnershipPercentage, taxAffected }) => {
+  if (entityType !== 'sCorporation' || taxAffected !== null) return null;
+  return esopOwnershipPercentage === 100
+    ? 'Report does not state whether the 100% ESOP-owned S corporation\'s earnings were tax-affected'
+    : 'Report does not state whether the S corporation\'s earnings were tax-affected';
+};
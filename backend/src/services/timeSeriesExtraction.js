@@ -0,0 +1,249 @@
+import { pageForOffset } from './provenance.js';
+import { findNumbers, detectScale } from './numberNormalization.js';
+
+// Multi-year financial time series extraction.
+//
+// Valuation reports present the historical and projected income statement as
+// tables: a header row of fiscal periods followed by one row per line item.
+// This extractor finds those tables in content_text and returns one row per
+// (fiscal period, line item):
+//   { fiscalPeriod, fiscalYear, periodType, lineItem, label, value, unit, sourcePage }
+
+// Canonical line items, first matching pattern wins. Per-share values are
+// stated in dollars even in a table "in thousands", so the scale is not
+// applied to them.
+const LINE_ITEMS = [
+  { lineItem: 'ebitdaMargin', unit: '%', pattern: /^(?:adjusted\s+|normalized\s+)?ebitda\s+margin/i },
+  { lineItem: 'grossMargin', unit: '%', pattern: /^gross\s+(?:profit\s+)?margin/i },
+  { lineItem: 'netMargin', unit: '%', pattern: /^net\s+(?:income\s+|profit\s+)?margin/i },
+  { lineItem: 'revenueGrowth', unit: '%', pattern: /^(?:revenue|sales)\s+growth/i },
+  { lineItem: 'debtServiceCoverage', unit: 'x', pattern: /^debt\s+service\s+coverage/i },
+  { lineItem: 'debtToEbitda', unit: 'x', pattern: /^(?:total\s+)?debt\s*(?:\/|to)\s*ebitda/i },
+  { lineItem: 'revenue', unit: 'USD', pattern: /^(?:total\s+|net\s+|gross\s+)?(?:revenues?|sales)\b/i },
+  { lineItem: 'grossProfit', unit: 'USD', pattern: /^gross\s+profit/i },
+  { lineItem: 'ebitda', unit: 'USD', pattern: /^(?:adjusted\s+|normalized\s+)?ebitda\b/i },
+  { lineItem: 'ebit', unit: 'USD', pattern: /^(?:ebit\b|operating\s+income)/i },
+  { lineItem: 'netIncome', unit: 'USD', pattern: /^net\s+(?:income|earnings)/i },
+  { lineItem: 'operatingCashFlow', unit: 'USD', pattern: /^(?:cash\s+flow\s+from\s+operations|operating\s+cash\s+flow|net\s+cash\s+(?:provided\s+by|from)\s+operating)/i },
+  { lineItem: 'freeCashFlow', unit: 'USD', pattern: /^(?:unlevered\s+|debt-free\s+)?(?:free|net)\s+cash\s+flows?/i },
+  { lineItem: 'capitalExpenditures', unit: 'USD', pattern: /^(?:less:?\s*)?(?:capital\s+expenditures|capex)/i },
+  { lineItem: 'totalDebt', unit: 'USD', pattern: /^(?:total\s+|interest[-\s]bearing\s+)debt/i },
+  { lineItem: 'perShareValue', unit: 'USD', perShare: true, pattern: /^(?=.*\bvalue\b)(?=.*\bper[-\s](?:common\s+|esop\s+)?share\b)/i },
+  { lineItem: 'enterpriseValue', unit: 'USD', pattern: /^(?:concluded\s+|indicated\s+)?(?:enterprise|business)\s+value\b|^(?:market\s+)?value\s+of\s+(?:total\s+)?invested\s+capital/i },
+  { lineItem: 'equityValue', unit: 'USD', pattern: /^(?:concluded\s+|indicated\s+)?(?:total\s+)?equity\s+value\b|^(?:fair\s+market\s+)?value\s+of\s+(?:total\s+)?(?:common\s+)?equity/i },
+  { lineItem: 'repurchaseObligation', unit: 'USD', pattern: /^(?:projected\s+|annual\s+|total\s+|estimated\s+)?(?:esop\s+)?(?:repurchase|redemption)\s+(?:obligation|liability|payments?)/i }
+];
+
+// A fiscal period header cell: 2023, FY2023, FY 2023, 2024E, 2025P, 2026F, TTM, LTM
+const PERIOD_PATTERN = /^(?:FY\s?)?((?:19|20)\d{2})\s?([AEPF])?$|^(TTM|LTM)$/i;
+
+const PROJECTION_HINT = /project|forecast|budget|estimate/i;
+const HISTORICAL_HINT = /historical|actual/i;
+
+// Split a table row into cells: pipes (markdown), tabs, or runs of 2+ spaces
+export const splitCells = (line) => {
+  if (line.includes('|')) {
+    return line.split('|').map(cell => cell.trim()).filter(cell => cell.length > 0);
+  }
+  if (line.includes('\t')) {
+    return line.split('\t').map(cell => cell.trim()).filter(cell => cell.length > 0);
+  }
+  return line.trim().split(/\s{2,}/).map(cell => cell.trim()).filter(cell => cell.length > 0);
+};
+
+export const parsePeriodHeader = (cells) => {
+  const periods = [];
+  cells.forEach((cell, index) => {
+    const match = cell.replace(/[()]/g, '').trim().match(PERIOD_PATTERN);
+    if (!match) return;
+
+    periods.push({
+      cellIndex: index,
+      fiscalPeriod: cell.trim(),
+      fiscalYear: match[1] ? parseInt(match[1]) : null,
+      projected: match[2] ? ['E', 'P', 'F'].includes(match[2].toUpperCase()) : false
+    });
+  });
+  return periods.length >= 2 ? periods : null;
+};
+
+// Parse a table cell: $1,234 / (1,234) / 12.5% / 2.1x / —
+export const parseCell = (cell) => {
+  const trimmed = cell.trim();
+  if (/^[-–—]+$|^n\/?a$/i.test(trimmed)) return null;
+
+  const numbers = findNumbers(trimmed);
+  if (numbers.length !== 1) return null;
+
+  const [number] = numbers;
+  return {
+    value: number.value,
+    isPercent: number.kind === 'percent',
+    isMultiple: number.kind === 'multiple',
+    hasUnit: number.hasUnit
+  };
+};
+
+export const tableScale = (lines, headerIndex) => detectScale(lines.slice(Math.max(0, headerIndex - 3), headerIndex + 1).join(' '));
+
+const matchLineItem = (label) => LINE_ITEMS.find(({ pattern }) => pattern.test(label.replace(/^[-•*\s]+/, '')));
+
+export const extractFinancialTimeSeries = (documentText, { pageOffsets = null, valuationYear = null } = {}) => {
+  if (!documentText) return [];
+
+  const lines = documentText.split('\n');
+  const lineStarts = [];
+  let position = 0;
+  for (const line of lines) {
+    lineStarts.push(position);
+    position += line.length + 1;
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  for (let headerIndex = 0; headerIndex < lines.length; headerIndex++) {
+    const periods = parsePeriodHeader(splitCells(lines[headerIndex]));
+    if (!periods) continue;
+
+    const multiplier = tableScale(lines, headerIndex);
+    const tableContext = lines.slice(Math.max(0, headerIndex - 3), headerIndex + 1).join(' ');
+    // A title like "Historical and Projected" leaves the split to the periods
+    const tableIsProjection = PROJECTION_HINT.test(tableContext) && !HISTORICAL_HINT.test(tableContext);
+
+    // Read line item rows until the table ends (blank line or another header)
+    for (let rowIndex = headerIndex + 1; rowIndex < lines.length; rowIndex++) {
+      const line = lines[rowIndex];
+      if (!line.trim()) break;
+
+      const cells = splitCells(line);
+      if (parsePeriodHeader(cells)) break;
+      if (cells.length < 2) continue;
+
+      const lineItem = matchLineItem(cells[0]);
+      if (!lineItem) continue;
+
+      // Values are right-aligned to the header periods
+      const valueCells = cells.slice(1);
+      const offset = valueCells.length - periods.length;
+
+      periods.forEach((period, periodIndex) => {
+        const cell = valueCells[periodIndex + offset];
+        if (cell === undefined) return;
+
+        const parsed = parseCell(cell);
+        if (!parsed) return;
+
+        let unit = lineItem.unit;
+        let value = parsed.value;
+        if (parsed.isPercent || unit === '%') {
+          unit = '%';
+        } else if (parsed.isMultiple || unit === 'x') {
+          unit = 'x';
+        } else if (!parsed.hasUnit && !lineItem.perShare) {
+          value = value * multiplier;
+        }
+
+        const projected = period.projected || tableIsProjection ||
+          (valuationYear !== null && period.fiscalYear !== null && period.fiscalYear > valuationYear);
+
+        const key = `${period.fiscalPeriod}|${lineItem.lineItem}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        rows.push({
+          fiscalPeriod: period.fiscalPeriod,
+          fiscalYear: period.fiscalYear,
+          periodType: projected ? 'projected' : 'historical',
+          lineItem: lineItem.lineItem,
+          label: cells[0],
+          value,
+          unit,
+          sourcePage: pageForOffset(lineStarts[rowIndex], { pageOffsets, documentText })
+        });
+      });
+    }
+  }
+
+  return rows;
+};
+
+const ratio = (numerator, denominator) => (
+  numerator !== undefined && denominator ? numerator / denominator : undefined
+);
+
+// Reshape rows into the per-chart series AdvancedMetricsDashboard plots.
+// Margins and growth rates are decimals (0.15 = 15%), derived from the
+// dollar rows when the report does not state them.
+export const buildTrendSeries = (rows) => {
+  const byYear = new Map();
+  for (const row of rows) {
+    if (row.fiscalYear === null) continue;
+    if (!byYear.has(row.fiscalYear)) byYear.set(row.fiscalYear, {});
+    byYear.get(row.fiscalYear)[row.lineItem] = row.unit === '%' ? row.value / 100 : row.value;
+  }
+
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+  const series = { revenue: [], ebitda: [], valuation: [], cashflow: [], growth: [], margins: [], debt: [] };
+
+  years.forEach((year, index) => {
+    const items = byYear.get(year);
+    const previous = index > 0 && years[index - 1] === year - 1 ? byYear.get(years[index - 1]) : null;
+    const label = String(year);
+
+    if (items.revenue !== undefined) series.revenue.push({ year: label, revenue: items.revenue });
+    if (items.ebitda !== undefined) series.ebitda.push({ year: label, ebitda: items.ebitda });
+
+    // Prior appraisals' conclusions, from a valuation history table
+    const { enterpriseValue, equityValue, perShareValue } = items;
+    if ([enterpriseValue, equityValue, perShareValue].some(value => value !== undefined)) {
+      series.valuation.push({
+        year: label,
+        enterpriseValue: enterpriseValue ?? null,
+        equityValue: equityValue ?? null,
+        perShareValue: perShareValue ?? null
+      });
+    }
+
+    const operatingCashFlow = items.operatingCashFlow;
+    const freeCashFlow = items.freeCashFlow;
+    if (operatingCashFlow !== undefined || freeCashFlow !== undefined) {
+      series.cashflow.push({ year: label, operatingCashFlow: operatingCashFlow ?? null, freeCashFlow: freeCashFlow ?? null });
+    }
+
+    const revenueGrowthRate = items.revenueGrowth ?? (previous ? ratio(items.revenue - previous.revenue, previous.revenue) : undefined);
+    const ebitdaGrowthRate = previous ? ratio(items.ebitda - previous.ebitda, previous.ebitda) : undefined;
+    if (Number.isFinite(revenueGrowthRate) || Number.isFinite(ebitdaGrowthRate)) {
+      series.growth.push({
+        year: label,
+        revenueGrowthRate: Number.isFinite(revenueGrowthRate) ? revenueGrowthRate : null,
+        ebitdaGrowthRate: Number.isFinite(ebitdaGrowthRate) ? ebitdaGrowthRate : null
+      });
+    }
+
+    const grossMargin = items.grossMargin ?? ratio(items.grossProfit, items.revenue);
+    const ebitdaMargin = items.ebitdaMargin ?? ratio(items.ebitda, items.revenue);
+    const netMargin = items.netMargin ?? ratio(items.netIncome, items.revenue);
+    if ([grossMargin, ebitdaMargin, netMargin].some(Number.isFinite)) {
+      series.margins.push({
+        year: label,
+        grossMargin: Number.isFinite(grossMargin) ? grossMargin : null,
+        ebitdaMargin: Number.isFinite(ebitdaMargin) ? ebitdaMargin : null,
+        netMargin: Number.isFinite(netMargin) ? netMargin : null
+      });
+    }
+
+    const debtServiceCoverage = items.debtServiceCoverage;
+    const debtToEbitda = items.debtToEbitda ?? ratio(items.totalDebt, items.ebitda);
+    if (Number.isFinite(debtServiceCoverage) || Number.isFinite(debtToEbitda)) {
+      series.debt.push({
+        year: label,
+        debtServiceCoverage: Number.isFinite(debtServiceCoverage) ? debtServiceCoverage : null,
+        debtToEbitda: Number.isFinite(debtToEbitda) ? debtToEbitda : null
+      });
+    }
+  });
+
+  // Drop empty series so the dashboard can tell what the report contains
+  return Object.fromEntries(Object.entries(series).filter(([, points]) => points.length > 0));
+};
@@ -0,0 +1,82 @@
+import { findNumbers, scaleAt } from './numberNormalization.js';
+
+// Valuation approach extraction.
+//
+// Appraisers conclude enterprise value by weighting the indications of the
+// income, market and asset approaches. Reports show this either as a
+// reconciliation table ("Income Approach   $62,000,000   60%") or in prose
+// ("the income approach (60%) and the market approach (40%)"). The result is
+// flat, one value and one weight per approach, so it slots into the standard
+// metrics schema:
+//   { incomeApproachValue, incomeApproachWeight, marketApproachValue, ... }
+
+export const APPROACHES = ['income', 'market', 'asset'];
+
+// "Cost approach" is the asset approach under another name
+const APPROACH_PATTERN = /\b(income|market|asset|cost)(?:[-\s]based)?\s+approach(?:es)?\b/gi;
+
+// Indicated values below this are per-share figures or footnote numbers
+const MIN_INDICATED_VALUE = 1000;
+
+// Once the text after an approach names an input ("applied a WACC of 11.75%",
+// "projected revenue of $50 million") the figures are not its indication
+const INPUT_CONTEXT = /revenue|sales|ebitda|cash\s+flow|debt|earnings|rate|wacc|cost\s+of\s+capital|growth|margin|multiple/i;
+const WEIGHT_CONTEXT = /weight/i;
+
+const approachKey = (name) => (name.toLowerCase() === 'cost' ? 'asset' : name.toLowerCase());
+
+export const createEmptyApproaches = () => Object.fromEntries(
+  APPROACHES.flatMap(approach => [[`${approach}ApproachValue`, null], [`${approach}ApproachWeight`, null]])
+);
+
+// Read the indicated value and weight that follow one approach mention,
+// stopping at the end of the line or the next approach mention
+const readApproachMention = (documentText, start, end) => {
+  const text = documentText.substring(start, end);
+  let indicatedValue = null;
+  let weight = null;
+
+  for (const number of findNumbers(text)) {
+    if (INPUT_CONTEXT.test(text.substring(0, number.start))) break;
+
+    // A percentage is a weight in a table row, in "(60%)" or next to "weight"
+    const weightLike = indicatedValue !== null || number.text.startsWith('(') || WEIGHT_CONTEXT.test(text);
+
+    if (number.kind === 'amount' && indicatedValue === null) {
+      const value = number.hasUnit ? number.value : number.value * scaleAt(documentText, start + number.start);
+      if (Math.abs(value) >= MIN_INDICATED_VALUE) indicatedValue = value;
+    } else if (number.kind === 'percent' && weight === null && weightLike && Math.abs(number.value) <= 100) {
+      // "(60%)" is a parenthetical weight, not a negative
+      weight = Math.abs(number.value);
+    }
+  }
+
+  return { indicatedValue, weight };
+};
+
+export const extractValuationApproaches = (documentText) => {
+  const approaches = createEmptyApproaches();
+  if (!documentText) return approaches;
+
+  const mentions = [...documentText.matchAll(APPROACH_PATTERN)];
+
+  mentions.forEach((match, index) => {
+    const start = match.index + match[0].length;
+    const lineEnd = documentText.indexOf('\n', start);
+    const nextMention = mentions[index + 1]?.index ?? documentText.length;
+    const end = Math.min(lineEnd === -1 ? documentText.length : lineEnd, nextMention);
+
+    const { indicatedValue, weight } = readApproachMention(documentText, start, end);
+    const approach = approachKey(match[1]);
+
+    // The first mention that states a figure wins, like the other extractors
+    if (indicatedValue !== null && approaches[`${approach}ApproachValue`] === null) {
+      approaches[`${approach}ApproachValue`] = indicatedValue;
+    }
+    if (weight !== null && approaches[`${approach}ApproachWeight`] === null) {
+      approaches[`${approach}ApproachWeight`] = weight;
+    }
+  });
+
+  return approaches;
+};
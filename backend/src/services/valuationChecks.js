@@ -0,0 +1,152 @@
+import { APPROACHES } from './valuationApproaches.js';
+
+// Arithmetic consistency checks between related valuation metrics. Each
+// check returns null when the inputs are missing, otherwise the recomputed
+// figures, whether they agree with the report, and the issue message(s)
+// when they do not.
+
+const PER_SHARE_TOLERANCE = 0.01; // one cent of rounding
+const PER_SHARE_RELATIVE_TOLERANCE = 0.005;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Marketable-to-nonmarketable bridge: the marketable per-share value less the
+// stated DLOM should give the concluded (nonmarketable) per-share value.
+// `discountForLackOfMarketability` is in percentage points (10 = 10%).
+export const checkPerShareBridge = ({
+  marketableValuePerShare,
+  nonMarketableValuePerShare,
+  discountForLackOfMarketability
+}) => {
+  if (!isNumber(marketableValuePerShare) || !isNumber(nonMarketableValuePerShare) ||
+      !isNumber(discountForLackOfMarketability) || marketableValuePerShare <= 0) {
+    return null;
+  }
+
+  const statedDiscount = Math.abs(discountForLackOfMarketability);
+  const expectedValuePerShare = marketableValuePerShare * (1 - statedDiscount / 100);
+  const impliedDiscount = (1 - nonMarketableValuePerShare / marketableValuePerShare) * 100;
+  const difference = nonMarketableValuePerShare - expectedValuePerShare;
+  const allowed = Math.max(PER_SHARE_TOLERANCE, expectedValuePerShare * PER_SHARE_RELATIVE_TOLERANCE);
+  const consistent = Math.abs(difference) <= allowed;
+
+  return {
+    marketableValuePerShare,
+    nonMarketableValuePerShare,
+    statedDiscount,
+    expectedValuePerShare: Math.round(expectedValuePerShare * 100) / 100,
+    impliedDiscount: Math.round(impliedDiscount * 100) / 100,
+    difference: Math.round(difference * 100) / 100,
+    consistent,
+    issue: consistent
+      ? null
+      : `Per-share bridge mismatch: $${marketableValuePerShare.toFixed(2)} less ${statedDiscount}% DLOM is $${expectedValuePerShare.toFixed(2)}, but the concluded value is $${nonMarketableValuePerShare.toFixed(2)} (implied DLOM ${impliedDiscount.toFixed(1)}%)`
+  };
+};
+
+// Approach weights are stated to the whole or half percent, and concluded
+// values are usually rounded, so allow a little slack on both
+const WEIGHT_TOTAL_TOLERANCE = 0.5;
+const RECONCILIATION_RELATIVE_TOLERANCE = 0.01;
+
+const formatMillions = (value) => `$${(value / 1000000).toFixed(2)}M`;
+
+// Approach reconciliation: the weighted sum of the income, market and asset
+// indications should equal the concluded enterprise value. `approaches` is the
+// flat valuationApproaches section ({ incomeApproachValue, incomeApproachWeight, ... }).
+export const checkApproachReconciliation = (approaches, concludedValue) => {
+  if (!approaches || !isNumber(concludedValue) || concludedValue <= 0) return null;
+
+  const weighted = APPROACHES
+    .map(approach => ({
+      approach,
+      value: approaches[`${approach}ApproachValue`],
+      weight: approaches[`${approach}ApproachWeight`]
+    }))
+    .filter(({ value, weight }) => isNumber(value) && isNumber(weight))
+    .map(indication => ({ ...indication, weightedValue: indication.value * indication.weight / 100 }));
+
+  if (weighted.length === 0) return null;
+
+  const weightTotal = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  const weightedSum = weighted.reduce((sum, { weightedValue }) => sum + weightedValue, 0);
+  const difference = concludedValue - weightedSum;
+  const weightsComplete = Math.abs(weightTotal - 100) <= WEIGHT_TOTAL_TOLERANCE;
+  const reconciles = Math.abs(difference) <= concludedValue * RECONCILIATION_RELATIVE_TOLERANCE;
+
+  let issue = null;
+  if (!weightsComplete) {
+    issue = `Approach weights total ${weightTotal}% rather than 100%`;
+  } else if (!reconciles) {
+    issue = `Approach reconciliation mismatch: weighted indications total ${formatMillions(weightedSum)} but the concluded enterprise value is ${formatMillions(concludedValue)}`;
+  }
+
+  return {
+    approaches: weighted,
+    weightTotal,
+    weightedSum: Math.round(weightedSum),
+    concludedValue,
+    difference: Math.round(difference),
+    consistent: weightsComplete && reconciles,
+    issue
+  };
+};
+
+// Reports round the concluded rates, commonly to the nearest half percent
+const RATE_TOLERANCE = 0.5;
+
+const compareRate = (label, recomputed, stated) => {
+  if (!isNumber(recomputed)) return null;
+  const comparison = { recomputed: Math.round(recomputed * 100) / 100, stated: isNumber(stated) ? stated : null, difference: null, consistent: true, issue: null };
+  if (comparison.stated === null) return comparison;
+
+  comparison.difference = Math.round((stated - recomputed) * 100) / 100;
+  comparison.consistent = Math.abs(stated - recomputed) <= RATE_TOLERANCE;
+  if (!comparison.consistent) {
+    comparison.issue = `${label} build-up mismatch: components give ${recomputed.toFixed(2)}% but the report states ${stated}%`;
+  }
+  return comparison;
+};
+
+// WACC build-up: cost of equity = risk-free rate + beta x equity risk premium
+// + size premium + company-specific risk (a build-up without a beta is a
+// beta of one); WACC weights that with the after-tax cost of debt. All rates
+// and weights are percentage points. `statedWacc` is the report's discount rate.
+export const checkWaccBuildUp = (buildUp, statedWacc) => {
+  if (!buildUp || !isNumber(buildUp.riskFreeRate) || !isNumber(buildUp.marketRiskPremium)) return null;
+
+  const beta = isNumber(buildUp.beta) ? buildUp.beta : 1;
+  const costOfEquity = buildUp.riskFreeRate + beta * buildUp.marketRiskPremium +
+    (isNumber(buildUp.sizePremium) ? buildUp.sizePremium : 0) +
+    (isNumber(buildUp.companySpecificRisk) ? buildUp.companySpecificRisk : 0);
+
+  let equityWeight = isNumber(buildUp.equityWeight) ? buildUp.equityWeight : null;
+  let debtWeight = isNumber(buildUp.debtWeight) ? buildUp.debtWeight : null;
+  if (equityWeight === null && debtWeight !== null) equityWeight = 100 - debtWeight;
+  if (debtWeight === null && equityWeight !== null) debtWeight = 100 - equityWeight;
+
+  let afterTaxCostOfDebt = null;
+  let wacc = null;
+  if (debtWeight === 0) {
+    // An all-equity capital structure discounts at the cost of equity
+    wacc = costOfEquity;
+  } else if (isNumber(buildUp.costOfDebt) && equityWeight !== null) {
+    afterTaxCostOfDebt = buildUp.costOfDebt * (1 - (isNumber(buildUp.taxRate) ? buildUp.taxRate : 0) / 100);
+    wacc = (equityWeight * costOfEquity + debtWeight * afterTaxCostOfDebt) / 100;
+  }
+
+  const costOfEquityCheck = compareRate('Cost of equity', costOfEquity, buildUp.costOfEquity);
+  const waccCheck = compareRate('WACC', wacc, statedWacc);
+  const issues = [costOfEquityCheck, waccCheck].filter(check => check?.issue).map(check => check.issue);
+
+  return {
+    beta,
+    costOfEquity: costOfEquityCheck,
+    afterTaxCostOfDebt: isNumber(afterTaxCostOfDebt) ? Math.round(afterTaxCostOfDebt * 100) / 100 : null,
+    equityWeight,
+    debtWeight,
+    wacc: waccCheck,
+    consistent: issues.length === 0,
+    issues
+  };
+};
@@ -0,0 +1,61 @@
+import { findNumbers } from './numberNormalization.js';
+
+// WACC build-up extraction.
+//
+// Reports derive the discount rate from a build-up: cost of equity from the
+// risk-free rate, beta times the equity risk premium, a size premium and a
+// company-specific risk premium; cost of debt after tax; and capital structure
+// weights. Each component is read from the first labelled line that states
+// it. Rates are percentage points (4.5 = 4.5%), beta is a plain number.
+
+const BUILD_UP_FIELDS = [
+  { field: 'riskFreeRate', kind: 'percent', pattern: /risk[-\s]free\s+(?:rate|return)/gi },
+  { field: 'marketRiskPremium', kind: 'percent', pattern: /(?:equity|market)\s+risk\s+premium|\berp\b/gi },
+  { field: 'beta', kind: 'number', pattern: /\b(?:(?:re)?levered\s+)?beta\b/gi },
+  { field: 'sizePremium', kind: 'percent', pattern: /size\s+premium|small[-\s]company\s+(?:risk\s+)?premium/gi },
+  { field: 'companySpecificRisk', kind: 'percent', pattern: /company[-\s]specific\s+risk(?:\s+premium)?|specific[-\s]company\s+risk(?:\s+premium)?|\bcsrp\b/gi },
+  { field: 'costOfEquity', kind: 'percent', pattern: /cost\s+of\s+equity/gi },
+  { field: 'costOfDebt', kind: 'percent', pattern: /(?<!after[-\s]tax\s)(?:pre[-\s]tax\s+)?cost\s+of\s+debt/gi },
+  { field: 'taxRate', kind: 'percent', pattern: /(?:income\s+)?tax\s+rate/gi },
+  { field: 'equityWeight', kind: 'percent', pattern: /equity\s+weight(?:ing)?|weight\s+of\s+equity|equity\s*(?:\/|to)\s*(?:total\s+)?(?:invested\s+)?capital/gi },
+  { field: 'debtWeight', kind: 'percent', pattern: /debt\s+weight(?:ing)?|weight\s+of\s+debt|debt\s*(?:\/|to)\s*(?:total\s+)?(?:invested\s+)?capital/gi }
+];
+
+export const WACC_BUILD_UP_FIELDS = BUILD_UP_FIELDS.map(({ field }) => field);
+
+// How far past a label its value may appear
+const VALUE_WINDOW = 80;
+
+// Betas outside this range are footnote or table numbers, not a beta
+const MAX_BETA = 5;
+
+const readValue = (text, kind) => {
+  for (const number of findNumbers(text)) {
+    if (kind === 'percent' && number.kind === 'percent') return number.value;
+    if (kind === 'number' && number.kind === 'amount' && !number.hasUnit && Math.abs(number.value) <= MAX_BETA) {
+      return number.value;
+    }
+  }
+  return null;
+};
+
+export const extractWaccBuildUp = (documentText) => {
+  const buildUp = Object.fromEntries(WACC_BUILD_UP_FIELDS.map(field => [field, null]));
+  if (!documentText) return buildUp;
+
+  for (const { field, kind, pattern } of BUILD_UP_FIELDS) {
+    for (const match of documentText.matchAll(pattern)) {
+      const start = match.index + match[0].length;
+      const lineEnd = documentText.indexOf('\n', start);
+      const end = Math.min(lineEnd === -1 ? documentText.length : lineEnd, start + VALUE_WINDOW);
+
+      const value = readValue(documentText.substring(start, end), kind);
+      if (value !== null) {
+        buildUp[field] = value;
+        break;
+      }
+    }
+  }
+
+  return buildUp;
+};
@@ -0,0 +1,43 @@
+// Unit tests for the golden-corpus accuracy harness
+import { describe, test, expect } from '@jest/globals';
+import { matchValue, scoreExtractor, loadGoldenCorpus, runAccuracyHarness, HARNESS_METRICS } from '../services/accuracyHarness.js';
+
+describe('Accuracy harness scoring', () => {
+  test('distinguishes exact and tolerance matches', () => {
+    expect(matchValue(45000000, 45000000, { relative: 0.01 })).toEqual({ exact: true, withinTolerance: true });
+    expect(matchValue(45200000, 45000000, { relative: 0.01 })).toEqual({ exact: false, withinTolerance: true });
+    expect(matchValue(46000000, 45000000, { relative: 0.01 })).toEqual({ exact: false, withinTolerance: false });
+    expect(matchValue(null, 45000000, { relative: 0.01 })).toEqual({ exact: false, withinTolerance: false });
+  });
+
+  test('counts wrong values as both false positives and false negatives', () => {
+    const scores = scoreExtractor([
+      { expected: { ebitda: 100 }, actual: { ebitda: 100 } },
+      { expected: { ebitda: 100 }, actual: { ebitda: 250 } },
+      { expected: { ebitda: 100 }, actual: { ebitda: null } },
+      { expected: { ebitda: null }, actual: { ebitda: 40 } }
+    ]);
+
+    expect(scores.ebitda.exact).toMatchObject({ truePositives: 1, falsePositives: 2, falseNegatives: 2 });
+    expect(scores.ebitda.exact.precision).toBeCloseTo(1 / 3);
+    expect(scores.ebitda.exact.recall).toBeCloseTo(1 / 3);
+  });
+
+  test('every fixture has an expected value for each metric', async () => {
+    const { documents } = await loadGoldenCorpus();
+    expect(documents.length).toBeGreaterThan(0);
+    for (const document of documents) {
+      expect(Object.keys(document.expected).sort()).toEqual([...HARNESS_METRICS].sort());
+      expect(document.text.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('runs offline against the stub provider', async () => {
+    const report = await runAccuracyHarness({ provider: 'stub', extractors: ['extractMetrics'] });
+
+    expect(report.provider).toBe('stub');
+    const { metrics, documents } = report.extractors.extractMetrics;
+    expect(documents.every(document => document.error === null)).toBe(true);
+    expect(Object.keys(metrics)).toEqual(HARNESS_METRICS);
+  });
+});
@@ -0,0 +1,135 @@
+// Unit tests for the adequate consideration checklist
+import { describe, test, expect, jest } from '@jest/globals';
+import { registerProvider } from '../services/llmService.js';
+import { evaluateChecklist, summarizeChecklist, loadChecklist } from '../services/adequateConsideration.js';
+
+const REPORT = `PAGE 3
+The standard of value is fair market value, as defined in Revenue Ruling 59-60.
+The valuation date is December 31, 2023.
+
+PAGE 7
+Management provided the projections used in the income approach.`;
+
+const checklist = {
+  version: 'test',
+  items: [
+    {
+      id: 'standardOfValue',
+      title: 'Standard of value',
+      question: 'Does the report state the standard of value?',
+      required: true,
+      keywords: ['standard\\s+of\\s+value'],
+      passPatterns: ['standard\\s+of\\s+value\\s+is\\s+fair\\s+market\\s+value']
+    }
+  ]
+};
+
+const STANDARD_PASSAGE = { text: 'The standard of value is fair market value, as defined in Revenue Ruling 59-60.', pageNumber: 3 };
+
+// Registers a provider that answers every completion with `judgement`; returns its mock
+const judge = (name, judgement) => {
+  const complete = jest.fn(async () => ({ text: JSON.stringify(judgement), model: null }));
+  registerProvider({ name, complete });
+  return complete;
+};
+
+const evaluate = (provider, { retrieve = async () => [STANDARD_PASSAGE] } = {}) => evaluateChecklist(REPORT, {
+  checklist,
+  retrieve,
+  options: { provider, maxRepairs: 0 }
+});
+
+describe('evaluateChecklist', () => {
+  test('judges each item on the retrieved passages and keeps quotes found in them', async () => {
+    const complete = judge('judgeWithQuotes', {
+      status: 'pass',
+      explanation: 'The report states fair market value.',
+      citations: [
+        { excerpt: 1, quote: 'standard of value is fair market value' },
+        { excerpt: 1, quote: 'the standard of value is investment value' },
+        { excerpt: 4, quote: 'standard of value is fair market value' },
+        { excerpt: 1, quote: 'fair' }
+      ]
+    });
+    const retrieve = jest.fn(async () => [STANDARD_PASSAGE]);
+
+    const { items } = await evaluate('judgeWithQuotes', { retrieve });
+
+    expect(retrieve).toHaveBeenCalledWith('Does the report state the standard of value?');
+    expect(complete.mock.calls[0][0].context).toMatch('[1] (page 3) The standard of value is fair market value');
+    expect(items).toEqual([{
+      id: 'standardOfValue',
+      title: 'Standard of value',
+      required: true,
+      status: 'pass',
+      explanation: 'The report states fair market value.',
+      citations: [{ page: 3, quote: 'standard of value is fair market value' }],
+      method: 'llm',
+      provider: 'judgeWithQuotes'
+    }]);
+  });
+
+  test('a pass without a verifiable quote is unclear', async () => {
+    judge('judgeWithoutQuotes', {
+      status: 'pass',
+      explanation: 'The report addresses the standard of value.',
+      citations: [{ excerpt: 1, quote: 'the premise of value is going concern' }]
+    });
+
+    const { items: [item] } = await evaluate('judgeWithoutQuotes');
+
+    expect(item).toMatchObject({ status: 'unclear', citations: [], method: 'llm' });
+  });
+
+  test('falls back to the pass patterns when the model cannot answer', async () => {
+    registerProvider({ name: 'judgeOffline', complete: async () => { throw new Error('timeout'); } });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { items: [item] } = await evaluate('judgeOffline', { retrieve: async () => { throw new Error('no vectors'); } });
+    warn.mockRestore();
+
+    expect(item).toMatchObject({
+      status: 'pass',
+      method: 'keyword',
+      provider: null,
+      citations: [{ page: 3, quote: 'The standard of value is fair market value, as defined in Revenue Ruling 59-60.' }]
+    });
+  });
+
+  test('an item the report never mentions fails without asking the model', async () => {
+    const complete = judge('judgeUnused', { status: 'pass', explanation: '', citations: [] });
+
+    const { items: [item], summary } = await evaluateChecklist('The valuation date is December 31, 2023.', {
+      checklist,
+      options: { provider: 'judgeUnused' }
+    });
+
+    expect(complete).not.toHaveBeenCalled();
+    expect(item).toMatchObject({ status: 'fail', method: 'keyword', citations: [] });
+    expect(summary.status).toBe('fail');
+  });
+});
+
+describe('summarizeChecklist', () => {
+  test('counts statuses and lets only required items decide the overall status', () => {
+    expect(summarizeChecklist([
+      { required: true, status: 'pass' },
+      { required: true, status: 'unclear' },
+      { required: false, status: 'fail' }
+    ])).toEqual({ pass: 1, fail: 1, unclear: 1, total: 3, status: 'unclear' });
+
+    expect(summarizeChecklist([{ required: true, status: 'pass' }, { required: false, status: 'fail' }]).status).toBe('pass');
+    expect(summarizeChecklist([{ required: true, status: 'fail' }, { required: true, status: 'unclear' }]).status).toBe('fail');
+  });
+});
+
+describe('loadChecklist', () => {
+  test('the shipped checklist has well-formed items', () => {
+    const { items } = loadChecklist();
+
+    expect(items.length).toBeGreaterThan(0);
+    for (const item of items) {
+      expect(item).toEqual(expect.objectContaining({ id: expect.any(String), question: expect.any(String), keywords: expect.any(Array) }));
+    }
+  });
+});
@@ -0,0 +1,92 @@
+// Unit tests for guideline company extraction and selected-multiple analysis
+import { describe, test, expect } from '@jest/globals';
+import { extractComparables, analyzeComparables } from '../services/comparablesExtraction.js';
+
+const GUIDELINE_TABLE = `PAGE 22
+GUIDELINE PUBLIC COMPANIES ($ in millions)
+| Company | Ticker | LTM Revenue | LTM EBITDA | EV/EBITDA | EV/Revenue |
+|---|---|---|---|---|---|
+| Alpha Industrial | ALPH | 850.0 | 120.0 | 8.0x | 1.2x |
+| Beta Manufacturing (NYSE: BETA) | | 420.0 | 55.0 | 7.0x | 0.9x |
+| Gamma Corp | NASDAQ: GAMA | 1,200.0 | 160.0 | 10.0x | 1.4x |
+| Delta Works | DLTW | 300.0 | 32.0 | 6.0x | NM |
+| Median | | | | 7.5x | 1.2x |
+| Selected | | | | 7.0x | 1.0x |`;
+
+describe('extractComparables', () => {
+  test('reads peer rows with tickers and scaled financials', () => {
+    const { peers } = extractComparables(GUIDELINE_TABLE);
+
+    expect(peers.map(({ name, ticker }) => [name, ticker])).toEqual([
+      ['Alpha Industrial', 'ALPH'],
+      ['Beta Manufacturing', 'BETA'],
+      ['Gamma Corp', 'GAMA'],
+      ['Delta Works', 'DLTW']
+    ]);
+    expect(peers[2]).toEqual({
+      kind: 'guidelineCompany',
+      name: 'Gamma Corp',
+      ticker: 'GAMA',
+      acquirer: null,
+      revenue: 1200000000,
+      ebitda: 160000000,
+      evToEbitda: 10,
+      evToRevenue: 1.4,
+      sourcePage: 22
+    });
+    expect(peers[3].evToRevenue).toBeNull();
+  });
+
+  test('takes the selected multiples from the "Selected" row, not the statistics', () => {
+    expect(extractComparables(GUIDELINE_TABLE).selectedMultiples).toEqual({
+      guidelineCompany: { evToEbitda: 7, evToRevenue: 1 },
+      guidelineTransaction: {}
+    });
+  });
+
+  test('a selected multiple stated in the text outranks the table row', () => {
+    const { selectedMultiples } = extractComparables(`${GUIDELINE_TABLE}\n\nWe applied a selected EBITDA multiple of 7.25x.`);
+    expect(selectedMultiples.guidelineCompany.evToEbitda).toBe(7.25);
+  });
+
+  test('reads transaction tables from Reducto tables', () => {
+    const { peers } = extractComparables('', {
+      tables: [{ title: 'Guideline Transactions', page: 24, content: 'Target\tAcquirer\tEV/EBITDA\nOmega Tools\tAcme Holdings\t6.5x' }]
+    });
+
+    expect(peers).toEqual([
+      expect.objectContaining({ kind: 'guidelineTransaction', name: 'Omega Tools', acquirer: 'Acme Holdings', evToEbitda: 6.5, sourcePage: 24 })
+    ]);
+  });
+});
+
+describe('analyzeComparables', () => {
+  const { peers, selectedMultiples } = extractComparables(GUIDELINE_TABLE);
+
+  test('places the selected multiple against the peer quartiles', () => {
+    const [ebitda, revenue] = analyzeComparables(peers, selectedMultiples);
+
+    expect(ebitda).toEqual({
+      kind: 'guidelineCompany',
+      multiple: 'evToEbitda',
+      count: 4,
+      min: 6,
+      firstQuartile: 6.75,
+      median: 7.5,
+      thirdQuartile: 8.5,
+      max: 10,
+      mean: 7.75,
+      selected: 7,
+      percentileRank: 50,
+      differenceFromMedian: -0.5,
+      position: 'second quartile'
+    });
+    expect(revenue).toMatchObject({ count: 3, firstQuartile: 1.05, selected: 1, percentileRank: 33.33, position: 'bottom quartile' });
+  });
+
+  test('reports the statistics alone when no multiple was selected', () => {
+    const [ebitda] = analyzeComparables(peers);
+    expect(ebitda.selected).toBeNull();
+    expect(ebitda.position).toBeUndefined();
+  });
+});
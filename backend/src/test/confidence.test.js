@@ -0,0 +1,86 @@
+// Unit tests for calibrated metric confidence
+import { describe, test, expect } from '@jest/globals';
+import { confidenceSignals, scoreConfidence, fitCalibration, averageConfidence } from '../services/confidence.js';
+
+const CALIBRATION = {
+  intercept: -1,
+  weights: { agreement: 1.5, corroborated: 1, candidateShare: 0.5, hasSource: 1.5, crossValidationPassed: 1, crossValidationFailed: -1 },
+  levels: { high: 0.8, medium: 0.5 }
+};
+
+describe('confidenceSignals', () => {
+  test('counts agreeing extractors and candidates within tolerance', () => {
+    const signals = confidenceSignals(45000000, {
+      extracted: { regex: 45000000, extractMetrics: 45100000, extractSingleMetric: 52000000 },
+      candidates: [45000000, 52000000],
+      hasSource: true,
+      crossValidation: 'passed'
+    });
+
+    expect(signals).toMatchObject({
+      extractors: 3,
+      agreeingExtractors: ['regex', 'extractMetrics'],
+      corroborated: true,
+      candidates: 2,
+      candidateShare: 0.5,
+      hasSource: true
+    });
+    expect(signals.agreement).toBeCloseTo(2 / 3);
+  });
+});
+
+describe('scoreConfidence', () => {
+  test('ranks corroborated, located values above lone unlocated ones', () => {
+    const strong = scoreConfidence(confidenceSignals(14.5, {
+      extracted: { regex: 14.5, extractMetrics: 14.5, extractSingleMetric: 14.5 },
+      hasSource: true
+    }), CALIBRATION);
+    const weak = scoreConfidence(confidenceSignals(14.5, {
+      extracted: { extractSingleMetric: 14.5 }
+    }), CALIBRATION);
+
+    expect(strong.score).toBeGreaterThan(weak.score);
+    expect(strong.level).toBe('high');
+    expect(weak.level).toBe('low');
+  });
+
+  test('lowers confidence when cross-validation fails', () => {
+    const evidence = { extracted: { regex: 100, extractMetrics: 100 }, hasSource: true };
+    const passed = scoreConfidence(confidenceSignals(100, { ...evidence, crossValidation: 'passed' }), CALIBRATION);
+    const failed = scoreConfidence(confidenceSignals(100, { ...evidence, crossValidation: 'failed' }), CALIBRATION);
+
+    expect(failed.score).toBeLessThan(passed.score);
+  });
+});
+
+describe('fitCalibration', () => {
+  test('learns that located values are more often correct', () => {
+    const sample = (hasSource, correct) => ({
+      signals: confidenceSignals(1, { extracted: { extractSingleMetric: 1 }, hasSource }),
+      correct
+    });
+    const samples = [
+      ...Array(9).fill(null).map(() => sample(true, true)),
+      sample(true, false),
+      ...Array(3).fill(null).map(() => sample(false, true)),
+      ...Array(7).fill(null).map(() => sample(false, false))
+    ];
+
+    const calibration = fitCalibration(samples, { prior: { ...CALIBRATION, weights: { ...CALIBRATION.weights, hasSource: 0 } } });
+    const located = scoreConfidence(samples[0].signals, calibration).score;
+    const unlocated = scoreConfidence(samples[10].signals, calibration).score;
+
+    expect(calibration.weights.hasSource).toBeGreaterThan(0);
+    expect(located).toBeGreaterThan(0.7);
+    expect(unlocated).toBeLessThan(0.45);
+    expect(calibration.sampleCount).toBe(20);
+    expect(calibration.reliability.reduce((sum, row) => sum + row.count, 0)).toBe(20);
+  });
+});
+
+describe('averageConfidence', () => {
+  test('ignores values without a score', () => {
+    expect(averageConfidence([{ score: 0.9 }, null, { score: 0.5 }])).toBe(0.7);
+    expect(averageConfidence([])).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+// Unit tests for DCF input extraction and independent recomputation
+import { describe, test, expect } from '@jest/globals';
+import { extractDcfInputs, recomputeDcf, compareToStated, buildDcfAnalysis } from '../services/dcfAnalysis.js';
+
+const DCF_PAGE = `PAGE 5
+DISCOUNTED CASH FLOW ANALYSIS ($ in thousands)
+                           2024P     2025P     2026P
+EBITDA                     9,000     9,600    10,200
+Debt-Free Net Cash Flow    4,000     4,400     4,800
+
+We applied a discount rate of 14.0% and a terminal growth rate of 3.0%, using the mid-year convention.
+Income Approach indicated value: $42,000,000  Weight: 60%`;
+
+describe('extractDcfInputs', () => {
+  test('reads the projected cash flows and assumptions', () => {
+    const inputs = extractDcfInputs(DCF_PAGE, { valuationYear: 2023 });
+
+    expect(inputs.cashFlows.map(({ fiscalYear, cashFlow }) => [fiscalYear, cashFlow])).toEqual([
+      [2024, 4000000],
+      [2025, 4400000],
+      [2026, 4800000]
+    ]);
+    expect(inputs.discountRate).toBe(14);
+    expect(inputs.terminalGrowthRate).toBe(3);
+    expect(inputs.terminalEbitda).toBe(10200000);
+    expect(inputs.midYearConvention).toBe(true);
+    expect(inputs.sourcePages.discountRate).toBe(5);
+  });
+
+  test('reads an exit multiple and end-of-year convention', () => {
+    const inputs = extractDcfInputs('Terminal value used an exit multiple of 6.5x EBITDA under the end-of-year convention.');
+    expect(inputs.exitMultiple).toBe(6.5);
+    expect(inputs.midYearConvention).toBe(false);
+  });
+});
+
+describe('recomputeDcf', () => {
+  const cashFlows = [{ cashFlow: 100 }, { cashFlow: 110 }];
+
+  test('discounts cash flows and a Gordon growth terminal value at year end', () => {
+    const result = recomputeDcf({ cashFlows, discountRate: 10, terminalGrowthRate: 2 });
+    const expectedTerminal = 110 * 1.02 / 0.08;
+
+    expect(result.terminalValue).toBeCloseTo(expectedTerminal, 2);
+    expect(result.enterpriseValue).toBeCloseTo(100 / 1.1 + 110 / 1.21 + expectedTerminal / 1.21, 2);
+  });
+
+  test('shifts discounting half a period earlier under the mid-year convention', () => {
+    const result = recomputeDcf({ cashFlows, discountRate: 10, terminalGrowthRate: 2, midYearConvention: true });
+    expect(result.schedule.map(({ period }) => period)).toEqual([0.5, 1.5]);
+    expect(result.terminalPeriod).toBe(1.5);
+  });
+
+  test('values an exit multiple terminal value at the end of the final year', () => {
+    const result = recomputeDcf({ cashFlows, discountRate: 10, exitMultiple: 5, terminalEbitda: 200, midYearConvention: true });
+    expect(result.terminalValueMethod).toBe('exitMultiple');
+    expect(result.presentValueOfTerminalValue).toBeCloseTo(1000 / 1.21, 2);
+  });
+
+  test('reports inputs that cannot support a valuation', () => {
+    expect(recomputeDcf({ cashFlows: [], discountRate: 10 }).error).toMatch(/cash flows/);
+    expect(recomputeDcf({ cashFlows, discountRate: 3, terminalGrowthRate: 4 }).error).toMatch(/below the discount rate/);
+    expect(recomputeDcf({ cashFlows, discountRate: 10 }).error).toMatch(/terminal/);
+  });
+});
+
+describe('compareToStated', () => {
+  test('prefers the income approach indication over the concluded value', () => {
+    const variance = compareToStated(98, { incomeApproachValue: 100, enterpriseValue: 120 });
+    expect(variance.statedBasis).toBe('incomeApproach');
+    expect(variance.percentDifference).toBe(-2);
+    expect(variance.withinTolerance).toBe(true);
+  });
+});
+
+describe('buildDcfAnalysis', () => {
+  test('falls back to the stored discount rate and reports the variance', () => {
+    const text = DCF_PAGE.replace('a discount rate of 14.0% and ', '');
+    const analysis = buildDcfAnalysis(text, {
+      valuationYear: 2023,
+      storedMetrics: { discountRates: { discountRate: 14 } }
+    });
+
+    expect(analysis.inputs.discountRate).toBe(14);
+    expect(analysis.recomputed.enterpriseValue).toBeGreaterThan(0);
+    expect(analysis.variance.statedValue).toBe(42000000);
+  });
+});
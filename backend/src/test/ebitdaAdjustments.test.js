@@ -0,0 +1,68 @@
+// Unit tests for EBITDA normalization bridge extraction
+import { describe, test, expect } from '@jest/globals';
+import { extractEbitdaAdjustments, ebitdaBridgeIssues } from '../services/ebitdaAdjustments.js';
+
+const BRIDGE_TABLE = `PAGE 18
+EBITDA Normalization ($ in thousands)
+                                   FY2022     FY2023
+Reported EBITDA                     6,000      7,000
+Add-backs:
+  Excess owner compensation           400        450
+  ESOP contribution expense           800        900
+  Litigation settlement               250          —
+Less:
+  Related party rent adjustment       120        120
+Total adjustments                   1,330      1,230
+Adjusted EBITDA                     7,330      8,230`;
+
+describe('extractEbitdaAdjustments', () => {
+  test('reads a scaled bridge per period, signing rows under "Add-backs:" and "Less:"', () => {
+    const { bridges } = extractEbitdaAdjustments(BRIDGE_TABLE, { valuationYear: 2023 });
+
+    expect(bridges).toHaveLength(2);
+    expect(bridges[1]).toEqual({
+      fiscalPeriod: 'FY2023',
+      fiscalYear: 2023,
+      periodType: 'historical',
+      reportedEbitda: 7000000,
+      adjustments: [
+        { label: 'Excess owner compensation', category: 'ownerCompensation', amount: 450000, sourcePage: 18 },
+        { label: 'ESOP contribution expense', category: 'esopContribution', amount: 900000, sourcePage: 18 },
+        { label: 'Related party rent adjustment', category: 'relatedParty', amount: -120000, sourcePage: 18 }
+      ],
+      totalAdjustments: 1230000,
+      statedTotalAdjustments: 1230000,
+      adjustedEbitda: 8230000,
+      reconciles: true,
+      sourcePage: 18
+    });
+    expect(bridges[0].adjustments.find(({ category }) => category === 'nonRecurring').amount).toBe(250000);
+    expect(bridges[0]).toMatchObject({ totalAdjustments: 1330000, statedTotalAdjustments: 1330000, reconciles: true });
+  });
+
+  test('applies inline prefixes and keeps parenthesized deductions negative', () => {
+    const { bridges } = extractEbitdaAdjustments(`Reported EBITDA    $5,200,000
+Plus: Non-recurring legal fees    $150,000
+Less: Gain on sale of equipment    ($60,000)`);
+
+    expect(bridges[0].adjustments.map(({ amount }) => amount)).toEqual([150000, -60000]);
+    expect(bridges[0]).toMatchObject({ fiscalPeriod: null, adjustedEbitda: 5290000, reconciles: null });
+  });
+});
+
+describe('ebitdaBridgeIssues', () => {
+  test('flags a bridge that does not reach the stated adjusted EBITDA', () => {
+    const adjustments = extractEbitdaAdjustments(`Reported EBITDA    7,000
+Add: Owner compensation    1,000
+Adjusted EBITDA    9,000`);
+
+    expect(adjustments.bridges[0].reconciles).toBe(false);
+    expect(ebitdaBridgeIssues(adjustments)).toEqual([
+      'EBITDA adjustments total 1,000 but reported 7,000 and adjusted 9,000 EBITDA differ by 2,000'
+    ]);
+  });
+
+  test('has nothing to flag for reconciling bridges', () => {
+    expect(ebitdaBridgeIssues(extractEbitdaAdjustments(BRIDGE_TABLE))).toEqual([]);
+  });
+});
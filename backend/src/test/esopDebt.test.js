@@ -0,0 +1,127 @@
+// Unit tests for ESOP debt extraction and the share release calculator
+import { describe, test, expect } from '@jest/globals';
+import { extractEsopDebt, extractShareAllocation, amortizeLoan, projectShareRelease, buildShareReleaseAnalysis, shareReleaseOverrides, parseShareReleaseRequest, mergeShareReleaseOverrides } from '../services/esopDebt.js';
+
+const TRANSACTION = `ESOP TRANSACTION
+The Company borrowed $24.0 million under a senior bank loan bearing interest at 6.5% with a 7-year term. The Company loaned the proceeds to the ESOP under an internal loan of $30,000,000 at 4.0% over 25 years. The selling shareholders also received a $6.0 million seller note at 8.0% interest, payable over 10 years.
+
+As of the valuation date, 350,000 shares have been allocated to participants and the suspense account holds 650,000 unallocated shares.`;
+
+describe('extractEsopDebt', () => {
+  test('reads balance, rate and term for each loan', () => {
+    expect(extractEsopDebt(TRANSACTION)).toEqual({
+      externalLoanBalance: 24000000,
+      externalLoanRate: 6.5,
+      externalLoanTermYears: 7,
+      internalLoanBalance: 30000000,
+      internalLoanRate: 4,
+      internalLoanTermYears: 25,
+      sellerNoteBalance: 6000000,
+      sellerNoteRate: 8,
+      sellerNoteTermYears: 10
+    });
+  });
+
+  test('reads allocated and suspense shares', () => {
+    expect(extractShareAllocation(TRANSACTION)).toEqual({ allocatedShares: 350000, unallocatedShares: 650000 });
+  });
+});
+
+describe('amortizeLoan', () => {
+  test('pays the balance off with level annual payments', () => {
+    const { payment, schedule } = amortizeLoan({ balance: 1000, rate: 10, termYears: 2, startYear: 2024 });
+
+    expect(payment).toBeCloseTo(576.19, 2);
+    expect(schedule[0]).toMatchObject({ year: 2024, interest: 100, principal: 476.19 });
+    expect(schedule[1].endingBalance).toBe(0);
+  });
+
+  test('rejects a term that rounds to no annual payments', () => {
+    expect(amortizeLoan({ balance: 1000, rate: 10, termYears: 0.4, startYear: 2024 })).toEqual({ error: 'A loan balance and term are required' });
+    expect(amortizeLoan({ balance: 1000, rate: 10, termYears: 0.5, startYear: 2024 }).schedule).toHaveLength(1);
+  });
+});
+
+describe('projectShareRelease', () => {
+  test('releases suspense shares evenly under the principal and interest method', () => {
+    const release = projectShareRelease({ balance: 1000, rate: 10, termYears: 4, unallocatedShares: 400, startYear: 2024 });
+    expect(release.schedule.map(row => row.sharesReleased)).toEqual([100, 100, 100, 100]);
+    expect(release.schedule[3].suspenseShares).toBe(0);
+  });
+
+  test('back-loads the release under the principal-only method', () => {
+    const release = projectShareRelease({ balance: 1000, rate: 10, termYears: 4, unallocatedShares: 400, method: 'principalOnly', startYear: 2024 });
+    const released = release.schedule.map(row => row.sharesReleased);
+
+    expect(released[0]).toBeLessThan(released[3]);
+    expect(release.schedule[3].cumulativeReleased).toBe(400);
+  });
+
+  test('reports missing inputs', () => {
+    expect(projectShareRelease({ balance: 1000, termYears: 4, unallocatedShares: 0 }).error).toMatch(/suspense/);
+    expect(projectShareRelease({ balance: null, termYears: 4, unallocatedShares: 400 }).error).toMatch(/balance/);
+  });
+});
+
+describe('buildShareReleaseAnalysis', () => {
+  test('falls back to the external loan and applies overrides', () => {
+    const text = TRANSACTION.replace(/The Company loaned.*?25 years\.\s/, '');
+    const analysis = buildShareReleaseAnalysis(text, { valuationYear: 2023, overrides: { unallocatedShares: '700000' } });
+
+    expect(analysis.assumptions).toEqual({ releaseLoan: 'externalLoan', method: 'principalAndInterest', startYear: 2024, overrides: { unallocatedShares: 700000 } });
+    expect(analysis.release.schedule).toHaveLength(7);
+    expect(analysis.release.schedule[6].cumulativeReleased).toBe(700000);
+  });
+
+  test('stored overrides reproduce the analyst\'s calculation', () => {
+    const first = buildShareReleaseAnalysis(TRANSACTION, {
+      valuationYear: 2023,
+      overrides: { internalLoanTermYears: '20', method: 'principalOnly', note: 'ignored', unallocatedShares: '' }
+    });
+    const again = buildShareReleaseAnalysis(TRANSACTION, { valuationYear: 2023, overrides: first.assumptions.overrides });
+
+    expect(first.assumptions.overrides).toEqual({ internalLoanTermYears: 20, method: 'principalOnly' });
+    expect(again.loanTerms.internalLoanTermYears).toBe(20);
+    expect(again.release).toEqual(first.release);
+  });
+
+  test('an unknown release method falls back to principal and interest', () => {
+    const analysis = buildShareReleaseAnalysis(TRANSACTION, { valuationYear: 2023, overrides: { method: 'levelPrincipal' } });
+
+    expect(analysis.assumptions.method).toBe('principalAndInterest');
+    expect(analysis.release.error).toBeUndefined();
+  });
+});
+
+describe('shareReleaseOverrides', () => {
+  test('keeps numeric loan and share fields and known release methods', () => {
+    expect(shareReleaseOverrides({ externalLoanRate: '7.25', startYear: 2025, method: 'levelPrincipal', allocatedShares: 'n/a' }))
+      .toEqual({ externalLoanRate: 7.25, startYear: 2025 });
+  });
+});
+
+describe('parseShareReleaseRequest', () => {
+  test('reads numeric fields, known methods and cleared fields', () => {
+    expect(parseShareReleaseRequest({ internalLoanRate: '5.5', startYear: 2025, method: 'principalOnly', unallocatedShares: null }))
+      .toEqual({ overrides: { internalLoanRate: 5.5, startYear: 2025, method: 'principalOnly', unallocatedShares: null } });
+    expect(parseShareReleaseRequest(undefined)).toEqual({ overrides: {} });
+  });
+
+  test('rejects unknown fields, unknown methods and non-numeric values', () => {
+    expect(parseShareReleaseRequest({ note: 'x' }).error).toBe('note is not a share release assumption');
+    expect(parseShareReleaseRequest({ method: 'levelPrincipal' }).error).toBe('Unknown release method: levelPrincipal');
+    expect(parseShareReleaseRequest({ allocatedShares: 'n/a' }).error).toBe('allocatedShares must be a number, got "n/a"');
+    expect(parseShareReleaseRequest({ startYear: '' }).error).toMatch(/startYear must be a number/);
+  });
+});
+
+describe('mergeShareReleaseOverrides', () => {
+  test('keeps stored overrides the request does not mention and drops cleared ones', () => {
+    const stored = { internalLoanTermYears: 20, method: 'principalOnly', unallocatedShares: 700000 };
+
+    expect(mergeShareReleaseOverrides(stored, {})).toEqual(stored);
+    expect(mergeShareReleaseOverrides(stored, { internalLoanTermYears: 15, unallocatedShares: null }))
+      .toEqual({ internalLoanTermYears: 15, method: 'principalOnly' });
+    expect(mergeShareReleaseOverrides(undefined, { startYear: 2025 })).toEqual({ startYear: 2025 });
+  });
+});
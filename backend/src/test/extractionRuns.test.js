@@ -0,0 +1,69 @@
+// Unit tests for extraction run summaries and run-to-run diffs
+import { describe, test, expect } from '@jest/globals';
+import { summarizeLlmCalls, toRunMetrics, diffRunMetrics, diffRuns } from '../services/extractionRuns.js';
+
+const metric = (data, confidence = {}) => ({
+  data,
+  confidence: null,
+  provenance: Object.fromEntries(Object.entries(confidence).map(([field, score]) => [field, { confidence: { score } }]))
+});
+
+describe('summarizeLlmCalls', () => {
+  test('counts completions per provider, model and tier', () => {
+    expect(summarizeLlmCalls([
+      { provider: 'openai', model: 'gpt-4o', tier: null },
+      { provider: 'openai', model: 'gpt-4o', tier: null },
+      { provider: 'openai', model: 'gpt-3.5-turbo', tier: 'fast' }
+    ])).toEqual([
+      { provider: 'openai', model: 'gpt-4o', tier: null, calls: 2 },
+      { provider: 'openai', model: 'gpt-3.5-turbo', tier: 'fast', calls: 1 }
+    ]);
+  });
+});
+
+describe('diffRunMetrics', () => {
+  test('classifies changes and flags lost values as regressions', () => {
+    const base = {
+      enterpriseValue: metric({ currentValue: 45000000, currency: 'USD' }),
+      keyFinancials: metric({ revenue: 62000000, ebitda: 7500000, netIncome: null })
+    };
+    const compare = {
+      enterpriseValue: metric({ currentValue: '45000000', currency: 'USD' }),
+      keyFinancials: metric({ revenue: 64000000, ebitda: null, netIncome: 3100000 })
+    };
+
+    const { changes, summary } = diffRunMetrics(base, compare);
+
+    expect(summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 2, regressions: 1 });
+    expect(changes.find(change => change.path === 'keyFinancials.revenue')).toMatchObject({
+      status: 'changed',
+      difference: 2000000,
+      percentDifference: 3.23,
+      regression: false
+    });
+    expect(changes.find(change => change.path === 'keyFinancials.ebitda')).toMatchObject({ status: 'removed', regression: true });
+  });
+
+  test('flags a confidence drop on an unchanged value', () => {
+    const { changes } = diffRunMetrics(
+      { discountRates: metric({ discountRate: 14.5 }, { discountRate: 0.9 }) },
+      { discountRates: metric({ discountRate: 14.5 }, { discountRate: 0.55 }) }
+    );
+
+    expect(changes).toEqual([expect.objectContaining({ path: 'discountRates.discountRate', status: 'unchanged', regression: true })]);
+  });
+});
+
+describe('diffRuns', () => {
+  test('reports which run settings differ', () => {
+    const run = (promptVersion, metrics) => ({ id: promptVersion, promptVersion, parser: 'reducto', models: [], metrics });
+    const diff = diffRuns(
+      run('1.0', toRunMetrics({ valuationPerShare: { currentValue: 38.5 } })),
+      run('1.1', toRunMetrics({ valuationPerShare: { currentValue: 38.5 } }))
+    );
+
+    expect(diff.settingsChanged).toEqual(['promptVersion']);
+    expect(diff.changes).toEqual([]);
+    expect(diff.base).not.toHaveProperty('metrics');
+  });
+});
@@ -0,0 +1,87 @@
+// Unit tests for LLM budgets and their enforcement in the LLM layer
+import { describe, test, expect } from '@jest/globals';
+import { createBudget, budgetLevel, chargeBudget, describeBudget, budgetPeriodStart, resolveTenantId, BUDGET_LEVELS } from '../services/llmBudget.js';
+import { complete, registerProvider, withLlmBudget } from '../services/llmService.js';
+
+const budgets = {
+  degradeAt: 0.5,
+  tenantPeriod: 'month',
+  document: { maxTokens: 1000, maxCost: null },
+  job: { maxTokens: null, maxCost: null },
+  tenant: { maxTokens: null, maxCost: 1 },
+  tenants: { trial: { maxCost: 0 } }
+};
+
+describe('createBudget', () => {
+  test('applies tenant overrides and leaves out the job scope without a job', () => {
+    const budget = createBudget({ tenantId: 'trial' }, { tenant: { tokens: 10, cost: 0 } }, budgets);
+
+    expect(Object.keys(budget.scopes)).toEqual(['document', 'tenant']);
+    expect(budget.scopes.tenant).toEqual({ maxTokens: null, maxCost: 0, tokens: 10, cost: 0 });
+    expect(budgetLevel(budget)).toBe(BUDGET_LEVELS.EXHAUSTED);
+    expect(budgetLevel(createBudget({ jobId: 'job-1' }, {}, budgets))).toBe(BUDGET_LEVELS.NORMAL);
+  });
+
+  test('cached answers are not charged', () => {
+    const budget = createBudget({}, {}, budgets);
+    chargeBudget(budget, { inputTokens: 400, outputTokens: 200, cost: 0.5, cached: true });
+    chargeBudget(budget, { inputTokens: 400, outputTokens: 200, cost: 0.5, cached: false });
+
+    expect(budget.scopes.document).toMatchObject({ tokens: 600, cost: 0.5 });
+    expect(budgetLevel(budget)).toBe(BUDGET_LEVELS.FAST);
+  });
+});
+
+describe('Budget enforcement', () => {
+  test('degrades to the fast tier, then to regex extraction', async () => {
+    const tiers = [];
+    registerProvider({
+      name: 'metered',
+      modelFor: (request) => request.tier === 'fast' ? 'gpt-4o-mini' : 'gpt-4o',
+      complete: async (request) => {
+        tiers.push(request.tier);
+        return { text: 'EBITDA: $7,500,000', model: request.tier === 'fast' ? 'gpt-4o-mini' : 'gpt-4o', usage: { inputTokens: 300, outputTokens: 0 } };
+      }
+    });
+
+    const budget = createBudget({ jobId: 'job-1' }, {}, budgets);
+    const providers = [];
+    await withLlmBudget(budget, async () => {
+      for (let i = 0; i < 5; i++) {
+        const result = await complete({ prompt: 'What is the EBITDA?', context: 'EBITDA: $7,500,000' }, { provider: 'metered' });
+        providers.push(result.provider);
+      }
+    });
+
+    expect(tiers).toEqual([undefined, undefined, 'fast', 'fast']);
+    expect(providers).toEqual(['metered', 'metered', 'metered', 'metered', 'stub']);
+
+    const usage = describeBudget(budget);
+    expect(usage).toMatchObject({ level: BUDGET_LEVELS.EXHAUSTED, degradedCalls: 2, offlineCalls: 1 });
+    expect(usage.scopes.job.tokens).toBe(usage.scopes.document.tokens);
+    expect(usage.scopes.tenant.cost).toBe(0.00159);
+  });
+});
+
+describe('budgetPeriodStart', () => {
+  test('starts tenant periods on the first of the month, Monday or midnight UTC', () => {
+    const now = new Date('2025-10-23T15:30:00Z');
+
+    expect(budgetPeriodStart('month', now).toISOString()).toBe('2025-10-01T00:00:00.000Z');
+    expect(budgetPeriodStart('week', now).toISOString()).toBe('2025-10-20T00:00:00.000Z');
+    expect(budgetPeriodStart('day', now).toISOString()).toBe('2025-10-23T00:00:00.000Z');
+  });
+});
+
+describe('resolveTenantId', () => {
+  test('an authenticated user\'s tenant wins over the header', () => {
+    expect(resolveTenantId({ user: { userId: 'u1', tenantId: 'acme' }, header: 'trial' })).toEqual({ tenantId: 'acme' });
+    expect(resolveTenantId({ user: { userId: 'u1' }, header: 'trial' })).toEqual({ tenantId: 'default' });
+  });
+
+  test('falls back to the header, then the default tenant', () => {
+    expect(resolveTenantId({ header: 'trial' })).toEqual({ tenantId: 'trial' });
+    expect(resolveTenantId({})).toEqual({ tenantId: 'default' });
+    expect(resolveTenantId({ header: 'a b' })).toEqual({ error: 'Invalid X-Tenant-Id header' });
+  });
+});
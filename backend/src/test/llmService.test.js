@@ -0,0 +1,166 @@
+// Unit tests for the LLM provider layer and the offline stub provider
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { complete, embed, getProviderChain, registerProvider, withLlmCallLog, currentLlmCalls, setResponseCache } from '../services/llmService.js';
+import { answerQuestion, extractMetrics } from '../services/openaiService.js';
+
+const SAMPLE_REPORT = `ESOP Valuation Report
+Valuation Date: December 31, 2023
+
+Enterprise Value: $45,000,000
+Value of Equity: $38,500,000
+Fair market value per share: $38.50
+Revenue: $62,000,000
+EBITDA: $7,500,000
+Discount Rate: 14.5%
+Shares outstanding: 1,000,000
+ESOP ownership: 100%`;
+
+describe('LLM provider chain', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_FALLBACK_PROVIDERS;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test('defaults to openai with anthropic and stub fallbacks', () => {
+    expect(getProviderChain().map(provider => provider.name)).toEqual(['openai', 'anthropic', 'stub']);
+  });
+
+  test('uses only the stub provider when it is the primary', () => {
+    process.env.LLM_PROVIDER = 'stub';
+    expect(getProviderChain().map(provider => provider.name)).toEqual(['stub']);
+  });
+
+  test('embeddings never fall back to the stub provider', async () => {
+    registerProvider({ name: 'failingEmbedder', complete: async () => ({ text: '' }), embed: async () => { throw new Error('rate limited'); } });
+    process.env.LLM_PROVIDER = 'failingEmbedder';
+    process.env.LLM_FALLBACK_PROVIDERS = 'anthropic,stub';
+
+    await expect(embed('enterprise value')).rejects.toThrow('All LLM providers failed (embedding): failingEmbedder: rate limited');
+
+    process.env.LLM_PROVIDER = 'anthropic';
+    await expect(embed('enterprise value')).rejects.toThrow('No configured LLM provider supports embeddings');
+  });
+
+  test('the stub provider embeds as the primary', async () => {
+    process.env.LLM_PROVIDER = 'stub';
+    const { provider, embedding } = await embed('enterprise value');
+    expect(provider).toBe('stub');
+    expect(embedding).toHaveLength(1536);
+  });
+
+  test('a pinned provider never falls back', async () => {
+    registerProvider({ name: 'failing', complete: async () => { throw new Error('boom'); } });
+    await expect(complete({ prompt: 'hello' }, { provider: 'failing' })).rejects.toThrow('All LLM providers failed');
+  });
+
+  test('falls through to the next provider on failure', async () => {
+    registerProvider({ name: 'failing', complete: async () => { throw new Error('boom'); } });
+    process.env.LLM_PROVIDER = 'failing';
+    process.env.LLM_FALLBACK_PROVIDERS = 'stub';
+
+    const response = await complete({ prompt: 'What is the EBITDA? Respond with only the number or NOT_FOUND.', context: SAMPLE_REPORT });
+    expect(response.provider).toBe('stub');
+    expect(response.text).toBe('7500000');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => getProviderChain('nope')).toThrow('Unknown LLM provider: nope');
+  });
+
+  test('records the completions made inside a call log', async () => {
+    const calls = [];
+    await withLlmCallLog(async () => {
+      await complete({ prompt: 'What is the EBITDA?', context: SAMPLE_REPORT, tier: 'fast' }, { provider: 'stub' });
+      await Promise.all([1, 2].map(() => complete({ prompt: 'What is the revenue?', context: SAMPLE_REPORT }, { provider: 'stub' })));
+    }, calls);
+
+    expect(calls).toHaveLength(3);
+    expect(calls[0]).toEqual({
+      operation: 'completion',
+      provider: 'stub',
+      model: 'stub',
+      tier: 'fast',
+      task: null,
+      prompts: [],
+      inputTokens: expect.any(Number),
+      outputTokens: expect.any(Number),
+      cost: 0,
+      cached: false
+    });
+    expect(currentLlmCalls()).toEqual([]);
+  });
+});
+
+describe('Response cache', () => {
+  const request = { prompt: 'What is the EBITDA?', context: SAMPLE_REPORT, prompts: [{ id: 'liveMetrics.ebitda', version: '1.0' }] };
+  let answers = 0;
+
+  beforeEach(() => {
+    answers = 0;
+    registerProvider({
+      name: 'counting',
+      modelFor: () => 'gpt-4o',
+      complete: async () => {
+        answers++;
+        return { text: `answer ${answers}`, model: 'gpt-4o', usage: { inputTokens: 1000, outputTokens: 100 } };
+      }
+    });
+  });
+
+  afterEach(() => {
+    setResponseCache(null);
+  });
+
+  test('answers a repeated request from the cache until the prompt version changes', async () => {
+    const store = new Map();
+    setResponseCache({ get: async key => store.get(key) || null, set: async (key, entry) => { store.set(key, entry); } });
+
+    const calls = [];
+    const first = await withLlmCallLog(() => complete(request, { provider: 'counting' }), calls);
+    const second = await withLlmCallLog(() => complete(request, { provider: 'counting' }), calls);
+    const edited = await complete({ ...request, prompts: [{ id: 'liveMetrics.ebitda', version: '1.1' }] }, { provider: 'counting' });
+
+    expect(second.text).toBe(first.text);
+    expect(edited.text).toBe('answer 2');
+    expect(calls.map(call => call.cached)).toEqual([false, true]);
+    expect(calls[1]).toMatchObject({ model: 'gpt-4o', inputTokens: 1000, outputTokens: 100, cost: 0.0035 });
+  });
+
+  test('a failing cache falls back to the provider', async () => {
+    setResponseCache({ get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } });
+
+    const response = await complete(request, { provider: 'counting' });
+    expect(response).toMatchObject({ text: 'answer 1', cached: false });
+  });
+});
+
+describe('Stub provider', () => {
+  test('embeddings are deterministic and normalized', async () => {
+    const first = await embed('enterprise value of the company', { provider: 'stub' });
+    const second = await embed('enterprise value of the company', { provider: 'stub' });
+
+    expect(first.embedding).toEqual(second.embedding);
+    expect(first.embedding).toHaveLength(1536);
+    const norm = Math.sqrt(first.embedding.reduce((sum, value) => sum + value * value, 0));
+    expect(norm).toBeCloseTo(1, 6);
+  });
+
+  test('answers valuation date questions in MM/DD/YYYY', async () => {
+    const answer = await answerQuestion('What is the valuation date? Respond with the date only.', SAMPLE_REPORT, null, { provider: 'stub' });
+    expect(answer).toBe('12/31/2023');
+  });
+
+  test('extractMetrics returns the standard schema offline', async () => {
+    const metrics = await extractMetrics(SAMPLE_REPORT, { provider: 'stub' });
+
+    expect(metrics.enterpriseValue.currentValue).toBe(45000000);
+    expect(metrics.valuationPerShare.currentValue).toBe(38.5);
+    expect(metrics.valuationDate.date).toBe('2023-12-31');
+  });
+});
@@ -0,0 +1,45 @@
+// Unit tests for LLM cost estimates and the per-document cost report
+import { describe, test, expect } from '@jest/globals';
+import { estimateCost } from '../services/llmPricing.js';
+import { summarizeLlmUsage, usageFromRow } from '../services/llmUsage.js';
+
+describe('estimateCost', () => {
+  test('prices input and output tokens per million', () => {
+    expect(estimateCost('gpt-4o', { inputTokens: 12000, outputTokens: 800 })).toBe(0.038);
+    expect(estimateCost('stub', { inputTokens: 12000, outputTokens: 800 })).toBe(0);
+  });
+
+  test('has no estimate for a model without a price', () => {
+    expect(estimateCost('unknown-model', { inputTokens: 1000 })).toBeNull();
+  });
+});
+
+describe('summarizeLlmUsage', () => {
+  const call = (overrides) => ({
+    source: 'upload', operation: 'completion', provider: 'openai', model: 'gpt-4o',
+    inputTokens: 1000, outputTokens: 100, cost: 0.0035, cached: false, ...overrides
+  });
+
+  test('totals spend per model and source, with cache savings apart', () => {
+    const report = summarizeLlmUsage([
+      call(),
+      call({ source: 'questions' }),
+      call({ source: 'questions', cached: true }),
+      call({ operation: 'embedding', model: 'text-embedding-3-small', inputTokens: 5000, outputTokens: 0, cost: 0.0001 }),
+      call({ provider: 'custom', model: 'in-house', cost: null })
+    ]);
+
+    expect(report.currency).toBe('USD');
+    expect(report.totals).toEqual({
+      calls: 5, cachedCalls: 1, inputTokens: 9000, outputTokens: 400, cost: 0.0071, savedByCache: 0.0035, unpricedCalls: 1
+    });
+    expect(report.byModel[0]).toMatchObject({ operation: 'completion', model: 'gpt-4o', calls: 3, cost: 0.007 });
+    expect(report.bySource.map(({ source, cost }) => [source, cost])).toEqual([['upload', 0.0036], ['questions', 0.0035]]);
+  });
+
+  test('reads stored rows', () => {
+    const row = { source: 'aiMetrics', operation: 'completion', provider: 'anthropic', model: 'claude-3-5-haiku-20241022', input_tokens: 900, output_tokens: 40, cost: '0.000880', cached: false, created_at: null };
+
+    expect(usageFromRow(row)).toMatchObject({ inputTokens: 900, outputTokens: 40, cost: 0.00088 });
+  });
+});
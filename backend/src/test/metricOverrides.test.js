@@ -0,0 +1,76 @@
+// Unit tests for analyst metric overrides
+import { describe, test, expect } from '@jest/globals';
+import { parseOverrideRequest, activeOverrides, applyOverrides } from '../services/metricOverrides.js';
+import { buildShareReleaseAnalysis } from '../services/esopDebt.js';
+
+const entry = (action, field, value, createdAt) => ({
+  metricType: 'enterpriseValue',
+  field,
+  action,
+  value,
+  machineValue: 52000000,
+  justification: 'Report table on page 4',
+  overriddenBy: 'analyst@example.com',
+  createdAt
+});
+
+describe('parseOverrideRequest', () => {
+  test('normalizes the value like an extracted one', () => {
+    expect(parseOverrideRequest({
+      metricType: 'enterpriseValue',
+      field: 'currentValue',
+      value: '$45.2 million',
+      justification: '  Concluded value on page 4  '
+    })).toMatchObject({ value: 45200000, justification: 'Concluded value on page 4', analyst: null });
+  });
+
+  test('requires a justification and an overridable numeric field', () => {
+    expect(parseOverrideRequest({ metricType: 'enterpriseValue', field: 'currentValue', value: 1, justification: ' ' }).error)
+      .toMatch(/justification/);
+    expect(parseOverrideRequest({ metricType: 'valuationDate', field: 'date', value: 1, justification: 'x' }).error)
+      .toMatch(/not an overridable metric/);
+    expect(parseOverrideRequest({ metricType: 'enterpriseValue', field: 'currentValue', value: 'unknown', justification: 'x' }).error)
+      .toBeDefined();
+  });
+
+  test('reverts need no value', () => {
+    expect(parseOverrideRequest({ metricType: 'capitalStructure', field: 'esopPercentage', justification: 'Extraction was right' }, 'revert'))
+      .toMatchObject({ value: null });
+  });
+});
+
+describe('activeOverrides', () => {
+  test('keeps the latest override per field and drops reverted ones', () => {
+    const active = activeOverrides([
+      entry('override', 'currentValue', 40000000, '2025-01-01'),
+      entry('override', 'currentValue', 45000000, '2025-01-02'),
+      entry('override', 'previousValue', 38000000, '2025-01-02'),
+      entry('revert', 'previousValue', null, '2025-01-03')
+    ]);
+
+    expect(active).toEqual({
+      enterpriseValue: {
+        currentValue: expect.objectContaining({ value: 45000000, machineValue: 52000000, createdAt: '2025-01-02' })
+      }
+    });
+  });
+});
+
+describe('applyOverrides', () => {
+  test('replaces machine values without touching the stored metrics', () => {
+    const stored = { enterpriseValue: { currentValue: 52000000, previousValue: 48000000 } };
+    const effective = applyOverrides(stored, activeOverrides([entry('override', 'currentValue', 45000000, '2025-01-02')]));
+
+    expect(effective.enterpriseValue).toEqual({ currentValue: 45000000, previousValue: 48000000 });
+    expect(stored.enterpriseValue.currentValue).toBe(52000000);
+  });
+
+  test('overridden loan terms reach the share release calculation', () => {
+    const stored = { esopDebt: { internalLoanBalance: 10000000, internalLoanRate: 5, internalLoanTermYears: 10 } };
+    const overridden = activeOverrides([{ ...entry('override', 'internalLoanBalance', 8000000, '2025-01-02'), metricType: 'esopDebt' }]);
+
+    const { loanTerms } = buildShareReleaseAnalysis('', { valuationYear: 2024, storedMetrics: applyOverrides(stored, overridden) });
+
+    expect(loanTerms.internalLoanBalance).toBe(8000000);
+  });
+});
@@ -0,0 +1,83 @@
+// Unit tests for the shared scale- and sign-aware number normalizer
+import { describe, test, expect } from '@jest/globals';
+import {
+  findNumbers,
+  scaleAt,
+  parseAmount,
+  parsePercent,
+  parseAnswerNumber,
+  roundPerShare,
+  normalizeMetrics
+} from '../services/numberNormalization.js';
+
+const SCALED_TABLE = `SELECTED FINANCIAL DATA ($ in thousands)
+Revenue               80,450
+Net Income            (1,100)
+
+The enterprise value is $58.4 million.`;
+
+describe('findNumbers', () => {
+  test('reads units, accounting negatives, percents, bps and multiples', () => {
+    const numbers = findNumbers('(1,200)  -$3.1 MM  14.5%  150 bps  6.2x  $45.0 million');
+    expect(numbers.map(({ value, kind }) => [value, kind])).toEqual([
+      [-1200, 'amount'],
+      [-3100000, 'amount'],
+      [14.5, 'percent'],
+      [1.5, 'percent'],
+      [6.2, 'multiple'],
+      [45000000, 'amount']
+    ]);
+  });
+
+  test('does not treat a year range dash as a sign', () => {
+    expect(findNumbers('FY2021–2023').map(({ value }) => value)).toEqual([2021, 2023]);
+    expect(findNumbers('Fiscal 2021 - 2023').map(({ value }) => value)).toEqual([2021, 2023]);
+  });
+
+  test('a spaced dash after a label is punctuation, not a sign', () => {
+    expect(parseAnswerNumber('Enterprise Value – $50,000,000')).toBe(50000000);
+    expect(findNumbers('Revenue - $45,000,000').map(({ value }) => value)).toEqual([45000000]);
+    expect(findNumbers('( - 1,200)\n- 350').map(({ value }) => value)).toEqual([-1200, -350]);
+  });
+});
+
+describe('scale detection', () => {
+  test('applies a table header scale until the table ends', () => {
+    expect(scaleAt(SCALED_TABLE, SCALED_TABLE.indexOf('80,450'))).toBe(1000);
+    expect(scaleAt(SCALED_TABLE, SCALED_TABLE.indexOf('58.4'))).toBe(1);
+  });
+
+  test('explicit units win over the table scale', () => {
+    expect(parseAmount('Revenue 80,450', { scale: 1000 })).toBe(80450000);
+    expect(parseAmount('$58.4 million', { scale: 1000 })).toBe(58400000);
+  });
+});
+
+describe('value normalization', () => {
+  test('percent and basis points are both percentage points', () => {
+    expect(parsePercent('13.75%')).toBe(13.75);
+    expect(parsePercent('1,375 basis points')).toBe(13.75);
+  });
+
+  test('free-text answers prefer amounts with units', () => {
+    expect(parseAnswerNumber('As of 2023 the enterprise value was $45.0 million.')).toBe(45000000);
+    expect(parseAnswerNumber('Revenue was 80,450 ($000s)')).toBe(80450000);
+  });
+
+  test('per-share values keep cent precision', () => {
+    expect(roundPerShare(0.1 + 38.4)).toBe(38.5);
+    expect(roundPerShare(24.625)).toBe(24.625);
+  });
+
+  test('rescales LLM values copied from a scaled table', () => {
+    const metrics = normalizeMetrics({
+      keyFinancials: { revenue: 80450, ebitda: '$8.1 million' },
+      discountRates: { discountRate: '1,375 bps' },
+      valuationPerShare: { currentValue: '$24.63', currency: 'USD' }
+    }, { documentText: SCALED_TABLE });
+
+    expect(metrics.keyFinancials).toEqual({ revenue: 80450000, ebitda: 8100000 });
+    expect(metrics.discountRates.discountRate).toBe(13.75);
+    expect(metrics.valuationPerShare).toEqual({ currentValue: 24.63, currency: 'USD' });
+  });
+});
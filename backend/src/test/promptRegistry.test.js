@@ -0,0 +1,114 @@
+// Unit tests for the prompt registry
+import { describe, test, expect, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_PROMPTS_DIR,
+  loadPrompts,
+  parsePromptFile,
+  renderPrompt,
+  reloadPrompts,
+  describePromptVersions
+} from '../services/promptRegistry.js';
+import { withLlmCallLog } from '../services/llmService.js';
+import { answerQuestion } from '../services/openaiService.js';
+import { EnhancedAIValidation } from '../services/enhancedAIValidation.js';
+
+const promptFile = (id, version, template) => `---\nid: ${id}\nversion: ${version}\ndescription: test\n---\n${template}\n`;
+
+describe('parsePromptFile', () => {
+  test('reads the header, template and variables', () => {
+    const prompt = parsePromptFile(promptFile('checklist.item', '1.2', 'Item: {{title}}\nQuestion: {{ question }}'));
+
+    expect(prompt).toMatchObject({ id: 'checklist.item', version: '1.2', template: 'Item: {{title}}\nQuestion: {{ question }}' });
+    expect(prompt.variables).toEqual(['title', 'question']);
+  });
+
+  test('rejects a file without an id and version', () => {
+    expect(() => parsePromptFile('Extract the EBITDA.')).toThrow('has no header');
+    expect(() => parsePromptFile('---\nid: answer.system\n---\nText')).toThrow('needs an id and a version');
+  });
+});
+
+describe('loadPrompts', () => {
+  let directory = null;
+  const savedEnv = { ...process.env };
+
+  afterEach(() => {
+    if (directory) fs.rmSync(directory, { recursive: true, force: true });
+    directory = null;
+    process.env = { ...savedEnv };
+    reloadPrompts();
+  });
+
+  test('every default template loads', () => {
+    const prompts = loadPrompts([DEFAULT_PROMPTS_DIR]);
+
+    expect(Object.keys(prompts)).toEqual(expect.arrayContaining(['answer.system', 'metrics.extraction.system', 'validation.enterpriseValue.primary']));
+  });
+
+  test('uses the newest version unless PROMPT_VERSIONS pins one', () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    fs.writeFileSync(path.join(directory, 'ebitda-9.txt'), promptFile('validation.ebitda.primary', '1.9', 'Old EBITDA prompt'));
+    fs.writeFileSync(path.join(directory, 'ebitda-10.txt'), promptFile('validation.ebitda.primary', '1.10', 'New EBITDA prompt'));
+    process.env.PROMPT_PATHS = directory;
+    reloadPrompts();
+
+    expect(renderPrompt('validation.ebitda.primary')).toEqual({
+      text: 'New EBITDA prompt',
+      prompts: [{ id: 'validation.ebitda.primary', version: '1.10' }]
+    });
+
+    process.env.PROMPT_VERSIONS = 'validation.ebitda.primary@1.9';
+    reloadPrompts();
+    expect(renderPrompt('validation.ebitda.primary').text).toBe('Old EBITDA prompt');
+  });
+});
+
+describe('renderPrompt', () => {
+  test('fills in variables and records nested templates', () => {
+    const restriction = renderPrompt('validation.dateRestriction', { valuationDate: 'December 31, 2023' });
+    const prompt = renderPrompt('validation.dateAware', {
+      prompt: renderPrompt('validation.ebitda.primary'),
+      dateRestriction: restriction
+    });
+
+    expect(prompt.text).toContain('CRITICAL: The valuation date is December 31, 2023.');
+    expect(prompt.text).not.toContain('{{');
+    expect(prompt.prompts.map(({ id }) => id)).toEqual(['validation.dateAware', 'validation.ebitda.primary', 'validation.dateRestriction']);
+  });
+
+  test('fails when a variable is missing', () => {
+    expect(() => renderPrompt('checklist.item', { title: 'Standard of value' })).toThrow('missing variable: question');
+    expect(() => renderPrompt('no.such.prompt')).toThrow('Unknown prompt');
+  });
+});
+
+describe('Prompt versions in the LLM call log', () => {
+  test('each call records the templates it was rendered from', async () => {
+    const calls = [];
+    const question = renderPrompt('liveMetrics.ebitda');
+    await withLlmCallLog(() => answerQuestion(question.text, 'EBITDA: $7,500,000', null, { provider: 'stub', prompts: question.prompts }), calls);
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].prompts).toEqual([{ id: 'answer.system', version: '1.0' }, { id: 'liveMetrics.ebitda', version: '1.0' }]);
+    expect(describePromptVersions([...calls, ...calls])).toBe('answer.system@1.0,liveMetrics.ebitda@1.0');
+    expect(describePromptVersions([])).toBeNull();
+  });
+
+  test('enhanced validation calls record their templates, with the valuation date as a variable', async () => {
+    const calls = [];
+    const validation = new EnhancedAIValidation({ provider: 'stub', quiet: true });
+    await withLlmCallLog(async () => {
+      await validation.extractValuationDate('The valuation date is 12/31/2023.');
+      await validation.extractTargetedWithDateContext('Revenue for 2023 was $45,000,000.', 'revenue', '12/31/2023');
+    }, calls);
+
+    expect(calls.map(({ prompts }) => prompts.map(({ id }) => id).filter(id => id.startsWith('validation.')))).toEqual([
+      ['validation.valuationDate'],
+      ['validation.revenue.targetedAsOfDate']
+    ]);
+    expect(renderPrompt('validation.revenue.targetedAsOfDate', { valuationDate: '12/31/2023' }).text).toContain('closest to 12/31/2023');
+  });
+});
@@ -0,0 +1,41 @@
+// Unit tests for per-metric provenance
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { buildPageOffsets, pageForOffset, locateValue, buildMetricsProvenance } from '../services/provenance.js';
+import { DEFAULT_CORPUS_DIR } from '../services/accuracyHarness.js';
+
+const bayside = fs.readFileSync(path.join(DEFAULT_CORPUS_DIR, 'bayside-distribution-2022.txt'), 'utf8');
+
+describe('Provenance', () => {
+  test('page offsets follow the content_text page join', () => {
+    const pages = [{ pageNumber: 1, content: 'First page' }, { pageNumber: 2, content: 'Second' }];
+    const offsets = buildPageOffsets(pages);
+    const contentText = pages.map(page => page.content).join('\n\n');
+
+    expect(offsets).toEqual([{ pageNumber: 1, start: 0, end: 10 }, { pageNumber: 2, start: 12, end: 18 }]);
+    expect(contentText.substring(offsets[1].start, offsets[1].end)).toBe('Second');
+    expect(pageForOffset(14, { pageOffsets: offsets })).toBe(2);
+  });
+
+  test('locates values written with unit words and picks the labelled occurrence', () => {
+    const location = locateValue(bayside, 22900000, { field: 'capitalStructure.debt' });
+    expect(bayside.substring(location.charStart, location.charEnd)).toBe('$22.9 million');
+    expect(location.page).toBe(1);
+
+    const ebitda = locateValue(bayside, 16800000, { field: 'keyFinancials.ebitda' });
+    expect(ebitda.page).toBe(2);
+    expect(ebitda.snippet).toContain('adjusted EBITDA was $16.8 million');
+  });
+
+  test('records method and null location for values not quoted in the text', () => {
+    const provenance = buildMetricsProvenance(
+      { keyFinancials: { revenue: 310200000, ebitda: 999 }, enterpriseValue: { currentValue: null, currency: 'USD' } },
+      { documentText: bayside, methodFor: () => 'regex' }
+    );
+
+    expect(provenance.keyFinancials.revenue).toMatchObject({ method: 'regex', page: 2 });
+    expect(provenance.keyFinancials.ebitda).toEqual({ method: 'regex', page: null, snippet: null, charStart: null, charEnd: null });
+    expect(provenance.enterpriseValue).toBeUndefined();
+  });
+});
@@ -0,0 +1,108 @@
+// Unit tests for report engagement metadata and the documents list filters
+import { describe, test, expect } from '@jest/globals';
+import { detectReportMetadata, mergeReportMetadata, parseReportDate, parseDocumentFilters } from '../services/reportMetadata.js';
+import { extractReportMetadata } from '../services/openaiService.js';
+
+const REPORT = `FAIR MARKET VALUE APPRAISAL
+Prepared for: GreatBanc Trust Company, as Trustee of the Widget Corp Employee Stock Ownership Plan and Trust
+Prepared by: Smith Valuation Partners, LLC
+Report Date: March 15, 2024
+
+PAGE 1
+The purpose of this appraisal is to determine the fair market value of the common stock for the annual update of the Plan.
+The standard of value is fair market value and the premise of value is going concern. The valuation date is December 31, 2023.
+
+PAGE 9
+Respectfully submitted,
+Smith Valuation Partners, LLC
+Jane M. Doe, ASA, CFA
+`;
+
+describe('detectReportMetadata', () => {
+  test('reads the engagement details with the page and snippet of each', () => {
+    const { sources, ...metadata } = detectReportMetadata(REPORT);
+
+    expect(metadata).toEqual({
+      appraisalFirm: 'Smith Valuation Partners, LLC',
+      appraiser: 'Jane M. Doe',
+      trustee: 'GreatBanc Trust Company',
+      planName: 'Widget Corp Employee Stock Ownership Plan and Trust',
+      standardOfValue: 'fairMarketValue',
+      premiseOfValue: 'goingConcern',
+      valuationDate: '2023-12-31',
+      reportDate: '2024-03-15',
+      purpose: 'determine the fair market value of the common stock for the annual update of the Plan'
+    });
+    expect(sources.appraiser).toMatchObject({ method: 'regex', page: 9, snippet: 'Jane M. Doe, ASA, CFA' });
+    expect(sources.premiseOfValue.page).toBe(1);
+  });
+
+  test('leaves out what the report does not state', () => {
+    const { sources, ...metadata } = detectReportMetadata('Annual ESOP Update Valuation\nThe ESOP Trustee engaged us as of June 30, 2024.');
+
+    expect(metadata).toMatchObject({ appraisalFirm: null, trustee: null, planName: null, standardOfValue: null, valuationDate: '2024-06-30' });
+    expect(Object.keys(sources)).toEqual(['valuationDate']);
+  });
+});
+
+describe('mergeReportMetadata', () => {
+  test('model answers replace detected fields and are located in the text', () => {
+    const detected = detectReportMetadata(REPORT);
+    const merged = mergeReportMetadata(detected, {
+      appraisalFirm: 'Smith Valuation Partners, LLC',
+      appraiser: null,
+      trustee: 'GreatBanc Trust Company, N.A.',
+      standardOfValue: 'fair market value',
+      reportDate: '04/01/2024',
+      valuationDate: 'sometime in 2023'
+    }, { documentText: REPORT });
+
+    expect(merged).toMatchObject({
+      appraisalFirm: 'Smith Valuation Partners, LLC',
+      appraiser: 'Jane M. Doe',
+      trustee: 'GreatBanc Trust Company, N.A.',
+      standardOfValue: 'fairMarketValue',
+      reportDate: '2024-04-01',
+      valuationDate: '2023-12-31'
+    });
+    expect(merged.sources.appraisalFirm).toEqual({ ...detected.sources.appraisalFirm, method: 'extractReportMetadata' });
+    expect(merged.sources.appraiser.method).toBe('regex');
+    expect(merged.sources.trustee).toMatchObject({ method: 'extractReportMetadata', page: null, snippet: null });
+  });
+
+  test('the offline provider answers from the patterns', async () => {
+    const { sources, ...metadata } = await extractReportMetadata(REPORT, { provider: 'stub' });
+    const { sources: detectedSources, ...detected } = detectReportMetadata(REPORT);
+
+    expect(metadata).toEqual(detected);
+    expect(sources.trustee.method).toBe('extractReportMetadata');
+  });
+});
+
+describe('parseReportDate', () => {
+  test('reads written, US and ISO dates and rejects impossible ones', () => {
+    expect(parseReportDate('Dec. 31 2023')).toBe('2023-12-31');
+    expect(parseReportDate('2/29/2024')).toBe('2024-02-29');
+    expect(parseReportDate('2023-02-29')).toBeNull();
+    expect(parseReportDate('Q4 2023')).toBeNull();
+  });
+});
+
+describe('parseDocumentFilters', () => {
+  test('turns query parameters into filters', () => {
+    expect(parseDocumentFilters({ trustee: ' Argent ', standardOfValue: 'fairMarketValue', valuationDateFrom: '2023-01-01' })).toEqual({
+      filters: [
+        { field: 'trustee', match: 'contains', value: 'Argent' },
+        { field: 'standardOfValue', match: 'equals', value: 'fairMarketValue' },
+        { field: 'valuationDate', match: 'from', value: '2023-01-01' }
+      ]
+    });
+    expect(parseDocumentFilters({})).toEqual({ filters: [] });
+  });
+
+  test('rejects unknown standards and malformed dates', () => {
+    expect(parseDocumentFilters({ standardOfValue: 'fmv' }).error).toMatch('standardOfValue must be one of fairMarketValue');
+    expect(parseDocumentFilters({ reportDateTo: '12/31/2023' }).error).toBe('reportDateTo must be a date as YYYY-MM-DD');
+    expect(parseDocumentFilters({ appraiser: ['a', 'b'] }).error).toMatch('appraiser must be non-empty text');
+  });
+});
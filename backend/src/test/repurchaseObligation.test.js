@@ -0,0 +1,111 @@
+// Unit tests for repurchase obligation extraction and projection
+import { describe, test, expect } from '@jest/globals';
+import {
+  extractRepurchaseObligation,
+  projectRepurchaseObligation,
+  parseProjectionAssumptions,
+  buildRepurchaseAnalysis
+} from '../services/repurchaseObligation.js';
+
+const STUDY_PAGE = `PAGE 31
+REPURCHASE OBLIGATION
+The most recent repurchase obligation study covers 412 participants: 356 active participants and 56 terminated vested participants.
+Of these, 38 participants are retirement eligible, and the average participant age is 44.5.
+
+The Company funds repurchases from corporate cash flow and a sinking fund, and recycles shares within the ESOP.
+
+Projected Repurchase Obligation ($ in thousands)
+                           2024P     2025P     2026P
+Repurchase obligation      1,150     1,320     1,480`;
+
+describe('extractRepurchaseObligation', () => {
+  test('reads the demographics, funding sources and projected obligations', () => {
+    const result = extractRepurchaseObligation(STUDY_PAGE, { valuationYear: 2023 });
+
+    expect(result.found).toBe(true);
+    expect(result.demographics).toEqual({
+      totalParticipants: 412,
+      activeParticipants: 356,
+      terminatedParticipants: 56,
+      retirementEligible: 38,
+      averageAge: 44.5
+    });
+    expect(result.sourcePages.activeParticipants).toBe(31);
+    expect(result.fundingSources).toEqual(['corporateCashFlow', 'sinkingFund', 'recycling']);
+    expect(result.projectedObligations.map(({ fiscalYear, obligation }) => [fiscalYear, obligation])).toEqual([
+      [2024, 1150000],
+      [2025, 1320000],
+      [2026, 1480000]
+    ]);
+  });
+
+  test('reads labelled participant counts from a study summary', () => {
+    const { demographics } = extractRepurchaseObligation('Repurchase obligation study census\nParticipants: 1,204\nRetirement eligible: 97');
+    expect(demographics).toEqual({ totalParticipants: 1204, retirementEligible: 97 });
+  });
+
+  test('ignores participant counts outside the repurchase discussion', () => {
+    const result = extractRepurchaseObligation('The plan has 412 participants.');
+    expect(result.found).toBe(false);
+    expect(result.demographics).toEqual({});
+  });
+});
+
+describe('projectRepurchaseObligation', () => {
+  const base = { sharePrice: 10, esopShares: 100000, startYear: 2024, turnoverRate: 4, retirementRate: 1, shareValueGrowthRate: 0 };
+
+  test('spreads each year\'s distributions over the installment period', () => {
+    const projection = projectRepurchaseObligation({ ...base, years: 3, installmentYears: 2 });
+
+    expect(projection.schedule).toEqual([
+      { year: 2024, sharePrice: 10, sharesDistributed: 5000, obligationTriggered: 50000, cashPayments: 25000, cumulativePayments: 25000 },
+      { year: 2025, sharePrice: 10, sharesDistributed: 5000, obligationTriggered: 50000, cashPayments: 50000, cumulativePayments: 75000 },
+      { year: 2026, sharePrice: 10, sharesDistributed: 5000, obligationTriggered: 50000, cashPayments: 50000, cumulativePayments: 125000 }
+    ]);
+    expect(projection.totalTriggered).toBe(150000);
+    expect(projection.totalPayments).toBe(125000);
+  });
+
+  test('grows the share price each year', () => {
+    const projection = projectRepurchaseObligation({ ...base, years: 2, shareValueGrowthRate: 10 });
+    expect(projection.schedule.map(({ sharePrice }) => sharePrice)).toEqual([11, 12.1]);
+  });
+
+  test('clamps the projection and installment periods', () => {
+    expect(projectRepurchaseObligation({ ...base, years: 80 }).assumptions.years).toBe(50);
+    expect(projectRepurchaseObligation({ ...base, years: 0.2, installmentYears: 0 }).assumptions).toMatchObject({ years: 1, installmentYears: 1 });
+  });
+
+  test('needs a per-share value and an ESOP share count', () => {
+    const error = { error: 'A per-share value and an ESOP share count are required' };
+    expect(projectRepurchaseObligation({ ...base, sharePrice: NaN })).toEqual(error);
+    expect(projectRepurchaseObligation({ ...base, esopShares: null })).toEqual(error);
+  });
+});
+
+describe('parseProjectionAssumptions', () => {
+  test('keeps numeric, non-negative known assumptions', () => {
+    expect(parseProjectionAssumptions({ years: '15', turnoverRate: '-2', retirementRate: 'abc', installmentYears: '3', discountRate: '10' }))
+      .toEqual({ years: 15, installmentYears: 3 });
+  });
+});
+
+describe('buildRepurchaseAnalysis', () => {
+  test('starts the projection from the stored per-share value and ESOP ownership', () => {
+    const { projection } = buildRepurchaseAnalysis(STUDY_PAGE, {
+      valuationYear: 2023,
+      storedMetrics: {
+        valuationPerShare: { currentValue: '25.00' },
+        capitalStructure: { totalShares: 2000000, esopPercentage: 40 }
+      },
+      assumptions: { years: 1 }
+    });
+
+    expect(projection.assumptions).toMatchObject({ sharePrice: 25, esopShares: 800000, startYear: 2024, years: 1 });
+  });
+
+  test('reports the missing share count instead of projecting', () => {
+    const { projection } = buildRepurchaseAnalysis(STUDY_PAGE, { storedMetrics: { valuationPerShare: { currentValue: 25 } } });
+    expect(projection.error).toMatch('ESOP share count');
+  });
+});
@@ -0,0 +1,135 @@
+// Unit tests for the declarative financial red-flag rules
+import { describe, test, expect, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseExpression, loadRules, detectIndustry, evaluateRules, triggeredMessages, DEFAULT_RULES_PATH } from '../services/ruleEngine.js';
+
+const STORED_METRICS = {
+  enterpriseValue: { currentValue: 120000000 },
+  valueOfEquity: { currentValue: 90000000 },
+  valuationPerShare: { currentValue: 90 },
+  keyFinancials: { revenue: 100000000, ebitda: 8000000 },
+  capitalStructure: { totalShares: 1000000, esopPercentage: 30 },
+  discountRates: { discountRate: 14.5, beta: 1.2 },
+  discountsAndPremiums: { discountForLackOfMarketability: 10, controlPremium: null }
+};
+
+const rulesWith = (...rules) => ({
+  version: 'test',
+  industries: {},
+  rules: rules.map(rule => ({ severity: 'warning', params: {}, overrides: {}, ...rule }))
+});
+
+describe('parseExpression', () => {
+  test('gives comparison and arithmetic the usual precedence', () => {
+    const rules = rulesWith({ id: 'r', expression: 'evEbitdaMultiple > 2 + 3 * 4 and not ebitdaMargin < 5', message: 'm' });
+    const [finding] = evaluateRules(STORED_METRICS, { rules });
+
+    expect(finding.triggered).toBe(true); // 15x > 14, 8% margin
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseExpression('ebitdaMargin >')).toThrow();
+    expect(() => parseExpression('ebitdaMargin > 5 5')).toThrow();
+    expect(() => parseExpression('median(ebitdaMargin)')).toThrow();
+  });
+});
+
+describe('evaluateRules', () => {
+  test('reports the default margin and multiple checks with their thresholds', () => {
+    const findings = evaluateRules({
+      ...STORED_METRICS,
+      enterpriseValue: { currentValue: 15000000 },
+      keyFinancials: { revenue: 10000000, ebitda: 6000000 }
+    });
+
+    expect(triggeredMessages(findings)).toEqual(expect.arrayContaining([
+      'Unusually high EBITDA margin (>50%)',
+      'Unusually low EV/EBITDA multiple (<3x)'
+    ]));
+  });
+
+  test('applies industry overrides to params and records the industry', () => {
+    const rules = loadRules([DEFAULT_RULES_PATH]);
+    const finding = (industry) => evaluateRules(
+      { ...STORED_METRICS, keyFinancials: { revenue: 100000000, ebitda: 30000000 } },
+      { rules, industry }
+    ).find(entry => entry.ruleId === 'ebitdaMarginHigh');
+
+    expect(finding(null)).toMatchObject({ triggered: false, industry: null });
+    expect(finding('distribution')).toMatchObject({
+      triggered: true,
+      industry: 'distribution',
+      message: 'Unusually high EBITDA margin (>20%)',
+      values: { ebitdaMargin: 30, maxMargin: 20 }
+    });
+  });
+
+  test('skips rules whose metrics were not extracted', () => {
+    const findings = evaluateRules(STORED_METRICS, { rules: loadRules([DEFAULT_RULES_PATH]) });
+    const ruleIds = findings.map(finding => finding.ruleId);
+
+    expect(ruleIds).not.toContain('controlPremiumWithMinorityStake');
+    expect(ruleIds).toContain('discountRateRange');
+  });
+
+  test('reads dotted names from the stored sections and renders decimals', () => {
+    const rules = rulesWith({ id: 'beta', expression: 'discountRates.beta > 1', message: 'Beta of {discountRates.beta:2}' });
+
+    expect(evaluateRules(STORED_METRICS, { rules })[0]).toMatchObject({ triggered: true, message: 'Beta of 1.20' });
+  });
+
+  test('works on the flat results enhanced validation produces', () => {
+    const rules = rulesWith({ id: 'multiple', expression: 'evEbitdaMultiple > 10', message: 'm' });
+
+    expect(evaluateRules({ enterpriseValue: 120000000, ebitda: 8000000 }, { rules })[0].triggered).toBe(true);
+  });
+});
+
+describe('loadRules', () => {
+  let directory = null;
+
+  afterEach(() => {
+    if (directory) fs.rmSync(directory, { recursive: true, force: true });
+    directory = null;
+  });
+
+  test('merges team rule files over the defaults', () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    fs.writeFileSync(path.join(directory, 'team.json'), JSON.stringify({
+      version: '2',
+      rules: [
+        { id: 'evEbitdaLow', enabled: false },
+        { id: 'ebitdaMarginHigh', expression: 'ebitdaMargin > 40', message: 'Margin above 40%' },
+        { id: 'betaHigh', expression: 'discountRates.beta > 2', severity: 'info', message: 'High beta' }
+      ]
+    }));
+
+    const rules = loadRules([DEFAULT_RULES_PATH, directory]);
+    const ids = rules.rules.map(rule => rule.id);
+
+    expect(rules.version).toBe('financialRules.json@1.0,team.json@2');
+    expect(ids).not.toContain('evEbitdaLow');
+    expect(ids).toContain('betaHigh');
+    expect(rules.rules.find(rule => rule.id === 'ebitdaMarginHigh').expression).toBe('ebitdaMargin > 40');
+  });
+
+  test('fails on an invalid rule when the file is loaded', () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    const file = path.join(directory, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'bad', expression: 'ebitdaMargin >', message: 'm' }] }));
+
+    expect(() => loadRules([file])).toThrow();
+  });
+});
+
+describe('detectIndustry', () => {
+  test('picks the industry the report mentions most', () => {
+    const { industries } = loadRules([DEFAULT_RULES_PATH]);
+    const text = 'The Company is a wholesale distributor of plumbing supplies. Its distributors compete with construction suppliers.';
+
+    expect(detectIndustry(text, industries)).toBe('distribution');
+    expect(detectIndustry('A family-owned bakery.', industries)).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+// Unit tests for schema-validated structured LLM answers
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateSchema,
+  parseJsonResponse,
+  completeStructured,
+  getSchema,
+  StructuredOutputError
+} from '../services/structuredOutput.js';
+import { registerProvider } from '../services/llmService.js';
+import { stubProvider } from '../services/providers/stubProvider.js';
+
+const SAMPLE_PAGE = `Valuation Date: December 31, 2023
+Enterprise Value: $45,000,000
+Value of Equity: $38,500,000
+EBITDA: $7,500,000
+Discount Rate: 14.5%`;
+
+// Provider answering with each of `answers` in turn
+const scriptedProvider = (name, answers) => {
+  const requests = [];
+  registerProvider({
+    name,
+    complete: async (request) => {
+      requests.push(request);
+      return { text: answers[Math.min(requests.length - 1, answers.length - 1)], model: name, usage: {} };
+    }
+  });
+  return requests;
+};
+
+describe('validateSchema', () => {
+  const schema = getSchema('checklistJudgement');
+
+  test('accepts a matching answer', () => {
+    expect(validateSchema(schema, {
+      status: 'pass',
+      explanation: 'The report states the standard of value.',
+      citations: [{ excerpt: 1, quote: 'fair market value' }]
+    })).toEqual([]);
+  });
+
+  test('reports every problem with its path', () => {
+    expect(validateSchema(schema, {
+      status: 'yes',
+      citations: [{ excerpt: 0, quote: 'fair market value', page: 3 }]
+    })).toEqual([
+      '$: missing required property "explanation"',
+      '$.status: must be one of "pass", "fail", "unclear"',
+      '$.citations[0].excerpt: must be at least 1',
+      '$.citations[0]: unexpected property "page"'
+    ]);
+  });
+
+  test('the stub extraction answer matches the metrics schema', async () => {
+    const { text } = await stubProvider.complete({ prompt: 'Extract', context: SAMPLE_PAGE, task: 'metrics-json' });
+    expect(validateSchema(getSchema('metricsExtraction'), JSON.parse(text))).toEqual([]);
+  });
+});
+
+describe('parseJsonResponse', () => {
+  test('reads JSON inside code fences or prose', () => {
+    expect(parseJsonResponse('```json\n{"value": 7500000}\n```')).toEqual({ value: 7500000 });
+    expect(parseJsonResponse('Here it is: {"value": null} Hope this helps.')).toEqual({ value: null });
+    expect(() => parseJsonResponse('NOT_FOUND')).toThrow('no JSON found');
+  });
+});
+
+describe('completeStructured', () => {
+  const request = { prompt: 'What is the EBITDA?', context: SAMPLE_PAGE, prompts: [{ id: 'validation.ebitda.primary', version: '1.0' }] };
+
+  test('asks for a repair with the validation errors', async () => {
+    const requests = scriptedProvider('repairable', ['EBITDA is $7.5 million', '{"value": "$7.5 million"}']);
+
+    const { data, attempts } = await completeStructured(request, getSchema('metricValue'), { provider: 'repairable' });
+
+    expect(data).toEqual({ value: '$7.5 million' });
+    expect(attempts).toBe(2);
+    expect(requests[1].prompt).toContain('$: not valid JSON');
+    expect(requests[1].prompts.map(({ id }) => id)).toEqual(['validation.ebitda.primary', 'structured.repair']);
+  });
+
+  test('throws a typed error once the repairs run out', async () => {
+    const requests = scriptedProvider('malformed', ['{"value": [7500000]}']);
+
+    const failure = await completeStructured(request, getSchema('metricValue'), { provider: 'malformed', maxRepairs: 1 }).catch(error => error);
+
+    expect(failure).toBeInstanceOf(StructuredOutputError);
+    expect(failure).toMatchObject({
+      schemaId: 'metricValue',
+      attempts: 2,
+      errors: ['$.value: expected number or string or null, got array'],
+      response: '{"value": [7500000]}'
+    });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('does not ask the deterministic stub for a repair', async () => {
+    const failure = await completeStructured({ ...request, task: 'checklist-json' }, getSchema('checklistJudgement'), { provider: 'stub' })
+      .catch(error => error);
+
+    expect(failure).toBeInstanceOf(StructuredOutputError);
+    expect(failure.attempts).toBe(1);
+  });
+});
@@ -0,0 +1,96 @@
+// Unit tests for synthetic equity extraction and fully-diluted per-share value
+import { describe, test, expect } from '@jest/globals';
+import { extractSyntheticEquity, computeFullyDilutedValue, buildDilutionAnalysis } from '../services/syntheticEquity.js';
+
+const WARRANT_REPORT = `PAGE 12
+In connection with the transaction, the selling shareholders received warrants to purchase 200,000 shares at an exercise price of $10.00 per share.
+The 200,000 warrants expire in 2029.
+Management holds 50,000 phantom stock units.`;
+
+const storedMetrics = (perShare) => ({
+  valueOfEquity: { currentValue: 30000000 },
+  capitalStructure: { totalShares: 1000000 },
+  valuationPerShare: { currentValue: perShare }
+});
+
+describe('extractSyntheticEquity', () => {
+  test('counts repeat mentions of a grant once', () => {
+    const { instruments } = extractSyntheticEquity(WARRANT_REPORT);
+
+    expect(instruments).toEqual([
+      { type: 'warrant', holderClass: 'seller', shares: 200000, percentage: null, strikePrice: 10, sourcePage: 12 },
+      { type: 'phantomStock', holderClass: 'management', shares: 50000, percentage: null, strikePrice: 0, sourcePage: 12 }
+    ]);
+  });
+
+  test('a strike stated in a later mention fills in the first', () => {
+    const { instruments } = extractSyntheticEquity('The lender holds warrants over 100,000 shares. The 100,000 warrants have an exercise price of $12.50.');
+
+    expect(instruments).toHaveLength(1);
+    expect(instruments[0]).toMatchObject({ holderClass: 'lender', shares: 100000, strikePrice: 12.5 });
+  });
+
+  test('keeps grants to different holders apart', () => {
+    const { instruments } = extractSyntheticEquity('The sellers hold 100,000 warrants. The lender holds 100,000 warrants.');
+
+    expect(instruments.map(({ holderClass }) => holderClass)).toEqual(['seller', 'lender']);
+  });
+});
+
+describe('computeFullyDilutedValue', () => {
+  test('adds in-the-money shares and their exercise proceeds', () => {
+    const diluted = computeFullyDilutedValue({
+      equityValue: 30000000,
+      sharesOutstanding: 1000000,
+      instruments: [{ type: 'warrant', shares: 200000, percentage: null, strikePrice: 10 }]
+    });
+
+    expect(diluted).toEqual({
+      undilutedPerShare: 30,
+      fullyDilutedShares: 1200000,
+      dilutedPerShare: 26.67,
+      dilutionPercent: 11.11,
+      inTheMoneyCount: 1,
+      unpricedCount: 0
+    });
+  });
+
+  test('leaves out out-of-the-money instruments and warrants without a strike', () => {
+    const diluted = computeFullyDilutedValue({
+      equityValue: 30000000,
+      sharesOutstanding: 1000000,
+      instruments: [
+        { type: 'option', shares: 100000, percentage: null, strikePrice: 40 },
+        { type: 'warrant', shares: 200000, percentage: null, strikePrice: null },
+        { type: 'phantomStock', shares: null, percentage: 10, strikePrice: null }
+      ]
+    });
+
+    expect(diluted).toMatchObject({ fullyDilutedShares: 1111111, dilutedPerShare: 27, inTheMoneyCount: 1, unpricedCount: 1 });
+  });
+
+  test('needs equity value and shares outstanding', () => {
+    expect(computeFullyDilutedValue({ equityValue: null, sharesOutstanding: 1000000, instruments: [] })).toBeNull();
+  });
+});
+
+describe('buildDilutionAnalysis', () => {
+  test('flags a reported value that divides by undiluted shares', () => {
+    const analysis = buildDilutionAnalysis('The sellers received warrants to purchase 200,000 shares at an exercise price of $10.00 per share.', {
+      storedMetrics: storedMetrics(30)
+    });
+
+    expect(analysis.dilutionIncluded).toBe(false);
+    expect(analysis.issue).toMatch('would reduce it to $26.67 fully diluted');
+  });
+
+  test('a repeat mention does not turn a diluted value into an undiluted one', () => {
+    const analysis = buildDilutionAnalysis(WARRANT_REPORT.replace('Management holds 50,000 phantom stock units.', ''), {
+      storedMetrics: storedMetrics(26.67)
+    });
+
+    expect(analysis.diluted.dilutedPerShare).toBe(26.67);
+    expect(analysis.dilutionIncluded).toBe(true);
+    expect(analysis.issue).toBeNull();
+  });
+});
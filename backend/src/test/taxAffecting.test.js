@@ -0,0 +1,80 @@
+// Unit tests for S corporation tax-affecting detection and the what-if
+import { describe, test, expect } from '@jest/globals';
+import { detectTaxAffecting, taxAffectingWhatIf, taxAffectingIssue } from '../services/taxAffecting.js';
+
+const S_CORPORATION = 'The Company has elected to be taxed as an S corporation and is wholly owned by the ESOP.';
+
+describe('detectTaxAffecting', () => {
+  test('reads status, ownership, treatment, rate and method with their sentences', () => {
+    const result = detectTaxAffecting(`${S_CORPORATION}
+We tax-affected the Company's earnings at a combined federal and state rate of 26.0%.
+The tax-affecting follows the C corporation equivalent approach.`);
+
+    expect(result).toEqual({
+      entityType: 'sCorporation',
+      esopOwnershipPercentage: 100,
+      taxAffected: true,
+      taxRate: 26,
+      method: 'cCorporationEquivalent',
+      evidence: {
+        entityType: S_CORPORATION,
+        taxAffected: 'We tax-affected the Company\'s earnings at a combined federal and state rate of 26.0%.',
+        method: 'The tax-affecting follows the C corporation equivalent approach.'
+      }
+    });
+  });
+
+  test('an untaxed market approach does not outweigh a tax-affected income approach', () => {
+    const sentence = 'The guideline company multiples were not tax-affected, while the income approach cash flows were tax-affected at an effective tax rate of 25%.';
+    const result = detectTaxAffecting(`${S_CORPORATION}\n${sentence}`);
+
+    expect(result).toMatchObject({ taxAffected: true, taxRate: 25 });
+    expect(result.evidence.taxAffected).toBe(sentence);
+  });
+
+  test('an affirmative statement in a later sentence wins over a market approach denial', () => {
+    const result = detectTaxAffecting(`${S_CORPORATION}
+Market approach multiples were not tax-affected.
+In the discounted cash flow, earnings were tax-affected using a corporate tax rate of 21%.`);
+
+    expect(result).toMatchObject({ taxAffected: true, taxRate: 21 });
+  });
+
+  test('reads the method when earnings were not tax-affected', () => {
+    const result = detectTaxAffecting(`${S_CORPORATION}
+Consistent with the Delaware Chancery decisions, we did not tax-affect the Company's earnings.`);
+
+    expect(result).toMatchObject({ taxAffected: false, method: 'delawareChancery' });
+  });
+
+  test('leaves the treatment open when the report is silent', () => {
+    const result = detectTaxAffecting('The Company is a C corporation with a tax rate of 21%.');
+
+    expect(result).toMatchObject({ entityType: 'cCorporation', taxAffected: null, taxRate: 21, method: null });
+  });
+});
+
+describe('taxAffectingWhatIf', () => {
+  test('grosses a tax-affected value up to the untaxed value', () => {
+    expect(taxAffectingWhatIf({ entityType: 'sCorporation', taxAffected: true, taxRate: 25 }, { enterpriseValue: 75000000, ebitda: 10000000 })).toEqual({
+      reportedBasis: 'taxAffected',
+      taxRate: 25,
+      withTaxAffecting: { enterpriseValue: 75000000, evEbitdaMultiple: 7.5 },
+      withoutTaxAffecting: { enterpriseValue: 100000000, evEbitdaMultiple: 10 },
+      difference: 25000000,
+      percentDifference: 33.33
+    });
+  });
+
+  test('has nothing to compare for C corporations or an unknown treatment', () => {
+    expect(taxAffectingWhatIf({ entityType: 'cCorporation', taxAffected: true, taxRate: 25 }, { enterpriseValue: 1 })).toBeNull();
+    expect(taxAffectingWhatIf({ entityType: 'sCorporation', taxAffected: null, taxRate: 25 }, { enterpriseValue: 1 })).toBeNull();
+  });
+});
+
+describe('taxAffectingIssue', () => {
+  test('flags an S corporation report that does not state its treatment', () => {
+    expect(taxAffectingIssue({ entityType: 'sCorporation', esopOwnershipPercentage: 100, taxAffected: null })).toMatch('100% ESOP-owned');
+    expect(taxAffectingIssue({ entityType: 'sCorporation', esopOwnershipPercentage: 100, taxAffected: false })).toBeNull();
+  });
+});
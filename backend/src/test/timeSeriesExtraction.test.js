@@ -0,0 +1,86 @@
+// Unit tests for multi-year financial time series extraction
+import { describe, test, expect } from '@jest/globals';
+import { extractFinancialTimeSeries, buildTrendSeries, parsePeriodHeader, parseCell } from '../services/timeSeriesExtraction.js';
+
+const INCOME_STATEMENT = `PAGE 14
+Summary Income Statement ($ in thousands)
+                     FY2022      FY2023      2024E
+Net Sales            40,000      45,000      50,000
+Gross Profit         12,000      13,500      15,500
+EBITDA                6,000       7,200       8,000
+Net Income           (1,200)      2,400       3,100
+
+PAGE 15
+Historical Valuations ($ in millions)
+                              2021      2022      2023
+Enterprise Value              58.0      61.5      64.0
+Equity Value                  40.0      44.5      49.0
+Fair Market Value per Share  $38.10    $41.25    $45.00`;
+
+const rowFor = (rows, fiscalPeriod, lineItem) => rows.find(row => row.fiscalPeriod === fiscalPeriod && row.lineItem === lineItem);
+
+describe('parsePeriodHeader', () => {
+  test('reads fiscal years, projection suffixes and trailing periods', () => {
+    expect(parsePeriodHeader(['', 'FY 2022', '2023A', '2024E', 'LTM'])).toEqual([
+      { cellIndex: 1, fiscalPeriod: 'FY 2022', fiscalYear: 2022, projected: false },
+      { cellIndex: 2, fiscalPeriod: '2023A', fiscalYear: 2023, projected: false },
+      { cellIndex: 3, fiscalPeriod: '2024E', fiscalYear: 2024, projected: true },
+      { cellIndex: 4, fiscalPeriod: 'LTM', fiscalYear: null, projected: false }
+    ]);
+  });
+
+  test('needs at least two periods', () => {
+    expect(parsePeriodHeader(['Revenue', '2023'])).toBeNull();
+  });
+});
+
+describe('parseCell', () => {
+  test('reads parenthesized negatives, percentages and multiples', () => {
+    expect(parseCell('(1,200)').value).toBe(-1200);
+    expect(parseCell('12.5%')).toMatchObject({ value: 12.5, isPercent: true });
+    expect(parseCell('2.1x')).toMatchObject({ value: 2.1, isMultiple: true });
+    expect(parseCell('—')).toBeNull();
+  });
+});
+
+describe('extractFinancialTimeSeries', () => {
+  test('scales rows by the table header and keeps the source page', () => {
+    const rows = extractFinancialTimeSeries(INCOME_STATEMENT, { valuationYear: 2023 });
+
+    expect(rowFor(rows, 'FY2022', 'revenue')).toEqual({
+      fiscalPeriod: 'FY2022',
+      fiscalYear: 2022,
+      periodType: 'historical',
+      lineItem: 'revenue',
+      label: 'Net Sales',
+      value: 40000000,
+      unit: 'USD',
+      sourcePage: 14
+    });
+    expect(rowFor(rows, 'FY2022', 'netIncome').value).toBe(-1200000);
+    expect(rowFor(rows, '2024E', 'ebitda')).toMatchObject({ value: 8000000, periodType: 'projected' });
+  });
+
+  test('reads the valuation history without scaling per-share values', () => {
+    const rows = extractFinancialTimeSeries(INCOME_STATEMENT);
+
+    expect(rowFor(rows, '2023', 'enterpriseValue')).toMatchObject({ value: 64000000, sourcePage: 15 });
+    expect(rowFor(rows, '2023', 'equityValue').value).toBe(49000000);
+    expect(rowFor(rows, '2023', 'perShareValue').value).toBe(45);
+  });
+});
+
+describe('buildTrendSeries', () => {
+  test('derives margins and growth and groups the valuation history', () => {
+    const series = buildTrendSeries(extractFinancialTimeSeries(INCOME_STATEMENT));
+
+    expect(series.valuation).toEqual([
+      { year: '2021', enterpriseValue: 58000000, equityValue: 40000000, perShareValue: 38.1 },
+      { year: '2022', enterpriseValue: 61500000, equityValue: 44500000, perShareValue: 41.25 },
+      { year: '2023', enterpriseValue: 64000000, equityValue: 49000000, perShareValue: 45 }
+    ]);
+    expect(series.growth.find(point => point.year === '2023').revenueGrowthRate).toBeCloseTo(0.125);
+    expect(series.margins.find(point => point.year === '2022')).toMatchObject({ grossMargin: 0.3, ebitdaMargin: 0.15 });
+    expect(series.debt).toBeUndefined();
+  });
+});
@@ -0,0 +1,66 @@
+// Unit tests for valuation approach extraction and reconciliation
+import { describe, test, expect } from '@jest/globals';
+import { extractValuationApproaches } from '../services/valuationApproaches.js';
+import { checkApproachReconciliation } from '../services/valuationChecks.js';
+
+const RECONCILIATION_TABLE = `RECONCILIATION OF VALUE ($ in thousands)
+Approach                         Indicated Value    Weight    Weighted Value
+Income Approach (DCF)                    62,000        60%            37,200
+Market Approach - Guideline Companies    55,000        40%            22,000
+Cost Approach                            30,000         0%                 0
+Concluded Enterprise Value                                            59,200`;
+
+describe('extractValuationApproaches', () => {
+  test('reads indicated values and weights from a scaled reconciliation table', () => {
+    expect(extractValuationApproaches(RECONCILIATION_TABLE)).toEqual({
+      incomeApproachValue: 62000000,
+      incomeApproachWeight: 60,
+      marketApproachValue: 55000000,
+      marketApproachWeight: 40,
+      assetApproachValue: 30000000,
+      assetApproachWeight: 0
+    });
+  });
+
+  test('reads parenthetical weights from prose', () => {
+    const approaches = extractValuationApproaches(
+      'based on a weighting of the income approach (60%) and the market approach (40%).'
+    );
+    expect(approaches.incomeApproachWeight).toBe(60);
+    expect(approaches.marketApproachWeight).toBe(40);
+    expect(approaches.incomeApproachValue).toBeNull();
+  });
+
+  test('ignores approach inputs such as the discount rate', () => {
+    const approaches = extractValuationApproaches('The income approach applied a WACC of 11.75%.');
+    expect(approaches.incomeApproachWeight).toBeNull();
+  });
+});
+
+describe('checkApproachReconciliation', () => {
+  const approaches = extractValuationApproaches(RECONCILIATION_TABLE);
+
+  test('passes when the weighted indications equal the concluded value', () => {
+    const result = checkApproachReconciliation(approaches, 59200000);
+    expect(result.weightedSum).toBe(59200000);
+    expect(result.consistent).toBe(true);
+    expect(result.issue).toBeNull();
+  });
+
+  test('flags a concluded value the weights do not support', () => {
+    const result = checkApproachReconciliation(approaches, 64000000);
+    expect(result.consistent).toBe(false);
+    expect(result.issue).toMatch(/reconciliation mismatch/);
+  });
+
+  test('flags weights that do not total 100%', () => {
+    const result = checkApproachReconciliation({ ...approaches, marketApproachWeight: 30 }, 59200000);
+    expect(result.weightTotal).toBe(90);
+    expect(result.issue).toMatch(/total 90%/);
+  });
+
+  test('returns null without a concluded value or weighted indications', () => {
+    expect(checkApproachReconciliation(approaches, null)).toBeNull();
+    expect(checkApproachReconciliation({ incomeApproachWeight: 60 }, 59200000)).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+// Unit tests for the per-share bridge check and discount/premium extraction
+import { describe, test, expect } from '@jest/globals';
+import { checkPerShareBridge } from '../services/valuationChecks.js';
+import { extractComprehensiveMetrics } from '../services/comprehensiveExtraction.js';
+
+const DISCOUNTS_PAGE = `CONCLUSION OF VALUE
+Marketable, minority value per share: $50.00
+We applied a discount for lack of marketability (DLOM) of (10.0%) to the marketable value.
+The guideline transactions reflect an average control premium of 15%.
+A minority interest discount of 12.5% was applied in the guideline company method.
+Fair market value per share: $45.00`;
+
+describe('checkPerShareBridge', () => {
+  test('passes when the marketable value less the DLOM gives the concluded value', () => {
+    const result = checkPerShareBridge({ marketableValuePerShare: 50, nonMarketableValuePerShare: 45, discountForLackOfMarketability: 10 });
+
+    expect(result).toEqual({
+      marketableValuePerShare: 50,
+      nonMarketableValuePerShare: 45,
+      statedDiscount: 10,
+      expectedValuePerShare: 45,
+      impliedDiscount: 10,
+      difference: 0,
+      consistent: true,
+      issue: null
+    });
+  });
+
+  test('flags a concluded value the stated DLOM does not support', () => {
+    const result = checkPerShareBridge({ marketableValuePerShare: 50, nonMarketableValuePerShare: 42, discountForLackOfMarketability: -10 });
+
+    expect(result.consistent).toBe(false);
+    expect(result.impliedDiscount).toBe(16);
+    expect(result.issue).toBe('Per-share bridge mismatch: $50.00 less 10% DLOM is $45.00, but the concluded value is $42.00 (implied DLOM 16.0%)');
+  });
+
+  test('needs all three inputs', () => {
+    expect(checkPerShareBridge({ marketableValuePerShare: 50, nonMarketableValuePerShare: 45 })).toBeNull();
+    expect(checkPerShareBridge({ marketableValuePerShare: 0, nonMarketableValuePerShare: 45, discountForLackOfMarketability: 10 })).toBeNull();
+  });
+});
+
+describe('discount and premium extraction', () => {
+  test('reads the DLOM, control premium and minority discount, including parenthesized rates', () => {
+    const { discountsAndPremiums } = extractComprehensiveMetrics(DISCOUNTS_PAGE, { quiet: true });
+
+    expect(discountsAndPremiums).toEqual({
+      discountForLackOfMarketability: 10,
+      controlPremium: 15,
+      minorityDiscount: 12.5,
+      marketableValuePerShare: 50
+    });
+  });
+
+  test('reads the abbreviated and alternative names', () => {
+    const { discountsAndPremiums } = extractComprehensiveMetrics(
+      'A DLOM of 7.5% was selected. The discount for lack of control (DLOC) was 8%.',
+      { quiet: true }
+    );
+
+    expect(discountsAndPremiums).toMatchObject({ discountForLackOfMarketability: 7.5, minorityDiscount: 8 });
+    expect(discountsAndPremiums.controlPremium).toBeUndefined();
+  });
+
+  test('ignores a discount stated without a rate', () => {
+    const { discountsAndPremiums } = extractComprehensiveMetrics('A marketability discount was considered but not applied.', { quiet: true });
+    expect(discountsAndPremiums.discountForLackOfMarketability).toBeUndefined();
+  });
+});
@@ -0,0 +1,70 @@
+// Unit tests for WACC build-up extraction and recomputation
+import { describe, test, expect } from '@jest/globals';
+import { extractWaccBuildUp } from '../services/waccBuildUp.js';
+import { checkWaccBuildUp } from '../services/valuationChecks.js';
+
+const BUILD_UP_PAGE = `WEIGHTED AVERAGE COST OF CAPITAL
+Risk-free rate (20-year Treasury)          4.50%
+Relevered beta                             1.10
+Equity risk premium                        6.00%
+Size premium                               3.00%
+Company-specific risk premium              2.00%
+Cost of equity                            16.00%
+Pre-tax cost of debt                       8.00%
+Income tax rate                           25.00%
+Equity weight                             80.00%
+Debt weight                               20.00%
+Weighted average cost of capital          14.00%`;
+
+describe('extractWaccBuildUp', () => {
+  test('reads each CAPM component from its labelled line', () => {
+    expect(extractWaccBuildUp(BUILD_UP_PAGE)).toEqual({
+      riskFreeRate: 4.5,
+      marketRiskPremium: 6,
+      beta: 1.1,
+      sizePremium: 3,
+      companySpecificRisk: 2,
+      costOfEquity: 16,
+      costOfDebt: 8,
+      taxRate: 25,
+      equityWeight: 80,
+      debtWeight: 20
+    });
+  });
+
+  test('leaves out components the report does not state', () => {
+    const buildUp = extractWaccBuildUp('The risk-free rate of 4.25% was the 20-year Treasury yield.');
+    expect(buildUp.riskFreeRate).toBe(4.25);
+    expect(buildUp.beta).toBeNull();
+    expect(buildUp.debtWeight).toBeNull();
+  });
+});
+
+describe('checkWaccBuildUp', () => {
+  const buildUp = extractWaccBuildUp(BUILD_UP_PAGE);
+
+  test('recomputes the cost of equity and WACC within rounding of the stated rates', () => {
+    const result = checkWaccBuildUp(buildUp, 14);
+
+    expect(result.costOfEquity).toEqual({ recomputed: 16.1, stated: 16, difference: -0.1, consistent: true, issue: null });
+    expect(result.afterTaxCostOfDebt).toBe(6);
+    expect(result.wacc).toEqual({ recomputed: 14.08, stated: 14, difference: -0.08, consistent: true, issue: null });
+    expect(result.consistent).toBe(true);
+  });
+
+  test('flags a stated WACC the components do not support', () => {
+    const result = checkWaccBuildUp(buildUp, 12.5);
+
+    expect(result.consistent).toBe(false);
+    expect(result.issues).toEqual(['WACC build-up mismatch: components give 14.08% but the report states 12.5%']);
+  });
+
+  test('fills the missing weight and treats an all-equity structure as the cost of equity', () => {
+    expect(checkWaccBuildUp({ ...buildUp, equityWeight: null }, 14).equityWeight).toBe(80);
+    expect(checkWaccBuildUp({ ...buildUp, debtWeight: 0, equityWeight: null }, null).wacc.recomputed).toBe(16.1);
+  });
+
+  test('needs the risk-free rate and equity risk premium', () => {
+    expect(checkWaccBuildUp({ ...buildUp, marketRiskPremium: null }, 14)).toBeNull();
+  });
+});
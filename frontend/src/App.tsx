@@ -1,9 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FileText, BarChart3, Upload, MessageCircle, TrendingUp, CheckCircle, Clock, ChevronDown, Layers } from 'lucide-react';
+import { FileText, BarChart3, Upload, MessageCircle, TrendingUp, CheckCircle, Clock, ChevronDown, Layers, ShieldCheck } from 'lucide-react';
 import UploadSection from './components/UploadSection';
 import EnhancedMetricsDashboard from './components/EnhancedMetricsDashboard';
 import AdvancedMetricsDashboard from './components/AdvancedMetricsDashboard';
 import QuestionSection from './components/QuestionSection';
+import ComplianceChecklist from './components/ComplianceChecklist';
 import { getDocuments, uploadPDF, pollJobUntilComplete } from './services/api';
 import { Document } from './types';
 
@@ -17,7 +18,7 @@ function App() {
   const [uploadProgress, setUploadProgress] = useState<number>(0);
   const [processingMessage, setProcessingMessage] = useState<string>('');
   const [isDocumentTransitioning, setIsDocumentTransitioning] = useState<boolean>(false);
-  const [dashboardType, setDashboardType] = useState<'enhanced' | 'advanced'>('enhanced');
+  const [dashboardType, setDashboardType] = useState<'enhanced' | 'advanced' | 'compliance'>('enhanced');
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const handleUploadSuccess = (documentId: string) => {
@@ -441,15 +442,30 @@ function App() {
                           <Layers className="h-4 w-4" />
                           <span>Advanced Charts</span>
                         </button>
+                        <button
+                          onClick={() => setDashboardType('compliance')}
+                          className={`flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                            dashboardType === 'compliance'
+                              ? 'bg-blue-600 text-white'
+                              : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          }`}
+                        >
+                          <ShieldCheck className="h-4 w-4" />
+                          <span>Adequate Consideration</span>
+                        </button>
                       </div>
                       
                       {/* Dashboard Component */}
                       <div className="transform transition-all duration-300 hover:scale-[1.01] lg:hover:scale-[1.02]">
-                        {dashboardType === 'enhanced' ? (
+                        {dashboardType === 'enhanced' && (
                           <EnhancedMetricsDashboard documentId={currentDocumentId} />
-                        ) : (
+                        )}
+                        {dashboardType === 'advanced' && (
                           <AdvancedMetricsDashboard documentId={currentDocumentId} />
                         )}
+                        {dashboardType === 'compliance' && (
+                          <ComplianceChecklist documentId={currentDocumentId} />
+                        )}
                       </div>
                     </div>
                   </div>
@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import { TrendingUp, TrendingDown, DollarSign, Building, Users, Calculator, BarChart3, Download, Sparkles, AlertCircle, RefreshCw } from 'lucide-react';
 import { getAIMetrics } from '../services/api';
+import { ConfidenceLevel, MetricConfidence } from '../types';
+import ConfidenceBadge from './ConfidenceBadge';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 
@@ -20,7 +22,9 @@ interface AIMetrics {
   revenueMultiple: number | null;
   ebitdaMultiple: number | null;
   valuationDate: string | null;
-  confidence: 'High' | 'Medium' | 'Low';
+  confidence: number | null;
+  confidenceLevel: ConfidenceLevel | null;
+  confidenceScores?: Record<string, MetricConfidence>;
   notes: string;
   error?: string;
 }
@@ -31,7 +35,7 @@ interface MetricCardData {
   format: 'currency' | 'percentage' | 'multiple';
   icon: React.ReactNode;
   color: string;
-  confidence?: 'High' | 'Medium' | 'Low';
+  confidence?: MetricConfidence;
 }
 
 const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
@@ -187,7 +191,7 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
       format: 'currency',
       icon: <Building className="h-6 w-6" />,
       color: 'blue',
-      confidence: metrics.confidence
+      confidence: metrics.confidenceScores?.enterpriseValue
     },
     {
       title: 'Value of Equity',
@@ -195,7 +199,7 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
       format: 'currency',
       icon: <DollarSign className="h-6 w-6" />,
       color: 'green',
-      confidence: metrics.confidence
+      confidence: metrics.confidenceScores?.valueOfEquity
     },
     {
       title: 'Valuation per Share',
@@ -203,7 +207,7 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
       format: 'currency',
       icon: <Users className="h-6 w-6" />,
       color: 'purple',
-      confidence: metrics.confidence
+      confidence: metrics.confidenceScores?.valuationPerShare
     },
     {
       title: 'Revenue',
@@ -211,7 +215,7 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
       format: 'currency',
       icon: <BarChart3 className="h-6 w-6" />,
       color: 'orange',
-      confidence: metrics.confidence
+      confidence: metrics.confidenceScores?.revenue
     },
     {
       title: 'EBITDA',
@@ -219,7 +223,7 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
       format: 'currency',
       icon: <TrendingUp className="h-6 w-6" />,
       color: 'indigo',
-      confidence: metrics.confidence
+      confidence: metrics.confidenceScores?.ebitda
     },
     {
       title: 'Discount Rate',
@@ -227,28 +231,10 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
       format: 'percentage',
       icon: <Calculator className="h-6 w-6" />,
       color: 'red',
-      confidence: metrics.confidence
+      confidence: metrics.confidenceScores?.discountRate
     }
   ];
 
-  const getConfidenceColor = (confidence: string) => {
-    switch (confidence) {
-      case 'High': return 'text-green-600';
-      case 'Medium': return 'text-yellow-600';
-      case 'Low': return 'text-red-600';
-      default: return 'text-gray-600';
-    }
-  };
-
-  const getConfidenceIcon = (confidence: string) => {
-    switch (confidence) {
-      case 'High': return '🟢';
-      case 'Medium': return '🟡';
-      case 'Low': return '🔴';
-      default: return '⚪';
-    }
-  };
-
   return (
     <div className="space-y-6">
       {/* AI Header with confidence and refresh */}
@@ -259,11 +245,9 @@ const AIDashboard: React.FC<AIDashboardProps> = ({ documentId }) => {
             <div>
               <h3 className="text-lg font-semibold text-gray-900">AI-Powered Dashboard</h3>
               <div className="flex items-center space-x-4 text-sm text-gray-600">
-                <span>
-                  Confidence: <span className={getConfidenceColor(metrics.confidence)}>
-                    {getConfidenceIcon(metrics.confidence)} {metrics.confidence}
-                  </span>
-                </span>
+                {metrics.confidence !== null && metrics.confidenceLevel && (
+                  <ConfidenceBadge confidence={{ score: metrics.confidence, level: metrics.confidenceLevel }} />
+                )}
                 <span>Source: Real-time AI analysis</span>
               </div>
             </div>
@@ -506,12 +490,10 @@ const AIMetricCard: React.FC<AIMetricCardProps> = ({
 
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-6 relative">
-      {/* AI confidence indicator */}
-      {confidence && (
+      {/* Calibrated confidence of the AI value */}
+      {confidence && value !== null && (
         <div className="absolute top-2 right-2">
-          <span className="text-xs px-2 py-1 bg-gray-100 rounded-full">
-            AI: {confidence}
-          </span>
+          <ConfidenceBadge confidence={confidence} />
         </div>
       )}
       
@@ -1,7 +1,9 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import { BarChart3, Download, Sparkles, TrendingUp, RefreshCw, Database } from 'lucide-react';
-import { getDocumentMetrics, getEnhancedMetrics, askQuestion } from '../services/api';
+import { getDocumentMetrics, getEnhancedMetrics, getFinancialTimeSeries } from '../services/api';
 import { DocumentMetrics } from '../types';
+import DataQualityIndicator from './DataQualityIndicator';
+import OverrideAuditTrail from './OverrideAuditTrail';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 
@@ -10,7 +12,7 @@ import LinearTrendChart from './charts/LinearTrendChart';
 
 // Cache management utilities
 const CACHE_PREFIX = 'chart_data_';
-const CACHE_VERSION = '1.0';
+const CACHE_VERSION = '1.1';
 const CACHE_EXPIRY_HOURS = 24;
 
 interface CachedChartData {
@@ -158,296 +160,34 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
     }
   }, [documentId, cacheLoaded]);
 
-  // Fallback function to fetch historical data using direct AI questions
+  // Fallback: read the historical and projected series parsed from the report's financial tables
   const fetchFallbackHistoricalData = useCallback(async () => {
     if (loadingFallback || fallbackHistoricalData) return; // Don't refetch if already loading or have data
     
     setLoadingFallback(true);
     try {
-      console.log('🔄 Attempting to fetch historical data using AI fallback...');
+      console.log('🔄 Fetching financial time series for historical charts...');
       
-      const historicalQuestions = [
-        {
-          key: 'revenue',
-          question: `Looking at this ESOP valuation document, please extract historical revenue data for multiple years. 
-          Look for financial statements, revenue trends, or historical financial data.
-          
-          Please respond in this exact format:
-          YEAR:REVENUE
-          2023:50000000
-          2022:45000000
-          2021:40000000
-          
-          If you find historical revenue data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        },
-        {
-          key: 'ebitda', 
-          question: `Looking at this ESOP valuation document, please extract historical EBITDA data for multiple years.
-          Look for financial statements, EBITDA trends, or historical earnings data.
-          
-          Please respond in this exact format:
-          YEAR:EBITDA
-          2023:8000000
-          2022:7200000
-          2021:6400000
-          
-          If you find historical EBITDA data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        },
-        {
-          key: 'valuation',
-          question: `Looking at this ESOP valuation document, please extract historical valuation data for multiple years.
-          Look for previous valuations, valuation trends, or historical fair market value data.
-          
-          Please respond in this exact format:
-          YEAR:ENTERPRISE_VALUE:EQUITY_VALUE:PER_SHARE_VALUE
-          2023:80000000:75000000:15.50
-          2022:72000000:68000000:14.25
-          2021:65000000:62000000:13.00
-          
-          If you find historical valuation data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        },
-        {
-          key: 'cashflow',
-          question: `Looking at this ESOP valuation document, please extract historical cash flow data for multiple years.
-          Look for cash flow statements, operating cash flow, free cash flow, or cash flow analysis.
-          
-          Please respond in this exact format:
-          YEAR:OPERATING_CASH_FLOW:FREE_CASH_FLOW
-          2023:12000000:8000000
-          2022:10000000:6500000
-          2021:9000000:5000000
-          
-          If you find historical cash flow data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        },
-        {
-          key: 'growth',
-          question: `Looking at this ESOP valuation document, please extract historical growth rate data for multiple years.
-          Look for revenue growth rates, EBITDA growth rates, or year-over-year growth analysis.
-          
-          Please respond in this exact format (rates as decimals, e.g., 0.15 for 15%):
-          YEAR:REVENUE_GROWTH_RATE:EBITDA_GROWTH_RATE
-          2023:0.12:0.15
-          2022:0.08:0.10
-          2021:0.05:0.07
-          
-          If you find historical growth rate data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        },
-        {
-          key: 'margins',
-          question: `Looking at this ESOP valuation document, please extract historical profit margin data for multiple years.
-          Look for gross margins, EBITDA margins, net margins, or profitability analysis.
-          
-          Please respond in this exact format (margins as decimals, e.g., 0.25 for 25%):
-          YEAR:GROSS_MARGIN:EBITDA_MARGIN:NET_MARGIN
-          2023:0.45:0.18:0.12
-          2022:0.42:0.16:0.10
-          2021:0.40:0.15:0.08
-          
-          If you find historical margin data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        },
-        {
-          key: 'debt',
-          question: `Looking at this ESOP valuation document, please extract historical debt coverage data for multiple years.
-          Look for debt service coverage ratios, debt-to-EBITDA ratios, or debt analysis.
-          
-          Please respond in this exact format:
-          YEAR:DEBT_SERVICE_COVERAGE:DEBT_TO_EBITDA
-          2023:2.5:1.8
-          2022:2.2:2.1
-          2021:1.9:2.5
-          
-          If you find historical debt coverage data, list all years available. If no historical data is found, respond with "NO_HISTORICAL_DATA".`
-        }
-      ];
-
-      const fallbackData: any = {};
+      const timeSeries = await getFinancialTimeSeries(documentId);
+      const fallbackData = timeSeries.series || {};
       
-      for (const question of historicalQuestions) {
-        try {
-          console.log(`🔍 Asking AI for ${question.key} historical data...`);
-          const response = await askQuestion(question.question, documentId);
-          console.log(`📝 Raw AI response for ${question.key}:`, response);
-          console.log(`📝 AI answer text for ${question.key}:`, response.answer);
-          
-          if (response.answer && !response.answer.toLowerCase().includes('no_historical_data')) {
-            const parsedData = parseHistoricalResponse(response.answer, question.key);
-            if (parsedData && parsedData.length > 0) {
-              fallbackData[question.key] = parsedData;
-              console.log(`✅ Found ${parsedData.length} years of ${question.key} data:`, parsedData);
-            } else {
-              console.log(`❌ Failed to parse ${question.key} data from response`);
-            }
-          } else {
-            console.log(`❌ No historical data found in response for ${question.key}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error fetching ${question.key} historical data:`, error);
-        }
-      }
+      console.log(`📊 Time series: ${timeSeries.rows.length} rows across ${Object.keys(fallbackData).length} series`);
+      setFallbackHistoricalData(fallbackData);
       
-      if (Object.keys(fallbackData).length > 0) {
-        console.log('✅ Successfully fetched fallback historical data:', fallbackData);
-        setFallbackHistoricalData(fallbackData);
-        
-        // Cache the fallback data
-        setCachedChartData(documentId, {
-          enhancedMetrics: enhancedMetrics,
-          fallbackHistoricalData: fallbackData,
-          processedTrendData: null
-        });
-      } else {
-        console.log('❌ No historical data found in fallback queries');
-      }
+      // Cache the series, including an empty result so the document isn't re-parsed
+      setCachedChartData(documentId, {
+        enhancedMetrics: enhancedMetrics,
+        fallbackHistoricalData: fallbackData,
+        processedTrendData: null
+      });
       
     } catch (error) {
-      console.error('❌ Error in fallback historical data fetch:', error);
+      console.error('❌ Error fetching financial time series:', error);
     } finally {
       setLoadingFallback(false);
     }
   }, [documentId, loadingFallback, fallbackHistoricalData, enhancedMetrics]);
 
-  // Helper function to parse historical data responses
-  const parseHistoricalResponse = (response: string, type: string) => {
-    if (!response) return null;
-    
-    console.log(`🔍 Parsing ${type} response:`, response);
-    
-    const lines = response.split('\n');
-    const data = [];
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      console.log(`📝 Processing line: "${trimmedLine}"`);
-      
-      if (trimmedLine.includes(':') && !trimmedLine.toLowerCase().includes('year:') && !trimmedLine.toLowerCase().includes('format')) {
-        const parts = trimmedLine.split(':');
-        console.log(`🔧 Split parts:`, parts);
-        
-        if (type === 'revenue' || type === 'ebitda') {
-          if (parts.length >= 2) {
-            const year = parts[0].trim();
-            const valueStr = parts[1].trim();
-            
-            // More flexible parsing for different number formats
-            let value = null;
-            
-            // Remove common non-numeric characters and try to parse
-            const cleanedValue = valueStr.replace(/[,$\s]/g, '');
-            const parsedValue = parseFloat(cleanedValue);
-            
-            if (!isNaN(parsedValue) && parsedValue > 0) {
-              value = parsedValue;
-            }
-            
-            console.log(`💰 Parsed ${type} for ${year}: ${value}`);
-            
-            if (year && value !== null && /^\d{4}$/.test(year)) {
-              data.push({ year, [type]: value });
-              console.log(`✅ Added ${type} data:`, { year, [type]: value });
-            }
-          }
-        } else if (type === 'cashflow') {
-          if (parts.length >= 3) {
-            const year = parts[0].trim();
-            const operatingCashFlowStr = parts[1].trim();
-            const freeCashFlowStr = parts[2].trim();
-            
-            const operatingCashFlow = parseFloat(operatingCashFlowStr.replace(/[,$\s]/g, ''));
-            const freeCashFlow = parseFloat(freeCashFlowStr.replace(/[,$\s]/g, ''));
-            
-            if (year && /^\d{4}$/.test(year) && (!isNaN(operatingCashFlow) || !isNaN(freeCashFlow))) {
-              data.push({
-                year,
-                operatingCashFlow: !isNaN(operatingCashFlow) ? operatingCashFlow : null,
-                freeCashFlow: !isNaN(freeCashFlow) ? freeCashFlow : null
-              });
-            }
-          }
-        } else if (type === 'growth') {
-          if (parts.length >= 3) {
-            const year = parts[0].trim();
-            const revenueGrowthStr = parts[1].trim();
-            const ebitdaGrowthStr = parts[2].trim();
-            
-            const revenueGrowthRate = parseFloat(revenueGrowthStr);
-            const ebitdaGrowthRate = parseFloat(ebitdaGrowthStr);
-            
-            if (year && /^\d{4}$/.test(year) && (!isNaN(revenueGrowthRate) || !isNaN(ebitdaGrowthRate))) {
-              data.push({
-                year,
-                revenueGrowthRate: !isNaN(revenueGrowthRate) ? revenueGrowthRate : null,
-                ebitdaGrowthRate: !isNaN(ebitdaGrowthRate) ? ebitdaGrowthRate : null
-              });
-            }
-          }
-        } else if (type === 'margins') {
-          if (parts.length >= 4) {
-            const year = parts[0].trim();
-            const grossMarginStr = parts[1].trim();
-            const ebitdaMarginStr = parts[2].trim();
-            const netMarginStr = parts[3].trim();
-            
-            const grossMargin = parseFloat(grossMarginStr);
-            const ebitdaMargin = parseFloat(ebitdaMarginStr);
-            const netMargin = parseFloat(netMarginStr);
-            
-            if (year && /^\d{4}$/.test(year) && (!isNaN(grossMargin) || !isNaN(ebitdaMargin) || !isNaN(netMargin))) {
-              data.push({
-                year,
-                grossMargin: !isNaN(grossMargin) ? grossMargin : null,
-                ebitdaMargin: !isNaN(ebitdaMargin) ? ebitdaMargin : null,
-                netMargin: !isNaN(netMargin) ? netMargin : null
-              });
-            }
-          }
-        } else if (type === 'debt') {
-          if (parts.length >= 3) {
-            const year = parts[0].trim();
-            const debtServiceCoverageStr = parts[1].trim();
-            const debtToEbitdaStr = parts[2].trim();
-            
-            const debtServiceCoverage = parseFloat(debtServiceCoverageStr);
-            const debtToEbitda = parseFloat(debtToEbitdaStr);
-            
-            if (year && /^\d{4}$/.test(year) && (!isNaN(debtServiceCoverage) || !isNaN(debtToEbitda))) {
-              data.push({
-                year,
-                debtServiceCoverage: !isNaN(debtServiceCoverage) ? debtServiceCoverage : null,
-                debtToEbitda: !isNaN(debtToEbitda) ? debtToEbitda : null
-              });
-            }
-          }
-        } else if (type === 'valuation') {
-          if (parts.length >= 4) {
-            const year = parts[0].trim();
-            const enterpriseValueStr = parts[1].trim();
-            const equityValueStr = parts[2].trim();
-            const perShareValueStr = parts[3].trim();
-            
-            const enterpriseValue = parseFloat(enterpriseValueStr.replace(/[,$\s]/g, ''));
-            const equityValue = parseFloat(equityValueStr.replace(/[,$\s]/g, ''));
-            const perShareValue = parseFloat(perShareValueStr.replace(/[,$\s]/g, ''));
-            
-            console.log(`📊 Parsed valuation for ${year}:`, { enterpriseValue, equityValue, perShareValue });
-            
-            if (year && /^\d{4}$/.test(year) && (!isNaN(enterpriseValue) || !isNaN(equityValue) || !isNaN(perShareValue))) {
-              data.push({
-                year,
-                enterpriseValue: !isNaN(enterpriseValue) ? enterpriseValue : null,
-                equityValue: !isNaN(equityValue) ? equityValue : null,
-                perShareValue: !isNaN(perShareValue) ? perShareValue : null
-              });
-              console.log(`✅ Added valuation data:`, data[data.length - 1]);
-            }
-          }
-        }
-      }
-    }
-
-    console.log(`📊 Final parsed ${type} data:`, data);
-    return data.length > 0 ? data : null;
-  };
-
   // Set default active chart to first available chart when metrics load
   useEffect(() => {
     if (metrics) {
@@ -455,12 +195,12 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
     }
   }, [metrics]);
 
-  // Auto-trigger AI historical data fetch when component mounts if no historical data
+  // Auto-trigger historical data fetch when component mounts if no historical data
   useEffect(() => {
     // Only auto-fetch if we have metrics, no enhanced metrics, no fallback data, and not already loading
     // Also check that cache has been loaded to avoid unnecessary fetches
     if (metrics && cacheLoaded && !loadingEnhanced && !enhancedMetrics?.historicalData && !fallbackHistoricalData && !loadingFallback) {
-      console.log('🚀 Auto-triggering AI historical data fetch for Advanced Charts...');
+      console.log('🚀 Auto-triggering time series fetch for Advanced Charts...');
       fetchFallbackHistoricalData();
     }
   }, [metrics, cacheLoaded, loadingEnhanced, enhancedMetrics, fallbackHistoricalData, loadingFallback, fetchFallbackHistoricalData]);
@@ -924,7 +664,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing Revenue Data</h3>
-                <p className="text-gray-600">Using AI to extract historical revenue trends from your document...</p>
+                <p className="text-gray-600">Reading historical revenue trends from the report tables...</p>
               </div>
             </div>
           );
@@ -949,11 +689,11 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
                 onClick={fetchFallbackHistoricalData}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
-                Ask AI to Find Historical Data
+                Find Historical Data
               </button>
             )}
             {fallbackHistoricalData && Object.keys(fallbackHistoricalData).length === 0 && (
-              <p className="text-gray-500 text-sm">AI analysis found no historical revenue data in this document.</p>
+              <p className="text-gray-500 text-sm">No historical revenue data tables were found in this document.</p>
             )}
           </div>
         );
@@ -964,7 +704,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing EBITDA Data</h3>
-                <p className="text-gray-600">Using AI to extract historical EBITDA trends from your document...</p>
+                <p className="text-gray-600">Reading historical EBITDA trends from the report tables...</p>
               </div>
             </div>
           );
@@ -989,11 +729,11 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
                 onClick={fetchFallbackHistoricalData}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
-                Ask AI to Find Historical Data
+                Find Historical Data
               </button>
             )}
             {fallbackHistoricalData && Object.keys(fallbackHistoricalData).length === 0 && (
-              <p className="text-gray-500 text-sm">AI analysis found no historical EBITDA data in this document.</p>
+              <p className="text-gray-500 text-sm">No historical EBITDA data tables were found in this document.</p>
             )}
           </div>
         );
@@ -1004,7 +744,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing Valuation History</h3>
-                <p className="text-gray-600">Using AI to extract historical per-share valuation data...</p>
+                <p className="text-gray-600">Reading historical per-share valuation data from the report tables...</p>
               </div>
             </div>
           );
@@ -1029,11 +769,11 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
                 onClick={fetchFallbackHistoricalData}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
-                Ask AI to Find Historical Data
+                Find Historical Data
               </button>
             )}
             {fallbackHistoricalData && Object.keys(fallbackHistoricalData).length === 0 && (
-              <p className="text-gray-500 text-sm">AI analysis found no historical valuation data in this document.</p>
+              <p className="text-gray-500 text-sm">No historical valuation data tables were found in this document.</p>
             )}
           </div>
         );
@@ -1044,7 +784,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing Cash Flow Data</h3>
-                <p className="text-gray-600">Using AI to extract historical cash flow trends from your document...</p>
+                <p className="text-gray-600">Reading historical cash flow trends from the report tables...</p>
               </div>
             </div>
           );
@@ -1074,7 +814,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing Growth Rate Data</h3>
-                <p className="text-gray-600">Using AI to extract historical growth rate trends from your document...</p>
+                <p className="text-gray-600">Reading historical growth rate trends from the report tables...</p>
               </div>
             </div>
           );
@@ -1104,7 +844,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing Margin Data</h3>
-                <p className="text-gray-600">Using AI to extract historical profit margin trends from your document...</p>
+                <p className="text-gray-600">Reading historical profit margin trends from the report tables...</p>
               </div>
             </div>
           );
@@ -1135,7 +875,7 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
               <div>
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">Analyzing Debt Coverage Data</h3>
-                <p className="text-gray-600">Using AI to extract historical debt coverage trends from your document...</p>
+                <p className="text-gray-600">Reading historical debt coverage trends from the report tables...</p>
               </div>
             </div>
           );
@@ -1254,6 +994,24 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
     }
   };
 
+  // Headline values (analyst overrides first) and their calibrated confidence for the data quality summary
+  const keyMetricFields: Array<[string, keyof DocumentMetrics['metrics'], string]> = [
+    ['enterpriseValue', 'enterpriseValue', 'currentValue'],
+    ['valueOfEquity', 'valueOfEquity', 'currentValue'],
+    ['valuationPerShare', 'valuationPerShare', 'currentValue'],
+    ['revenue', 'keyFinancials', 'revenue'],
+    ['ebitda', 'keyFinancials', 'ebitda'],
+    ['discountRate', 'discountRates', 'discountRate']
+  ];
+  const keyMetricValues = Object.fromEntries(keyMetricFields.map(([key, metricType, field]) => {
+    const override = metrics.metrics[metricType]?.overrides?.[field];
+    const value = override ? override.value : parseFloat(metrics.metrics[metricType]?.data?.[field]);
+    return [key, Number.isFinite(value) ? value : null];
+  }));
+  const keyMetricConfidence = Object.fromEntries(keyMetricFields.map(([key, metricType, field]) => (
+    [key, metrics.metrics[metricType]?.provenance?.[field]?.confidence]
+  )));
+
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-lg shadow-md p-6">
@@ -1300,6 +1058,10 @@ const AdvancedMetricsDashboard: React.FC<AdvancedMetricsDashboardProps> = ({ doc
           </div>
         </div>
 
+        <div className="mb-6">
+          <DataQualityIndicator metrics={keyMetricValues} confidence={keyMetricConfidence} />
+          <OverrideAuditTrail documentId={documentId} />
+        </div>
 
         {/* Chart Navigation - Only show charts with data */}
         {chartOptions.length > 0 && (
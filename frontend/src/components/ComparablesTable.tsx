@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { getComparables } from '../services/api';
+import { ComparablesAnalysis, ComparableKind, MultipleAnalysis } from '../types';
+
+interface ComparablesTableProps {
+  documentId: string;
+}
+
+const KIND_LABELS: Record<ComparableKind, string> = {
+  guidelineCompany: 'Guideline Public Companies',
+  guidelineTransaction: 'Guideline Transactions'
+};
+
+const MULTIPLE_LABELS: Record<MultipleAnalysis['multiple'], string> = {
+  evToEbitda: 'EV/EBITDA',
+  evToRevenue: 'EV/Revenue'
+};
+
+const formatMultiple = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${value.toFixed(1)}x`;
+
+const formatMillions = (value: number | null) =>
+  value === null ? '—' : `$${(value / 1000000).toFixed(1)}M`;
+
+// Guideline companies/transactions from the market approach and where the
+// selected multiples fall against the peer quartiles
+const ComparablesTable: React.FC<ComparablesTableProps> = ({ documentId }) => {
+  const [comparables, setComparables] = useState<ComparablesAnalysis | null>(null);
+
+  useEffect(() => {
+    const fetchComparables = async () => {
+      try {
+        setComparables(await getComparables(documentId));
+      } catch (err) {
+        console.error('Failed to load comparables:', err);
+        setComparables(null);
+      }
+    };
+
+    if (documentId) {
+      fetchComparables();
+    }
+  }, [documentId]);
+
+  if (!comparables || comparables.peers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4">
+      <div className="bg-gray-50 rounded-lg p-4">
+        <h4 className="font-medium text-gray-900 mb-2">Market Approach Comparables</h4>
+
+        {(Object.keys(KIND_LABELS) as ComparableKind[]).map(kind => {
+          const peers = comparables.peers.filter(peer => peer.kind === kind);
+          if (peers.length === 0) return null;
+          const stats = comparables.analysis.filter(entry => entry.kind === kind);
+
+          return (
+            <div key={kind} className="mb-4 last:mb-0">
+              <div className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{KIND_LABELS[kind]}</div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-gray-600">
+                  <thead>
+                    <tr className="text-xs text-gray-500 text-left">
+                      <th className="font-medium pb-1">{kind === 'guidelineTransaction' ? 'Target' : 'Company'}</th>
+                      <th className="font-medium pb-1">{kind === 'guidelineTransaction' ? 'Acquirer' : 'Ticker'}</th>
+                      <th className="font-medium pb-1 text-right">Revenue</th>
+                      <th className="font-medium pb-1 text-right">EBITDA</th>
+                      <th className="font-medium pb-1 text-right">EV/EBITDA</th>
+                      <th className="font-medium pb-1 text-right">EV/Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {peers.map(peer => (
+                      <tr key={`${peer.name}-${peer.sourcePage}`}>
+                        <td className="py-1">{peer.name}</td>
+                        <td className="py-1">{(kind === 'guidelineTransaction' ? peer.acquirer : peer.ticker) || '—'}</td>
+                        <td className="py-1 text-right">{formatMillions(peer.revenue)}</td>
+                        <td className="py-1 text-right">{formatMillions(peer.ebitda)}</td>
+                        <td className="py-1 text-right font-medium">{formatMultiple(peer.evToEbitda)}</td>
+                        <td className="py-1 text-right font-medium">{formatMultiple(peer.evToRevenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {stats.length > 0 && (
+                <table className="w-full text-xs text-gray-600 mt-2 border-t border-gray-200">
+                  <thead>
+                    <tr className="text-gray-500 text-left">
+                      <th className="font-medium pt-2">Multiple</th>
+                      <th className="font-medium pt-2 text-right">25th</th>
+                      <th className="font-medium pt-2 text-right">Median</th>
+                      <th className="font-medium pt-2 text-right">75th</th>
+                      <th className="font-medium pt-2 text-right">Selected</th>
+                      <th className="font-medium pt-2 text-right">Position</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.map(entry => (
+                      <tr key={entry.multiple}>
+                        <td className="py-1">{MULTIPLE_LABELS[entry.multiple]} ({entry.count} peers)</td>
+                        <td className="py-1 text-right">{formatMultiple(entry.firstQuartile)}</td>
+                        <td className="py-1 text-right">{formatMultiple(entry.median)}</td>
+                        <td className="py-1 text-right">{formatMultiple(entry.thirdQuartile)}</td>
+                        <td className="py-1 text-right font-medium text-gray-900">{formatMultiple(entry.selected)}</td>
+                        <td className="py-1 text-right">{entry.position || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ComparablesTable;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle, XCircle, HelpCircle, RefreshCw, ShieldCheck } from 'lucide-react';
+import { getAdequateConsideration, reevaluateAdequateConsideration } from '../services/api';
+import { AdequateConsiderationChecklist, ChecklistStatus } from '../types';
+
+interface ComplianceChecklistProps {
+  documentId: string;
+}
+
+const STATUS_STYLES: Record<ChecklistStatus, { label: string; className: string; icon: React.ReactNode }> = {
+  pass: { label: 'Pass', className: 'bg-green-50 text-green-700', icon: <CheckCircle className="h-4 w-4" /> },
+  fail: { label: 'Fail', className: 'bg-red-50 text-red-700', icon: <XCircle className="h-4 w-4" /> },
+  unclear: { label: 'Unclear', className: 'bg-amber-50 text-amber-700', icon: <HelpCircle className="h-4 w-4" /> }
+};
+
+// Adequate consideration checklist: whether the report addresses each item a
+// trustee needs to document, with the passages that support the status
+const ComplianceChecklist: React.FC<ComplianceChecklistProps> = ({ documentId }) => {
+  const [checklist, setChecklist] = useState<AdequateConsiderationChecklist | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [evaluating, setEvaluating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchChecklist = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setChecklist(await getAdequateConsideration(documentId));
+      } catch (err) {
+        console.error('Failed to load adequate consideration checklist:', err);
+        setError('Failed to load the adequate consideration checklist');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (documentId) {
+      fetchChecklist();
+    }
+  }, [documentId]);
+
+  const handleReevaluate = async () => {
+    try {
+      setEvaluating(true);
+      setError(null);
+      setChecklist(await reevaluateAdequateConsideration(documentId));
+    } catch (err) {
+      console.error('Failed to re-evaluate checklist:', err);
+      setError('Failed to re-evaluate the checklist');
+    } finally {
+      setEvaluating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 flex items-center space-x-3">
+        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+        <span className="text-sm text-gray-600">Evaluating adequate consideration checklist...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className="h-5 w-5 text-blue-600" />
+          <h2 className="text-xl font-semibold text-gray-900">Adequate Consideration</h2>
+        </div>
+        <button
+          onClick={handleReevaluate}
+          disabled={evaluating}
+          className="flex items-center space-x-1 px-3 py-1.5 text-sm rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${evaluating ? 'animate-spin' : ''}`} />
+          <span>Re-evaluate</span>
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+      )}
+
+      {checklist && (
+        <>
+          <div className={`rounded-lg p-3 mb-4 text-sm ${STATUS_STYLES[checklist.summary.status].className}`}>
+            <span className="font-medium">
+              {checklist.summary.status === 'pass'
+                ? 'The report addresses every required item'
+                : checklist.summary.status === 'fail'
+                  ? 'The report does not satisfy every required item'
+                  : 'Some required items need review'}
+            </span>
+            <span className="ml-2">
+              ({checklist.summary.pass} pass · {checklist.summary.fail} fail · {checklist.summary.unclear} unclear)
+            </span>
+          </div>
+
+          <div className="space-y-3">
+            {checklist.items.map(item => {
+              const style = STATUS_STYLES[item.status];
+              return (
+                <div key={item.id} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900">
+                      {item.title}
+                      {!item.required && <span className="ml-2 text-xs text-gray-400">optional</span>}
+                    </span>
+                    <span className={`flex items-center space-x-1 px-2 py-0.5 rounded text-xs font-medium ${style.className}`}>
+                      {style.icon}
+                      <span>{style.label}</span>
+                    </span>
+                  </div>
+                  {item.explanation && (
+                    <p className="text-sm text-gray-600 mt-1">{item.explanation}</p>
+                  )}
+                  {item.citations.map((citation, index) => (
+                    <blockquote key={index} className="text-xs text-gray-500 mt-2 pl-2 border-l-2 border-gray-200">
+                      {citation.page ? <span className="font-medium">Page {citation.page}: </span> : null}
+                      "{citation.quote}"
+                    </blockquote>
+                  ))}
+                  {item.method === 'keyword' && (
+                    <p className="text-xs text-gray-400 mt-2">Decided by keyword rules; no model judgement was available</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <p className="text-xs text-gray-400 mt-4">
+            Checklist {checklist.checklistVersion ? `v${checklist.checklistVersion} ` : ''}evaluated {new Date(checklist.evaluatedAt).toLocaleString()}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComplianceChecklist;
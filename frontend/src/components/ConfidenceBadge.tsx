@@ -0,0 +1,41 @@
+import React from 'react';
+import { MetricConfidence } from '../types';
+
+interface ConfidenceBadgeProps {
+  confidence?: MetricConfidence | null;
+}
+
+const LEVEL_CLASSES: Record<MetricConfidence['level'], string> = {
+  high: 'bg-green-50 text-green-700',
+  medium: 'bg-yellow-50 text-yellow-700',
+  low: 'bg-red-50 text-red-700'
+};
+
+const describeSignals = (confidence: MetricConfidence): string | undefined => {
+  const { signals } = confidence;
+  if (!signals) return undefined;
+
+  const parts = [
+    `${signals.agreeingExtractors.length} of ${signals.extractors} extractors agree`,
+    signals.candidateShare !== null ? `${Math.round(signals.candidateShare * 100)}% of candidates agree` : null,
+    signals.hasSource ? 'found in the document' : 'not found verbatim in the document',
+    signals.crossValidation ? `cross-validation ${signals.crossValidation}` : null
+  ];
+  return parts.filter(Boolean).join(' · ');
+};
+
+// Calibrated confidence of one extracted value, with its evidence on hover
+const ConfidenceBadge: React.FC<ConfidenceBadgeProps> = ({ confidence }) => {
+  if (!confidence) return null;
+
+  return (
+    <span
+      className={`text-xs px-2 py-0.5 rounded-full font-medium ${LEVEL_CLASSES[confidence.level]}`}
+      title={describeSignals(confidence)}
+    >
+      {Math.round(confidence.score * 100)}% confidence
+    </span>
+  );
+};
+
+export default ConfidenceBadge;
@@ -1,16 +1,33 @@
 import React from 'react';
 import { CheckCircle2, AlertTriangle, XCircle, Info } from 'lucide-react';
+import { MetricConfidence } from '../types';
 
 interface DataQualityIndicatorProps {
   metrics: {
     [key: string]: number | null | undefined;
   };
+  // Calibrated confidence per metric, keyed like `metrics`
+  confidence?: {
+    [key: string]: MetricConfidence | null | undefined;
+  };
 }
 
-const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ metrics }) => {
+const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ metrics, confidence }) => {
   const totalFields = Object.keys(metrics).length;
-  const filledFields = Object.values(metrics).filter(value => value !== null && value !== undefined).length;
-  const completeness = totalFields > 0 ? (filledFields / totalFields) * 100 : 0;
+  const filledKeys = Object.keys(metrics).filter(key => metrics[key] !== null && metrics[key] !== undefined);
+  const filledFields = filledKeys.length;
+  const scored = confidence ? filledKeys.filter(key => confidence[key]) : [];
+  const lowConfidence = scored.filter(key => confidence?.[key]?.level === 'low').length;
+  const averageConfidence = scored.length > 0
+    ? scored.reduce((sum, key) => sum + (confidence?.[key]?.score ?? 0), 0) / scored.length
+    : null;
+  // With calibrated scores, the expected share of key metrics extracted
+  // correctly; otherwise the share extracted at all
+  const completeness = totalFields === 0
+    ? 0
+    : averageConfidence !== null
+      ? (filledFields * averageConfidence / totalFields) * 100
+      : (filledFields / totalFields) * 100;
   
   const getQualityLevel = (completeness: number) => {
     if (completeness >= 90) return { level: 'excellent', color: 'green', icon: CheckCircle2 };
@@ -23,6 +40,9 @@ const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ metrics })
   const Icon = quality.icon;
   
   const getQualityMessage = (level: string, completeness: number) => {
+    if (averageConfidence !== null) {
+      return `${completeness.toFixed(0)}% of key metrics expected correct - ${filledFields} of ${totalFields} extracted at ${(averageConfidence * 100).toFixed(0)}% average confidence`;
+    }
     switch (level) {
       case 'excellent':
         return `Excellent data quality - ${completeness.toFixed(0)}% of key metrics extracted successfully`;
@@ -59,6 +79,11 @@ const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ metrics })
           <p className="text-sm font-medium">
             {getQualityMessage(quality.level, completeness)}
           </p>
+          {lowConfidence > 0 && (
+            <p className="text-xs mt-1 opacity-80">
+              {lowConfidence} {lowConfidence === 1 ? 'value has' : 'values have'} low confidence. Check {lowConfidence === 1 ? 'it' : 'them'} against the source pages.
+            </p>
+          )}
           {quality.level !== 'excellent' && (
             <p className="text-xs mt-1 opacity-80">
               Missing values may indicate the document structure doesn't match expected formats or the data wasn't clearly extractable.
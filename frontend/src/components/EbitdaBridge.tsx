@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import WaterfallChart, { WaterfallData } from './charts/WaterfallChart';
+import { EbitdaAdjustments, EbitdaAdjustmentCategory } from '../types';
+
+interface EbitdaBridgeProps {
+  ebitdaAdjustments: EbitdaAdjustments;
+  evEbitdaMultiple?: number | null;
+}
+
+const CATEGORY_LABELS: Record<EbitdaAdjustmentCategory, string> = {
+  ownerCompensation: 'Owner compensation',
+  nonRecurring: 'Non-recurring',
+  esopContribution: 'ESOP contribution',
+  relatedParty: 'Related party',
+  discontinuedOperations: 'Discontinued operations',
+  other: 'Other'
+};
+
+const formatMillions = (value: number) => `$${(value / 1000000).toFixed(2)}M`;
+
+// Reported-to-adjusted EBITDA bridge. Unticking an adjustment removes it
+// from the adjusted EBITDA so analysts can see what each add-back is worth.
+const EbitdaBridge: React.FC<EbitdaBridgeProps> = ({ ebitdaAdjustments, evEbitdaMultiple }) => {
+  const { bridges } = ebitdaAdjustments;
+  const latestHistorical = [...bridges].reverse().find(bridge => bridge.periodType === 'historical') || bridges[bridges.length - 1];
+  const [period, setPeriod] = useState<string | null>(latestHistorical?.fiscalPeriod ?? null);
+  const [excluded, setExcluded] = useState<Set<string>>(new Set());
+
+  useEffect(() => {
+    setExcluded(new Set());
+  }, [period]);
+
+  const bridge = bridges.find(candidate => candidate.fiscalPeriod === period) || latestHistorical;
+  if (!bridge) {
+    return null;
+  }
+
+  const included = bridge.adjustments.filter(adjustment => !excluded.has(adjustment.label));
+  const challengedEbitda = bridge.adjustedEbitda - bridge.adjustments
+    .filter(adjustment => excluded.has(adjustment.label))
+    .reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+  let cumulative = bridge.reportedEbitda;
+  const chartData: WaterfallData[] = [
+    { name: 'Reported EBITDA', value: bridge.reportedEbitda, cumulative, type: 'total' },
+    ...included.map(adjustment => {
+      cumulative += adjustment.amount;
+      return {
+        name: adjustment.label,
+        value: adjustment.amount,
+        cumulative,
+        type: adjustment.amount >= 0 ? 'positive' as const : 'negative' as const
+      };
+    }),
+    { name: excluded.size > 0 ? 'Challenged EBITDA' : 'Adjusted EBITDA', value: challengedEbitda, cumulative: challengedEbitda, type: 'total' }
+  ];
+
+  const toggle = (label: string) => {
+    const next = new Set(excluded);
+    if (next.has(label)) {
+      next.delete(label);
+    } else {
+      next.add(label);
+    }
+    setExcluded(next);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="bg-gray-50 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-medium text-gray-900">EBITDA Normalization</h4>
+          {bridges.length > 1 && (
+            <div className="flex space-x-1">
+              {bridges.map(candidate => (
+                <button
+                  key={candidate.fiscalPeriod ?? 'single'}
+                  onClick={() => setPeriod(candidate.fiscalPeriod)}
+                  className={`px-2 py-1 text-xs rounded ${
+                    candidate === bridge ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 border border-gray-200'
+                  }`}
+                >
+                  {candidate.fiscalPeriod}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <WaterfallChart data={chartData} title="" height={280} />
+
+        <table className="w-full text-sm mt-2">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-1 pr-2">Include</th>
+              <th className="py-1 pr-2">Adjustment</th>
+              <th className="py-1 pr-2">Category</th>
+              <th className="py-1 pr-2 text-right">Amount</th>
+              <th className="py-1 pr-2 text-right">% of Reported</th>
+              <th className="py-1 text-right">Page</th>
+            </tr>
+          </thead>
+          <tbody>
+            {bridge.adjustments.map(adjustment => (
+              <tr key={adjustment.label} className={`border-b border-gray-100 ${excluded.has(adjustment.label) ? 'text-gray-400' : ''}`}>
+                <td className="py-1 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={!excluded.has(adjustment.label)}
+                    onChange={() => toggle(adjustment.label)}
+                  />
+                </td>
+                <td className="py-1 pr-2">{adjustment.label}</td>
+                <td className="py-1 pr-2">{CATEGORY_LABELS[adjustment.category]}</td>
+                <td className="py-1 pr-2 text-right">{formatMillions(adjustment.amount)}</td>
+                <td className="py-1 pr-2 text-right">
+                  {bridge.reportedEbitda ? `${((adjustment.amount / bridge.reportedEbitda) * 100).toFixed(1)}%` : '—'}
+                </td>
+                <td className="py-1 text-right">{adjustment.sourcePage ?? '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="space-y-1 text-sm mt-3">
+          <div className="flex justify-between">
+            <span>Adjusted EBITDA (as reported):</span>
+            <span className="font-medium">{formatMillions(bridge.adjustedEbitda)}</span>
+          </div>
+          {excluded.size > 0 && (
+            <>
+              <div className="flex justify-between">
+                <span>Without challenged adjustments:</span>
+                <span className="font-medium">{formatMillions(challengedEbitda)}</span>
+              </div>
+              {evEbitdaMultiple && (
+                <div className="flex justify-between text-gray-600">
+                  <span>Enterprise value impact at {evEbitdaMultiple.toFixed(1)}x:</span>
+                  <span className="font-medium">{formatMillions((challengedEbitda - bridge.adjustedEbitda) * evEbitdaMultiple)}</span>
+                </div>
+              )}
+            </>
+          )}
+          {bridge.reconciles === false && (
+            <div className="flex items-start space-x-2 text-amber-700">
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>The listed adjustments do not add up to the reported adjusted EBITDA</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EbitdaBridge;
@@ -1,7 +1,13 @@
 import React, { useEffect, useState } from 'react';
-import { TrendingUp, DollarSign, Building, Users, Calculator, BarChart3, Download } from 'lucide-react';
+import { TrendingUp, DollarSign, Building, Users, Calculator, BarChart3, Download, CheckCircle, AlertTriangle } from 'lucide-react';
 import { getDocumentMetrics } from '../services/api';
-import { DocumentMetrics } from '../types';
+import ComparablesTable from './ComparablesTable';
+import EbitdaBridge from './EbitdaBridge';
+import ConfidenceBadge from './ConfidenceBadge';
+import DataQualityIndicator from './DataQualityIndicator';
+import MetricOverrideForm from './MetricOverrideForm';
+import OverrideAuditTrail from './OverrideAuditTrail';
+import { DocumentMetrics, MetricProvenance, MetricOverride, DiscountsAndPremiums, ValuationApproaches, TaxAffecting, TaxAffectingMethod, TaxAffectingScenario, DilutionAnalysis, EbitdaAdjustments } from '../types';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 
@@ -16,12 +22,18 @@ interface MetricCardData {
   icon: React.ReactNode;
   color: string;
   ebitdaMargin?: string | null;
+  fullyDiluted?: DilutionAnalysis | null;
+  source?: MetricProvenance;
+  // Stored field the card's value can be overridden at
+  target: [keyof DocumentMetrics['metrics'], string];
+  override?: MetricOverride;
 }
 
 const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ documentId }) => {
   const [metrics, setMetrics] = useState<DocumentMetrics | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [overridesVersion, setOverridesVersion] = useState(0);
 
   useEffect(() => {
     const fetchMetrics = async () => {
@@ -38,7 +50,7 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
     if (documentId) {
       fetchMetrics();
     }
-  }, [documentId]);
+  }, [documentId, overridesVersion]);
 
 
   // Download handler
@@ -145,6 +157,10 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
   const keyFinancials = metrics.metrics.keyFinancials?.data;
   const companyValuation = metrics.metrics.companyValuation?.data;
   const capitalStructure = metrics.metrics.capitalStructure?.data;
+  const discountsAndPremiums = metrics.metrics.discountsAndPremiums?.data as DiscountsAndPremiums | undefined;
+  const valuationApproaches = metrics.metrics.valuationApproaches?.data as ValuationApproaches | undefined;
+  const taxAffecting = metrics.metrics.taxAffecting?.data as TaxAffecting | undefined;
+  const ebitdaAdjustments = metrics.metrics.ebitdaAdjustments?.data as EbitdaAdjustments | undefined;
 
   // Debug logging to help identify data issues (development only)
   if (process.env.NODE_ENV === 'development') {
@@ -155,6 +171,9 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
       keyFinancials,
       companyValuation,
       capitalStructure,
+      discountsAndPremiums,
+      valuationApproaches,
+      taxAffecting,
       fullMetrics: metrics.metrics
     });
   }
@@ -170,8 +189,23 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
     return null;
   };
 
+  // Helper to get the first recorded source location for a metric
+  const getSource = (...paths: [keyof DocumentMetrics['metrics'], string][]): MetricProvenance | undefined => {
+    for (const [metricType, field] of paths) {
+      const source = metrics.metrics[metricType]?.provenance?.[field];
+      if (source) {
+        return source;
+      }
+    }
+    return undefined;
+  };
+
+  // Helper to get an analyst's override of a stored field
+  const getOverride = ([metricType, field]: [keyof DocumentMetrics['metrics'], string]): MetricOverride | undefined =>
+    metrics.metrics[metricType]?.overrides?.[field];
+
   // Prepare metric cards data with comprehensive field mapping
-  const metricCards: MetricCardData[] = [
+  const extractedCards: Omit<MetricCardData, 'override'>[] = [
     {
       title: 'Enterprise Value',
       currentValue: getBestValue(
@@ -189,7 +223,9 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
 
       format: 'currency',
       icon: <Building className="h-6 w-6" />,
-      color: 'blue'
+      color: 'blue',
+      target: ['enterpriseValue', 'currentValue'],
+      source: getSource(['enterpriseValue', 'currentValue'], ['companyValuation', 'totalValue'])
     },
     {
       title: 'Value of Equity',
@@ -207,7 +243,9 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
 
       format: 'currency',
       icon: <DollarSign className="h-6 w-6" />,
-      color: 'green'
+      color: 'green',
+      target: ['valueOfEquity', 'currentValue'],
+      source: getSource(['valueOfEquity', 'currentValue'])
     },
     {
       title: 'Valuation per Share',
@@ -226,7 +264,10 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
 
       format: 'currency',
       icon: <Users className="h-6 w-6" />,
-      color: 'purple'
+      color: 'purple',
+      target: ['valuationPerShare', 'currentValue'],
+      fullyDiluted: valuationPerShare?.fullyDiluted as DilutionAnalysis | null | undefined,
+      source: getSource(['valuationPerShare', 'currentValue'], ['companyValuation', 'perShareValue'])
     },
     {
       title: 'Revenue',
@@ -242,7 +283,9 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
       ),
       format: 'currency',
       icon: <BarChart3 className="h-6 w-6" />,
-      color: 'orange'
+      color: 'orange',
+      target: ['keyFinancials', 'revenue'],
+      source: getSource(['keyFinancials', 'revenue'])
     },
     {
       title: 'EBITDA',
@@ -259,13 +302,17 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
       format: 'currency',
       icon: <TrendingUp className="h-6 w-6" />,
       color: 'indigo',
+      target: ['keyFinancials', 'ebitda'],
+      source: getSource(['keyFinancials', 'ebitda']),
       ebitdaMargin: (() => {
         const revenue = getBestValue(
+          getOverride(['keyFinancials', 'revenue'])?.value,
           keyFinancials?.revenue,
           keyFinancials?.totalRevenue,
           keyFinancials?.annualRevenue
         );
         const ebitda = getBestValue(
+          getOverride(['keyFinancials', 'ebitda'])?.value,
           keyFinancials?.ebitda,
           keyFinancials?.EBITDA,
           keyFinancials?.adjustedEbitda
@@ -289,11 +336,14 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
       ),
       format: 'percentage',
       icon: <Calculator className="h-6 w-6" />,
-      color: 'red'
+      color: 'red',
+      target: ['keyFinancials', 'weightedAverageCostOfCapital'],
+      source: getSource(['keyFinancials', 'weightedAverageCostOfCapital'], ['discountRates', 'discountRate'])
     }
   ];
 
-
+  // An override replaces the displayed value; the card keeps the extracted one alongside
+  const metricCards: MetricCardData[] = extractedCards.map(card => ({ ...card, override: getOverride(card.target) }));
 
   return (
     <div className="space-y-6">
@@ -328,7 +378,12 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
         {/* Metric Cards Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {metricCards.map((card, index) => (
-            <MetricCard key={index} {...card} />
+            <MetricCard
+              key={index}
+              {...card}
+              documentId={documentId}
+              onOverrideSaved={() => setOverridesVersion(version => version + 1)}
+            />
           ))}
         </div>
 
@@ -403,24 +458,223 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
           </div>
         )}
         
-        {/* Data Quality Indicator */}
-        <div className="mt-4 pt-4 border-t border-gray-200">
-          <div className="flex items-center justify-between text-xs text-gray-500">
-            <span>Data Quality</span>
-            <div className="flex items-center space-x-2">
-              {(() => {
-                const filledCards = metricCards.filter(card => card.currentValue !== null).length;
-                const completeness = (filledCards / metricCards.length) * 100;
-                const color = completeness >= 80 ? 'green' : completeness >= 60 ? 'yellow' : 'red';
-                return (
-                  <>
-                    <div className={`w-2 h-2 rounded-full bg-${color}-500`}></div>
-                    <span>{completeness.toFixed(0)}% complete</span>
-                  </>
-                );
-              })()}
+        {/* Discounts & Premiums Section */}
+        {discountsAndPremiums && [
+          discountsAndPremiums.discountForLackOfMarketability,
+          discountsAndPremiums.controlPremium,
+          discountsAndPremiums.minorityDiscount,
+          discountsAndPremiums.marketableValuePerShare
+        ].some(value => safeParseNumber(value) !== null) && (
+          <div className="mt-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h4 className="font-medium text-gray-900 mb-2">Discounts &amp; Premiums</h4>
+              <div className="text-sm text-gray-600 space-y-2">
+                {([
+                  ['Discount for Lack of Marketability:', discountsAndPremiums.discountForLackOfMarketability],
+                  ['Control Premium:', discountsAndPremiums.controlPremium],
+                  ['Minority Discount:', discountsAndPremiums.minorityDiscount]
+                ] as [string, number | null][]).map(([label, value]) => {
+                  const percentage = safeParseNumber(value);
+                  return (
+                    <div key={label} className="flex justify-between">
+                      <span>{label}</span>
+                      <span className="font-medium">{percentage !== null ? `${percentage.toFixed(1)}%` : 'N/A'}</span>
+                    </div>
+                  );
+                })}
+                <div className="flex justify-between">
+                  <span>Marketable Value Per Share:</span>
+                  <span className="font-medium">
+                    {(() => {
+                      const marketableValue = safeParseNumber(discountsAndPremiums.marketableValuePerShare);
+                      return marketableValue !== null ? `$${marketableValue.toFixed(2)}` : 'N/A';
+                    })()}
+                  </span>
+                </div>
+                {discountsAndPremiums.perShareBridge && (
+                  <div className={`flex items-start space-x-2 pt-2 border-t border-gray-200 ${
+                    discountsAndPremiums.perShareBridge.consistent ? 'text-green-700' : 'text-amber-700'
+                  }`}>
+                    {discountsAndPremiums.perShareBridge.consistent
+                      ? <CheckCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      : <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+                    <span>
+                      {discountsAndPremiums.perShareBridge.consistent
+                        ? `Per-share bridge ties: $${discountsAndPremiums.perShareBridge.marketableValuePerShare.toFixed(2)} less ${discountsAndPremiums.perShareBridge.statedDiscount}% DLOM = $${discountsAndPremiums.perShareBridge.nonMarketableValuePerShare.toFixed(2)}`
+                        : discountsAndPremiums.perShareBridge.issue}
+                    </span>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
+        )}
+
+        {/* Valuation Approaches Section */}
+        {valuationApproaches && (() => {
+          const rows = ([
+            ['Income Approach', valuationApproaches.incomeApproachValue, valuationApproaches.incomeApproachWeight],
+            ['Market Approach', valuationApproaches.marketApproachValue, valuationApproaches.marketApproachWeight],
+            ['Asset Approach', valuationApproaches.assetApproachValue, valuationApproaches.assetApproachWeight]
+          ] as [string, number | null, number | null][])
+            .map(([label, value, weight]) => ({ label, value: safeParseNumber(value), weight: safeParseNumber(weight) }))
+            .filter(row => row.value !== null || row.weight !== null);
+          if (rows.length === 0) return null;
+
+          const reconciliation = valuationApproaches.reconciliation;
+          const formatDollars = (value: number | null) => value === null ? 'N/A' : new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            notation: 'compact',
+            maximumFractionDigits: 1
+          }).format(value);
+
+          return (
+            <div className="mt-4">
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h4 className="font-medium text-gray-900 mb-2">Valuation Approaches</h4>
+                <table className="w-full text-sm text-gray-600">
+                  <thead>
+                    <tr className="text-xs text-gray-500 text-left">
+                      <th className="font-medium pb-1">Approach</th>
+                      <th className="font-medium pb-1 text-right">Indicated Value</th>
+                      <th className="font-medium pb-1 text-right">Weight</th>
+                      <th className="font-medium pb-1 text-right">Weighted Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.label}>
+                        <td className="py-1">{row.label}</td>
+                        <td className="py-1 text-right font-medium">{formatDollars(row.value)}</td>
+                        <td className="py-1 text-right font-medium">{row.weight !== null ? `${row.weight.toFixed(0)}%` : 'N/A'}</td>
+                        <td className="py-1 text-right font-medium">
+                          {row.value !== null && row.weight !== null ? formatDollars(row.value * row.weight / 100) : 'N/A'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {reconciliation && (
+                  <div className={`flex items-start space-x-2 mt-2 pt-2 border-t border-gray-200 text-sm ${
+                    reconciliation.consistent ? 'text-green-700' : 'text-amber-700'
+                  }`}>
+                    {reconciliation.consistent
+                      ? <CheckCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      : <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+                    <span>
+                      {reconciliation.consistent
+                        ? `Weighted indications reconcile to the concluded enterprise value of ${formatDollars(reconciliation.concludedValue)}`
+                        : reconciliation.issue}
+                    </span>
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Tax Status & Tax Affecting Section */}
+        {taxAffecting && (taxAffecting.entityType || taxAffecting.taxAffected !== null) && (() => {
+          const methodLabels: Record<TaxAffectingMethod, string> = {
+            cCorporationEquivalent: 'C corporation equivalent',
+            delawareChancery: 'Delaware Chancery',
+            seam: 'SEAM (Mercer)',
+            vanVleet: 'Van Vleet',
+            treharne: 'Treharne',
+            grabowski: 'Grabowski',
+            fannon: 'Fannon'
+          };
+          const taxSource = getSource(['taxAffecting', 'taxAffected'], ['taxAffecting', 'entityType']);
+          const whatIf = taxAffecting.whatIf;
+          const formatDollars = (value: number) => new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            notation: 'compact',
+            maximumFractionDigits: 1
+          }).format(value);
+
+          return (
+            <div className="mt-4">
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h4 className="font-medium text-gray-900 mb-2">Tax Status &amp; Tax Affecting</h4>
+                <div className="text-sm text-gray-600 space-y-2">
+                  <div className="flex justify-between">
+                    <span>Entity Tax Status:</span>
+                    <span className="font-medium">
+                      {taxAffecting.entityType === 'sCorporation' ? 'S corporation' : taxAffecting.entityType === 'cCorporation' ? 'C corporation' : 'N/A'}
+                      {taxAffecting.esopOwnershipPercentage !== null ? ` (${taxAffecting.esopOwnershipPercentage}% ESOP-owned)` : ''}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Earnings Tax-Affected:</span>
+                    <span className="font-medium">
+                      {taxAffecting.taxAffected === null ? 'Not stated' : taxAffecting.taxAffected ? 'Yes' : 'No'}
+                      {taxAffecting.taxAffected && taxAffecting.taxRate !== null ? ` at ${taxAffecting.taxRate}%` : ''}
+                    </span>
+                  </div>
+                  {taxAffecting.method && (
+                    <div className="flex justify-between">
+                      <span>Method:</span>
+                      <span className="font-medium">{methodLabels[taxAffecting.method]}</span>
+                    </div>
+                  )}
+                  {whatIf && (
+                    <div className="pt-2 border-t border-gray-200 space-y-1">
+                      {([
+                        ['With tax affecting', whatIf.withTaxAffecting, whatIf.reportedBasis === 'taxAffected'],
+                        ['Without tax affecting', whatIf.withoutTaxAffecting, whatIf.reportedBasis === 'notTaxAffected']
+                      ] as [string, TaxAffectingScenario, boolean][]).map(([label, scenario, reported]) => (
+                        <div key={label} className="flex justify-between">
+                          <span>{label}{reported ? ' (as reported)' : ''}:</span>
+                          <span className="font-medium">
+                            {formatDollars(scenario.enterpriseValue)}
+                            {scenario.evEbitdaMultiple !== null ? ` · ${scenario.evEbitdaMultiple.toFixed(1)}x EBITDA` : ''}
+                          </span>
+                        </div>
+                      ))}
+                      <p className="text-xs text-gray-500">
+                        Tax affecting at {whatIf.taxRate}% moves enterprise value by {formatDollars(whatIf.difference)} ({whatIf.percentDifference.toFixed(1)}%)
+                      </p>
+                    </div>
+                  )}
+                  {taxAffecting.entityType === 'sCorporation' && taxAffecting.taxAffected === null && (
+                    <div className="flex items-start space-x-2 text-amber-700">
+                      <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      <span>The report does not state whether S corporation earnings were tax-affected</span>
+                    </div>
+                  )}
+                  {taxSource?.page && (
+                    <p className="text-xs text-gray-400 truncate" title={taxSource.snippet || undefined}>
+                      Page {taxSource.page}{taxSource.snippet ? `: "${taxSource.snippet}"` : ''}
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* EBITDA Normalization Bridge */}
+        {ebitdaAdjustments && ebitdaAdjustments.bridges?.length > 0 && (
+          <EbitdaBridge
+            ebitdaAdjustments={ebitdaAdjustments}
+            evEbitdaMultiple={Number(metrics.metrics.valuationMultiples?.data?.ebitdaMultiple) || null}
+          />
+        )}
+
+        {/* Market Approach Comparables */}
+        <ComparablesTable documentId={documentId} />
+
+        {/* Analyst overrides and their audit trail */}
+        <OverrideAuditTrail documentId={documentId} refreshKey={overridesVersion} />
+
+        {/* Data Quality Indicator */}
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          <DataQualityIndicator
+            metrics={Object.fromEntries(metricCards.map(card => [card.title, card.override ? card.override.value : card.currentValue]))}
+            confidence={Object.fromEntries(metricCards.map(card => [card.title, card.source?.confidence]))}
+          />
         </div>
       </div>
       </div>
@@ -428,7 +682,10 @@ const EnhancedMetricsDashboard: React.FC<EnhancedMetricsDashboardProps> = ({ doc
   );
 };
 
-interface MetricCardProps extends MetricCardData {}
+interface MetricCardProps extends MetricCardData {
+  documentId: string;
+  onOverrideSaved: () => void;
+}
 
 const MetricCard: React.FC<MetricCardProps> = ({ 
   title, 
@@ -436,7 +693,13 @@ const MetricCard: React.FC<MetricCardProps> = ({
   format, 
   icon, 
   color,
-  ebitdaMargin
+  ebitdaMargin,
+  fullyDiluted,
+  source,
+  target,
+  override,
+  documentId,
+  onOverrideSaved
 }) => {
 
 
@@ -511,19 +774,61 @@ const MetricCard: React.FC<MetricCardProps> = ({
         <div className={`p-2 rounded-lg ${colorClasses[color as keyof typeof colorClasses]}`}>
           {icon}
         </div>
-
+        {override ? (
+          <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-blue-50 text-blue-700">Analyst override</span>
+        ) : (
+          currentValue !== null && currentValue !== undefined && <ConfidenceBadge confidence={source?.confidence} />
+        )}
       </div>
       
       <div>
         <p className="text-sm font-medium text-gray-500 mb-1">{title}</p>
-        <p className={`${getFontSizeClass(formatValue(currentValue))} font-bold text-gray-900 leading-tight`}>
-          {formatValue(currentValue)}
+        <p className={`${getFontSizeClass(formatValue(override ? override.value : currentValue))} font-bold text-gray-900 leading-tight`}>
+          {formatValue(override ? override.value : currentValue)}
         </p>
+        {override && (
+          <div className="text-xs text-gray-500 mt-1">
+            <p>
+              Extracted: <span className="line-through">{formatValue(currentValue)}</span>
+            </p>
+            <p className="truncate" title={override.justification}>
+              {override.overriddenBy}, {new Date(override.createdAt).toLocaleDateString()}: {override.justification}
+            </p>
+          </div>
+        )}
         {ebitdaMargin && title === 'EBITDA' && (
           <p className="text-sm text-gray-500 mt-1">
             Margin: {ebitdaMargin}%
           </p>
         )}
+        {fullyDiluted?.diluted && fullyDiluted.diluted.inTheMoneyCount > 0 && (
+          <p className="text-sm text-gray-500 mt-1">
+            Fully diluted: ${fullyDiluted.diluted.dilutedPerShare.toFixed(2)} ({fullyDiluted.diluted.dilutionPercent.toFixed(1)}% dilution)
+          </p>
+        )}
+        {fullyDiluted?.diluted && (fullyDiluted.diluted.unpricedCount ?? 0) > 0 && (
+          <p className="text-xs text-gray-500 mt-1">
+            {fullyDiluted.diluted.unpricedCount} instrument(s) without a stated strike price left out of the fully diluted value
+          </p>
+        )}
+        {fullyDiluted?.dilutionIncluded === false && (
+          <p className="text-xs text-amber-600 mt-1 flex items-center" title={fullyDiluted.issue || undefined}>
+            <AlertTriangle className="h-3 w-3 mr-1" />
+            Reported value may not reflect dilution
+          </p>
+        )}
+        {source?.page && (
+          <p className="text-xs text-gray-400 mt-2 truncate" title={source.snippet || undefined}>
+            Page {source.page}{source.snippet ? `: "${source.snippet}"` : ''}
+          </p>
+        )}
+        <MetricOverrideForm
+          documentId={documentId}
+          metricType={target[0]}
+          field={target[1]}
+          override={override}
+          onSaved={onOverrideSaved}
+        />
 
       </div>
     </div>
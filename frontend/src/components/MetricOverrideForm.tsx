@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Pencil, RotateCcw } from 'lucide-react';
+import { overrideMetric, revertMetricOverride } from '../services/api';
+import { MetricOverride } from '../types';
+
+interface MetricOverrideFormProps {
+  documentId: string;
+  metricType: string;
+  field: string;
+  override?: MetricOverride;
+  onSaved: () => void;
+}
+
+const ANALYST_STORAGE_KEY = 'esop-analyzer-analyst';
+
+// Override an extracted value, or restore the machine value, with a required justification
+const MetricOverrideForm: React.FC<MetricOverrideFormProps> = ({ documentId, metricType, field, override, onSaved }) => {
+  const [mode, setMode] = useState<'override' | 'revert' | null>(null);
+  const [value, setValue] = useState('');
+  const [justification, setJustification] = useState('');
+  const [analyst, setAnalyst] = useState(() => localStorage.getItem(ANALYST_STORAGE_KEY) || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const close = () => {
+    setMode(null);
+    setValue('');
+    setJustification('');
+    setError(null);
+  };
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      localStorage.setItem(ANALYST_STORAGE_KEY, analyst.trim());
+      if (mode === 'revert') {
+        await revertMetricOverride(documentId, { metricType, field, justification, analyst });
+      } else {
+        await overrideMetric(documentId, { metricType, field, value, justification, analyst });
+      }
+      close();
+      onSaved();
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to save override');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!mode) {
+    return (
+      <div className="flex items-center space-x-3 mt-3" data-html2canvas-ignore>
+        <button
+          onClick={() => setMode('override')}
+          className="text-xs text-blue-600 hover:text-blue-800 flex items-center"
+        >
+          <Pencil className="h-3 w-3 mr-1" />
+          Override
+        </button>
+        {override && (
+          <button
+            onClick={() => setMode('revert')}
+            className="text-xs text-gray-600 hover:text-gray-800 flex items-center"
+          >
+            <RotateCcw className="h-3 w-3 mr-1" />
+            Revert to extracted
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2" data-html2canvas-ignore>
+      {mode === 'override' && (
+        <input
+          type="text"
+          value={value}
+          onChange={(event) => setValue(event.target.value)}
+          placeholder="Corrected value, e.g. $45.2 million or 14.5%"
+          className="w-full text-sm border border-gray-300 rounded px-2 py-1"
+          required
+        />
+      )}
+      <textarea
+        value={justification}
+        onChange={(event) => setJustification(event.target.value)}
+        placeholder={mode === 'revert' ? 'Why the extracted value is correct' : 'Justification, e.g. the page and table the value comes from'}
+        className="w-full text-sm border border-gray-300 rounded px-2 py-1"
+        rows={2}
+        required
+      />
+      <input
+        type="text"
+        value={analyst}
+        onChange={(event) => setAnalyst(event.target.value)}
+        placeholder="Your name"
+        className="w-full text-sm border border-gray-300 rounded px-2 py-1"
+        required
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex items-center space-x-2">
+        <button
+          type="submit"
+          disabled={saving || !justification.trim() || !analyst.trim()}
+          className="text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : mode === 'revert' ? 'Revert' : 'Save override'}
+        </button>
+        <button type="button" onClick={close} className="text-xs px-3 py-1 rounded text-gray-600 hover:bg-gray-100">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MetricOverrideForm;
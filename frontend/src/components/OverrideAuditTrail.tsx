@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import { History } from 'lucide-react';
+import { getMetricOverrides } from '../services/api';
+import { MetricOverrides } from '../types';
+
+interface OverrideAuditTrailProps {
+  documentId: string;
+  // Changes whenever an override is saved, to refetch the trail
+  refreshKey?: number;
+}
+
+const formatNumber = (value: number | null) =>
+  value === null ? '—' : value.toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+// Analyst overrides in force next to the extracted values they replace, and
+// every override and revert with who made it, when and why
+const OverrideAuditTrail: React.FC<OverrideAuditTrailProps> = ({ documentId, refreshKey = 0 }) => {
+  const [overrides, setOverrides] = useState<MetricOverrides | null>(null);
+
+  useEffect(() => {
+    const fetchOverrides = async () => {
+      try {
+        setOverrides(await getMetricOverrides(documentId));
+      } catch (err) {
+        console.error('Failed to load metric overrides:', err);
+        setOverrides(null);
+      }
+    };
+
+    if (documentId) {
+      fetchOverrides();
+    }
+  }, [documentId, refreshKey]);
+
+  if (!overrides || overrides.history.length === 0) {
+    return null;
+  }
+
+  const active = Object.entries(overrides.overrides).flatMap(([metricType, fields]) =>
+    Object.entries(fields).map(([field, override]) => ({ metricType, field, ...override }))
+  );
+
+  return (
+    <div className="mt-4">
+      <div className="bg-gray-50 rounded-lg p-4">
+        <h4 className="font-medium text-gray-900 mb-2 flex items-center">
+          <History className="h-4 w-4 mr-2 text-gray-500" />
+          Analyst Overrides
+        </h4>
+
+        {active.length > 0 && (
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium py-1">Metric</th>
+                <th className="font-medium py-1 text-right">Extracted</th>
+                <th className="font-medium py-1 text-right">Override</th>
+              </tr>
+            </thead>
+            <tbody>
+              {active.map(override => (
+                <tr key={`${override.metricType}.${override.field}`} className="border-t border-gray-200">
+                  <td className="py-1 text-gray-700">{override.metricType}.{override.field}</td>
+                  <td className="py-1 text-right text-gray-400 line-through">{formatNumber(override.machineValue)}</td>
+                  <td className="py-1 text-right font-medium text-gray-900">{formatNumber(override.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <ul className="space-y-2">
+          {[...overrides.history].reverse().map(entry => (
+            <li key={entry.id} className="text-xs text-gray-600">
+              <span className="font-medium text-gray-800">{entry.overriddenBy}</span>
+              {entry.action === 'revert'
+                ? ` reverted ${entry.metricType}.${entry.field} to the extracted value`
+                : ` set ${entry.metricType}.${entry.field} to ${formatNumber(entry.value)} (extracted ${formatNumber(entry.machineValue)})`}
+              {' · '}{new Date(entry.createdAt).toLocaleString()}
+              <p className="text-gray-500 italic">"{entry.justification}"</p>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default OverrideAuditTrail;
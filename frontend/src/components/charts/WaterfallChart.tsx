@@ -1,7 +1,7 @@
 import React from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
 
-interface WaterfallData {
+export interface WaterfallData {
   name: string;
   value: number;
   cumulative: number;
@@ -37,7 +37,7 @@ const WaterfallChart: React.FC<WaterfallChartProps> = ({
     
     return {
       ...item,
-      displayValue: item.type === 'total' ? item.cumulative : item.value,
+      displayValue: item.type === 'total' ? item.cumulative : Math.abs(item.value),
       stackBase: item.type === 'total' ? 0 : (item.value >= 0 ? prevCumulative : prevCumulative + item.value),
       color: item.type === 'total' ? '#1f2937' : (item.value >= 0 ? '#10b981' : '#ef4444')
     };
@@ -86,6 +86,8 @@ const WaterfallChart: React.FC<WaterfallChartProps> = ({
             tick={{ fontSize: 12, fill: '#6b7280' }}
           />
           <Tooltip content={<CustomTooltip />} />
+          {/* Transparent base that floats each step at the running total */}
+          <Bar dataKey="stackBase" stackId="waterfall" fill="transparent" isAnimationActive={false} />
           <Bar dataKey="displayValue" stackId="waterfall" radius={[2, 2, 0, 0]}>
             {chartData.map((entry, index) => (
               <Cell key={`cell-${index}`} fill={entry.color} />
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { Document, QuestionResponse, DocumentMetrics } from '../types';
+import { Document, QuestionResponse, DocumentMetrics, FinancialTimeSeries, ComparablesAnalysis, EsopDebt, ShareRelease, ShareReleaseMethod, AdequateConsiderationChecklist, MetricOverrides } from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 const USE_SUPABASE = process.env.REACT_APP_USE_SUPABASE === 'true';
@@ -168,6 +168,60 @@ export const getAIMetrics = async (documentId: string): Promise<any> => {
   return response.data;
 };
 
+export const getFinancialTimeSeries = async (documentId: string): Promise<FinancialTimeSeries> => {
+  const response = await api.get(`${getRoutePrefix('metrics')}/timeseries/${documentId}`);
+  return response.data;
+};
+
+export const getComparables = async (documentId: string): Promise<ComparablesAnalysis> => {
+  const response = await api.get(`${getRoutePrefix('metrics')}/comparables/${documentId}`);
+  return response.data;
+};
+
+export const getShareRelease = async (documentId: string): Promise<ShareRelease> => {
+  const response = await api.get(`${getRoutePrefix('metrics')}/share-release/${documentId}`);
+  return response.data;
+};
+
+export const recalculateShareRelease = async (
+  documentId: string,
+  overrides: Partial<EsopDebt> & { unallocatedShares?: number; method?: ShareReleaseMethod; startYear?: number }
+): Promise<ShareRelease> => {
+  const response = await api.post(`${getRoutePrefix('metrics')}/share-release/${documentId}`, overrides);
+  return response.data;
+};
+
+export const getAdequateConsideration = async (documentId: string): Promise<AdequateConsiderationChecklist> => {
+  const response = await api.get(`${getRoutePrefix('metrics')}/adequate-consideration/${documentId}`);
+  return response.data;
+};
+
+export const reevaluateAdequateConsideration = async (documentId: string): Promise<AdequateConsiderationChecklist> => {
+  const response = await api.post(`${getRoutePrefix('metrics')}/adequate-consideration/${documentId}`);
+  return response.data;
+};
+
+export const getMetricOverrides = async (documentId: string): Promise<MetricOverrides> => {
+  const response = await api.get(`${getRoutePrefix('metrics')}/overrides/${documentId}`);
+  return response.data;
+};
+
+export const overrideMetric = async (
+  documentId: string,
+  override: { metricType: string; field: string; value: number | string; justification: string; analyst?: string }
+): Promise<MetricOverrides> => {
+  const response = await api.post(`${getRoutePrefix('metrics')}/overrides/${documentId}`, override);
+  return response.data;
+};
+
+export const revertMetricOverride = async (
+  documentId: string,
+  revert: { metricType: string; field: string; justification: string; analyst?: string }
+): Promise<MetricOverrides> => {
+  const response = await api.post(`${getRoutePrefix('metrics')}/overrides/${documentId}/revert`, revert);
+  return response.data;
+};
+
 export const getEnhancedMetrics = async (documentId: string): Promise<any> => {
   const response = await api.get(`${getRoutePrefix('metrics')}/enhanced/${documentId}`, {
     timeout: 300000, // 5 minutes for enhanced AI analysis with historical data
@@ -32,12 +32,117 @@ export interface QuestionResponse {
   documentId: string;
 }
 
+export type ExtractionMethod =
+  | 'regex'
+  | 'extractMetrics'
+  | 'extractSingleMetric'
+  | 'resolveConflictWithAI'
+  | 'crossValidateEnterpriseAndEquity'
+  | 'autoValidation';
+
+export type ConfidenceLevel = 'high' | 'medium' | 'low';
+
+// The evidence behind a confidence score
+export interface ConfidenceSignals {
+  extractors: number;
+  agreeingExtractors: Array<'regex' | 'extractMetrics' | 'extractSingleMetric'>;
+  agreement: number;
+  corroborated: boolean;
+  candidates: number;
+  candidateShare: number | null;
+  hasSource: boolean;
+  crossValidation: 'passed' | 'failed' | null;
+}
+
+// Calibrated probability (0-1) that an extracted value is correct
+export interface MetricConfidence {
+  score: number;
+  level: ConfidenceLevel;
+  signals?: ConfidenceSignals;
+}
+
+// Where an extracted value came from; offsets index into the document's content_text
+export interface MetricProvenance {
+  method: ExtractionMethod | null;
+  page: number | null;
+  snippet: string | null;
+  charStart: number | null;
+  charEnd: number | null;
+  confidence?: MetricConfidence;
+}
+
+// An analyst's replacement for an extracted value; the machine value stays in `data`
+export interface MetricOverride {
+  value: number;
+  machineValue: number | null;
+  justification: string;
+  overriddenBy: string;
+  createdAt: string;
+}
+
 export interface MetricData {
   data: any;
   confidence: number;
+  provenance?: Record<string, MetricProvenance>;
+  overrides?: Record<string, MetricOverride>;
   extractedAt: string;
 }
 
+export interface FinancialTimeSeriesRow {
+  fiscalPeriod: string;
+  fiscalYear: number | null;
+  periodType: 'historical' | 'projected';
+  lineItem: string;
+  label: string;
+  value: number;
+  unit: 'USD' | '%' | 'x';
+  sourcePage: number | null;
+}
+
+export interface FinancialTimeSeries {
+  documentId: string;
+  valuationYear: number | null;
+  rows: FinancialTimeSeriesRow[];
+  series: Record<string, Array<{ year: string; [key: string]: number | string | null }>>;
+}
+
+export type ComparableKind = 'guidelineCompany' | 'guidelineTransaction';
+
+export interface Comparable {
+  kind: ComparableKind;
+  name: string;
+  ticker: string | null;
+  acquirer: string | null;
+  revenue: number | null;
+  ebitda: number | null;
+  evToEbitda: number | null;
+  evToRevenue: number | null;
+  sourcePage: number | null;
+}
+
+export interface MultipleAnalysis {
+  kind: ComparableKind;
+  multiple: 'evToEbitda' | 'evToRevenue';
+  count: number;
+  min: number;
+  firstQuartile: number;
+  median: number;
+  thirdQuartile: number;
+  max: number;
+  mean: number;
+  selected: number | null;
+  percentileRank?: number;
+  differenceFromMedian?: number;
+  position?: string;
+}
+
+export interface ComparablesAnalysis {
+  documentId: string;
+  peers: Comparable[];
+  selectedMultiples: Record<ComparableKind, { evToEbitda?: number; evToRevenue?: number }>;
+  analysis: MultipleAnalysis[];
+}
+
 export interface DocumentMetrics {
   documentId: string;
   filename: string;
@@ -51,7 +156,13 @@ export interface DocumentMetrics {
     discountRates?: MetricData;
     keyFinancials?: MetricData;
     capitalStructure?: MetricData;
+    esopDebt?: MetricData;
     valuationMultiples?: MetricData;
+    discountsAndPremiums?: MetricData;
+    valuationApproaches?: MetricData;
+    taxAffecting?: MetricData;
+    syntheticEquity?: MetricData;
+    ebitdaAdjustments?: MetricData;
     valuationDate?: MetricData;
   };
 }
@@ -78,9 +189,258 @@ export interface CapitalStructure {
   totalShares: string;
   esopShares: string;
   esopPercentage: string;
+  allocatedShares?: number | null;
+  unallocatedShares?: number | null;
+}
+
+// ESOP acquisition debt: balances in USD, rates in percentage points
+export interface EsopDebt {
+  externalLoanBalance: number | null;
+  externalLoanRate: number | null;
+  externalLoanTermYears: number | null;
+  internalLoanBalance: number | null;
+  internalLoanRate: number | null;
+  internalLoanTermYears: number | null;
+  sellerNoteBalance: number | null;
+  sellerNoteRate: number | null;
+  sellerNoteTermYears: number | null;
+}
+
+export type EsopLoan = 'externalLoan' | 'internalLoan' | 'sellerNote';
+export type ShareReleaseMethod = 'principalAndInterest' | 'principalOnly';
+
+export interface LoanPayment {
+  year: number;
+  beginningBalance: number;
+  payment: number;
+  interest: number;
+  principal: number;
+  endingBalance: number;
+}
+
+export interface ShareReleaseYear extends LoanPayment {
+  sharesReleased: number;
+  cumulativeReleased: number;
+  suspenseShares: number;
+}
+
+export interface ShareRelease {
+  documentId: string;
+  loanTerms: EsopDebt & { allocatedShares: number | null; unallocatedShares: number | null };
+  assumptions: {
+    releaseLoan: EsopLoan;
+    method: ShareReleaseMethod;
+    startYear: number;
+    // Analyst overrides applied, reapplied on recalculation
+    overrides?: Partial<EsopDebt & { allocatedShares: number; unallocatedShares: number; startYear: number; method: ShareReleaseMethod }>;
+  };
+  schedule: {
+    loans: Partial<Record<EsopLoan, { payment?: number; schedule?: LoanPayment[]; error?: string }>>;
+    release: { method?: ShareReleaseMethod; annualPayment?: number; schedule?: ShareReleaseYear[]; notes?: string[]; error?: string };
+  };
+  calculatedAt: string;
 }
 
 export interface ValuationMultiples {
   revenueMultiple: string;
   ebitdaMultiple: string;
-}
\ No newline at end of file
+}
+
+export interface PerShareBridge {
+  marketableValuePerShare: number;
+  nonMarketableValuePerShare: number;
+  statedDiscount: number;
+  expectedValuePerShare: number;
+  impliedDiscount: number;
+  difference: number;
+  consistent: boolean;
+  issue: string | null;
+}
+
+// Discounts and premiums are in percentage points (10 = 10%)
+export interface DiscountsAndPremiums {
+  discountForLackOfMarketability: number | null;
+  controlPremium: number | null;
+  minorityDiscount: number | null;
+  marketableValuePerShare: number | null;
+  perShareBridge?: PerShareBridge | null;
+}
+
+export interface ApproachIndication {
+  approach: 'income' | 'market' | 'asset';
+  value: number;
+  weight: number;
+  weightedValue: number;
+}
+
+export interface ApproachReconciliation {
+  approaches: ApproachIndication[];
+  weightTotal: number;
+  weightedSum: number;
+  concludedValue: number;
+  difference: number;
+  consistent: boolean;
+  issue: string | null;
+}
+
+// Indicated enterprise value and conclusion weight (percentage points) per approach
+export interface ValuationApproaches {
+  incomeApproachValue: number | null;
+  incomeApproachWeight: number | null;
+  marketApproachValue: number | null;
+  marketApproachWeight: number | null;
+  assetApproachValue: number | null;
+  assetApproachWeight: number | null;
+  reconciliation?: ApproachReconciliation | null;
+}
+
+export type TaxAffectingMethod =
+  | 'cCorporationEquivalent'
+  | 'delawareChancery'
+  | 'seam'
+  | 'vanVleet'
+  | 'treharne'
+  | 'grabowski'
+  | 'fannon';
+
+export interface TaxAffectingScenario {
+  enterpriseValue: number;
+  evEbitdaMultiple: number | null;
+}
+
+export interface TaxAffectingWhatIf {
+  reportedBasis: 'taxAffected' | 'notTaxAffected';
+  taxRate: number;
+  withTaxAffecting: TaxAffectingScenario;
+  withoutTaxAffecting: TaxAffectingScenario;
+  difference: number;
+  percentDifference: number;
+}
+
+// Entity tax status and whether earnings were tax-affected; rates in percentage points
+export interface TaxAffecting {
+  entityType: 'sCorporation' | 'cCorporation' | null;
+  esopOwnershipPercentage: number | null;
+  taxAffected: boolean | null;
+  taxRate: number | null;
+  method: TaxAffectingMethod | null;
+  evidence?: Partial<Record<'entityType' | 'taxAffected' | 'method', string>>;
+  whatIf?: TaxAffectingWhatIf | null;
+}
+
+export type EbitdaAdjustmentCategory =
+  | 'ownerCompensation'
+  | 'nonRecurring'
+  | 'esopContribution'
+  | 'relatedParty'
+  | 'discontinuedOperations'
+  | 'other';
+
+// A normalization add-back (positive) or deduction (negative), in USD
+export interface EbitdaAdjustment {
+  label: string;
+  category: EbitdaAdjustmentCategory;
+  amount: number;
+  sourcePage: number | null;
+}
+
+export interface EbitdaBridge {
+  fiscalPeriod: string | null;
+  fiscalYear: number | null;
+  periodType: 'historical' | 'projected';
+  reportedEbitda: number;
+  adjustments: EbitdaAdjustment[];
+  totalAdjustments: number;
+  statedTotalAdjustments: number | null;
+  adjustedEbitda: number;
+  reconciles: boolean | null;
+  sourcePage: number | null;
+}
+
+export interface EbitdaAdjustments {
+  bridges: EbitdaBridge[];
+}
+
+export type SyntheticEquityType = 'sar' | 'phantomStock' | 'restrictedStock' | 'warrant' | 'option';
+
+// A warrant, SAR or similar claim on equity; either shares or percentage is set
+export interface SyntheticEquityInstrument {
+  type: SyntheticEquityType;
+  holderClass: 'seller' | 'lender' | 'management' | null;
+  shares: number | null;
+  percentage: number | null;
+  strikePrice: number | null;
+  sourcePage: number | null;
+}
+
+export interface SyntheticEquity {
+  instruments: SyntheticEquityInstrument[];
+  statedFullyDiluted: boolean;
+  fullyDilutedShares: number | null;
+}
+
+export interface FullyDilutedValue {
+  undilutedPerShare: number;
+  fullyDilutedShares: number;
+  dilutedPerShare: number;
+  dilutionPercent: number;
+  inTheMoneyCount: number;
+  // Warrants, options and SARs without a stated strike, left out of the value
+  unpricedCount?: number;
+}
+
+// Stored as valuationPerShare.fullyDiluted; dilutionIncluded is false when the
+// reported value divides equity by undiluted shares
+export interface DilutionAnalysis {
+  equityValue: number | null;
+  sharesOutstanding: number | null;
+  reportedPerShare: number | null;
+  diluted: FullyDilutedValue | null;
+  dilutionIncluded: boolean | null;
+  issue: string | null;
+}
+
+export type ChecklistStatus = 'pass' | 'fail' | 'unclear';
+
+export interface ChecklistCitation {
+  page: number | null;
+  quote: string;
+}
+
+// `method` is 'keyword' when the item was decided by its patterns rather than the LLM
+export interface ChecklistItemResult {
+  id: string;
+  title: string;
+  required: boolean;
+  status: ChecklistStatus;
+  explanation: string | null;
+  citations: ChecklistCitation[];
+  method: 'llm' | 'keyword';
+  provider: string | null;
+}
+
+export interface AdequateConsiderationChecklist {
+  documentId: string;
+  checklistVersion: string | null;
+  items: ChecklistItemResult[];
+  summary: Record<ChecklistStatus, number> & { total: number; status: ChecklistStatus };
+  evaluatedAt: string;
+}
+
+export interface MetricOverrideEntry {
+  id: number;
+  metricType: string;
+  field: string;
+  action: 'override' | 'revert';
+  value: number | null;
+  machineValue: number | null;
+  justification: string;
+  overriddenBy: string;
+  createdAt: string;
+}
+
+export interface MetricOverrides {
+  documentId: string;
+  overrides: Record<string, Record<string, MetricOverride>>;
+  history: MetricOverrideEntry[];
+}
@@ -0,0 +1,23 @@
+-- Persist the ESOP loan amortization and share release schedule per document
+CREATE TABLE IF NOT EXISTS public.esop_share_release (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
+    loan_terms JSONB NOT NULL DEFAULT '{}',
+    assumptions JSONB NOT NULL DEFAULT '{}',
+    schedule JSONB NOT NULL DEFAULT '{}',
+    calculated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(document_id)
+);
+
+ALTER TABLE public.esop_share_release ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read share release" ON public.esop_share_release
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow authenticated upsert share release" ON public.esop_share_release
+  FOR ALL USING (
+    auth.uid() IS NOT NULL OR 
+    auth.jwt() ->> 'role' = 'service_role'
+  );
+
+COMMENT ON TABLE public.esop_share_release IS 'ESOP loan amortization and suspense share release schedule per document';
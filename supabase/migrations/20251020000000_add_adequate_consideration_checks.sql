@@ -0,0 +1,23 @@
+-- Persist adequate consideration checklist results per document
+CREATE TABLE IF NOT EXISTS public.adequate_consideration_checks (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
+    checklist_version TEXT,
+    items JSONB NOT NULL DEFAULT '[]',
+    summary JSONB NOT NULL DEFAULT '{}',
+    evaluated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(document_id)
+);
+
+ALTER TABLE public.adequate_consideration_checks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read adequate consideration checks" ON public.adequate_consideration_checks
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow authenticated upsert adequate consideration checks" ON public.adequate_consideration_checks
+  FOR ALL USING (
+    auth.uid() IS NOT NULL OR 
+    auth.jwt() ->> 'role' = 'service_role'
+  );
+
+COMMENT ON TABLE public.adequate_consideration_checks IS 'Adequate consideration checklist evaluation per document';
@@ -0,0 +1,23 @@
+-- Persist financial red-flag rule findings per document
+CREATE TABLE IF NOT EXISTS public.rule_findings (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
+    rules_version TEXT,
+    industry TEXT,
+    findings JSONB NOT NULL DEFAULT '[]',
+    evaluated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(document_id)
+);
+
+ALTER TABLE public.rule_findings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read rule findings" ON public.rule_findings
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow authenticated upsert rule findings" ON public.rule_findings
+  FOR ALL USING (
+    auth.uid() IS NOT NULL OR 
+    auth.jwt() ->> 'role' = 'service_role'
+  );
+
+COMMENT ON TABLE public.rule_findings IS 'Financial red-flag rule evaluation per document';
@@ -0,0 +1,30 @@
+-- Analyst overrides of extracted metrics, kept apart from extracted_metrics
+CREATE TABLE IF NOT EXISTS public.metric_overrides (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
+    metric_type VARCHAR(100) NOT NULL,
+    field VARCHAR(100) NOT NULL,
+    action VARCHAR(20) NOT NULL DEFAULT 'override' CHECK (action IN ('override', 'revert')),
+    value NUMERIC,
+    machine_value NUMERIC,
+    justification TEXT NOT NULL,
+    overridden_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_metric_overrides_document_created
+ON public.metric_overrides (document_id, created_at);
+
+ALTER TABLE public.metric_overrides ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read metric overrides" ON public.metric_overrides
+  FOR SELECT USING (true);
+
+-- The audit trail is append-only: no update or delete policies
+CREATE POLICY "Allow authenticated insert metric overrides" ON public.metric_overrides
+  FOR INSERT WITH CHECK (
+    auth.uid() IS NOT NULL OR 
+    auth.jwt() ->> 'role' = 'service_role'
+  );
+
+COMMENT ON TABLE public.metric_overrides IS 'Analyst overrides and reverts of extracted metric values';
@@ -0,0 +1,33 @@
+-- Versioned extraction runs: every extraction with its models, prompt version,
+-- parser and metric values; one run per document is current
+CREATE TABLE IF NOT EXISTS public.extraction_runs (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
+    source VARCHAR(50) NOT NULL,
+    is_current BOOLEAN NOT NULL DEFAULT FALSE,
+    models JSONB NOT NULL DEFAULT '[]',
+    prompt_version TEXT,
+    parser TEXT,
+    metrics JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    promoted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_runs_document_created
+ON public.extraction_runs (document_id, created_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_extraction_runs_current
+ON public.extraction_runs (document_id) WHERE is_current;
+
+ALTER TABLE public.extraction_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read extraction runs" ON public.extraction_runs
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow authenticated manage extraction runs" ON public.extraction_runs
+  FOR ALL USING (
+    auth.uid() IS NOT NULL OR 
+    auth.jwt() ->> 'role' = 'service_role'
+  );
+
+COMMENT ON TABLE public.extraction_runs IS 'Every extraction of a document, one of them current';
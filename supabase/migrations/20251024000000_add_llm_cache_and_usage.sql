@@ -0,0 +1,55 @@
+-- Persistent, content-addressed LLM response cache and per-call token and
+-- cost accounting
+CREATE TABLE IF NOT EXISTS public.llm_cache (
+    cache_key CHAR(64) PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    response TEXT NOT NULL,
+    usage JSONB NOT NULL DEFAULT '{}',
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_hit_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS public.llm_usage (
+    id SERIAL PRIMARY KEY,
+    document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
+    job_id UUID,
+    source VARCHAR(50) NOT NULL,
+    operation VARCHAR(20) NOT NULL DEFAULT 'completion',
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    task VARCHAR(50),
+    prompts JSONB NOT NULL DEFAULT '[]',
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost NUMERIC(12, 6),
+    cached BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_document_created
+ON public.llm_usage (document_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_job
+ON public.llm_usage (job_id);
+
+-- Cached responses are only read and written by the backend
+ALTER TABLE public.llm_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role manage llm cache" ON public.llm_cache
+  FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+ALTER TABLE public.llm_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read llm usage" ON public.llm_usage
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow authenticated insert llm usage" ON public.llm_usage
+  FOR INSERT WITH CHECK (
+    auth.uid() IS NOT NULL OR 
+    auth.jwt() ->> 'role' = 'service_role'
+  );
+
+COMMENT ON TABLE public.llm_cache IS 'Content-addressed LLM completions';
+COMMENT ON TABLE public.llm_usage IS 'Every LLM call with its token counts and estimated cost';
@@ -0,0 +1,15 @@
+-- Tenants and LLM budget usage
+ALTER TABLE public.documents
+ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT 'default';
+
+ALTER TABLE public.processing_jobs
+ADD COLUMN IF NOT EXISTS llm_budget JSONB;
+
+ALTER TABLE public.llm_usage
+ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_tenant_created
+ON public.llm_usage (tenant_id, created_at);
+
+COMMENT ON COLUMN public.documents.tenant_id IS 'Tenant that uploaded the document (X-Tenant-Id)';
+COMMENT ON COLUMN public.processing_jobs.llm_budget IS 'LLM budget usage: { level, tenantId, degradedCalls, offlineCalls, scopes: { document, job, tenant } }';
@@ -0,0 +1,5 @@
+-- Report engagement metadata, stored in documents.metadata under "report"
+CREATE INDEX IF NOT EXISTS idx_documents_report_metadata
+ON public.documents USING GIN ((metadata->'report'));
+
+COMMENT ON COLUMN public.documents.metadata IS 'Parser details (pageOffsets, parseMethod) and report engagement metadata (report: { appraisalFirm, appraiser, trustee, planName, standardOfValue, premiseOfValue, valuationDate, reportDate, purpose, sources })';
@@ -0,0 +1,8 @@
+-- Per-metric provenance on extracted_metrics, matching backend migration 009.
+-- Records the source page, quoted snippet, character offsets into
+-- documents.content_text and the extraction method for every value
+
+ALTER TABLE public.extracted_metrics
+ADD COLUMN IF NOT EXISTS provenance JSONB DEFAULT '{}';
+
+COMMENT ON COLUMN public.extracted_metrics.provenance IS 'Per-field source: { field: { method, page, snippet, charStart, charEnd } }';